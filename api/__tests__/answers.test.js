@@ -3,6 +3,7 @@ import supertest from "supertest";
 import { describe, it, expect, vi } from "vitest";
 
 import answersRouter from "../answers/answerRouter";
+import { createAnswer } from "../answers/answerService.js";
 
 vi.mock("../answers/answerService.js", () => ({
 	createAnswer: vi
@@ -17,6 +18,11 @@ vi.mock("../answers/answerService.js", () => ({
 	deleteAnswer: vi.fn().mockResolvedValue(true),
 }));
 
+vi.mock("../revisions/revisionService.js", () => ({
+	getAnswerRevisions: vi.fn(),
+	rollbackAnswer: vi.fn(),
+}));
+
 vi.mock("../utils/auth.js", () => ({
 	authenticateToken: () => (req, res, next) => {
 		req.user = { id: 1 }; // mock logged-in user
@@ -24,6 +30,10 @@ vi.mock("../utils/auth.js", () => ({
 	},
 }));
 
+vi.mock("../utils/config.js", () => ({
+	default: { unverifiedRestrictions: [] },
+}));
+
 vi.mock("../utils/logger.js", () => ({
 	default: { error: vi.fn() },
 }));
@@ -41,6 +51,18 @@ describe("Answers API", () => {
 		expect(res.body).toEqual({ id: 1, content: "Test answer", questionId: 5 });
 	});
 
+	it("POST / answers returns 409 when the question is closed", async () => {
+		createAnswer.mockRejectedValueOnce(
+			new Error("This question is closed and no longer accepts answers"),
+		);
+
+		const res = await supertest(app)
+			.post("/")
+			.send({ content: "Late answer", questionId: 5 })
+			.expect(409);
+		expect(res.body.message).toMatch(/no longer accepts answers/);
+	});
+
 	it("PUT /answers/:id updates an answer", async () => {
 		const res = await supertest(app)
 			.put("/1")
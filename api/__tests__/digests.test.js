@@ -0,0 +1,182 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		isTest: true,
+		digestBatchSize: 2,
+		digestCheckIntervalMs: 1000,
+	},
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = { id: 1 }; // mock logged-in user
+		next();
+	},
+}));
+
+const setDigestFrequencyDBMock = vi.fn();
+const unsubscribeByTokenDBMock = vi.fn();
+const claimDueDigestsDBMock = vi.fn();
+const releaseDigestClaimDBMock = vi.fn();
+const getUnreadNotificationsMock = vi.fn();
+const getUnansweredQuestionsMock = vi.fn();
+const getTopAnswersMock = vi.fn();
+const sendDigestEmailMock = vi.fn();
+
+vi.mock("../digests/digestRepository.js", () => ({
+	getDigestSubscriptionDB: vi.fn().mockResolvedValue(null),
+	setDigestFrequencyDB: setDigestFrequencyDBMock,
+	unsubscribeByTokenDB: unsubscribeByTokenDBMock,
+	claimDueDigestsDB: claimDueDigestsDBMock,
+	releaseDigestClaimDB: releaseDigestClaimDBMock,
+	getUnreadNotificationsForDigestDB: getUnreadNotificationsMock,
+	getUnansweredWatchedQuestionsDB: getUnansweredQuestionsMock,
+	getTopAnswersSinceDB: getTopAnswersMock,
+}));
+
+vi.mock("../emails/emailService.js", () => ({
+	default: { sendDigestEmail: sendDigestEmailMock },
+}));
+
+const { sendDueDigests } = await import("../digests/digestService.js");
+const { default: router } = await import("../digests/digestRouter.js");
+
+const app = express();
+app.use(express.json());
+app.use("/digests", router);
+
+const TOKEN = "0123456789abcdef0123456789abcdef";
+
+describe("digest routes", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("GET /digests/settings defaults to off until the user opts in", async () => {
+		const res = await request(app).get("/digests/settings").expect(200);
+
+		expect(res.body).toEqual({ frequency: "off", lastSentAt: null });
+	});
+
+	it("PUT /digests/settings rejects an unknown frequency", async () => {
+		await request(app)
+			.put("/digests/settings")
+			.send({ frequency: "hourly" })
+			.expect(400);
+
+		expect(setDigestFrequencyDBMock).not.toHaveBeenCalled();
+	});
+
+	it("POST /digests/unsubscribe turns the digest off without logging in", async () => {
+		unsubscribeByTokenDBMock.mockResolvedValue(true);
+
+		const res = await request(app)
+			.post("/digests/unsubscribe")
+			.send({ token: TOKEN })
+			.expect(200);
+
+		expect(res.body).toEqual({ frequency: "off" });
+		expect(unsubscribeByTokenDBMock).toHaveBeenCalledWith(TOKEN);
+	});
+
+	it("returns 400 for a malformed token and 404 for an unknown one", async () => {
+		await request(app)
+			.post("/digests/unsubscribe")
+			.send({ token: "not-a-token" })
+			.expect(400);
+
+		unsubscribeByTokenDBMock.mockResolvedValue(false);
+		await request(app)
+			.post("/digests/unsubscribe")
+			.send({ token: TOKEN })
+			.expect(404);
+	});
+});
+
+describe("sendDueDigests", () => {
+	const subscriber = (userId, frequency = "weekly") => ({
+		user_id: userId,
+		name: `User ${userId}`,
+		email: `user${userId}@example.com`,
+		frequency,
+		unsubscribe_token: TOKEN,
+		previous_sent_at: null,
+	});
+
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("emails users with something to report and skips the rest", async () => {
+		claimDueDigestsDBMock
+			.mockResolvedValueOnce([subscriber(2), subscriber(3)])
+			.mockResolvedValueOnce([]);
+		getTopAnswersMock.mockResolvedValue([]);
+		getUnreadNotificationsMock
+			.mockResolvedValueOnce({
+				notifications: [{ id: 1, message: "New answer" }],
+				total: 1,
+			})
+			.mockResolvedValueOnce({ notifications: [], total: 0 });
+		getUnansweredQuestionsMock.mockResolvedValue([]);
+		sendDigestEmailMock.mockResolvedValue({ success: true });
+
+		const sent = await sendDueDigests();
+
+		expect(sent).toBe(1);
+		expect(claimDueDigestsDBMock).toHaveBeenCalledWith(2);
+		expect(sendDigestEmailMock).toHaveBeenCalledTimes(1);
+		expect(sendDigestEmailMock).toHaveBeenCalledWith(
+			expect.objectContaining({
+				userEmail: "user2@example.com",
+				frequency: "weekly",
+				unsubscribeToken: TOKEN,
+				unreadCount: 1,
+			}),
+		);
+		// Top answers are shared, so they are looked up once per frequency
+		expect(getTopAnswersMock).toHaveBeenCalledTimes(1);
+		expect(releaseDigestClaimDBMock).not.toHaveBeenCalled();
+	});
+
+	it("makes a digest due again when it was neither sent nor queued", async () => {
+		const lastWeek = new Date("2026-01-01T00:00:00Z");
+		claimDueDigestsDBMock.mockResolvedValueOnce([
+			{ ...subscriber(2), previous_sent_at: lastWeek },
+			subscriber(3),
+			subscriber(4, "daily"),
+		]);
+		getTopAnswersMock.mockResolvedValue([{ id: 9 }]);
+		getUnreadNotificationsMock.mockResolvedValue({
+			notifications: [],
+			total: 0,
+		});
+		getUnansweredQuestionsMock.mockResolvedValue([]);
+		sendDigestEmailMock
+			.mockResolvedValueOnce({ success: false, error: "SES down" })
+			.mockResolvedValueOnce({ success: false, queued: true })
+			.mockRejectedValueOnce(new Error("template error"));
+
+		const sent = await sendDueDigests();
+
+		expect(sent).toBe(0);
+		// User 3's email is in the retry queue, so their claim stands
+		expect(releaseDigestClaimDBMock).toHaveBeenCalledTimes(2);
+		expect(releaseDigestClaimDBMock).toHaveBeenCalledWith(2, lastWeek);
+		expect(releaseDigestClaimDBMock).toHaveBeenCalledWith(4, null);
+	});
+
+	it("stops when the claim fails", async () => {
+		claimDueDigestsDBMock.mockRejectedValueOnce(new Error("connection lost"));
+
+		await expect(sendDueDigests()).resolves.toBe(0);
+		expect(sendDigestEmailMock).not.toHaveBeenCalled();
+	});
+});
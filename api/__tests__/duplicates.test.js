@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach } from "vitest";
+
+import db from "../db.js";
+
+import { createRequest } from "./testUtils.js";
+
+describe("PATCH /api/questions/:id/duplicate", () => {
+	/** @type {import("supertest").Agent} */
+	let request;
+	let token;
+	let questionIds;
+
+	const markDuplicate = (duplicateId, canonicalId) =>
+		request
+			.patch(`/api/questions/${duplicateId}/duplicate`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ canonicalId });
+
+	const activeDuplicateRelations = async () => {
+		const result = await db.query(
+			`SELECT question_id, related_question_id
+			 FROM similar_questions
+			 WHERE relation_type = 'duplicate' AND is_active = true
+			 ORDER BY question_id`,
+		);
+		return result.rows.map((row) => [row.question_id, row.related_question_id]);
+	};
+
+	beforeEach(async () => {
+		await db.query("DELETE FROM similar_questions");
+		await db.query("DELETE FROM questions");
+		await db.query("DELETE FROM users");
+
+		request = await createRequest();
+		const signup = await request
+			.post("/api/auth/signup")
+			.send({
+				name: "Jo Bloggs",
+				email: "jo@example.com",
+				password: "Password123!",
+			})
+			.expect(201);
+		token = signup.body.accessToken;
+
+		const questions = await db.query(
+			`INSERT INTO questions (title, content, slug, user_id)
+			 SELECT 'Question ' || name, '<p>Help</p>', 'question-' || name, $1
+			 FROM unnest(ARRAY['a', 'b', 'c']) AS name
+			 RETURNING id`,
+			[signup.body.user.id],
+		);
+		questionIds = questions.rows.map((row) => row.id);
+	});
+
+	it("moves a question's duplicates along when it is closed as a duplicate", async () => {
+		const [a, b, c] = questionIds;
+
+		await markDuplicate(a, b).expect(200);
+		await markDuplicate(b, c).expect(200);
+
+		expect(await activeDuplicateRelations()).toEqual([
+			[a, c],
+			[b, c],
+		]);
+		const similar = await db.query(
+			`SELECT related_question_id
+			 FROM similar_questions
+			 WHERE question_id = $1 AND relation_type = 'similar' AND is_active = true
+			 ORDER BY related_question_id`,
+			[c],
+		);
+		expect(similar.rows.map((row) => row.related_question_id)).toEqual([a, b]);
+	});
+
+	it("refuses a canonical question that is itself a duplicate", async () => {
+		const [a, b, c] = questionIds;
+		await markDuplicate(a, b).expect(200);
+
+		const cycle = await markDuplicate(b, a).expect(409);
+		expect(cycle.body.error).toMatch(
+			/Canonical question is already a duplicate/,
+		);
+		await markDuplicate(c, a).expect(409);
+
+		expect(await activeDuplicateRelations()).toEqual([[a, b]]);
+		const statuses = await db.query(
+			"SELECT id, status FROM questions ORDER BY id",
+		);
+		expect(statuses.rows).toEqual([
+			{ id: a, status: "closed" },
+			{ id: b, status: "open" },
+			{ id: c, status: "open" },
+		]);
+	});
+
+	it("can mark a question again after its duplicate was re-pointed", async () => {
+		const [a, b, c] = questionIds;
+		await markDuplicate(a, c).expect(200);
+		await markDuplicate(a, b).expect(200);
+		await markDuplicate(b, c).expect(200);
+
+		// a's old relation to c is reactivated rather than inserted twice
+		expect(await activeDuplicateRelations()).toEqual([
+			[a, c],
+			[b, c],
+		]);
+	});
+});
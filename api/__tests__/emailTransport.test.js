@@ -0,0 +1,183 @@
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { describe, it, expect, afterEach, beforeEach, vi } from "vitest";
+
+const mockConfig = {
+	production: false,
+	emailMode: undefined,
+	emailSource: "info@cyf.academy",
+	emailRegion: "eu-west-1",
+	appUrl: "https://cyfoverflow.test",
+	emailFileDir: "",
+	emailMaxAttempts: 3,
+	emailRetryIntervalMs: 1000,
+};
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({ default: mockConfig }));
+
+const enqueueEmailDBMock = vi.fn();
+const claimDueEmailsDBMock = vi.fn();
+const deleteQueuedEmailDBMock = vi.fn();
+const recordEmailFailureDBMock = vi.fn();
+
+vi.mock("../emails/emailQueueRepository.js", () => ({
+	enqueueEmailDB: enqueueEmailDBMock,
+	claimDueEmailsDB: claimDueEmailsDBMock,
+	deleteQueuedEmailDB: deleteQueuedEmailDBMock,
+	recordEmailFailureDB: recordEmailFailureDBMock,
+}));
+
+const sendMock = vi.fn();
+
+/**
+ * Load the email modules fresh so the transport is re-created from the
+ * current config
+ */
+const loadModules = async ({ stubTransport = true } = {}) => {
+	vi.resetModules();
+	if (stubTransport) {
+		vi.doMock("../emails/transports/index.js", () => ({
+			getTransport: () => ({ name: "stub", send: sendMock }),
+		}));
+	} else {
+		vi.doUnmock("../emails/transports/index.js");
+	}
+	const transports = await import("../emails/transports/index.js");
+	const { default: emailService } = await import("../emails/emailService.js");
+	const emailQueue = await import("../emails/emailQueue.js");
+	return { transports, emailService, emailQueue };
+};
+
+describe("email transport selection", () => {
+	afterEach(() => {
+		mockConfig.production = false;
+		mockConfig.emailMode = undefined;
+	});
+
+	it("defaults to logging in development and SES in production", async () => {
+		const { transports } = await loadModules({ stubTransport: false });
+
+		expect(transports.resolveEmailMode()).toBe("log");
+		mockConfig.production = true;
+		expect(transports.resolveEmailMode()).toBe("ses");
+	});
+
+	it("accepts the legacy aws mode and rejects unknown modes", async () => {
+		const { transports } = await loadModules({ stubTransport: false });
+
+		mockConfig.emailMode = "aws";
+		expect(transports.resolveEmailMode()).toBe("ses");
+		mockConfig.emailMode = "pigeon";
+		expect(() => transports.resolveEmailMode()).toThrow(/Invalid EMAIL_MODE/);
+	});
+
+	describe("file transport", () => {
+		let directory;
+
+		beforeEach(async () => {
+			directory = await mkdtemp(path.join(tmpdir(), "cyf-emails-"));
+			mockConfig.emailMode = "file";
+			mockConfig.emailFileDir = directory;
+		});
+
+		afterEach(async () => {
+			await rm(directory, { recursive: true, force: true });
+		});
+
+		it("writes each email as an .eml file", async () => {
+			const { emailService } = await loadModules({ stubTransport: false });
+
+			const result = await emailService.sendPasswordResetEmail({
+				userEmail: "ada@example.com",
+				userName: "Ada",
+				resetUrl: "https://cyfoverflow.test/reset-password?token=abc",
+			});
+
+			expect(result.success).toBe(true);
+			const files = await readdir(directory);
+			expect(files).toHaveLength(1);
+			expect(files[0]).toMatch(/\.eml$/);
+			const raw = await readFile(path.join(directory, files[0]), "utf8");
+			expect(raw).toContain("To: ada@example.com");
+			expect(raw).toContain("Subject: Reset Your CYFoverflow Password");
+		});
+	});
+});
+
+describe("email retry queue", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("queues a failed send for retry", async () => {
+		const { emailService } = await loadModules();
+		sendMock.mockRejectedValueOnce(new Error("connection refused"));
+
+		const result = await emailService.sendPasswordResetEmail({
+			userEmail: "ada@example.com",
+			resetUrl: "https://cyfoverflow.test/reset-password?token=abc",
+		});
+
+		expect(result).toMatchObject({ success: false, queued: true });
+		expect(enqueueEmailDBMock).toHaveBeenCalledWith(
+			expect.objectContaining({ to: "ada@example.com" }),
+			"connection refused",
+			expect.any(Date),
+		);
+	});
+
+	it("does not queue permanent failures", async () => {
+		const { emailService } = await loadModules();
+		sendMock.mockRejectedValueOnce(
+			Object.assign(new Error("mailbox unavailable"), { permanent: true }),
+		);
+
+		const result = await emailService.sendPasswordResetEmail({
+			userEmail: "nobody@example.com",
+			resetUrl: "https://cyfoverflow.test/reset-password?token=abc",
+		});
+
+		expect(result).toMatchObject({ success: false, queued: false });
+		expect(enqueueEmailDBMock).not.toHaveBeenCalled();
+	});
+
+	it("deletes sent emails and backs off or gives up on failures", async () => {
+		const { emailQueue } = await loadModules();
+		const email = (id, attempts) => ({
+			id,
+			to_address: `user${id}@example.com`,
+			subject: "Hello",
+			html: "<p>Hello</p>",
+			text: "Hello",
+			attempts,
+		});
+		claimDueEmailsDBMock.mockResolvedValueOnce([
+			email(1, 1),
+			email(2, 1),
+			email(3, 2),
+		]);
+		sendMock
+			.mockResolvedValueOnce({ messageId: "m1" })
+			.mockRejectedValueOnce(new Error("timeout"))
+			.mockRejectedValueOnce(new Error("timeout"));
+
+		const sent = await emailQueue.processEmailRetryQueue();
+
+		expect(sent).toBe(1);
+		expect(deleteQueuedEmailDBMock).toHaveBeenCalledWith(1);
+		// Second attempt failed: retried later
+		expect(recordEmailFailureDBMock).toHaveBeenCalledWith(
+			2,
+			"timeout",
+			expect.any(Date),
+		);
+		// Third attempt failed and emailMaxAttempts is 3: given up
+		expect(recordEmailFailureDBMock).toHaveBeenCalledWith(3, "timeout", null);
+	});
+});
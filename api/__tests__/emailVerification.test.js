@@ -0,0 +1,159 @@
+import express from "express";
+import supertest from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		appUrl: "http://localhost:3000",
+		emailVerificationExpiryHours: 24,
+		unverifiedRestrictions: ["post"],
+		isTest: true,
+	},
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = JSON.parse(req.get("X-Test-User"));
+		next();
+	},
+}));
+
+const sendEmailVerificationEmailMock = vi
+	.fn()
+	.mockResolvedValue({ success: true });
+
+vi.mock("../emails/emailService.js", () => ({
+	default: { sendEmailVerificationEmail: sendEmailVerificationEmailMock },
+}));
+
+const createVerificationTokenDBMock = vi.fn().mockResolvedValue("plain-token");
+const verifyEmailWithTokenDBMock = vi.fn();
+const getVerificationStatusDBMock = vi.fn();
+
+vi.mock("../emailVerification/emailVerificationRepository.js", () => ({
+	createVerificationTokenDB: createVerificationTokenDBMock,
+	verifyEmailWithTokenDB: verifyEmailWithTokenDBMock,
+	getVerificationStatusDB: getVerificationStatusDBMock,
+}));
+
+const { default: emailVerificationRouter } = await import(
+	"../emailVerification/emailVerificationRouter.js"
+);
+const { requireVerifiedEmail } = await import(
+	"../utils/emailVerificationAuth.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use("/auth", emailVerificationRouter);
+app.post(
+	"/post",
+	(req, res, next) => {
+		req.user = JSON.parse(req.get("X-Test-User"));
+		next();
+	},
+	requireVerifiedEmail("post"),
+	(req, res) => res.json({ ok: true }),
+);
+app.post(
+	"/vote",
+	(req, res, next) => {
+		req.user = JSON.parse(req.get("X-Test-User"));
+		next();
+	},
+	requireVerifiedEmail("vote"),
+	(req, res) => res.json({ ok: true }),
+);
+
+const as = (request, user) => request.set("X-Test-User", JSON.stringify(user));
+const unverified = {
+	id: 1,
+	name: "New User",
+	email: "new@example.com",
+	is_email_verified: false,
+};
+
+describe("email verification", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("POST /auth/verify-email verifies the address for a valid token", async () => {
+		verifyEmailWithTokenDBMock.mockResolvedValue({ id: 1 });
+
+		const res = await supertest(app)
+			.post("/auth/verify-email")
+			.send({ token: "plain-token" })
+			.expect(200);
+
+		expect(verifyEmailWithTokenDBMock).toHaveBeenCalledWith("plain-token");
+		expect(res.body).toMatchObject({ success: true, userId: 1 });
+	});
+
+	it("POST /auth/verify-email rejects an invalid or expired token", async () => {
+		verifyEmailWithTokenDBMock.mockResolvedValue(null);
+
+		const res = await supertest(app)
+			.post("/auth/verify-email")
+			.send({ token: "stale" })
+			.expect(400);
+
+		expect(res.body.success).toBe(false);
+	});
+
+	it("POST /auth/resend-verification emails a new link", async () => {
+		getVerificationStatusDBMock.mockResolvedValue(unverified);
+
+		await as(supertest(app).post("/auth/resend-verification"), unverified)
+			.send()
+			.expect(200);
+
+		expect(createVerificationTokenDBMock).toHaveBeenCalledWith(
+			1,
+			expect.any(Date),
+		);
+		expect(sendEmailVerificationEmailMock).toHaveBeenCalledWith({
+			userEmail: "new@example.com",
+			userName: "New User",
+			verifyUrl: "http://localhost:3000/verify-email?token=plain-token",
+			expiryHours: 24,
+		});
+	});
+
+	it("POST /auth/resend-verification does nothing once verified", async () => {
+		getVerificationStatusDBMock.mockResolvedValue({
+			...unverified,
+			is_email_verified: true,
+		});
+
+		const res = await as(
+			supertest(app).post("/auth/resend-verification"),
+			unverified,
+		)
+			.send()
+			.expect(400);
+
+		expect(res.body.message).toMatch(/already verified/);
+		expect(sendEmailVerificationEmailMock).not.toHaveBeenCalled();
+	});
+
+	it("blocks unverified users from restricted actions only", async () => {
+		const res = await as(supertest(app).post("/post"), unverified).expect(403);
+		expect(res.body.code).toBe("EMAIL_NOT_VERIFIED");
+
+		await as(supertest(app).post("/vote"), unverified).expect(200);
+		await as(supertest(app).post("/post"), {
+			...unverified,
+			is_email_verified: true,
+		}).expect(200);
+		const admin = await as(supertest(app).post("/post"), {
+			...unverified,
+			role: "admin",
+		}).expect(200);
+		expect(admin.body.ok).toBe(true);
+	});
+});
@@ -0,0 +1,132 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterEach, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = { id: 1 }; // mock logged-in user
+		next();
+	},
+	optionalAuthenticateToken: () => (req, res, next) => next(),
+}));
+
+const getQuestionFollowerIdsDBMock = vi.fn();
+const followQuestionDBMock = vi.fn();
+const getQuestionByIdDBMock = vi.fn();
+const createFollowerNotificationsMock = vi.fn();
+
+vi.mock("../follows/followRepository.js", () => ({
+	followQuestionDB: followQuestionDBMock,
+	unfollowQuestionDB: vi.fn().mockResolvedValue(true),
+	isFollowingQuestionDB: vi.fn().mockResolvedValue(false),
+	getFollowerCountDB: vi.fn().mockResolvedValue(3),
+	getQuestionFollowerIdsDB: getQuestionFollowerIdsDBMock,
+	getFollowedQuestionsDB: vi.fn().mockResolvedValue([{ id: 5 }]),
+	getFollowedQuestionsCountDB: vi.fn().mockResolvedValue(11),
+}));
+
+vi.mock("../questions/questionRepository.js", () => ({
+	getQuestionByIdDB: getQuestionByIdDBMock,
+}));
+
+vi.mock("../notifications/notificationService.js", () => ({
+	createFollowerNotifications: createFollowerNotificationsMock,
+}));
+
+const { notifyFollowers } = await import("../follows/followService.js");
+const { default: router } = await import("../follows/followRouter.js");
+
+const app = express();
+app.use(express.json());
+app.use("/follows", router);
+
+const question = { id: 5, title: "Why is my fetch failing?", slug: "fetch" };
+
+describe("follow routes", () => {
+	beforeEach(() => {
+		getQuestionByIdDBMock.mockResolvedValue(question);
+	});
+
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("POST /follows/question/:id follows the question", async () => {
+		const res = await request(app).post("/follows/question/fetch").expect(200);
+
+		expect(res.body).toEqual({ following: true, followerCount: 3 });
+		expect(followQuestionDBMock).toHaveBeenCalledWith(1, 5);
+	});
+
+	it("returns 404 for a missing question", async () => {
+		getQuestionByIdDBMock.mockResolvedValue(null);
+
+		await request(app).delete("/follows/question/999").expect(404);
+	});
+
+	it("GET /follows/question/:id works without logging in", async () => {
+		const res = await request(app).get("/follows/question/5").expect(200);
+
+		expect(res.body).toEqual({ following: false, followerCount: 3 });
+	});
+
+	it("GET /follows paginates followed questions", async () => {
+		const res = await request(app)
+			.get("/follows")
+			.query({ page: 2, limit: 5 })
+			.expect(200);
+
+		expect(res.body).toEqual({
+			questions: [{ id: 5 }],
+			pagination: {
+				currentPage: 2,
+				totalPages: 3,
+				totalItems: 11,
+				itemsPerPage: 5,
+			},
+		});
+	});
+});
+
+describe("notifyFollowers", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("skips the actor and excluded users", async () => {
+		getQuestionFollowerIdsDBMock.mockResolvedValue([1, 2, 3, 4]);
+
+		const count = await notifyFollowers(question, "answer_added", {
+			actorId: 2,
+			actorName: "Ada",
+			excludeUserIds: [1],
+			answerId: 9,
+		});
+
+		expect(count).toBe(2);
+		expect(createFollowerNotificationsMock).toHaveBeenCalledWith([3, 4], {
+			type: "answer_added",
+			title: "New Answer",
+			message: 'Ada answered a question you follow: "Why is my fetch failing?"',
+			questionId: 5,
+			questionSlug: "fetch",
+			answerId: 9,
+			commentId: null,
+		});
+	});
+
+	it("does nothing when only the actor follows", async () => {
+		getQuestionFollowerIdsDBMock.mockResolvedValue([2]);
+
+		const count = await notifyFollowers(question, "question_edited", {
+			actorId: 2,
+		});
+
+		expect(count).toBe(0);
+		expect(createFollowerNotificationsMock).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,232 @@
+import sharp from "sharp";
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		storageType: "s3",
+		uploadServeMode: "proxy",
+		uploadQuotaBytes: 0,
+		uploadDailyLimit: 0,
+	},
+}));
+
+const createFileUploadDBMock = vi.fn(async (data) => ({ id: 1, ...data }));
+const getFileUploadByStoredFilenameDBMock = vi.fn();
+
+vi.mock("../uploads/uploadRepository.js", () => ({
+	createFileUploadDB: createFileUploadDBMock,
+	reuseFileUploadByHashDB: vi.fn().mockResolvedValue(null),
+	getUploadUsageDB: vi
+		.fn()
+		.mockResolvedValue({ usedBytes: 0, fileCount: 0, uploadsToday: 0 }),
+	getFileUploadByStoredFilenameDB: getFileUploadByStoredFilenameDBMock,
+}));
+
+const stored = new Map();
+
+vi.mock("../uploads/storage/index.js", () => ({
+	getStorage: () => ({
+		put: async (key, buffer, contentType) =>
+			stored.set(key, { buffer, contentType }),
+		get: async (key) =>
+			stored.has(key)
+				? { body: stored.get(key).buffer, contentLength: 0 }
+				: null,
+		delete: async (key) => stored.delete(key),
+	}),
+}));
+
+const {
+	uploadFile,
+	getResponsiveImage,
+	getStoredFile,
+	extractUploadFilenames,
+} = await import("../uploads/uploadService.js");
+
+/**
+ * A 1200x800 photo as a phone would take it: sideways pixels with an EXIF
+ * orientation to turn them upright, and a GPS position
+ */
+const phonePhoto = () =>
+	sharp({
+		create: {
+			width: 800,
+			height: 1200,
+			channels: 3,
+			background: "#281d80",
+		},
+	})
+		.withMetadata({
+			orientation: 6,
+			exif: { IFD3: { GPSLatitudeRef: "N", GPSLatitude: "51/1 30/1 0/1" } },
+		})
+		.jpeg()
+		.toBuffer();
+
+/** A 2x2 GIF with two frames, so animated */
+const animatedGif = Buffer.from(
+	"474946383961020002008100004c6971000000ffffff00000021ff0b4e455453434150" +
+		"45322e30030100000021f90405000000002c00000000020002000002038c14050021" +
+		"f90405000000002c0000000002000200000203542205003b",
+	"hex",
+);
+
+describe("image processing", () => {
+	afterEach(() => {
+		stored.clear();
+		vi.clearAllMocks();
+	});
+
+	it("strips metadata and stores WebP and AVIF variants", async () => {
+		const buffer = await phonePhoto();
+		expect((await sharp(buffer).metadata()).exif).toBeDefined();
+
+		const record = await uploadFile(
+			{
+				originalname: "photo.jpg",
+				mimetype: "image/jpeg",
+				size: buffer.length,
+				buffer,
+			},
+			1,
+		);
+
+		const original = stored.get(record.stored_filename);
+		const metadata = await sharp(original.buffer).metadata();
+		expect(metadata.exif).toBeUndefined();
+		expect(metadata.orientation).toBeUndefined();
+		// Rotated upright before the orientation was dropped
+		expect([metadata.width, metadata.height]).toEqual([1200, 800]);
+		expect(record).toMatchObject({ width: 1200, height: 800 });
+
+		expect(
+			record.variants.map(({ format, width }) => `${format}@${width}`),
+		).toEqual([
+			"webp@480",
+			"webp@960",
+			"webp@1200",
+			"avif@480",
+			"avif@960",
+			"avif@1200",
+		]);
+		for (const variant of record.variants) {
+			const object = stored.get(variant.key);
+			expect(object.contentType).toBe(`image/${variant.format}`);
+			expect((await sharp(object.buffer).metadata()).exif).toBeUndefined();
+		}
+
+		const { srcset } = getResponsiveImage(record);
+		expect(srcset.webp).toBe(
+			[480, 960, 1200]
+				.map(
+					(w) => `/uploads/variants/${record.stored_filename}-${w}.webp ${w}w`,
+				)
+				.join(", "),
+		);
+		expect(srcset.avif).toContain(`-480.avif 480w`);
+	}, 30000);
+
+	it("refuses images it can't process", async () => {
+		const buffer = Buffer.from("not really a png");
+
+		await expect(
+			uploadFile(
+				{
+					originalname: "broken.png",
+					mimetype: "image/png",
+					size: buffer.length,
+					buffer,
+				},
+				1,
+			),
+		).rejects.toThrow(/Could not process image/);
+		expect(stored.size).toBe(0);
+		expect(createFileUploadDBMock).not.toHaveBeenCalled();
+	});
+
+	it("keeps every frame of an animated GIF", async () => {
+		const record = await uploadFile(
+			{
+				originalname: "spinner.gif",
+				mimetype: "image/gif",
+				size: animatedGif.length,
+				buffer: animatedGif,
+			},
+			1,
+		);
+
+		const original = stored.get(record.stored_filename);
+		const metadata = await sharp(original.buffer).metadata();
+		expect(metadata.pages).toBe(2);
+		expect(record).toMatchObject({ width: 2, height: 2, variants: [] });
+	});
+
+	it("refuses images when sharp isn't installed", async () => {
+		vi.resetModules();
+		vi.doMock("sharp", () => {
+			throw new Error("Cannot find module 'sharp'");
+		});
+		const { uploadFile: uploadWithoutSharp } = await import(
+			"../uploads/uploadService.js"
+		);
+		vi.doUnmock("sharp");
+		const buffer = await phonePhoto();
+
+		await expect(
+			uploadWithoutSharp(
+				{
+					originalname: "photo.jpg",
+					mimetype: "image/jpeg",
+					size: buffer.length,
+					buffer,
+				},
+				1,
+			),
+		).rejects.toThrow("Image uploads are unavailable on this server");
+		expect(stored.size).toBe(0);
+		expect(createFileUploadDBMock).not.toHaveBeenCalled();
+	});
+});
+
+describe("serving variants", () => {
+	const record = {
+		stored_filename: "1-a.png",
+		mime_type: "image/png",
+		thumbnail_path: "thumbnails/thumb-1-a.png",
+		variants: [{ format: "avif", width: 480, height: 320 }],
+	};
+
+	afterEach(() => {
+		stored.clear();
+		vi.clearAllMocks();
+	});
+
+	it("serves generated variants with their own content type", async () => {
+		stored.set("variants/1-a.png-480.avif", { buffer: Buffer.from("avif") });
+		getFileUploadByStoredFilenameDBMock.mockResolvedValue(record);
+
+		const file = await getStoredFile("variants/1-a.png-480.avif");
+
+		expect(file.contentType).toBe("image/avif");
+		expect(getFileUploadByStoredFilenameDBMock).toHaveBeenCalledWith("1-a.png");
+	});
+
+	it("doesn't serve variants that weren't generated", async () => {
+		getFileUploadByStoredFilenameDBMock.mockResolvedValue(record);
+
+		expect(await getStoredFile("variants/1-a.png-960.avif")).toBeNull();
+		expect(await getStoredFile("variants/1-a.png-480.gif")).toBeNull();
+	});
+
+	it("counts variant URLs in content as uses of the upload", () => {
+		expect(
+			extractUploadFilenames(
+				'<img src="/uploads/1-a.png" srcset="/uploads/variants/2-b.png-480.webp 480w, /uploads/variants/2-b.png-960.webp 960w">',
+			),
+		).toEqual(["1-a.png", "2-b.png"]);
+	});
+});
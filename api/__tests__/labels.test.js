@@ -0,0 +1,334 @@
+import express from "express";
+import supertest from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: { staleQuestionDays: 180 },
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = { id: 1, email: "admin@example.com", role: "admin" };
+		next();
+	},
+}));
+
+const createLabelDBMock = vi.fn();
+const updateLabelDBMock = vi.fn();
+const getLabelByIdDBMock = vi.fn();
+const deleteLabelDBMock = vi.fn();
+const mergeLabelsDBMock = vi.fn();
+const findLabelByNameDBMock = vi.fn();
+const addLabelSynonymDBMock = vi.fn();
+const createLabelProposalDBMock = vi.fn();
+const getLabelProposalByIdDBMock = vi.fn();
+const approveLabelProposalDBMock = vi.fn();
+const getLabelBySlugDBMock = vi.fn();
+const getLabelStatsDBMock = vi.fn();
+const getTrendingLabelQuestionsDBMock = vi.fn();
+const getTopLabelAnswerersDBMock = vi.fn();
+
+vi.mock("../labels/labelRepository.js", () => ({
+	getLabelsWithUsageDB: vi.fn().mockResolvedValue([]),
+	getLabelByIdDB: getLabelByIdDBMock,
+	createLabelDB: createLabelDBMock,
+	updateLabelDB: updateLabelDBMock,
+	deleteLabelDB: deleteLabelDBMock,
+	mergeLabelsDB: mergeLabelsDBMock,
+	findLabelByNameDB: findLabelByNameDBMock,
+	addLabelSynonymDB: addLabelSynonymDBMock,
+	deleteLabelSynonymDB: vi.fn(),
+	createLabelProposalDB: createLabelProposalDBMock,
+	getLabelProposalByIdDB: getLabelProposalByIdDBMock,
+	getLabelProposalsDB: vi.fn().mockResolvedValue([]),
+	approveLabelProposalDB: approveLabelProposalDBMock,
+	rejectLabelProposalDB: vi.fn(),
+	getLabelBySlugDB: getLabelBySlugDBMock,
+	getLabelStatsDB: getLabelStatsDBMock,
+	getTrendingLabelQuestionsDB: getTrendingLabelQuestionsDBMock,
+	getTopLabelAnswerersDB: getTopLabelAnswerersDBMock,
+}));
+
+const { default: adminRouter } = await import("../admin/adminRouter.js");
+const { default: labelRouter } = await import("../labels/labelRouter.js");
+const { resolveLabelIds } = await import("../labels/labelService.js");
+
+const app = express();
+app.use(express.json());
+app.use("/admin", adminRouter);
+app.use("/labels", labelRouter);
+
+describe("label management", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("creates a label with a slug made from its name", async () => {
+		createLabelDBMock.mockResolvedValue({ id: 12, name: "Node.js" });
+
+		await supertest(app)
+			.post("/admin/labels")
+			.send({ name: " Node.js ", color: "#3C873A" })
+			.expect(201);
+
+		expect(createLabelDBMock).toHaveBeenCalledWith({
+			name: "Node.js",
+			slug: "nodejs",
+			description: null,
+			color: "#3c873a",
+		});
+	});
+
+	it("rejects a bad colour and reports duplicate names as conflicts", async () => {
+		const bad = await supertest(app)
+			.post("/admin/labels")
+			.send({ name: "Go", color: "blue" })
+			.expect(400);
+		expect(bad.body.error).toMatch(/hex colour/);
+
+		createLabelDBMock.mockRejectedValue(
+			Object.assign(new Error("duplicate key"), {
+				code: "23505",
+				constraint: "labels_name_key",
+			}),
+		);
+		const duplicate = await supertest(app)
+			.post("/admin/labels")
+			.send({ name: "CSS" })
+			.expect(409);
+		expect(duplicate.body.error).toBe("A label with that name already exists");
+	});
+
+	it("only updates the fields that were sent, e.g. retiring a label", async () => {
+		updateLabelDBMock.mockResolvedValue({ id: 3, is_active: false });
+
+		await supertest(app)
+			.patch("/admin/labels/3")
+			.send({ isActive: false })
+			.expect(200);
+
+		expect(updateLabelDBMock).toHaveBeenCalledWith(3, { is_active: false });
+	});
+
+	it("won't delete a label that questions still use", async () => {
+		getLabelByIdDBMock.mockResolvedValue({ id: 3, question_count: 4 });
+
+		const res = await supertest(app).delete("/admin/labels/3").expect(409);
+
+		expect(res.body.error).toMatch(/retire it or merge it/);
+		expect(deleteLabelDBMock).not.toHaveBeenCalled();
+	});
+
+	it("merges one label into another", async () => {
+		mergeLabelsDBMock.mockResolvedValue({
+			label: { id: 5, name: "JavaScript" },
+			questionsMoved: 7,
+		});
+
+		const res = await supertest(app)
+			.post("/admin/labels/9/merge")
+			.send({ targetId: 5 })
+			.expect(200);
+
+		expect(mergeLabelsDBMock).toHaveBeenCalledWith(9, 5);
+		expect(res.body.questionsMoved).toBe(7);
+
+		await supertest(app)
+			.post("/admin/labels/5/merge")
+			.send({ targetId: 5 })
+			.expect(400);
+	});
+});
+
+describe("label synonyms", () => {
+	beforeEach(() => {
+		vi.resetAllMocks();
+	});
+
+	it("adds a synonym unless another label already goes by that name", async () => {
+		getLabelByIdDBMock.mockResolvedValue({ id: 5, name: "JavaScript" });
+		addLabelSynonymDBMock.mockResolvedValue({
+			id: 1,
+			label_id: 5,
+			name: "es6",
+		});
+
+		await supertest(app)
+			.post("/admin/labels/5/synonyms")
+			.send({ name: " es6 " })
+			.expect(201);
+		expect(addLabelSynonymDBMock).toHaveBeenCalledWith(5, "es6");
+
+		findLabelByNameDBMock.mockResolvedValue({
+			id: 7,
+			name: "React",
+			synonym: "reactjs",
+		});
+		const taken = await supertest(app)
+			.post("/admin/labels/5/synonyms")
+			.send({ name: "reactjs" })
+			.expect(409);
+		expect(taken.body.error).toBe(
+			'"reactjs" already exists as a synonym of React',
+		);
+	});
+
+	it("resolves a synonym to its label and leaves retired labels out", async () => {
+		findLabelByNameDBMock.mockResolvedValue({
+			id: 5,
+			name: "JavaScript",
+			slug: "javascript",
+			is_active: true,
+			synonym: "js",
+		});
+		const res = await supertest(app)
+			.get("/labels/resolve")
+			.query({ name: "JS" })
+			.expect(200);
+		expect(res.body).toEqual({
+			id: 5,
+			name: "JavaScript",
+			slug: "javascript",
+		});
+
+		findLabelByNameDBMock.mockResolvedValue({ id: 9, is_active: false });
+		await supertest(app)
+			.get("/labels/resolve")
+			.query({ name: "jquery" })
+			.expect(404);
+	});
+
+	it("maps question labels given by name onto label IDs once each", async () => {
+		findLabelByNameDBMock.mockResolvedValue({
+			id: 5,
+			name: "JavaScript",
+			slug: "javascript",
+			is_active: true,
+		});
+
+		await expect(resolveLabelIds(["js", 5, "3"])).resolves.toEqual([5, 3]);
+
+		findLabelByNameDBMock.mockResolvedValue(null);
+		await expect(resolveLabelIds(["cobol"])).rejects.toThrow(
+			'Label "cobol" not found',
+		);
+	});
+});
+
+describe("label proposals", () => {
+	beforeEach(() => {
+		vi.resetAllMocks();
+	});
+
+	it("lets a user propose a label once", async () => {
+		createLabelProposalDBMock.mockResolvedValue({
+			id: 3,
+			name: "Docker",
+			status: "pending",
+		});
+
+		await supertest(app)
+			.post("/labels/proposals")
+			.send({ name: "Docker", description: "Containers" })
+			.expect(201);
+		expect(createLabelProposalDBMock).toHaveBeenCalledWith({
+			name: "Docker",
+			description: "Containers",
+			proposedBy: 1,
+		});
+
+		createLabelProposalDBMock.mockRejectedValue(
+			Object.assign(new Error("duplicate key"), { code: "23505" }),
+		);
+		const again = await supertest(app)
+			.post("/labels/proposals")
+			.send({ name: "Docker" })
+			.expect(409);
+		expect(again.body.error).toBe('"Docker" has already been proposed');
+	});
+
+	it("creates the label when an admin approves a pending proposal", async () => {
+		getLabelProposalByIdDBMock.mockResolvedValue({
+			id: 3,
+			name: "Docker",
+			description: null,
+			status: "pending",
+		});
+		approveLabelProposalDBMock.mockResolvedValue({ id: 20, name: "Docker" });
+
+		await supertest(app).post("/admin/label-proposals/3/approve").expect(200);
+		expect(approveLabelProposalDBMock).toHaveBeenCalledWith(3, 1, {
+			name: "Docker",
+			slug: "docker",
+			description: null,
+			color: null,
+		});
+
+		getLabelProposalByIdDBMock.mockResolvedValue({
+			id: 3,
+			status: "rejected",
+		});
+		await supertest(app).post("/admin/label-proposals/3/approve").expect(409);
+	});
+});
+
+describe("label page", () => {
+	beforeEach(() => {
+		vi.resetAllMocks();
+		getTrendingLabelQuestionsDBMock.mockResolvedValue([{ id: 40 }]);
+		getTopLabelAnswerersDBMock.mockResolvedValue([{ id: 2, score: 12 }]);
+	});
+
+	it("returns the label with its stats, trending questions and top answerers", async () => {
+		getLabelBySlugDBMock.mockResolvedValue({ id: 5, slug: "javascript" });
+		getLabelStatsDBMock.mockResolvedValue({
+			question_count: 8,
+			unanswered_count: 3,
+			solved_count: 2,
+		});
+
+		const res = await supertest(app).get("/labels/javascript").expect(200);
+
+		expect(res.body).toEqual({
+			label: { id: 5, slug: "javascript" },
+			stats: {
+				question_count: 8,
+				unanswered_count: 3,
+				solved_count: 2,
+				solve_rate: 0.25,
+			},
+			trending: [{ id: 40 }],
+			topAnswerers: [{ id: 2, score: 12 }],
+		});
+		expect(getTrendingLabelQuestionsDBMock).toHaveBeenCalledWith(5, 5);
+	});
+
+	it("finds the label by synonym and has no solve rate without questions", async () => {
+		getLabelBySlugDBMock.mockResolvedValue(null);
+		findLabelByNameDBMock.mockResolvedValue({ id: 5, synonym: "js" });
+		getLabelByIdDBMock.mockResolvedValue({ id: 5, slug: "javascript" });
+		getLabelStatsDBMock.mockResolvedValue({
+			question_count: 0,
+			unanswered_count: 0,
+			solved_count: 0,
+		});
+
+		const res = await supertest(app).get("/labels/js").expect(200);
+
+		expect(res.body.label.slug).toBe("javascript");
+		expect(res.body.stats.solve_rate).toBeNull();
+	});
+
+	it("404s for an unknown label", async () => {
+		getLabelBySlugDBMock.mockResolvedValue(null);
+		findLabelByNameDBMock.mockResolvedValue(null);
+
+		const res = await supertest(app).get("/labels/cobol").expect(404);
+
+		expect(res.body.error).toBe("Label not found");
+	});
+});
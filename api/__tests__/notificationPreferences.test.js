@@ -0,0 +1,156 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = { id: 1 }; // mock logged-in user
+		next();
+	},
+}));
+
+vi.mock("../emails/emailService.js", () => ({
+	default: { sendActivityNotification: vi.fn() },
+}));
+
+vi.mock("../pushNotifications/pushNotificationService.js", () => ({
+	sendPushNotification: vi.fn(),
+}));
+
+const getNotificationPreferencesDBMock = vi.fn();
+const upsertNotificationPreferencesDBMock = vi.fn();
+const getNotificationRecipientsDBMock = vi.fn();
+const bulkCreateNotificationsDBMock = vi.fn();
+
+vi.mock("../notifications/notificationRepository.js", () => ({
+	getNotificationPreferencesDB: getNotificationPreferencesDBMock,
+	upsertNotificationPreferencesDB: upsertNotificationPreferencesDBMock,
+	getNotificationRecipientsDB: getNotificationRecipientsDBMock,
+	bulkCreateNotificationsDB: bulkCreateNotificationsDBMock,
+	getUnreadNotificationCountDB: vi.fn().mockResolvedValue(0),
+}));
+
+const {
+	FOLLOWER_CHANNEL_DEFAULTS,
+	NOTIFICATION_CHANNEL_DEFAULTS,
+	createFollowerNotifications,
+} = await import("../notifications/notificationService.js");
+const { default: router } = await import(
+	"../notifications/notificationRouter.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use("/notifications", router);
+
+describe("notification preference routes", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("GET /notifications/preferences merges saved rows over the defaults", async () => {
+		getNotificationPreferencesDBMock.mockResolvedValue([
+			{ type: "answer_added", in_app: true, push: false, email: false },
+		]);
+
+		const res = await request(app)
+			.get("/notifications/preferences")
+			.expect(200);
+
+		expect(res.body.answer_added).toEqual({
+			in_app: true,
+			push: false,
+			email: false,
+		});
+		expect(res.body.question_added).toEqual(
+			NOTIFICATION_CHANNEL_DEFAULTS.question_added,
+		);
+	});
+
+	it("PUT /notifications/preferences keeps channels that are left out", async () => {
+		getNotificationPreferencesDBMock.mockResolvedValue([]);
+
+		await request(app)
+			.put("/notifications/preferences")
+			.send({ comment_added: { email: true } })
+			.expect(200);
+
+		expect(upsertNotificationPreferencesDBMock).toHaveBeenCalledWith(1, [
+			{
+				type: "comment_added",
+				...NOTIFICATION_CHANNEL_DEFAULTS.comment_added,
+				email: true,
+			},
+		]);
+	});
+
+	it("returns 400 for an unknown type or channel", async () => {
+		getNotificationPreferencesDBMock.mockResolvedValue([]);
+
+		await request(app)
+			.put("/notifications/preferences")
+			.send({ nope: { email: true } })
+			.expect(400);
+		await request(app)
+			.put("/notifications/preferences")
+			.send({ answer_added: { sms: true } })
+			.expect(400);
+		await request(app)
+			.put("/notifications/preferences")
+			.send({ answer_added: { email: "yes" } })
+			.expect(400);
+
+		expect(upsertNotificationPreferencesDBMock).not.toHaveBeenCalled();
+	});
+});
+
+describe("notification delivery", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("only stores in-app notifications for recipients who enabled them", async () => {
+		getNotificationRecipientsDBMock.mockResolvedValue([
+			{ user_id: 2, in_app: true, push: false, email: false },
+			{ user_id: 3, in_app: false, push: false, email: false },
+		]);
+
+		await createFollowerNotifications([2, 3], {
+			type: "question_edited",
+			title: "Question Edited",
+			message: "A question you follow was edited",
+			questionId: 7,
+		});
+
+		expect(getNotificationRecipientsDBMock).toHaveBeenCalledWith(
+			[2, 3],
+			"question_edited",
+			FOLLOWER_CHANNEL_DEFAULTS.question_edited,
+		);
+		expect(bulkCreateNotificationsDBMock).toHaveBeenCalledTimes(1);
+		expect(bulkCreateNotificationsDBMock.mock.calls[0][0]).toEqual([
+			expect.objectContaining({ user_id: 2, type: "question_edited" }),
+		]);
+	});
+
+	it("doesn't email followers about new answers unless they opted in", async () => {
+		getNotificationRecipientsDBMock.mockResolvedValue([]);
+
+		await createFollowerNotifications([2], {
+			type: "answer_added",
+			title: "New Answer",
+			message: "Someone answered a question you follow",
+			questionId: 7,
+		});
+
+		expect(getNotificationRecipientsDBMock).toHaveBeenCalledWith(
+			[2],
+			"answer_added",
+			{ in_app: true, push: true, email: false },
+		);
+	});
+});
@@ -0,0 +1,140 @@
+import express from "express";
+import supertest from "supertest";
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		privilegeThresholds: { downvote: 100 },
+	},
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	optionalAuthenticateToken: () => (req, res, next) => {
+		const user = req.get("X-Test-User");
+		if (user) {
+			req.user = JSON.parse(user);
+		}
+		next();
+	},
+}));
+
+const { getPrivilegeThreshold, hasPrivilege, getUserPrivileges } = await import(
+	"../privileges/privilegeService.js"
+);
+const { requirePrivilege } = await import("../utils/privilegeAuth.js");
+const { default: privilegeRouter } = await import(
+	"../privileges/privilegeRouter.js"
+);
+
+const app = express();
+app.use(express.json());
+app.post(
+	"/downvote",
+	(req, res, next) => {
+		const user = req.get("X-Test-User");
+		req.user = user ? JSON.parse(user) : undefined;
+		next();
+	},
+	requirePrivilege("downvote", (req) => req.body.vote_type === "downvote"),
+	(req, res) => res.json({ ok: true }),
+);
+app.use("/privileges", privilegeRouter);
+
+const as = (request, user) => request.set("X-Test-User", JSON.stringify(user));
+
+describe("privileges", () => {
+	it("uses thresholds from config, falling back to the defaults", () => {
+		expect(getPrivilegeThreshold("downvote")).toBe(100);
+		expect(getPrivilegeThreshold("comment_everywhere")).toBe(15);
+		expect(() => getPrivilegeThreshold("fly")).toThrow(/Unknown privilege/);
+	});
+
+	it("grants privileges by reputation, and all of them to staff", () => {
+		expect(
+			hasPrivilege({ email: "a@example.com", reputation: 99 }, "downvote"),
+		).toBe(false);
+		expect(
+			hasPrivilege({ email: "a@example.com", reputation: 100 }, "downvote"),
+		).toBe(true);
+		expect(
+			hasPrivilege({ role: "admin", reputation: 0 }, "close_questions"),
+		).toBe(true);
+		expect(
+			hasPrivilege({ role: "mentor", reputation: 0 }, "review_suggested_edits"),
+		).toBe(true);
+	});
+
+	it("reports the next privilege a user can earn", () => {
+		const result = getUserPrivileges({
+			email: "a@example.com",
+			reputation: 20,
+		});
+
+		expect(result.reputation).toBe(20);
+		expect(result.privileges.map((p) => p.granted)).toEqual([
+			true,
+			false,
+			false,
+			false,
+			false,
+		]);
+		expect(result.next).toMatchObject({
+			name: "suggest_edits",
+			reputation: 50,
+			reputationNeeded: 30,
+		});
+	});
+
+	it("blocks requests from users without the privilege", async () => {
+		const user = { id: 1, email: "a@example.com", reputation: 99 };
+
+		const res = await as(supertest(app).post("/downvote"), user)
+			.send({ vote_type: "downvote" })
+			.expect(403);
+		await as(supertest(app).post("/downvote"), user)
+			.send({ vote_type: "upvote" })
+			.expect(200);
+		await as(supertest(app).post("/downvote"), {
+			id: 2,
+			role: "admin",
+			reputation: 0,
+		})
+			.send({ vote_type: "downvote" })
+			.expect(200);
+
+		expect(res.body).toEqual({
+			error: "You need at least 100 reputation to downvote",
+			privilege: "downvote",
+			reputation: 100,
+		});
+	});
+
+	it("needs a logged-in user", async () => {
+		const res = await supertest(app)
+			.post("/downvote")
+			.send({ vote_type: "downvote" })
+			.expect(401);
+
+		expect(res.body.error).toBe("Authentication required");
+	});
+
+	it("GET /privileges lists thresholds, with progress when logged in", async () => {
+		const anonymous = await supertest(app).get("/privileges").expect(200);
+		const loggedIn = await as(supertest(app).get("/privileges"), {
+			id: 1,
+			email: "a@example.com",
+			reputation: 600,
+		}).expect(200);
+
+		expect(anonymous.body.privileges.map((p) => p.reputation)).toEqual([
+			15, 50, 100, 200, 500,
+		]);
+		expect(anonymous.body.next).toBeUndefined();
+		expect(loggedIn.body.next).toBeNull();
+		expect(loggedIn.body.privileges.every((p) => p.granted)).toBe(true);
+	});
+});
@@ -7,11 +7,30 @@ vi.mock("../utils/logger.js", () => ({
 }));
 
 vi.mock("../utils/auth.js", () => ({
-	authenticateToken: () => (req, res, next) => next(),
+	authenticateToken: () => (req, res, next) => {
+		req.user = { id: 1, email: "user@example.com" }; // mock logged-in user
+		next();
+	},
+	optionalAuthenticateToken: () => (req, res, next) => next(),
+}));
+
+vi.mock("../revisions/revisionService.js", () => ({
+	getQuestionRevisions: vi.fn(),
+	rollbackQuestion: vi.fn(),
+}));
+
+const recordQuestionViewMock = vi.fn();
+
+vi.mock("../views/viewService.js", () => ({
+	recordQuestionView: recordQuestionViewMock,
 }));
 
 // Mock questionService with all named exports
 const getQuestionByIdMock = vi.fn();
+const closeQuestionMock = vi.fn();
+const reopenQuestionMock = vi.fn();
+const markQuestionAsDuplicateMock = vi.fn();
+const searchQuestionsByTextMock = vi.fn();
 
 vi.mock("../questions/questionService.js", async () => {
 	return {
@@ -23,10 +42,14 @@ vi.mock("../questions/questionService.js", async () => {
 		deleteQuestion: vi.fn(),
 		getAllLabels: vi.fn(),
 		searchQuestionsByLabels: vi.fn(),
-		searchQuestionsByText: vi.fn(),
+		searchQuestionsByText: searchQuestionsByTextMock,
 		getTotalQuestionsCount: vi.fn(),
 		getSearchQuestionsCount: vi.fn(),
 		markQuestionSolved: vi.fn(),
+		closeQuestion: closeQuestionMock,
+		reopenQuestion: reopenQuestionMock,
+		archiveQuestion: vi.fn(),
+		markQuestionAsDuplicate: markQuestionAsDuplicateMock,
 	};
 });
 
@@ -41,6 +64,7 @@ app.use("/questions", router);
 describe("GET /questions/:id", () => {
 	afterEach(() => {
 		getQuestionByIdMock.mockReset();
+		recordQuestionViewMock.mockReset();
 	});
 
 	it("returns 200 when question exists", async () => {
@@ -52,6 +76,10 @@ describe("GET /questions/:id", () => {
 		expect(res.statusCode).toBe(200);
 		expect(res.body).toEqual(mockQuestion);
 		expect(getQuestionByIdMock).toHaveBeenCalledWith("123");
+		expect(recordQuestionViewMock).toHaveBeenCalledWith("123", {
+			userId: undefined,
+			ip: expect.any(String),
+		});
 	});
 
 	it("returns 404 when the question does not exist", async () => {
@@ -61,6 +89,7 @@ describe("GET /questions/:id", () => {
 
 		expect(res.statusCode).toBe(404);
 		expect(res.body).toEqual({ error: "Question not found" });
+		expect(recordQuestionViewMock).not.toHaveBeenCalled();
 	});
 
 	it("returns 500 when the service throws an error", async () => {
@@ -72,3 +101,148 @@ describe("GET /questions/:id", () => {
 		expect(res.body).toEqual({ error: " question not found " });
 	});
 });
+
+describe("question close / reopen", () => {
+	afterEach(() => {
+		closeQuestionMock.mockReset();
+		reopenQuestionMock.mockReset();
+	});
+
+	it("PATCH /questions/:id/close closes with a reason", async () => {
+		const closed = { id: 5, status: "closed", close_reason: "off_topic" };
+		closeQuestionMock.mockResolvedValue(closed);
+
+		const res = await request(app)
+			.patch("/questions/5/close")
+			.send({ reason: "off_topic" })
+			.expect(200);
+
+		expect(res.body).toEqual(closed);
+		expect(closeQuestionMock).toHaveBeenCalledWith(
+			"5",
+			{ id: 1, email: "user@example.com" },
+			"off_topic",
+		);
+	});
+
+	it("returns 400 for an invalid close reason", async () => {
+		closeQuestionMock.mockRejectedValue(
+			new Error("Close reason must be one of: off_topic, duplicate"),
+		);
+
+		await request(app)
+			.patch("/questions/5/close")
+			.send({ reason: "boring" })
+			.expect(400);
+	});
+
+	it("returns 403 when the user is not the author or an admin", async () => {
+		closeQuestionMock.mockRejectedValue(
+			new Error("You are not authorised to close this question"),
+		);
+
+		await request(app)
+			.patch("/questions/5/close")
+			.send({ reason: "duplicate" })
+			.expect(403);
+	});
+
+	it("returns 409 when reopening a question that is not closed", async () => {
+		reopenQuestionMock.mockRejectedValue(new Error("Question is not closed"));
+
+		await request(app).patch("/questions/5/reopen").expect(409);
+	});
+});
+
+describe("PATCH /questions/:id/duplicate", () => {
+	afterEach(() => {
+		markQuestionAsDuplicateMock.mockReset();
+	});
+
+	it("closes the question as a duplicate of the canonical question", async () => {
+		const closed = { id: 5, status: "closed", close_reason: "duplicate" };
+		markQuestionAsDuplicateMock.mockResolvedValue(closed);
+
+		const res = await request(app)
+			.patch("/questions/5/duplicate")
+			.send({ canonicalId: "how-to-center-a-div" })
+			.expect(200);
+
+		expect(res.body).toEqual(closed);
+		expect(markQuestionAsDuplicateMock).toHaveBeenCalledWith(
+			"5",
+			{ id: 1, email: "user@example.com" },
+			"how-to-center-a-div",
+		);
+	});
+
+	it("returns 400 when marking a question as a duplicate of itself", async () => {
+		markQuestionAsDuplicateMock.mockRejectedValue(
+			new Error("A question cannot be a duplicate of itself"),
+		);
+
+		await request(app)
+			.patch("/questions/5/duplicate")
+			.send({ canonicalId: 5 })
+			.expect(400);
+	});
+
+	it("returns 404 when the canonical question does not exist", async () => {
+		markQuestionAsDuplicateMock.mockRejectedValue(
+			new Error("Canonical question not found"),
+		);
+
+		await request(app)
+			.patch("/questions/5/duplicate")
+			.send({ canonicalId: 999 })
+			.expect(404);
+	});
+});
+
+describe("GET /questions/search", () => {
+	afterEach(() => {
+		searchQuestionsByTextMock.mockReset();
+	});
+
+	it("passes the answers-only filter to the service", async () => {
+		const results = [
+			{
+				id: 3,
+				title: "Fetch fails",
+				matched_in: { type: "answer", id: 9, answer_id: null, snippet: "…" },
+			},
+		];
+		searchQuestionsByTextMock.mockResolvedValue(results);
+
+		const res = await request(app)
+			.get("/questions/search")
+			.query({ q: "cors", matchIn: "answers" })
+			.expect(200);
+
+		expect(res.body).toEqual(results);
+		expect(searchQuestionsByTextMock).toHaveBeenCalledWith("cors", null, null, {
+			matchIn: "answers",
+		});
+	});
+
+	it("rejects an unknown matchIn value", async () => {
+		await request(app)
+			.get("/questions/search")
+			.query({ q: "cors", matchIn: "labels" })
+			.expect(400);
+		expect(searchQuestionsByTextMock).not.toHaveBeenCalled();
+	});
+
+	it("returns 400 with the parser message for malformed search syntax", async () => {
+		searchQuestionsByTextMock.mockRejectedValue(
+			new Error('Invalid search query: unknown operator "foo:"'),
+		);
+
+		const res = await request(app)
+			.get("/questions/search")
+			.query({ q: "foo:bar" })
+			.expect(400);
+
+		expect(res.body.error).toMatch(/^Invalid search query/);
+	});
+});
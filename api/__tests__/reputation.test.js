@@ -0,0 +1,144 @@
+import express from "express";
+import supertest from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => next(),
+	optionalAuthenticateToken: () => (req, res, next) => next(),
+}));
+
+vi.mock("../users/userService.js", () => ({
+	getUserProfile: vi.fn(),
+	updateUserProfile: vi.fn(),
+}));
+
+const recordReputationEventDBMock = vi.fn().mockResolvedValue(10);
+const getReputationEventsDBMock = vi.fn();
+
+vi.mock("../reputation/reputationRepository.js", () => ({
+	recordReputationEventDB: recordReputationEventDBMock,
+	getReputationEventsDB: getReputationEventsDBMock,
+	getReputationEventsCountDB: vi.fn().mockResolvedValue(2),
+	getUserReputationDB: vi.fn(),
+	recalculateReputationDB: vi.fn(),
+}));
+
+const {
+	handleAnswerVoteReputation,
+	handleQuestionVoteReputation,
+	handleAnswerAcceptedReputation,
+} = await import("../reputation/reputationService.js");
+const { default: userRouter } = await import("../users/userRouter.js");
+
+const app = express();
+app.use(express.json());
+app.use("/users", userRouter);
+
+const answer = { id: 7, user_id: 1, question_id: 3 };
+const question = { id: 3, user_id: 1 };
+const recordedEvents = () =>
+	recordReputationEventDBMock.mock.calls.map(([event]) => event);
+
+describe("reputation ledger", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("records a vote with its post and voter", async () => {
+		await handleAnswerVoteReputation(answer, 2, "upvote");
+
+		expect(recordedEvents()).toEqual([
+			{
+				userId: 1,
+				eventType: "answer_upvote",
+				points: 10,
+				reversal: false,
+				questionId: 3,
+				answerId: 7,
+				actorId: 2,
+			},
+		]);
+	});
+
+	it("reverses the old vote when a vote changes or is removed", async () => {
+		await handleQuestionVoteReputation(question, 2, "downvote", "upvote");
+		await handleQuestionVoteReputation(
+			question,
+			2,
+			"downvote",
+			"downvote",
+			true,
+		);
+
+		expect(
+			recordedEvents().map(({ eventType, points, reversal }) => ({
+				eventType,
+				points,
+				reversal,
+			})),
+		).toEqual([
+			{ eventType: "question_upvote", points: -5, reversal: true },
+			{ eventType: "question_downvote", points: -2, reversal: false },
+			{ eventType: "question_downvote", points: 2, reversal: true },
+		]);
+	});
+
+	it("ignores votes on your own post", async () => {
+		await handleAnswerVoteReputation(answer, 1, "upvote");
+
+		expect(recordReputationEventDBMock).not.toHaveBeenCalled();
+	});
+
+	it("records who accepted or unaccepted an answer", async () => {
+		await handleAnswerAcceptedReputation(answer, false, 5);
+
+		expect(recordedEvents()).toEqual([
+			{
+				userId: 1,
+				eventType: "answer_accepted",
+				points: -15,
+				reversal: true,
+				questionId: 3,
+				answerId: 7,
+				actorId: 5,
+			},
+		]);
+	});
+
+	it("GET /users/:id/reputation keeps voters anonymous", async () => {
+		getReputationEventsDBMock.mockResolvedValue([
+			{
+				id: 2,
+				event_type: "answer_upvote",
+				points: 10,
+				actor_id: 2,
+				actor_name: "Voter",
+			},
+			{
+				id: 1,
+				event_type: "answer_accepted",
+				points: 15,
+				actor_id: 5,
+				actor_name: "Asker",
+			},
+		]);
+
+		const res = await supertest(app)
+			.get("/users/1/reputation?page=2&limit=1")
+			.expect(200);
+
+		expect(getReputationEventsDBMock).toHaveBeenCalledWith(1, 1, 1);
+		expect(res.body.events[0]).not.toHaveProperty("actor_name");
+		expect(res.body.events[1].actor_name).toBe("Asker");
+		expect(res.body.pagination).toEqual({
+			currentPage: 2,
+			totalPages: 2,
+			totalItems: 2,
+			itemsPerPage: 1,
+		});
+	});
+});
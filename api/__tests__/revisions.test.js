@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../uploads/uploadService.js", () => ({
+	syncUploadReferences: vi.fn().mockResolvedValue(undefined),
+}));
+
+const notifyFollowersMock = vi.fn().mockResolvedValue(0);
+
+vi.mock("../follows/followService.js", () => ({
+	notifyFollowers: notifyFollowersMock,
+}));
+
+const getQuestionByIdDBMock = vi.fn();
+const updateQuestionDBMock = vi.fn(async (id, title, content) => ({
+	id,
+	title,
+	content,
+}));
+
+vi.mock("../questions/questionRepository.js", () => ({
+	getQuestionByIdDB: getQuestionByIdDBMock,
+	updateQuestionDB: updateQuestionDBMock,
+}));
+
+const getAnswerByIdDBMock = vi.fn();
+const updateAnswerDBMock = vi.fn(async (id, content) => ({ id, content }));
+
+vi.mock("../answers/answerRepository.js", () => ({
+	getAnswerByIdDB: getAnswerByIdDBMock,
+	updateAnswerDB: updateAnswerDBMock,
+}));
+
+const createQuestionRevisionDBMock = vi.fn(async (revision) => revision);
+const getQuestionRevisionDBMock = vi.fn();
+const createAnswerRevisionDBMock = vi.fn(async (revision) => revision);
+const getAnswerRevisionDBMock = vi.fn();
+
+vi.mock("../revisions/revisionRepository.js", () => ({
+	createQuestionRevisionDB: createQuestionRevisionDBMock,
+	getQuestionRevisionsDB: vi.fn().mockResolvedValue([]),
+	getQuestionRevisionDB: getQuestionRevisionDBMock,
+	createAnswerRevisionDB: createAnswerRevisionDBMock,
+	getAnswerRevisionsDB: vi.fn().mockResolvedValue([]),
+	getAnswerRevisionDB: getAnswerRevisionDBMock,
+	getExistingLabelIdsDB: vi.fn(async (ids) => ids.filter((id) => id !== 9)),
+}));
+
+const {
+	normalizeEditSummary,
+	getQuestionRevisions,
+	rollbackQuestion,
+	rollbackAnswer,
+} = await import("../revisions/revisionService.js");
+
+const question = {
+	id: 3,
+	user_id: 1,
+	title: "Current title",
+	content: "<p>Current</p>",
+	template_type: "bug",
+	browser: "Firefox",
+	os: "Linux",
+	documentation_link: null,
+};
+
+describe("revisions", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		getQuestionByIdDBMock.mockResolvedValue(question);
+		getAnswerByIdDBMock.mockResolvedValue({ id: 7, user_id: 1 });
+	});
+
+	it("validates edit summaries", () => {
+		expect(normalizeEditSummary(undefined)).toBeNull();
+		expect(normalizeEditSummary("   ")).toBeNull();
+		expect(normalizeEditSummary(" Fixed typo ")).toBe("Fixed typo");
+		expect(() => normalizeEditSummary(42)).toThrow(/must be a string/);
+		expect(() => normalizeEditSummary("x".repeat(301))).toThrow(
+			/300 characters or less/,
+		);
+	});
+
+	it("reports questions that don't exist", async () => {
+		getQuestionByIdDBMock.mockResolvedValue(null);
+
+		await expect(getQuestionRevisions("missing")).rejects.toThrow(
+			"Question not found",
+		);
+	});
+
+	it("restores a question revision and records the rollback", async () => {
+		getQuestionRevisionDBMock.mockResolvedValue({
+			revision_number: 1,
+			title: "Original title",
+			content: "<p>Original</p>",
+			labels: [
+				{ id: 2, name: "react" },
+				{ id: 9, name: "removed" },
+			],
+		});
+
+		const updated = await rollbackQuestion("3", 1, {
+			id: 1,
+			email: "author@example.com",
+		});
+
+		expect(updated.title).toBe("Original title");
+		expect(updateQuestionDBMock).toHaveBeenCalledWith(
+			3,
+			"Original title",
+			"<p>Original</p>",
+			"bug",
+			"Firefox",
+			"Linux",
+			null,
+			[2],
+		);
+		expect(createQuestionRevisionDBMock).toHaveBeenCalledWith({
+			questionId: 3,
+			title: "Original title",
+			content: "<p>Original</p>",
+			editorId: 1,
+			editSummary: "Rolled back to revision 1",
+			rolledBackTo: 1,
+		});
+	});
+
+	it("tells followers who rolled the question back", async () => {
+		getQuestionRevisionDBMock.mockResolvedValue({
+			revision_number: 1,
+			title: "Original title",
+			content: "<p>Original</p>",
+			labels: [],
+		});
+
+		await rollbackQuestion("3", 1, { id: 5, name: "Mo", role: "admin" });
+
+		expect(notifyFollowersMock).toHaveBeenCalledWith(
+			expect.objectContaining({ id: 3, title: "Original title" }),
+			"question_edited",
+			{ actorId: 5, actorName: "Mo" },
+		);
+	});
+
+	it("lets admins roll back other people's answers", async () => {
+		getAnswerRevisionDBMock.mockResolvedValue({
+			revision_number: 2,
+			content: "<p>Earlier</p>",
+		});
+
+		await rollbackAnswer(7, 2, { id: 5, role: "admin" });
+
+		expect(updateAnswerDBMock).toHaveBeenCalledWith(7, "<p>Earlier</p>");
+		expect(createAnswerRevisionDBMock).toHaveBeenCalledWith(
+			expect.objectContaining({ editorId: 5, rolledBackTo: 2 }),
+		);
+	});
+
+	it("only lets the author or an admin roll back", async () => {
+		await expect(
+			rollbackQuestion("3", 1, { id: 2, email: "someone@example.com" }),
+		).rejects.toThrow(/not authorised/);
+		await expect(
+			rollbackAnswer(7, 1, { id: 2, email: "someone@example.com" }),
+		).rejects.toThrow(/not authorised/);
+		expect(updateQuestionDBMock).not.toHaveBeenCalled();
+		expect(updateAnswerDBMock).not.toHaveBeenCalled();
+	});
+
+	it("reports revisions that don't exist", async () => {
+		getQuestionRevisionDBMock.mockResolvedValue(null);
+
+		await expect(
+			rollbackQuestion("3", 12, { id: 1, email: "author@example.com" }),
+		).rejects.toThrow("Revision not found");
+		expect(createQuestionRevisionDBMock).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,164 @@
+import express from "express";
+import supertest from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: { staleQuestionDays: 180 },
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = JSON.parse(req.get("X-Test-User"));
+		next();
+	},
+}));
+
+const getAllUsersDBMock = vi.fn();
+const setUserRoleDBMock = vi.fn();
+const deleteUserDBMock = vi.fn();
+
+vi.mock("../admin/adminRepository.js", () => ({
+	getStatsDB: vi.fn(),
+	getAllUsersDB: getAllUsersDBMock,
+	getRecentContentDB: vi.fn(),
+	setUserActiveDB: vi.fn(),
+	setUserRoleDB: setUserRoleDBMock,
+	deleteUserDB: deleteUserDBMock,
+	deleteContentDB: vi.fn(),
+}));
+
+vi.mock("../labels/labelRepository.js", () => ({
+	getLabelsWithUsageDB: vi.fn().mockResolvedValue([]),
+}));
+
+const { default: adminRouter } = await import("../admin/adminRouter.js");
+const { getRolePermissions, hasPermission } = await import(
+	"../utils/permissions.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use("/admin", adminRouter);
+
+const as = (request, user) => request.set("X-Test-User", JSON.stringify(user));
+const admin = { id: 1, role: "admin" };
+const moderator = { id: 2, role: "moderator" };
+const trainee = { id: 3, role: "trainee" };
+
+describe("role permissions", () => {
+	it("gives each role its own set of permissions", () => {
+		expect(hasPermission(admin, "manage_roles")).toBe(true);
+		expect(hasPermission(moderator, "moderate_content")).toBe(true);
+		expect(hasPermission(moderator, "manage_users")).toBe(false);
+		expect(hasPermission({ role: "mentor" }, "all_privileges")).toBe(true);
+		expect(hasPermission({ role: "mentor" }, "moderate_content")).toBe(false);
+		expect(getRolePermissions("trainee")).toEqual([]);
+		expect(hasPermission(null, "moderate_content")).toBe(false);
+	});
+
+	it("rejects permissions it doesn't know about", () => {
+		expect(() => hasPermission(admin, "be_admin")).toThrow(
+			"Unknown permission: be_admin",
+		);
+	});
+});
+
+describe("admin routes", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("lets moderators into the parts of the dashboard their role allows", async () => {
+		getAllUsersDBMock.mockResolvedValue({ users: [], total: 0 });
+
+		await as(supertest(app).get("/admin/users"), moderator).expect(200);
+		await as(supertest(app).get("/admin/labels"), moderator).expect(200);
+		const res = await as(
+			supertest(app).delete("/admin/users/9"),
+			moderator,
+		).expect(403);
+
+		expect(res.body.error).toBe("You don't have permission");
+		expect(deleteUserDBMock).not.toHaveBeenCalled();
+	});
+
+	it("keeps trainees out of the dashboard", async () => {
+		const res = await as(supertest(app).get("/admin/users"), trainee).expect(
+			403,
+		);
+
+		expect(res.body.error).toBe("You don't have permission");
+		expect(getAllUsersDBMock).not.toHaveBeenCalled();
+	});
+
+	it("filters users by role, ignoring unknown roles", async () => {
+		getAllUsersDBMock.mockResolvedValue({ users: [], total: 0 });
+
+		await as(supertest(app).get("/admin/users?role=mentor"), admin).expect(200);
+		await as(supertest(app).get("/admin/users?role=owner"), admin).expect(200);
+
+		expect(getAllUsersDBMock).toHaveBeenNthCalledWith(
+			1,
+			expect.objectContaining({ role: "mentor" }),
+		);
+		expect(getAllUsersDBMock).toHaveBeenNthCalledWith(
+			2,
+			expect.objectContaining({ role: null }),
+		);
+	});
+});
+
+describe("PATCH /admin/users/:id/role", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("grants a role and records who granted it", async () => {
+		setUserRoleDBMock.mockResolvedValue({ id: 7, role: "mentor" });
+
+		const res = await as(supertest(app).patch("/admin/users/7/role"), admin)
+			.send({ role: "mentor" })
+			.expect(200);
+
+		expect(res.body.role).toBe("mentor");
+		expect(setUserRoleDBMock).toHaveBeenCalledWith(7, "mentor", 1);
+	});
+
+	it("rejects unknown roles and changing your own role", async () => {
+		const invalid = await as(supertest(app).patch("/admin/users/7/role"), admin)
+			.send({ role: "owner" })
+			.expect(400);
+		expect(invalid.body.error).toBe(
+			"role must be one of: admin, moderator, mentor, trainee",
+		);
+
+		const self = await as(supertest(app).patch("/admin/users/1/role"), admin)
+			.send({ role: "trainee" })
+			.expect(403);
+		expect(self.body.error).toBe("You cannot change your own role");
+
+		expect(setUserRoleDBMock).not.toHaveBeenCalled();
+	});
+
+	it("only lets admins change roles", async () => {
+		await as(supertest(app).patch("/admin/users/7/role"), moderator)
+			.send({ role: "moderator" })
+			.expect(403);
+
+		expect(setUserRoleDBMock).not.toHaveBeenCalled();
+	});
+
+	it("404s for a user that doesn't exist", async () => {
+		setUserRoleDBMock.mockResolvedValue(null);
+
+		const res = await as(supertest(app).patch("/admin/users/99/role"), admin)
+			.send({ role: "mentor" })
+			.expect(404);
+
+		expect(res.body.error).toBe("User not found");
+	});
+});
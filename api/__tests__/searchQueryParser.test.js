@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+
+import { parseSearchQuery } from "../questions/searchQueryParser.js";
+
+describe("parseSearchQuery", () => {
+	it("extracts operators and keeps the rest as free text", () => {
+		const { text, filters } = parseSearchQuery(
+			'label:react is:solved user:42 answers:0 created:>2026-01-01 useEffect "infinite loop"',
+		);
+
+		expect(text).toBe('useEffect "infinite loop"');
+		expect(filters).toEqual({
+			labelNames: ["react"],
+			solved: true,
+			userId: 42,
+			answerCount: { op: "=", value: 0 },
+			created: [{ op: ">", date: "2026-01-01" }],
+		});
+	});
+
+	it("supports quoted values, repeated operators and comparisons", () => {
+		const { text, filters } = parseSearchQuery(
+			'label:"visual studio code" label:git is:closed answers:>=2 created:>=2026-01-01 created:<2026-02-01',
+		);
+
+		expect(text).toBe("");
+		expect(filters.labelNames).toEqual(["visual studio code", "git"]);
+		expect(filters.status).toBe("closed");
+		expect(filters.answerCount).toEqual({ op: ">=", value: 2 });
+		expect(filters.created).toEqual([
+			{ op: ">=", date: "2026-01-01" },
+			{ op: "<", date: "2026-02-01" },
+		]);
+	});
+
+	it("leaves URLs, exclusions and trailing colons as text", () => {
+		const { text, filters } = parseSearchQuery(
+			"TypeError: https://example.com/docs -jquery",
+		);
+
+		expect(text).toBe("TypeError: https://example.com/docs -jquery");
+		expect(filters).toEqual({});
+	});
+
+	it.each([
+		"localhost:3000",
+		"localhost:3000/api",
+		"std::vector",
+		"font-family:Arial",
+		'"module:exports"',
+	])("treats %s as text, not an operator", (query) => {
+		expect(parseSearchQuery(query)).toEqual({ text: query, filters: {} });
+	});
+
+	it("keeps operator-like text alongside real operators", () => {
+		const { text, filters } = parseSearchQuery(
+			"label:node localhost:3000 ECONNREFUSED",
+		);
+
+		expect(text).toBe("localhost:3000 ECONNREFUSED");
+		expect(filters).toEqual({ labelNames: ["node"] });
+	});
+
+	it.each([
+		["foo:bar", /unknown operator "foo:"/],
+		["lable:react", /Supported operators: label:, is:, user:/],
+		["tag:react closures", /unknown operator "tag:"/],
+		["-foo:bar", /unknown operator "foo:"/],
+		["TypeError:undefined", /put it in quotes/],
+		["is:maybe", /unknown value "is:maybe"/],
+		["user:alice", /numeric user ID/],
+		["answers:lots", /answers:0 or answers:>2/],
+		["created:>2026-13-01", /YYYY-MM-DD/],
+		["-label:react", /negated operators/],
+		['label:"react', /unmatched quote/],
+	])("rejects %s with a clear message", (query, message) => {
+		expect(() => parseSearchQuery(query)).toThrow(/^Invalid search query/);
+		expect(() => parseSearchQuery(query)).toThrow(message);
+	});
+});
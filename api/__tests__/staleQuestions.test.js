@@ -0,0 +1,54 @@
+import { describe, it, expect, afterEach, beforeEach, vi } from "vitest";
+
+import db from "../db.js";
+import config from "../utils/config.js";
+
+describe("stale question archiver", () => {
+	let startStaleQuestionArchiver;
+	let stopStaleQuestionArchiver;
+
+	beforeEach(async () => {
+		// Imported once the test setup has initialised config
+		({ startStaleQuestionArchiver, stopStaleQuestionArchiver } = await import(
+			"../questions/questionService.js"
+		));
+		await db.query("DELETE FROM questions");
+		await db.query("DELETE FROM users");
+
+		const user = await db.query(
+			`INSERT INTO users (name, email, hashed_password)
+			 VALUES ('Jo Bloggs', 'jo@example.com', 'x')
+			 RETURNING id`,
+		);
+		await db.query(
+			`INSERT INTO questions (title, content, slug, user_id, is_solved, last_activity_at)
+			 VALUES
+				('Stale', '<p>Help</p>', 'stale', $1, false, NOW() - INTERVAL '200 days'),
+				('Stale but solved', '<p>Help</p>', 'solved', $1, true, NOW() - INTERVAL '200 days'),
+				('Recent', '<p>Help</p>', 'recent', $1, false, NOW() - INTERVAL '10 days')`,
+			[user.rows[0].id],
+		);
+
+		vi.useFakeTimers({ toFake: ["setInterval", "clearInterval"] });
+	});
+
+	afterEach(async () => {
+		await stopStaleQuestionArchiver();
+		vi.useRealTimers();
+	});
+
+	it("archives questions inactive for the configured number of days", async () => {
+		startStaleQuestionArchiver();
+		vi.advanceTimersByTime(config.staleQuestionArchiveIntervalMs);
+		await stopStaleQuestionArchiver();
+
+		const result = await db.query(
+			"SELECT slug, status FROM questions ORDER BY slug",
+		);
+		expect(result.rows).toEqual([
+			{ slug: "recent", status: "open" },
+			{ slug: "solved", status: "open" },
+			{ slug: "stale", status: "archived" },
+		]);
+	});
+});
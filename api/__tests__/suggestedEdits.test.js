@@ -0,0 +1,280 @@
+import express from "express";
+import supertest from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		privilegeThresholds: {},
+		unverifiedRestrictions: [],
+	},
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = JSON.parse(req.get("X-Test-User"));
+		next();
+	},
+}));
+
+vi.mock("../questions/questionService.js", () => ({
+	normalizeTitle: (title) => {
+		if (!title || title.trim().length < 10) {
+			throw new Error("Title must be at least 10 characters long");
+		}
+		return title.trim();
+	},
+}));
+
+vi.mock("../uploads/uploadService.js", () => ({
+	syncUploadReferences: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("../follows/followService.js", () => ({
+	notifyFollowers: vi.fn().mockResolvedValue(0),
+}));
+
+const updateReputationMock = vi.fn().mockResolvedValue(52);
+
+vi.mock("../reputation/reputationService.js", () => ({
+	REPUTATION_RULES: { SUGGESTED_EDIT_APPROVED: 2 },
+	updateReputation: updateReputationMock,
+}));
+
+const recordAnswerRevisionMock = vi.fn().mockResolvedValue({});
+
+vi.mock("../revisions/revisionService.js", () => ({
+	normalizeEditSummary: (summary) => summary ?? null,
+	getLatestRevisionNumber: vi.fn().mockResolvedValue(3),
+	recordQuestionRevision: vi.fn().mockResolvedValue({}),
+	recordAnswerRevision: recordAnswerRevisionMock,
+}));
+
+vi.mock("../questions/questionRepository.js", () => ({
+	getQuestionByIdDB: vi.fn(),
+	updateQuestionDB: vi.fn(),
+}));
+
+const updateAnswerDBMock = vi.fn(async (id, content) => ({ id, content }));
+
+vi.mock("../answers/answerRepository.js", () => ({
+	getAnswerByIdDB: vi.fn(async (id) => ({
+		id: Number(id),
+		user_id: 1,
+		content: "<p>Original answer</p>",
+	})),
+	updateAnswerDB: updateAnswerDBMock,
+}));
+
+const createSuggestedEditDBMock = vi.fn(async (data) => ({
+	id: 9,
+	status: "pending",
+	...data,
+}));
+const getSuggestedEditByIdDBMock = vi.fn();
+const reviewSuggestedEditDBMock = vi.fn(async (id, status) => ({
+	id,
+	status,
+}));
+
+vi.mock("../suggestedEdits/suggestedEditRepository.js", () => ({
+	createSuggestedEditDB: createSuggestedEditDBMock,
+	getSuggestedEditByIdDB: getSuggestedEditByIdDBMock,
+	getSuggestedEditsDB: vi.fn().mockResolvedValue([]),
+	getSuggestedEditsCountDB: vi.fn().mockResolvedValue(0),
+	reviewSuggestedEditDB: reviewSuggestedEditDBMock,
+	reopenSuggestedEditDB: vi.fn(),
+}));
+
+const { default: suggestedEditRouter } = await import(
+	"../suggestedEdits/suggestedEditRouter.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use(suggestedEditRouter);
+
+const author = { id: 1, email: "author@example.com", reputation: 1 };
+const editor = { id: 2, email: "editor@example.com", reputation: 50 };
+
+const as = (request, user) => request.set("X-Test-User", JSON.stringify(user));
+
+const pendingAnswerEdit = {
+	id: 9,
+	post_type: "answer",
+	post_id: 7,
+	question_id: 4,
+	suggested_by: editor.id,
+	suggested_by_name: "Editor",
+	author_id: author.id,
+	content: "<p>Better answer</p>",
+	edit_summary: "Clarified the example",
+	base_revision: 3,
+	status: "pending",
+};
+
+describe("suggested edits", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("queues an edit from a user with enough reputation", async () => {
+		const res = await as(supertest(app).post("/"), editor)
+			.send({
+				postType: "answer",
+				postId: 7,
+				content: "<p>Better answer</p>",
+				editSummary: "Clarified the example",
+			})
+			.expect(201);
+
+		expect(res.body.status).toBe("pending");
+		expect(createSuggestedEditDBMock).toHaveBeenCalledWith({
+			postType: "answer",
+			postId: 7,
+			suggestedBy: editor.id,
+			title: null,
+			content: "<p>Better answer</p>",
+			editSummary: "Clarified the example",
+			baseRevision: 3,
+		});
+		expect(updateAnswerDBMock).not.toHaveBeenCalled();
+	});
+
+	it("needs enough reputation to suggest an edit", async () => {
+		const res = await as(supertest(app).post("/"), {
+			...editor,
+			reputation: 49,
+		})
+			.send({ postType: "answer", postId: 7, content: "<p>Better</p>" })
+			.expect(403);
+
+		expect(res.body.error).toMatch(/at least 50 reputation/);
+		expect(createSuggestedEditDBMock).not.toHaveBeenCalled();
+	});
+
+	it("doesn't take suggestions on your own post or that change nothing", async () => {
+		const own = await as(supertest(app).post("/"), {
+			...author,
+			reputation: 50,
+		})
+			.send({ postType: "answer", postId: 7, content: "<p>Mine</p>" })
+			.expect(400);
+		const unchanged = await as(supertest(app).post("/"), editor)
+			.send({
+				postType: "answer",
+				postId: 7,
+				content: "<p>Original answer</p>",
+			})
+			.expect(400);
+
+		expect(own.body.error).toMatch(/your own post/);
+		expect(unchanged.body.error).toMatch(/must change the post/);
+	});
+
+	it("reports a second pending suggestion for the same post", async () => {
+		createSuggestedEditDBMock.mockRejectedValueOnce(
+			Object.assign(new Error("duplicate key"), { code: "23505" }),
+		);
+
+		const res = await as(supertest(app).post("/"), editor)
+			.send({ postType: "answer", postId: 7, content: "<p>Again</p>" })
+			.expect(409);
+
+		expect(res.body.error).toMatch(/already have a pending/);
+	});
+
+	it("applies an approved edit and rewards the suggester", async () => {
+		getSuggestedEditByIdDBMock.mockResolvedValue(pendingAnswerEdit);
+
+		const res = await as(supertest(app).post("/9/approve"), author).expect(200);
+
+		expect(res.body.status).toBe("approved");
+		expect(updateAnswerDBMock).toHaveBeenCalledWith(7, "<p>Better answer</p>");
+		expect(recordAnswerRevisionMock).toHaveBeenCalledWith(
+			{ id: 7, content: "<p>Better answer</p>" },
+			editor.id,
+			"Clarified the example",
+		);
+		expect(updateReputationMock).toHaveBeenCalledWith(editor.id, 2, {
+			type: "suggested_edit_approved",
+			questionId: 4,
+			answerId: 7,
+			actorId: author.id,
+		});
+	});
+
+	it("only lets the author, a reviewer or an admin review", async () => {
+		getSuggestedEditByIdDBMock.mockResolvedValue(pendingAnswerEdit);
+
+		await as(supertest(app).post("/9/approve"), {
+			id: 3,
+			email: "someone@example.com",
+			reputation: 199,
+		}).expect(403);
+		await as(supertest(app).post("/9/reject"), {
+			id: 4,
+			role: "admin",
+		})
+			.send({ reason: "Changes the meaning" })
+			.expect(200);
+
+		expect(reviewSuggestedEditDBMock).toHaveBeenCalledTimes(1);
+		expect(reviewSuggestedEditDBMock).toHaveBeenCalledWith(
+			9,
+			"rejected",
+			4,
+			"Changes the meaning",
+		);
+		expect(updateAnswerDBMock).not.toHaveBeenCalled();
+		expect(updateReputationMock).not.toHaveBeenCalled();
+	});
+
+	it("lets reviewers review anyone's suggestions except their own", async () => {
+		getSuggestedEditByIdDBMock.mockResolvedValue(pendingAnswerEdit);
+		const reviewer = { id: 3, email: "reviewer@example.com", reputation: 200 };
+
+		await as(supertest(app).post("/9/reject"), reviewer).expect(200);
+		const own = await as(supertest(app).post("/9/reject"), {
+			...editor,
+			reputation: 200,
+		}).expect(400);
+
+		expect(own.body.error).toMatch(/your own suggested edit/);
+		expect(reviewSuggestedEditDBMock).toHaveBeenCalledTimes(1);
+		expect(reviewSuggestedEditDBMock).toHaveBeenCalledWith(
+			9,
+			"rejected",
+			reviewer.id,
+			null,
+		);
+	});
+
+	it("doesn't review a suggestion twice", async () => {
+		getSuggestedEditByIdDBMock.mockResolvedValue({
+			...pendingAnswerEdit,
+			status: "rejected",
+		});
+
+		const res = await as(supertest(app).post("/9/approve"), author).expect(409);
+
+		expect(res.body.error).toMatch(/already been reviewed/);
+		expect(updateAnswerDBMock).not.toHaveBeenCalled();
+	});
+
+	it("won't approve a suggestion made before the post's latest edit", async () => {
+		getSuggestedEditByIdDBMock.mockResolvedValue({
+			...pendingAnswerEdit,
+			base_revision: 2,
+		});
+
+		const res = await as(supertest(app).post("/9/approve"), author).expect(409);
+
+		expect(res.body.error).toMatch(/out of date/);
+		expect(reviewSuggestedEditDBMock).not.toHaveBeenCalled();
+		expect(updateAnswerDBMock).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		storageType: "s3",
+		uploadOrphanMaxAgeHours: 24,
+		uploadCleanupIntervalMs: 1000,
+	},
+}));
+
+const replaceUploadReferencesDBMock = vi.fn();
+const claimOrphanedUploadsDBMock = vi.fn();
+
+vi.mock("../uploads/uploadRepository.js", () => ({
+	replaceUploadReferencesDB: replaceUploadReferencesDBMock,
+	claimOrphanedUploadsDB: claimOrphanedUploadsDBMock,
+}));
+
+const deleteMock = vi.fn();
+
+vi.mock("../uploads/storage/index.js", () => ({
+	getStorage: () => ({ delete: deleteMock }),
+}));
+
+const { extractUploadFilenames, syncUploadReferences, cleanupOrphanedUploads } =
+	await import("../uploads/uploadService.js");
+
+describe("extractUploadFilenames", () => {
+	it("finds originals and thumbnails, relative or absolute", () => {
+		const html = `
+			<p><img src="/uploads/123-abc.png"></p>
+			<a href="https://cyfoverflow.test/uploads/thumbnails/thumb-456-def.jpg">x</a>
+			<img src="/uploads/123-abc.png">
+			<img src="https://example.com/logo.png">`;
+
+		expect(extractUploadFilenames(html, null)).toEqual([
+			"123-abc.png",
+			"456-def.jpg",
+		]);
+	});
+});
+
+describe("syncUploadReferences", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("replaces the content's references with the uploads it uses", async () => {
+		await syncUploadReferences("answer", 7, '<img src="/uploads/123-abc.png">');
+
+		expect(replaceUploadReferencesDBMock).toHaveBeenCalledWith("answer", 7, [
+			"123-abc.png",
+		]);
+	});
+
+	it("rejects unknown content types", async () => {
+		await expect(syncUploadReferences("label", 1, "")).rejects.toThrow(
+			/Invalid upload content type/,
+		);
+		expect(replaceUploadReferencesDBMock).not.toHaveBeenCalled();
+	});
+});
+
+describe("cleanupOrphanedUploads", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("deletes old orphans, their thumbnails and variants from storage", async () => {
+		claimOrphanedUploadsDBMock.mockResolvedValueOnce([
+			{
+				id: 1,
+				stored_filename: "1-a.png",
+				thumbnail_path: "/old/abs/path",
+				variants: [{ format: "webp", width: 480, height: 320 }],
+			},
+			{ id: 2, stored_filename: "2-b.txt", thumbnail_path: null, variants: [] },
+		]);
+		const day = 24 * 60 * 60 * 1000;
+		const before = Date.now();
+
+		const deleted = await cleanupOrphanedUploads();
+
+		const after = Date.now();
+		expect(deleted).toBe(2);
+		const [lastUsedBefore, limit] = claimOrphanedUploadsDBMock.mock.calls[0];
+		expect(lastUsedBefore.getTime()).toBeGreaterThanOrEqual(before - day);
+		expect(lastUsedBefore.getTime()).toBeLessThanOrEqual(after - day);
+		expect(limit).toBe(100);
+		expect(deleteMock.mock.calls.map(([key]) => key)).toEqual([
+			"1-a.png",
+			"thumbnails/thumb-1-a.png",
+			"variants/1-a.png-480.webp",
+			"2-b.txt",
+		]);
+	});
+
+	it("keeps going when a stored file can't be deleted", async () => {
+		claimOrphanedUploadsDBMock.mockResolvedValueOnce([
+			{ id: 1, stored_filename: "1-a.txt", thumbnail_path: null },
+			{ id: 2, stored_filename: "2-b.txt", thumbnail_path: null },
+		]);
+		deleteMock.mockRejectedValueOnce(new Error("access denied"));
+
+		await expect(cleanupOrphanedUploads()).resolves.toBe(2);
+		expect(deleteMock).toHaveBeenCalledWith("2-b.txt");
+	});
+
+	it("stops when the claim fails", async () => {
+		claimOrphanedUploadsDBMock.mockRejectedValueOnce(
+			new Error("connection lost"),
+		);
+
+		await expect(cleanupOrphanedUploads()).resolves.toBe(0);
+		expect(deleteMock).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,178 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		storageType: "s3",
+		uploadQuotaBytes: 1024,
+		uploadDailyLimit: 5,
+		unverifiedRestrictions: [],
+	},
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = { id: 1 }; // mock logged-in user
+		next();
+	},
+}));
+
+vi.mock("../utils/rateLimiter.js", () => ({
+	generalLimiter: (req, res, next) => next(),
+}));
+
+const createFileUploadDBMock = vi.fn();
+const reuseFileUploadByHashDBMock = vi.fn();
+const getUploadUsageDBMock = vi.fn();
+const getFileUploadsByUserIdDBMock = vi.fn();
+
+vi.mock("../uploads/uploadRepository.js", () => ({
+	createFileUploadDB: createFileUploadDBMock,
+	reuseFileUploadByHashDB: reuseFileUploadByHashDBMock,
+	getUploadUsageDB: getUploadUsageDBMock,
+	getFileUploadsByUserIdDB: getFileUploadsByUserIdDBMock,
+}));
+
+const putMock = vi.fn();
+
+vi.mock("../uploads/storage/index.js", () => ({
+	getStorage: () => ({ put: putMock, delete: vi.fn() }),
+}));
+
+const { default: router } = await import("../uploads/uploadRouter.js");
+
+const app = express();
+app.use("/upload", router);
+
+// SHA-256 of "hello world"
+const HELLO_HASH =
+	"b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9";
+
+const uploadText = (content = "hello world") =>
+	request(app).post("/upload").attach("file", Buffer.from(content), {
+		filename: "notes.txt",
+		contentType: "text/plain",
+	});
+
+describe("POST /upload limits", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("stores a new file with its content hash", async () => {
+		reuseFileUploadByHashDBMock.mockResolvedValue(null);
+		getUploadUsageDBMock.mockResolvedValue({
+			usedBytes: 0,
+			fileCount: 0,
+			uploadsToday: 0,
+		});
+		createFileUploadDBMock.mockImplementation(async (data) => ({
+			id: 3,
+			...data,
+		}));
+
+		const res = await uploadText().expect(201);
+
+		expect(res.body.file).toMatchObject({ id: 3, file_size: 11 });
+		expect(reuseFileUploadByHashDBMock).toHaveBeenCalledWith(1, HELLO_HASH);
+		expect(createFileUploadDBMock).toHaveBeenCalledWith(
+			expect.objectContaining({ content_hash: HELLO_HASH }),
+		);
+		expect(putMock).toHaveBeenCalledTimes(1);
+	});
+
+	it("returns the existing upload for a repeat file", async () => {
+		reuseFileUploadByHashDBMock.mockResolvedValue({
+			id: 2,
+			file_url: "/uploads/1-a.txt",
+		});
+
+		const res = await uploadText().expect(201);
+
+		expect(res.body.file).toMatchObject({
+			id: 2,
+			file_url: "/uploads/1-a.txt",
+		});
+		expect(getUploadUsageDBMock).not.toHaveBeenCalled();
+		expect(putMock).not.toHaveBeenCalled();
+		expect(createFileUploadDBMock).not.toHaveBeenCalled();
+	});
+
+	it("responds 413 with usage when the quota would be exceeded", async () => {
+		reuseFileUploadByHashDBMock.mockResolvedValue(null);
+		getUploadUsageDBMock.mockResolvedValue({
+			usedBytes: 1020,
+			fileCount: 4,
+			uploadsToday: 1,
+		});
+
+		const res = await uploadText().expect(413);
+
+		expect(res.body).toMatchObject({
+			success: false,
+			code: "UPLOAD_QUOTA_EXCEEDED",
+			usage: { usedBytes: 1020, quotaBytes: 1024, dailyLimit: 5 },
+		});
+		expect(putMock).not.toHaveBeenCalled();
+	});
+
+	it("responds 429 when the daily limit is reached", async () => {
+		reuseFileUploadByHashDBMock.mockResolvedValue(null);
+		getUploadUsageDBMock.mockResolvedValue({
+			usedBytes: 0,
+			fileCount: 0,
+			uploadsToday: 5,
+		});
+
+		const res = await uploadText().expect(429);
+
+		expect(res.body.code).toBe("UPLOAD_DAILY_LIMIT_EXCEEDED");
+		expect(putMock).not.toHaveBeenCalled();
+	});
+});
+
+describe("GET /upload", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("lists the user's uploads with their usage", async () => {
+		getFileUploadsByUserIdDBMock.mockResolvedValue([
+			{ id: 2, file_url: "/uploads/1-a.txt", stored_filename: "1-a.txt" },
+		]);
+		getUploadUsageDBMock.mockResolvedValue({
+			usedBytes: 11,
+			fileCount: 1,
+			uploadsToday: 1,
+		});
+
+		const res = await request(app)
+			.get("/upload?page=2&limit=10&type=file")
+			.expect(200);
+
+		expect(getFileUploadsByUserIdDBMock).toHaveBeenCalledWith(1, {
+			limit: 10,
+			offset: 10,
+			file_type: "file",
+		});
+		expect(res.body.files).toHaveLength(1);
+		expect(res.body.files[0]).not.toHaveProperty("stored_filename");
+		expect(res.body.usage).toEqual({
+			usedBytes: 11,
+			quotaBytes: 1024,
+			fileCount: 1,
+			uploadsToday: 1,
+			dailyLimit: 5,
+		});
+	});
+
+	it("rejects an unknown file type", async () => {
+		await request(app).get("/upload?type=video").expect(400);
+		expect(getFileUploadsByUserIdDBMock).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,199 @@
+import { mkdtempSync } from "node:fs";
+import { rm, writeFile, mkdir } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterAll, afterEach, vi } from "vitest";
+
+const uploadDir = mkdtempSync(path.join(tmpdir(), "cyf-uploads-"));
+
+const mockConfig = {
+	storageType: "local",
+	uploadDir,
+	uploadServeMode: "proxy",
+	uploadSignedUrlTtlSeconds: 300,
+};
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({ default: mockConfig }));
+
+const getFileUploadByStoredFilenameDBMock = vi.fn();
+
+vi.mock("../uploads/uploadRepository.js", () => ({
+	getFileUploadByStoredFilenameDB: getFileUploadByStoredFilenameDBMock,
+}));
+
+const putObjectMock = vi.fn();
+const getSignedUrlPromiseMock = vi.fn();
+
+vi.mock("aws-sdk", () => ({
+	default: {
+		S3: vi.fn(function S3() {
+			this.putObject = (params) => ({
+				promise: () => putObjectMock(params),
+			});
+			this.getSignedUrlPromise = getSignedUrlPromiseMock;
+		}),
+	},
+}));
+
+const { createLocalStorage } = await import(
+	"../uploads/storage/localStorage.js"
+);
+const { createS3Storage } = await import("../uploads/storage/s3Storage.js");
+const { default: router } = await import("../uploads/uploadServeRouter.js");
+
+const app = express();
+app.use("/uploads", router);
+
+const streamToString = async (stream) => {
+	const chunks = [];
+	for await (const chunk of stream) chunks.push(chunk);
+	return Buffer.concat(chunks).toString();
+};
+
+afterAll(async () => {
+	await rm(uploadDir, { recursive: true, force: true });
+});
+
+describe("local storage driver", () => {
+	const storage = createLocalStorage(uploadDir);
+
+	it("stores, reads and deletes files by key", async () => {
+		await storage.put("thumbnails/thumb-a.png", Buffer.from("thumb"));
+
+		const object = await storage.get("thumbnails/thumb-a.png");
+		expect(object.contentLength).toBe(5);
+		expect(await streamToString(object.body)).toBe("thumb");
+
+		await storage.delete("thumbnails/thumb-a.png");
+		expect(await storage.get("thumbnails/thumb-a.png")).toBeNull();
+		// Deleting a missing file is not an error
+		await storage.delete("thumbnails/thumb-a.png");
+	});
+
+	it("refuses keys outside the upload directory", async () => {
+		await expect(storage.get("../secret.txt")).rejects.toThrow(
+			/Invalid storage key/,
+		);
+	});
+});
+
+describe("S3 storage driver", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("requires a bucket", () => {
+		expect(() => createS3Storage({ signedUrlTtlSeconds: 300 })).toThrow(
+			/S3_BUCKET/,
+		);
+	});
+
+	it("puts objects in the bucket and signs URLs when there is no public URL", async () => {
+		const storage = createS3Storage({
+			bucket: "uploads",
+			region: "eu-west-1",
+			endpoint: "http://localhost:9000",
+			forcePathStyle: true,
+			signedUrlTtlSeconds: 300,
+		});
+		getSignedUrlPromiseMock.mockResolvedValue("https://signed.example/a.png");
+
+		await storage.put("a.png", Buffer.from("png"), "image/png");
+		const url = await storage.getUrl("a.png");
+
+		expect(putObjectMock).toHaveBeenCalledWith(
+			expect.objectContaining({
+				Bucket: "uploads",
+				Key: "a.png",
+				ContentType: "image/png",
+			}),
+		);
+		expect(url).toBe("https://signed.example/a.png");
+		expect(getSignedUrlPromiseMock).toHaveBeenCalledWith("getObject", {
+			Bucket: "uploads",
+			Key: "a.png",
+			Expires: 300,
+		});
+	});
+
+	it("uses the public base URL when set", async () => {
+		const storage = createS3Storage({
+			bucket: "uploads",
+			publicBaseUrl: "https://cdn.example/",
+			signedUrlTtlSeconds: 300,
+		});
+
+		expect(await storage.getUrl("thumbnails/thumb-a.png")).toBe(
+			"https://cdn.example/thumbnails/thumb-a.png",
+		);
+		expect(getSignedUrlPromiseMock).not.toHaveBeenCalled();
+	});
+});
+
+describe("GET /uploads/:key", () => {
+	const record = {
+		stored_filename: "123-abc.html",
+		mime_type: "text/html",
+		thumbnail_path: null,
+	};
+
+	afterEach(() => {
+		vi.clearAllMocks();
+		mockConfig.uploadServeMode = "proxy";
+	});
+
+	it("streams a stored file with a sandboxing CSP", async () => {
+		await writeFile(path.join(uploadDir, "123-abc.html"), "<p>hi</p>");
+		getFileUploadByStoredFilenameDBMock.mockResolvedValue(record);
+
+		const res = await request(app).get("/uploads/123-abc.html").expect(200);
+
+		expect(res.text).toBe("<p>hi</p>");
+		expect(res.headers["content-type"]).toMatch(/^text\/html/);
+		expect(res.headers["content-security-policy"]).toBe("sandbox");
+		expect(getFileUploadByStoredFilenameDBMock).toHaveBeenCalledWith(
+			"123-abc.html",
+		);
+	});
+
+	it("serves thumbnails as JPEG", async () => {
+		await mkdir(path.join(uploadDir, "thumbnails"), { recursive: true });
+		await writeFile(
+			path.join(uploadDir, "thumbnails", "thumb-456-def.png"),
+			"jpeg",
+		);
+		getFileUploadByStoredFilenameDBMock.mockResolvedValue({
+			stored_filename: "456-def.png",
+			mime_type: "image/png",
+			thumbnail_path: "thumbnails/thumb-456-def.png",
+		});
+
+		const res = await request(app)
+			.get("/uploads/thumbnails/thumb-456-def.png")
+			.expect(200);
+
+		expect(res.headers["content-type"]).toBe("image/jpeg");
+	});
+
+	it("returns 404 for files without an upload record", async () => {
+		await writeFile(path.join(uploadDir, "orphan.png"), "png");
+		getFileUploadByStoredFilenameDBMock.mockResolvedValue(null);
+
+		await request(app).get("/uploads/orphan.png").expect(404);
+	});
+
+	it("falls back to proxying when the driver has no direct URL", async () => {
+		mockConfig.uploadServeMode = "redirect";
+		getFileUploadByStoredFilenameDBMock.mockResolvedValue(record);
+
+		const res = await request(app).get("/uploads/123-abc.html").expect(200);
+		expect(res.text).toBe("<p>hi</p>");
+	});
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		jwtSecret: "test-secret",
+		viewDedupWindowMinutes: 60,
+		viewFlushIntervalMs: 1000,
+	},
+}));
+
+const recordViewsDBMock = vi.fn();
+
+vi.mock("../views/viewRepository.js", () => ({
+	recordViewsDB: recordViewsDBMock,
+	deleteExpiredViewsDB: vi.fn().mockResolvedValue(0),
+}));
+
+const { getViewerKey, recordQuestionView, flushViews } = await import(
+	"../views/viewService.js"
+);
+
+describe("question view tracking", () => {
+	beforeEach(async () => {
+		recordViewsDBMock.mockReset();
+		recordViewsDBMock.mockResolvedValue(0);
+		await flushViews(); // drain anything buffered by a previous test
+		recordViewsDBMock.mockClear();
+	});
+
+	it("identifies logged-in users by id and hashes anonymous IPs", () => {
+		expect(getViewerKey({ userId: 7, ip: "10.0.0.1" })).toBe("user:7");
+
+		const key = getViewerKey({ ip: "10.0.0.1" });
+		expect(key).toMatch(/^ip:[0-9a-f]{64}$/);
+		expect(key).not.toContain("10.0.0.1");
+		expect(getViewerKey({})).toBeNull();
+	});
+
+	it("counts a viewer once per question within the window", async () => {
+		expect(recordQuestionView(1, { userId: 7 })).toBe(true);
+		expect(recordQuestionView(1, { userId: 7 })).toBe(false);
+		expect(recordQuestionView(2, { userId: 7 })).toBe(true);
+		expect(recordQuestionView(1, { ip: "10.0.0.2" })).toBe(true);
+
+		await flushViews();
+
+		expect(recordViewsDBMock).toHaveBeenCalledTimes(1);
+		const [views, windowMinutes] = recordViewsDBMock.mock.calls[0];
+		expect(windowMinutes).toBe(60);
+		expect(views).toHaveLength(3);
+		expect(views).toContainEqual({ questionId: 1, viewerKey: "user:7" });
+		expect(views).toContainEqual({ questionId: 2, viewerKey: "user:7" });
+	});
+
+	it("does not touch the database when nothing is buffered", async () => {
+		await flushViews();
+		expect(recordViewsDBMock).not.toHaveBeenCalled();
+	});
+
+	it("drops the batch if the database write fails", async () => {
+		recordViewsDBMock.mockRejectedValueOnce(new Error("db down"));
+		recordQuestionView(3, { userId: 8 });
+
+		await expect(flushViews()).resolves.toBe(0);
+		await flushViews();
+		expect(recordViewsDBMock).toHaveBeenCalledTimes(1);
+	});
+});
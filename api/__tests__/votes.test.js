@@ -0,0 +1,126 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		privilegeThresholds: { downvote: 25 },
+		unverifiedRestrictions: [],
+	},
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		// mock logged-in user, reputation from the test
+		req.user = { id: 1, reputation: Number(req.get("X-Reputation") ?? 100) };
+		next();
+	},
+	optionalAuthenticateToken: () => (req, res, next) => next(),
+}));
+
+const voteOnQuestionMock = vi.fn();
+
+vi.mock("../votes/voteService.js", () => ({
+	voteOnAnswer: vi.fn(),
+	getVoteCounts: vi.fn(),
+	getUserVote: vi.fn(),
+	voteOnQuestion: voteOnQuestionMock,
+	getQuestionVoteCounts: vi
+		.fn()
+		.mockResolvedValue({ upvote_count: 3, downvote_count: 1, score: 2 }),
+	getUserQuestionVote: vi.fn().mockResolvedValue(null),
+	getUserVotesForQuestions: vi.fn().mockResolvedValue({}),
+}));
+
+// Import router AFTER mocks
+const { default: router } = await import("../votes/voteRouter.js");
+
+const app = express();
+app.use(express.json());
+app.use("/votes", router);
+
+describe("question votes", () => {
+	afterEach(() => {
+		voteOnQuestionMock.mockReset();
+	});
+
+	it("POST /votes/question/:id records a vote", async () => {
+		const result = {
+			upvote_count: 1,
+			downvote_count: 0,
+			score: 1,
+			user_vote: "upvote",
+		};
+		voteOnQuestionMock.mockResolvedValue(result);
+
+		const res = await request(app)
+			.post("/votes/question/5")
+			.send({ vote_type: "upvote" })
+			.expect(200);
+
+		expect(res.body).toEqual(result);
+		expect(voteOnQuestionMock).toHaveBeenCalledWith("5", 1, "upvote");
+	});
+
+	it("rejects an invalid vote type", async () => {
+		await request(app)
+			.post("/votes/question/5")
+			.send({ vote_type: "sideways" })
+			.expect(400);
+		expect(voteOnQuestionMock).not.toHaveBeenCalled();
+	});
+
+	it("returns 404 when the question does not exist", async () => {
+		voteOnQuestionMock.mockRejectedValue(new Error("Question not found"));
+
+		await request(app)
+			.post("/votes/question/999")
+			.send({ vote_type: "downvote" })
+			.expect(404);
+	});
+
+	it("returns 403 when voting on your own question", async () => {
+		voteOnQuestionMock.mockRejectedValue(
+			new Error("You cannot vote on your own question"),
+		);
+
+		await request(app)
+			.post("/votes/question/5")
+			.send({ vote_type: "upvote" })
+			.expect(403);
+	});
+
+	it("needs the downvote privilege to downvote, but not to upvote", async () => {
+		voteOnQuestionMock.mockResolvedValue({ user_vote: "upvote" });
+
+		const res = await request(app)
+			.post("/votes/question/5")
+			.set("X-Reputation", "24")
+			.send({ vote_type: "downvote" })
+			.expect(403);
+		await request(app)
+			.post("/votes/question/5")
+			.set("X-Reputation", "24")
+			.send({ vote_type: "upvote" })
+			.expect(200);
+
+		expect(res.body.error).toMatch(/at least 25 reputation to downvote/);
+		expect(voteOnQuestionMock).toHaveBeenCalledTimes(1);
+		expect(voteOnQuestionMock).toHaveBeenCalledWith("5", 1, "upvote");
+	});
+
+	it("GET /votes/question/:id returns counts and the user's vote", async () => {
+		const res = await request(app).get("/votes/question/5").expect(200);
+
+		expect(res.body).toEqual({
+			upvote_count: 3,
+			downvote_count: 1,
+			score: 2,
+			user_vote: null,
+		});
+	});
+});
@@ -0,0 +1,105 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../utils/logger.js", () => ({
+	default: { error: vi.fn(), info: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../utils/config.js", () => ({
+	default: {
+		notificationFanoutBatchSize: 2,
+		notificationFanoutIntervalMs: 1000,
+	},
+}));
+
+vi.mock("../utils/auth.js", () => ({
+	authenticateToken: () => (req, res, next) => {
+		req.user = { id: 1 }; // mock logged-in user
+		next();
+	},
+}));
+
+const labelExistsDBMock = vi.fn();
+const watchLabelDBMock = vi.fn();
+const processBatchMock = vi.fn();
+const createQuestionNotificationsMock = vi.fn();
+
+vi.mock("../watches/watchRepository.js", () => ({
+	labelExistsDB: labelExistsDBMock,
+	watchLabelDB: watchLabelDBMock,
+	unwatchLabelDB: vi.fn(),
+	getWatchedLabelsDB: vi.fn().mockResolvedValue([{ id: 3, name: "React" }]),
+	enqueueQuestionNotificationJobDB: vi.fn(),
+	claimQuestionNotificationBatchDB: processBatchMock,
+}));
+
+vi.mock("../notifications/notificationService.js", () => ({
+	createQuestionNotifications: createQuestionNotificationsMock,
+}));
+
+const { processNotificationQueue } = await import("../watches/watchService.js");
+const { default: router } = await import("../watches/watchRouter.js");
+
+const app = express();
+app.use(express.json());
+app.use("/watches", router);
+
+describe("label watch routes", () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("PUT /watches/labels/:id watches a label", async () => {
+		labelExistsDBMock.mockResolvedValue(true);
+
+		const res = await request(app).put("/watches/labels/3").expect(200);
+
+		expect(res.body).toEqual([{ id: 3, name: "React" }]);
+		expect(watchLabelDBMock).toHaveBeenCalledWith(1, 3);
+	});
+
+	it("returns 404 for an unknown label", async () => {
+		labelExistsDBMock.mockResolvedValue(false);
+
+		await request(app).put("/watches/labels/99").expect(404);
+		expect(watchLabelDBMock).not.toHaveBeenCalled();
+	});
+
+	it("returns 400 for an invalid label ID", async () => {
+		await request(app).delete("/watches/labels/abc").expect(400);
+	});
+});
+
+describe("processNotificationQueue", () => {
+	const question = { id: 7, title: "Flexbox gaps", slug: "flexbox-gaps" };
+
+	afterEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it("sends batches until the queue is empty", async () => {
+		processBatchMock
+			.mockResolvedValueOnce({ question, userIds: [2, 3], done: false })
+			.mockResolvedValueOnce({ question, userIds: [4], done: true })
+			.mockResolvedValueOnce(null);
+
+		const sent = await processNotificationQueue();
+
+		expect(sent).toBe(3);
+		expect(processBatchMock).toHaveBeenCalledWith(2);
+		expect(processBatchMock).toHaveBeenCalledTimes(3);
+		expect(createQuestionNotificationsMock).toHaveBeenCalledWith(
+			question,
+			[2, 3],
+		);
+		expect(createQuestionNotificationsMock).toHaveBeenCalledWith(question, [4]);
+	});
+
+	it("keeps the job queued when a batch fails", async () => {
+		processBatchMock.mockRejectedValueOnce(new Error("connection lost"));
+
+		await expect(processNotificationQueue()).resolves.toBe(0);
+		expect(createQuestionNotificationsMock).not.toHaveBeenCalled();
+	});
+});
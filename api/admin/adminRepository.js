@@ -19,7 +19,12 @@ export const getStatsDB = async () => {
 	}
 };
 
-export const getAllUsersDB = async ({ page = 1, limit = 20, search = "" }) => {
+export const getAllUsersDB = async ({
+	page = 1,
+	limit = 20,
+	search = "",
+	role = null,
+}) => {
 	try {
 		const offset = (page - 1) * limit;
 		const searchParam = search ? `%${search}%` : null;
@@ -28,13 +33,14 @@ export const getAllUsersDB = async ({ page = 1, limit = 20, search = "" }) => {
 			`SELECT COUNT(*)::integer AS total
 			 FROM users
 			 WHERE deleted_at IS NULL
-			 AND ($1::text IS NULL OR name ILIKE $1 OR email ILIKE $1)`,
-			[searchParam],
+			 AND ($1::text IS NULL OR name ILIKE $1 OR email ILIKE $1)
+			 AND ($2::user_role IS NULL OR role = $2)`,
+			[searchParam, role],
 		);
 
 		const result = await db.query(
 			`SELECT
-				u.id, u.name, u.email, u.avatar_url,
+				u.id, u.name, u.email, u.avatar_url, u.role,
 				COALESCE(u.is_active, true) AS is_active,
 				u.is_email_verified, u.is_cyf_trainee,
 				COALESCE(u.reputation, 0) AS reputation,
@@ -44,9 +50,10 @@ export const getAllUsersDB = async ({ page = 1, limit = 20, search = "" }) => {
 			 FROM users u
 			 WHERE u.deleted_at IS NULL
 			 AND ($1::text IS NULL OR u.name ILIKE $1 OR u.email ILIKE $1)
+			 AND ($4::user_role IS NULL OR u.role = $4)
 			 ORDER BY u.created_at DESC
 			 LIMIT $2 OFFSET $3`,
-			[searchParam, limit, offset],
+			[searchParam, limit, offset, role],
 		);
 
 		const total = countResult.rows[0].total;
@@ -79,6 +86,22 @@ export const setUserActiveDB = async (userId, isActive) => {
 	}
 };
 
+export const setUserRoleDB = async (userId, role, grantedBy) => {
+	try {
+		const result = await db.query(
+			`UPDATE users
+			 SET role = $1, role_granted_by = $2, role_granted_at = NOW(), updated_at = NOW()
+			 WHERE id = $3 AND deleted_at IS NULL
+			 RETURNING id, name, email, role, role_granted_at`,
+			[role, grantedBy, userId],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error updating user role:", error);
+		throw error;
+	}
+};
+
 export const deleteUserDB = async (userId) => {
 	try {
 		const result = await db.query(
@@ -1,19 +1,32 @@
 import { Router } from "express";
 
 import { getAnswersWithDeletedByQuestionIdDB } from "../answers/answerRepository.js";
+import * as labelService from "../labels/labelService.js";
 import { getDeletedQuestionByIdDB } from "../questions/questionRepository.js";
-import { requireAdmin } from "../utils/adminAuth.js";
+import { archiveStaleQuestions } from "../questions/questionService.js";
+import { recalculateReputation } from "../reputation/reputationService.js";
 import { authenticateToken } from "../utils/auth.js";
+import config from "../utils/config.js";
 import logger from "../utils/logger.js";
+import { requirePermission, ROLES } from "../utils/permissions.js";
 
 import * as adminService from "./adminService.js";
 
 const adminRouter = Router();
 
-adminRouter.use(authenticateToken(), requireAdmin());
+// Each route checks the permission for its own action, so moderators can
+// use the parts of the admin API their role allows
+adminRouter.use(authenticateToken());
+
+const canViewDashboard = requirePermission("view_admin_dashboard");
+const canManageUsers = requirePermission("manage_users");
+const canManageRoles = requirePermission("manage_roles");
+const canModerate = requirePermission("moderate_content");
+const canManageLabels = requirePermission("manage_labels");
+const canManageReputation = requirePermission("manage_reputation");
 
 // GET /api/admin/stats
-adminRouter.get("/stats", async (req, res) => {
+adminRouter.get("/stats", canViewDashboard, async (req, res) => {
 	try {
 		const stats = await adminService.getStats();
 		res.json(stats);
@@ -23,13 +36,14 @@ adminRouter.get("/stats", async (req, res) => {
 	}
 });
 
-// GET /api/admin/users?page=1&limit=20&search=
-adminRouter.get("/users", async (req, res) => {
+// GET /api/admin/users?page=1&limit=20&search=&role=
+adminRouter.get("/users", canViewDashboard, async (req, res) => {
 	try {
 		const page = Math.max(1, parseInt(req.query.page) || 1);
 		const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
 		const search = (req.query.search || "").trim();
-		const data = await adminService.getAllUsers({ page, limit, search });
+		const role = ROLES.includes(req.query.role) ? req.query.role : null;
+		const data = await adminService.getAllUsers({ page, limit, search, role });
 		res.json(data);
 	} catch (error) {
 		logger.error("Get admin users error: %O", error);
@@ -38,7 +52,7 @@ adminRouter.get("/users", async (req, res) => {
 });
 
 // GET /api/admin/content?type=question&page=1&limit=20
-adminRouter.get("/content", async (req, res) => {
+adminRouter.get("/content", canViewDashboard, async (req, res) => {
 	try {
 		const type = req.query.type;
 		if (!["question", "answer", "comment"].includes(type))
@@ -56,7 +70,7 @@ adminRouter.get("/content", async (req, res) => {
 });
 
 // PATCH /api/admin/users/:id/block
-adminRouter.patch("/users/:id/block", async (req, res) => {
+adminRouter.patch("/users/:id/block", canManageUsers, async (req, res) => {
 	try {
 		const userId = parseInt(req.params.id, 10);
 		if (isNaN(userId))
@@ -80,8 +94,34 @@ adminRouter.patch("/users/:id/block", async (req, res) => {
 	}
 });
 
+// PATCH /api/admin/users/:id/role  body: { role }
+adminRouter.patch("/users/:id/role", canManageRoles, async (req, res) => {
+	try {
+		const userId = parseInt(req.params.id, 10);
+		if (isNaN(userId))
+			return res.status(400).json({ error: "Invalid user ID" });
+
+		// Stops the last admin from locking everyone out
+		if (userId === req.user.id)
+			return res.status(403).json({ error: "You cannot change your own role" });
+
+		const { role } = req.body ?? {};
+		if (!ROLES.includes(role))
+			return res
+				.status(400)
+				.json({ error: `role must be one of: ${ROLES.join(", ")}` });
+
+		const user = await adminService.setUserRole(userId, role, req.user.id);
+		res.json(user);
+	} catch (error) {
+		logger.error("Set user role error: %O", error);
+		const status = error.message === "User not found" ? 404 : 500;
+		res.status(status).json({ error: error.message });
+	}
+});
+
 // DELETE /api/admin/users/:id
-adminRouter.delete("/users/:id", async (req, res) => {
+adminRouter.delete("/users/:id", canManageUsers, async (req, res) => {
 	try {
 		const userId = parseInt(req.params.id, 10);
 		if (isNaN(userId))
@@ -102,7 +142,7 @@ adminRouter.delete("/users/:id", async (req, res) => {
 });
 
 // GET /api/admin/questions/:id — view any question including soft-deleted ones
-adminRouter.get("/questions/:id", async (req, res) => {
+adminRouter.get("/questions/:id", canViewDashboard, async (req, res) => {
 	try {
 		const question = await getDeletedQuestionByIdDB(req.params.id);
 		if (!question) {
@@ -115,22 +155,285 @@ adminRouter.get("/questions/:id", async (req, res) => {
 	}
 });
 
-// GET /api/admin/questions/:questionId/answers — includes soft-deleted answers
-adminRouter.get("/questions/:questionId/answers", async (req, res) => {
+// POST /api/admin/questions/archive-stale  body: { days? }
+adminRouter.post("/questions/archive-stale", canModerate, async (req, res) => {
 	try {
-		const questionId = parseInt(req.params.questionId, 10);
-		if (isNaN(questionId))
-			return res.status(400).json({ error: "Invalid question ID" });
-		const answers = await getAnswersWithDeletedByQuestionIdDB(questionId);
-		res.json(answers);
+		const days =
+			req.body?.days !== undefined
+				? Number(req.body.days)
+				: config.staleQuestionDays;
+		const archived = await archiveStaleQuestions(days);
+		res.json({ archived, days });
 	} catch (error) {
-		logger.error("Admin get answers error: %O", error);
-		res.status(500).json({ error: "Failed to fetch answers" });
+		logger.error("Archive stale questions error: %O", error);
+		const statusCode = error.message.includes("must be") ? 400 : 500;
+		res.status(statusCode).json({ error: error.message });
 	}
 });
 
+// POST /api/admin/reputation/recalculate
+// Rebuild every user's reputation from votes, accepted answers and approved
+// suggested edits
+adminRouter.post(
+	"/reputation/recalculate",
+	canManageReputation,
+	async (req, res) => {
+		try {
+			const result = await recalculateReputation();
+			res.json(result);
+		} catch (error) {
+			logger.error("Recalculate reputation error: %O", error);
+			res.status(500).json({ error: "Failed to recalculate reputation" });
+		}
+	},
+);
+
+/**
+ * Status code for a label service error
+ * @param {Error} error
+ * @returns {number}
+ */
+const labelErrorStatus = (error) => {
+	if (error.message.endsWith("not found")) return 404;
+	if (
+		error.message.includes("already") ||
+		error.message.includes("used by questions")
+	)
+		return 409;
+	if (
+		error.message.includes("must") ||
+		error.message.includes("required") ||
+		error.message.includes("Cannot") ||
+		error.message === "Nothing to update"
+	)
+		return 400;
+	return 500;
+};
+
+// GET /api/admin/labels — every label, retired ones included, with usage
+adminRouter.get("/labels", canManageLabels, async (req, res) => {
+	try {
+		const labels = await labelService.getAllLabelsForAdmin();
+		res.json(labels);
+	} catch (error) {
+		logger.error("Get admin labels error: %O", error);
+		res.status(500).json({ error: "Failed to fetch labels" });
+	}
+});
+
+// POST /api/admin/labels  body: { name, slug?, description?, color? }
+adminRouter.post("/labels", canManageLabels, async (req, res) => {
+	try {
+		const { name, slug, description, color } = req.body ?? {};
+		const label = await labelService.createLabel({
+			name,
+			slug,
+			description,
+			color,
+		});
+		res.status(201).json(label);
+	} catch (error) {
+		logger.error("Create label error: %O", error);
+		const status = labelErrorStatus(error);
+		res.status(status).json({
+			error: status === 500 ? "Failed to create label" : error.message,
+		});
+	}
+});
+
+// PATCH /api/admin/labels/:id  body: { name?, slug?, description?, color?, isActive? }
+adminRouter.patch("/labels/:id", canManageLabels, async (req, res) => {
+	try {
+		const labelId = parseInt(req.params.id, 10);
+		if (isNaN(labelId))
+			return res.status(400).json({ error: "Invalid label ID" });
+
+		const { name, slug, description, color, isActive } = req.body ?? {};
+		const label = await labelService.updateLabel(labelId, {
+			name,
+			slug,
+			description,
+			color,
+			isActive,
+		});
+		res.json(label);
+	} catch (error) {
+		logger.error("Update label error: %O", error);
+		const status = labelErrorStatus(error);
+		res.status(status).json({
+			error: status === 500 ? "Failed to update label" : error.message,
+		});
+	}
+});
+
+// DELETE /api/admin/labels/:id — only labels no question uses
+adminRouter.delete("/labels/:id", canManageLabels, async (req, res) => {
+	try {
+		const labelId = parseInt(req.params.id, 10);
+		if (isNaN(labelId))
+			return res.status(400).json({ error: "Invalid label ID" });
+
+		await labelService.deleteLabel(labelId);
+		res.json({ message: "Label deleted" });
+	} catch (error) {
+		logger.error("Delete label error: %O", error);
+		const status = labelErrorStatus(error);
+		res.status(status).json({
+			error: status === 500 ? "Failed to delete label" : error.message,
+		});
+	}
+});
+
+// POST /api/admin/labels/:id/merge  body: { targetId }
+// Move the label's questions and watchers to the target label, then delete it
+adminRouter.post("/labels/:id/merge", canManageLabels, async (req, res) => {
+	try {
+		const sourceId = parseInt(req.params.id, 10);
+		const targetId = parseInt(req.body?.targetId, 10);
+		if (isNaN(sourceId) || isNaN(targetId))
+			return res.status(400).json({ error: "Invalid label ID" });
+
+		const result = await labelService.mergeLabels(sourceId, targetId);
+		res.json(result);
+	} catch (error) {
+		logger.error("Merge labels error: %O", error);
+		const status = labelErrorStatus(error);
+		res.status(status).json({
+			error: status === 500 ? "Failed to merge labels" : error.message,
+		});
+	}
+});
+
+// POST /api/admin/labels/:id/synonyms  body: { name }
+adminRouter.post("/labels/:id/synonyms", canManageLabels, async (req, res) => {
+	try {
+		const labelId = parseInt(req.params.id, 10);
+		if (isNaN(labelId))
+			return res.status(400).json({ error: "Invalid label ID" });
+
+		const synonym = await labelService.addSynonym(labelId, req.body?.name);
+		res.status(201).json(synonym);
+	} catch (error) {
+		logger.error("Add label synonym error: %O", error);
+		const status = labelErrorStatus(error);
+		res.status(status).json({
+			error: status === 500 ? "Failed to add synonym" : error.message,
+		});
+	}
+});
+
+// DELETE /api/admin/labels/:id/synonyms/:synonymId
+adminRouter.delete(
+	"/labels/:id/synonyms/:synonymId",
+	canManageLabels,
+	async (req, res) => {
+		try {
+			const labelId = parseInt(req.params.id, 10);
+			const synonymId = parseInt(req.params.synonymId, 10);
+			if (isNaN(labelId) || isNaN(synonymId))
+				return res.status(400).json({ error: "Invalid synonym ID" });
+
+			await labelService.removeSynonym(labelId, synonymId);
+			res.json({ message: "Synonym removed" });
+		} catch (error) {
+			logger.error("Remove label synonym error: %O", error);
+			const status = labelErrorStatus(error);
+			res.status(status).json({
+				error: status === 500 ? "Failed to remove synonym" : error.message,
+			});
+		}
+	},
+);
+
+// GET /api/admin/label-proposals?status=pending
+adminRouter.get("/label-proposals", canManageLabels, async (req, res) => {
+	try {
+		const proposals = await labelService.getLabelProposals({
+			status: req.query.status || undefined,
+		});
+		res.json(proposals);
+	} catch (error) {
+		logger.error("Get label proposals error: %O", error);
+		const status = labelErrorStatus(error);
+		res.status(status).json({
+			error: status === 500 ? "Failed to fetch label proposals" : error.message,
+		});
+	}
+});
+
+// POST /api/admin/label-proposals/:id/approve  body: { name?, description?, color? }
+adminRouter.post(
+	"/label-proposals/:id/approve",
+	canManageLabels,
+	async (req, res) => {
+		try {
+			const proposalId = parseInt(req.params.id, 10);
+			if (isNaN(proposalId))
+				return res.status(400).json({ error: "Invalid proposal ID" });
+
+			const { name, description, color } = req.body ?? {};
+			const label = await labelService.approveLabelProposal(
+				proposalId,
+				req.user.id,
+				{ name, description, color },
+			);
+			res.json(label);
+		} catch (error) {
+			logger.error("Approve label proposal error: %O", error);
+			const status = labelErrorStatus(error);
+			res.status(status).json({
+				error: status === 500 ? "Failed to approve proposal" : error.message,
+			});
+		}
+	},
+);
+
+// POST /api/admin/label-proposals/:id/reject  body: { reason? }
+adminRouter.post(
+	"/label-proposals/:id/reject",
+	canManageLabels,
+	async (req, res) => {
+		try {
+			const proposalId = parseInt(req.params.id, 10);
+			if (isNaN(proposalId))
+				return res.status(400).json({ error: "Invalid proposal ID" });
+
+			const proposal = await labelService.rejectLabelProposal(
+				proposalId,
+				req.user.id,
+				req.body?.reason,
+			);
+			res.json(proposal);
+		} catch (error) {
+			logger.error("Reject label proposal error: %O", error);
+			const status = labelErrorStatus(error);
+			res.status(status).json({
+				error: status === 500 ? "Failed to reject proposal" : error.message,
+			});
+		}
+	},
+);
+
+// GET /api/admin/questions/:questionId/answers — includes soft-deleted answers
+adminRouter.get(
+	"/questions/:questionId/answers",
+	canViewDashboard,
+	async (req, res) => {
+		try {
+			const questionId = parseInt(req.params.questionId, 10);
+			if (isNaN(questionId))
+				return res.status(400).json({ error: "Invalid question ID" });
+			const answers = await getAnswersWithDeletedByQuestionIdDB(questionId);
+			res.json(answers);
+		} catch (error) {
+			logger.error("Admin get answers error: %O", error);
+			res.status(500).json({ error: "Failed to fetch answers" });
+		}
+	},
+);
+
 // DELETE /api/admin/content/:type/:id
-adminRouter.delete("/content/:type/:id", async (req, res) => {
+adminRouter.delete("/content/:type/:id", canModerate, async (req, res) => {
 	try {
 		const { type, id } = req.params;
 		const contentId = parseInt(id, 10);
@@ -1,3 +1,5 @@
+import logger from "../utils/logger.js";
+
 import {
 	deleteContentDB,
 	deleteUserDB,
@@ -5,14 +7,15 @@ import {
 	getRecentContentDB,
 	getStatsDB,
 	setUserActiveDB,
+	setUserRoleDB,
 } from "./adminRepository.js";
 
 export const getStats = async () => {
 	return getStatsDB();
 };
 
-export const getAllUsers = async ({ page, limit, search }) => {
-	return getAllUsersDB({ page, limit, search });
+export const getAllUsers = async ({ page, limit, search, role }) => {
+	return getAllUsersDB({ page, limit, search, role });
 };
 
 export const getRecentContent = async ({ type, page, limit }) => {
@@ -25,6 +28,13 @@ export const setUserActive = async (userId, isActive) => {
 	return user;
 };
 
+export const setUserRole = async (userId, role, grantedBy) => {
+	const user = await setUserRoleDB(userId, role, grantedBy);
+	if (!user) throw new Error("User not found");
+	logger.info("User role changed", { userId, role, grantedBy });
+	return user;
+};
+
 export const deleteUser = async (userId) => {
 	const user = await deleteUserDB(userId);
 	if (!user) throw new Error("User not found");
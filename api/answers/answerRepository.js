@@ -22,14 +22,14 @@ export const getAnswerByQuestionIdDB = async (questionId, userId = null) => {
 			a.created_at, 
 			a.updated_at,
 			a.is_accepted,
-			u.name AS author_name,
+			u.name AS author_name, u.role AS author_role,
 			COALESCE(SUM(CASE WHEN v.vote_type = 'upvote' THEN 1 ELSE 0 END), 0)::int AS upvote_count,
 			COALESCE(SUM(CASE WHEN v.vote_type = 'downvote' THEN 1 ELSE 0 END), 0)::int AS downvote_count
         FROM answers a
         JOIN users u ON a.user_id = u.id
         LEFT JOIN votes v ON a.id = v.answer_id
         WHERE a.question_id = $1 AND a.deleted_at IS NULL
-        GROUP BY a.id, a.content, a.user_id, a.question_id, a.created_at, a.updated_at, a.is_accepted, u.name
+        GROUP BY a.id, a.content, a.user_id, a.question_id, a.created_at, a.updated_at, a.is_accepted, u.name, u.role
         ORDER BY a.is_accepted DESC, a.created_at ASC`,
 		[questionId],
 	);
@@ -71,14 +71,14 @@ export const getAnswersWithDeletedByQuestionIdDB = async (questionId) => {
 			a.updated_at,
 			a.deleted_at,
 			a.is_accepted,
-			u.name AS author_name,
+			u.name AS author_name, u.role AS author_role,
 			COALESCE(SUM(CASE WHEN v.vote_type = 'upvote' THEN 1 ELSE 0 END), 0)::int AS upvote_count,
 			COALESCE(SUM(CASE WHEN v.vote_type = 'downvote' THEN 1 ELSE 0 END), 0)::int AS downvote_count
         FROM answers a
         JOIN users u ON a.user_id = u.id
         LEFT JOIN votes v ON a.id = v.answer_id
         WHERE a.question_id = $1
-        GROUP BY a.id, a.content, a.user_id, a.question_id, a.created_at, a.updated_at, a.deleted_at, a.is_accepted, u.name
+        GROUP BY a.id, a.content, a.user_id, a.question_id, a.created_at, a.updated_at, a.deleted_at, a.is_accepted, u.name, u.role
         ORDER BY a.is_accepted DESC, a.created_at ASC`,
 		[questionId],
 	);
@@ -126,7 +126,9 @@ export const deleteAnswerDB = async (id) => {
 		if (is_accepted) {
 			await client.query(
 				`UPDATE questions
-				 SET is_solved = false, status = 'open', updated_at = NOW()
+				 SET is_solved = false,
+				     status = CASE WHEN status = 'solved' THEN 'open'::question_status ELSE status END,
+				     updated_at = NOW()
 				 WHERE id = $1`,
 				[question_id],
 			);
@@ -192,10 +194,12 @@ export const acceptAnswerDB = async (answerId, questionId) => {
 			[answerId],
 		);
 
-		// Mark question as solved
+		// Mark question as solved (closed/archived questions keep their status)
 		await client.query(
 			`UPDATE questions 
-			 SET is_solved = true, status = 'solved', updated_at = NOW()
+			 SET is_solved = true,
+			     status = CASE WHEN status = 'open' THEN 'solved'::question_status ELSE status END,
+			     updated_at = NOW()
 			 WHERE id = $1`,
 			[questionId],
 		);
@@ -219,7 +223,7 @@ export const getAnswersByUserIdDB = async (userId) => {
             a.question_id,
             a.created_at,
             a.updated_at,
-            u.name AS author_name,
+            u.name AS author_name, u.role AS author_role,
             u.email AS author_email
          FROM answers a
          JOIN users u ON a.user_id = u.id
@@ -243,7 +247,7 @@ export const getAnswersByUserIdWithQuestionsDB = async (
             a.question_id,
             a.created_at,
             a.updated_at,
-            u.name AS author_name,
+            u.name AS author_name, u.role AS author_role,
             u.email AS author_email
          FROM answers a
          JOIN users u ON a.user_id = u.id
@@ -1,6 +1,11 @@
 import express from "express";
 
+import {
+	getAnswerRevisions,
+	rollbackAnswer,
+} from "../revisions/revisionService.js";
 import { authenticateToken } from "../utils/auth.js";
+import { requireVerifiedEmail } from "../utils/emailVerificationAuth.js";
 import logger from "../utils/logger.js";
 
 import {
@@ -15,18 +20,28 @@ import {
 
 const router = express.Router();
 
-router.post("/", authenticateToken(), async (req, res) => {
-	try {
-		const { content, questionId } = req.body;
-		const userId = req.user.id;
-
-		const answer = await createAnswer(content, userId, questionId);
-		res.status(201).json(answer);
-	} catch (error) {
-		logger.error("Create answer error: %O", error);
-		res.status(500).json({ message: error.message });
-	}
-});
+router.post(
+	"/",
+	authenticateToken(),
+	requireVerifiedEmail("post"),
+	async (req, res) => {
+		try {
+			const { content, questionId } = req.body;
+			const userId = req.user.id;
+
+			const answer = await createAnswer(content, userId, questionId);
+			res.status(201).json(answer);
+		} catch (error) {
+			logger.error("Create answer error: %O", error);
+			const statusCode = error.message.includes("not found")
+				? 404
+				: error.message.includes("no longer accepts answers")
+					? 409
+					: 500;
+			res.status(statusCode).json({ message: error.message });
+		}
+	},
+);
 
 router.get("/user/me", authenticateToken(), async (req, res) => {
 	try {
@@ -75,17 +90,65 @@ router.get("/:questionId", async (req, res) => {
 router.put("/:id", authenticateToken(), async (req, res) => {
 	try {
 		const { id } = req.params;
-		const { content } = req.body;
+		const { content, editSummary } = req.body;
 		const userId = req.user.id;
 
-		const updated = await updateAnswer(id, content, userId);
+		const updated = await updateAnswer(id, content, userId, editSummary);
 		res.json(updated);
 	} catch (error) {
 		logger.error("Update answer error: %O", error);
-		res.status(500).json({ message: error.message });
+		const statusCode = error.message.startsWith("Edit summary") ? 400 : 500;
+		res.status(statusCode).json({ message: error.message });
+	}
+});
+
+/**
+ * GET /api/answers/:id/revisions
+ * The answer and every revision of it (content, editor, summary), newest
+ * first
+ */
+router.get("/:id/revisions", async (req, res) => {
+	try {
+		const history = await getAnswerRevisions(req.params.id);
+		res.json(history);
+	} catch (error) {
+		logger.error("Get answer revisions error: %O", error);
+		const statusCode = error.message === "Answer not found" ? 404 : 500;
+		res.status(statusCode).json({ message: error.message });
 	}
 });
 
+/**
+ * POST /api/answers/:id/revisions/:revision/rollback
+ * Restore an earlier revision (author or moderator)
+ */
+router.post(
+	"/:id/revisions/:revision/rollback",
+	authenticateToken(),
+	async (req, res) => {
+		try {
+			const revisionNumber = Number.parseInt(req.params.revision, 10);
+			if (Number.isNaN(revisionNumber)) {
+				return res.status(400).json({ message: "Invalid revision number" });
+			}
+			const answer = await rollbackAnswer(
+				req.params.id,
+				revisionNumber,
+				req.user,
+			);
+			res.json(answer);
+		} catch (error) {
+			logger.error("Roll back answer error: %O", error);
+			const statusCode = error.message.includes("not found")
+				? 404
+				: error.message.includes("not authorised")
+					? 403
+					: 500;
+			res.status(statusCode).json({ message: error.message });
+		}
+	},
+);
+
 router.delete("/:id", authenticateToken(), async (req, res) => {
 	try {
 		const { id } = req.params;
@@ -1,8 +1,10 @@
 import * as authRepository from "../auth/authRepository.js";
-import emailService from "../emails/emailService.js";
+import * as followService from "../follows/followService.js";
 import * as notificationService from "../notifications/notificationService.js";
 import * as questionRepository from "../questions/questionRepository.js";
 import * as reputationService from "../reputation/reputationService.js";
+import * as revisionService from "../revisions/revisionService.js";
+import * as uploadService from "../uploads/uploadService.js";
 import logger from "../utils/logger.js";
 import { sanitizeHtml } from "../utils/security.js";
 
@@ -27,12 +29,49 @@ export const createAnswer = async (content, userId, questionId) => {
 
 		const question = await questionRepository.getQuestionByIdDB(questionId);
 		if (!question) throw new Error("Question not found");
+		if (question.status === "closed" || question.status === "archived") {
+			throw new Error(
+				`This question is ${question.status} and no longer accepts answers`,
+			);
+		}
 
 		const answer = await repository.createAnswerDB({
 			content: sanitizedContent,
 			user_id: userId,
 			question_id: questionId,
 		});
+		await revisionService.recordAnswerRevision(answer, userId);
+
+		uploadService
+			.syncUploadReferences("answer", answer.id, sanitizedContent)
+			.catch((error) => {
+				logger.error("Failed to record answer uploads", {
+					answerId: answer.id,
+					error: error.message,
+				});
+			});
+
+		followService.autoFollowQuestion(userId, questionId).catch((error) => {
+			logger.error("Failed to auto-follow answered question", {
+				questionId,
+				error: error.message,
+			});
+		});
+
+		// The question author gets the direct notification below
+		followService
+			.notifyFollowers(question, "answer_added", {
+				actorId: userId,
+				actorName: answererName,
+				excludeUserIds: [question.user_id],
+				answerId: answer.id,
+			})
+			.catch((error) => {
+				logger.error("Failed to notify followers of new answer", {
+					questionId,
+					error: error.message,
+				});
+			});
 
 		if (question.user_id !== userId) {
 			notificationService
@@ -43,51 +82,13 @@ export const createAnswer = async (content, userId, questionId) => {
 					answererName,
 					question.title,
 					question.slug,
+					content,
 				)
 				.catch((error) => {
 					logger.error("Failed to create answer notification", {
 						error: error.message,
 					});
 				});
-
-			if (question.author_email && question.slug) {
-				emailService
-					.sendAnswerNotification({
-						questionAuthorEmail: question.author_email,
-						questionAuthorName: question.author_name || "User",
-						questionSlug: question.slug,
-						questionId: question.id,
-						questionTitle: question.title,
-						answererName: answererName,
-						answerContent: content,
-					})
-					.then((result) => {
-						if (!result.success) {
-							logger.warn("Email service returned error", {
-								answerId: answer.id,
-								questionId: question.id,
-								error: result.error,
-							});
-						}
-					})
-					.catch((error) => {
-						logger.error("Email sending failed", {
-							answerId: answer.id,
-							questionId: question.id,
-							error: error.message,
-						});
-					});
-			} else if (!question.author_email) {
-				logger.warn("Cannot send email notification - missing author email", {
-					questionId: question.id,
-					hasSlug: !!question.slug,
-				});
-			} else if (!question.slug) {
-				logger.warn("Cannot send email notification - missing question slug", {
-					questionId: question.id,
-					hasEmail: !!question.author_email,
-				});
-			}
 		}
 
 		return answer;
@@ -105,7 +106,7 @@ export const getAnswersByQuestionId = async (questionId, userId = null) => {
 	return answers;
 };
 
-export const updateAnswer = async (id, content, userId) => {
+export const updateAnswer = async (id, content, userId, editSummary = null) => {
 	if (!content) throw new Error("Content cannot be empty");
 
 	const answer = await repository.getAnswerByIdDB(id);
@@ -117,6 +118,7 @@ export const updateAnswer = async (id, content, userId) => {
 	if (answer.user_id !== userId) {
 		throw new Error("Unauthorized: You can only edit your own answer");
 	}
+	const summary = revisionService.normalizeEditSummary(editSummary);
 
 	const sanitizedContent =
 		typeof content === "string" ? sanitizeHtml(content.trim()) : content;
@@ -125,7 +127,19 @@ export const updateAnswer = async (id, content, userId) => {
 		throw new Error("Content cannot be empty");
 	}
 
-	return repository.updateAnswerDB(id, sanitizedContent);
+	const updatedAnswer = await repository.updateAnswerDB(id, sanitizedContent);
+	await revisionService.recordAnswerRevision(updatedAnswer, userId, summary);
+
+	uploadService
+		.syncUploadReferences("answer", answer.id, sanitizedContent)
+		.catch((error) => {
+			logger.error("Failed to record answer uploads", {
+				answerId: answer.id,
+				error: error.message,
+			});
+		});
+
+	return updatedAnswer;
 };
 
 export const deleteAnswer = async (id, userId) => {
@@ -221,7 +235,7 @@ export const acceptAnswer = async (answerId, userId) => {
 
 		if (previouslyAcceptedAnswer && previouslyAcceptedAnswer.id !== answerId) {
 			reputationService
-				.handleAnswerAcceptedReputation(previouslyAcceptedAnswer.user_id, false)
+				.handleAnswerAcceptedReputation(previouslyAcceptedAnswer, false, userId)
 				.catch((error) => {
 					logger.error("Failed to update reputation for unaccepted answer", {
 						error: error.message,
@@ -231,7 +245,7 @@ export const acceptAnswer = async (answerId, userId) => {
 
 		if (!wasPreviouslyAccepted) {
 			reputationService
-				.handleAnswerAcceptedReputation(answer.user_id, true)
+				.handleAnswerAcceptedReputation(answer, true, userId)
 				.catch((error) => {
 					logger.error("Failed to update reputation for accepted answer", {
 						error: error.message,
@@ -255,6 +269,21 @@ export const acceptAnswer = async (answerId, userId) => {
 				});
 		}
 
+		if (!wasPreviouslyAccepted) {
+			followService
+				.notifyFollowers(question, "answer_accepted", {
+					actorId: userId,
+					excludeUserIds: [answer.user_id],
+					answerId,
+				})
+				.catch((error) => {
+					logger.error("Failed to notify followers of accepted answer", {
+						questionId: question.id,
+						error: error.message,
+					});
+				});
+		}
+
 		return acceptedAnswer;
 	} catch (error) {
 		logger.error("Error accepting answer", {
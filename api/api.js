@@ -5,21 +5,33 @@ import answerRouter from "./answers/answerRouter.js";
 import authRouter from "./auth/authRouter.js";
 import commentRouter from "./comments/commentRouter.js";
 import deviceTokenRouter from "./deviceTokens/deviceTokenRouter.js";
+import digestRouter from "./digests/digestRouter.js";
+import followRouter from "./follows/followRouter.js";
+import labelRouter from "./labels/labelRouter.js";
 import notificationRouter from "./notifications/notificationRouter.js";
+import privilegeRouter from "./privileges/privilegeRouter.js";
 import pushConfigRouter from "./pushNotifications/pushConfigRouter.js";
 import questionRouter from "./questions/questionRouter.js";
+import suggestedEditRouter from "./suggestedEdits/suggestedEditRouter.js";
 import uploadRouter from "./uploads/uploadRouter.js";
 import userRouter from "./users/userRouter.js";
 import voteRouter from "./votes/voteRouter.js";
+import watchRouter from "./watches/watchRouter.js";
 
 const api = Router();
 
 api.use("/questions", questionRouter);
 api.use("/answers", answerRouter);
+api.use("/suggested-edits", suggestedEditRouter);
 api.use("/votes", voteRouter);
 api.use("/comments", commentRouter);
+api.use("/follows", followRouter);
+api.use("/watches", watchRouter);
+api.use("/labels", labelRouter);
 api.use("/notifications", notificationRouter);
 api.use("/users", userRouter);
+api.use("/privileges", privilegeRouter);
+api.use("/digests", digestRouter);
 api.use("/devices", deviceTokenRouter);
 api.use("/push", pushConfigRouter);
 api.use("/upload", uploadRouter);
@@ -1,10 +1,8 @@
-import path from "path";
-import { fileURLToPath } from "url";
-
 import express from "express";
 
 import apiRouter from "./api.js";
 import { testConnection } from "./db.js";
+import uploadServeRouter from "./uploads/uploadServeRouter.js";
 import config from "./utils/config.js";
 import {
 	clientRouter,
@@ -16,9 +14,6 @@ import {
 } from "./utils/middleware.js";
 import { generalLimiter, speedLimiter } from "./utils/rateLimiter.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const API_ROOT = "/api";
 
 const app = express();
@@ -34,7 +29,7 @@ app.use(configuredCors());
 app.use(configuredHelmet());
 app.use(configuredMorgan());
 
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+app.use("/uploads", uploadServeRouter);
 
 // Apply rate limiting to all API routes except the SSE stream
 // (SSE is a long-lived connection and should not count against the limit)
@@ -13,11 +13,11 @@ export async function findUserByEmail(email) {
 	}
 }
 
-export async function createUser(name, email, hashedPassword) {
+export async function createUser(name, email, hashedPassword, role = null) {
 	try {
 		const result = await db.query(
-			"INSERT INTO users (name, email, hashed_password) VALUES ($1, $2, $3) RETURNING id, name, email",
-			[name, email, hashedPassword],
+			"INSERT INTO users (name, email, hashed_password, role) VALUES ($1, $2, $3, COALESCE($4, 'trainee')::user_role) RETURNING id, name, email, is_email_verified, role",
+			[name, email, hashedPassword, role],
 		);
 		return result.rows[0];
 	} catch (error) {
@@ -29,7 +29,7 @@ export async function createUser(name, email, hashedPassword) {
 export async function findUserById(id) {
 	try {
 		const result = await db.query(
-			"SELECT id, name, email FROM users WHERE id = $1",
+			"SELECT id, name, email, reputation, is_email_verified, role FROM users WHERE id = $1",
 			[id],
 		);
 		return result.rows[0];
@@ -57,21 +57,3 @@ export async function updateUserPasswordDB(userId, hashedPassword) {
 		throw error;
 	}
 }
-
-/**
- * Get all active users (for notifications)
- * @returns {Promise<Array>} Array of user objects with id
- */
-export async function getAllUsers() {
-	try {
-		const result = await db.query(
-			`SELECT id FROM users 
-			 WHERE (deleted_at IS NULL)
-			 AND (is_active IS NULL OR is_active = true)`,
-		);
-		return result.rows;
-	} catch (error) {
-		logger.error("Error getting all users: %O", error);
-		throw error;
-	}
-}
@@ -1,10 +1,12 @@
 import { Router } from "express";
 
+import emailVerificationRouter from "../emailVerification/emailVerificationRouter.js";
+import { sendVerificationEmail } from "../emailVerification/emailVerificationService.js";
 import passwordResetRouter from "../passwordReset/passwordResetRouter.js";
 import * as refreshTokenService from "../refreshTokens/refreshTokenService.js";
-import { isAdminEmail } from "../utils/adminAuth.js";
 import { generateToken } from "../utils/auth.js";
 import logger from "../utils/logger.js";
+import { getRolePermissions } from "../utils/permissions.js";
 import { authLimiter } from "../utils/rateLimiter.js";
 import validate from "../utils/validation.js";
 
@@ -25,6 +27,11 @@ authRouter.post("/signup", validate(signupSchema), async (req, res) => {
 		const newUser = await authService.signUp(name, email, password);
 		const accessToken = generateToken(newUser.id);
 
+		// Don't hold up signup on the verification email
+		sendVerificationEmail(newUser).catch((error) => {
+			logger.error("Failed to send verification email: %O", error);
+		});
+
 		// Create refresh token
 		const deviceInfo = req.headers["user-agent"] || null;
 		const ipAddress = req.ip || req.connection.remoteAddress || null;
@@ -35,7 +42,7 @@ authRouter.post("/signup", validate(signupSchema), async (req, res) => {
 		);
 
 		res.status(201).json({
-			user: { ...newUser, is_admin: isAdminEmail(newUser.email) },
+			user: { ...newUser, permissions: getRolePermissions(newUser.role) },
 			accessToken,
 			refreshToken: refreshTokenData.token,
 			expiresAt: refreshTokenData.expiresAt.toISOString(),
@@ -66,7 +73,7 @@ authRouter.post("/login", validate(loginSchema), async (req, res) => {
 		);
 
 		res.status(200).json({
-			user: { ...user, is_admin: isAdminEmail(user.email) },
+			user: { ...user, permissions: getRolePermissions(user.role) },
 			accessToken,
 			refreshToken: refreshTokenData.token,
 			expiresAt: refreshTokenData.expiresAt.toISOString(),
@@ -88,4 +95,7 @@ authRouter.use("/", refreshRouter);
 // Mount password reset routes
 authRouter.use("/", passwordResetRouter);
 
+// Mount email verification routes
+authRouter.use("/", emailVerificationRouter);
+
 export default authRouter;
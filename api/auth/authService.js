@@ -1,6 +1,7 @@
 import bcrypt from "bcrypt";
 
 import * as accountLockout from "../utils/accountLockout.js";
+import config from "../utils/config.js";
 
 import * as repository from "./authRepository.js";
 
@@ -15,10 +16,16 @@ export async function signUp(name, email, password) {
 
 	const hashedPassword = await bcrypt.hash(password, 10);
 
+	// ADMIN_EMAILS lets a fresh deployment's first admins sign up as admins
+	const role = config.bootstrapAdminEmails.includes(normalizedEmail)
+		? "admin"
+		: null;
+
 	const newUser = await repository.createUser(
 		normalizedName,
 		normalizedEmail,
 		hashedPassword,
+		role,
 	);
 	return newUser;
 }
@@ -39,7 +39,7 @@ export const getCommentsByAnswerIdDB = async (answerId) => {
 	try {
 		const result = await db.query(
 			`SELECT c.id, c.content, c.answer_id, c.user_id, c.created_at, c.updated_at,
-			        u.name AS author_name
+			        u.name AS author_name, u.role AS author_role
 			 FROM comments c
 			 JOIN users u ON c.user_id = u.id
 			 WHERE c.answer_id = $1
@@ -62,7 +62,7 @@ export const getCommentsByQuestionIdDB = async (questionId) => {
 	try {
 		const result = await db.query(
 			`SELECT c.id, c.content, c.question_id, c.user_id, c.created_at, c.updated_at,
-			        u.name AS author_name
+			        u.name AS author_name, u.role AS author_role
 			 FROM comments c
 			 JOIN users u ON c.user_id = u.id
 			 WHERE c.question_id = $1
@@ -89,7 +89,7 @@ export const getCommentsForAnswersDB = async (answerIds) => {
 	try {
 		const result = await db.query(
 			`SELECT c.id, c.content, c.answer_id, c.user_id, c.created_at, c.updated_at,
-			        u.name AS author_name
+			        u.name AS author_name, u.role AS author_role
 			 FROM comments c
 			 JOIN users u ON c.user_id = u.id
 			 WHERE c.answer_id = ANY($1)
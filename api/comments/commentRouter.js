@@ -1,6 +1,7 @@
 import express from "express";
 
 import { authenticateToken } from "../utils/auth.js";
+import { requireVerifiedEmail } from "../utils/emailVerificationAuth.js";
 import logger from "../utils/logger.js";
 
 import {
@@ -20,49 +21,55 @@ const router = express.Router();
  * Create a new comment on an answer or question
  * Requires either answer_id OR question_id (but not both)
  */
-router.post("/", authenticateToken(), async (req, res) => {
-	try {
-		const { content, answer_id, question_id } = req.body;
-		const userId = req.user.id;
-
-		if (!content) {
-			return res.status(400).json({
-				message: "Content is required",
-			});
+router.post(
+	"/",
+	authenticateToken(),
+	requireVerifiedEmail("comment"),
+	async (req, res) => {
+		try {
+			const { content, answer_id, question_id } = req.body;
+			const userId = req.user.id;
+
+			if (!content) {
+				return res.status(400).json({
+					message: "Content is required",
+				});
+			}
+
+			if (!answer_id && !question_id) {
+				return res.status(400).json({
+					message: "Either answer_id or question_id is required",
+				});
+			}
+
+			if (answer_id && question_id) {
+				return res.status(400).json({
+					message: "Cannot specify both answer_id and question_id",
+				});
+			}
+
+			let comment;
+			if (answer_id) {
+				comment = await createCommentOnAnswer(content, answer_id, userId);
+			} else {
+				comment = await createCommentOnQuestion(content, question_id, userId);
+			}
+
+			res.status(201).json(comment);
+		} catch (error) {
+			logger.error("Create comment error: %O", error);
+			const statusCode =
+				error.message === "Answer not found" ||
+				error.message === "Question not found"
+					? 404
+					: error.message.includes("Unauthorized") ||
+						  error.message.includes("reputation")
+						? 403
+						: 500;
+			res.status(statusCode).json({ message: error.message });
 		}
-
-		if (!answer_id && !question_id) {
-			return res.status(400).json({
-				message: "Either answer_id or question_id is required",
-			});
-		}
-
-		if (answer_id && question_id) {
-			return res.status(400).json({
-				message: "Cannot specify both answer_id and question_id",
-			});
-		}
-
-		let comment;
-		if (answer_id) {
-			comment = await createCommentOnAnswer(content, answer_id, userId);
-		} else {
-			comment = await createCommentOnQuestion(content, question_id, userId);
-		}
-
-		res.status(201).json(comment);
-	} catch (error) {
-		logger.error("Create comment error: %O", error);
-		const statusCode =
-			error.message === "Answer not found" ||
-			error.message === "Question not found"
-				? 404
-				: error.message.includes("Unauthorized")
-					? 403
-					: 500;
-		res.status(statusCode).json({ message: error.message });
-	}
-});
+	},
+);
 
 /**
  * GET /api/comments/answer/:answerId
@@ -1,12 +1,88 @@
 import * as answerRepository from "../answers/answerRepository.js";
 import * as authRepository from "../auth/authRepository.js";
+import * as followService from "../follows/followService.js";
 import * as notificationService from "../notifications/notificationService.js";
+import {
+	getPrivilegeThreshold,
+	hasPrivilege,
+} from "../privileges/privilegeService.js";
 import * as questionRepository from "../questions/questionRepository.js";
+import * as uploadService from "../uploads/uploadService.js";
 import logger from "../utils/logger.js";
 import { sanitizeText } from "../utils/security.js";
 
 import * as repository from "./commentRepository.js";
 
+/**
+ * Auto-follow the commented question and notify its other followers
+ * (non-blocking). The question author is skipped because they get a
+ * direct comment notification.
+ * @param {Object} question - Question row
+ * @param {number} userId - Commenter's user ID
+ * @param {string} commenterName - Commenter's name
+ * @param {Object} ids - { answerId, commentId }
+ */
+const followAndNotifyFollowers = (question, userId, commenterName, ids) => {
+	followService.autoFollowQuestion(userId, question.id).catch((error) => {
+		logger.error("Failed to auto-follow commented question", {
+			questionId: question.id,
+			error: error.message,
+		});
+	});
+
+	followService
+		.notifyFollowers(question, "comment_added", {
+			actorId: userId,
+			actorName: commenterName,
+			excludeUserIds: [question.user_id],
+			answerId: ids.answerId || null,
+			commentId: ids.commentId,
+		})
+		.catch((error) => {
+			logger.error("Failed to notify followers of new comment", {
+				questionId: question.id,
+				error: error.message,
+			});
+		});
+};
+
+/**
+ * Check the user may comment on a post. Anyone can comment on their own posts
+ * and on answers to their questions; elsewhere it needs the
+ * comment_everywhere privilege.
+ * @param {number} userId - Commenter's user ID
+ * @param {number[]} ownerIds - Authors of the post and its question
+ * @returns {Promise<Object>} Commenter's user row
+ */
+const ensureCanComment = async (userId, ownerIds) => {
+	const commenter = await authRepository.findUserById(userId);
+	if (
+		!ownerIds.includes(userId) &&
+		!hasPrivilege(commenter, "comment_everywhere")
+	) {
+		throw new Error(
+			`You need at least ${getPrivilegeThreshold("comment_everywhere")} reputation to comment on other people's posts`,
+		);
+	}
+	return commenter;
+};
+
+/**
+ * Record which uploads a comment links to (non-blocking)
+ * @param {number} commentId - Comment ID
+ * @param {string} content - Sanitized comment content
+ */
+const recordCommentUploads = (commentId, content) => {
+	uploadService
+		.syncUploadReferences("comment", commentId, content)
+		.catch((error) => {
+			logger.error("Failed to record comment uploads", {
+				commentId,
+				error: error.message,
+			});
+		});
+};
+
 /**
  * Create a comment on an answer
  * @param {string} content - Comment content
@@ -32,22 +108,31 @@ export const createCommentOnAnswer = async (content, answerId, userId) => {
 		throw new Error("Answer not found");
 	}
 
+	// Get question to find question author (we notify question author, not answer author)
+	const question = await questionRepository.getQuestionByIdDB(
+		answer.question_id,
+	);
+	const commenter = await ensureCanComment(userId, [
+		answer.user_id,
+		question?.user_id,
+	]);
+
 	try {
 		const comment = await repository.createCommentDB({
 			content: sanitizedContent,
 			answer_id: answerId,
 			user_id: userId,
 		});
+		recordCommentUploads(comment.id, sanitizedContent);
 
-		// Get question to find question author (we notify question author, not answer author)
-		const question = await questionRepository.getQuestionByIdDB(
-			answer.question_id,
-		);
 		if (question) {
-			// Get commenter name
-			const commenter = await authRepository.findUserById(userId);
 			const commenterName = commenter?.name || "Someone";
 
+			followAndNotifyFollowers(question, userId, commenterName, {
+				answerId,
+				commentId: comment.id,
+			});
+
 			// Create notification for question author (not answer author)
 			// Don't notify if commenting on own question
 			if (question.user_id !== userId) {
@@ -101,6 +186,7 @@ export const createCommentOnQuestion = async (content, questionId, userId) => {
 	if (!question) {
 		throw new Error("Question not found");
 	}
+	const commenter = await ensureCanComment(userId, [question.user_id]);
 
 	try {
 		const comment = await repository.createCommentDB({
@@ -108,11 +194,14 @@ export const createCommentOnQuestion = async (content, questionId, userId) => {
 			question_id: questionId,
 			user_id: userId,
 		});
+		recordCommentUploads(comment.id, sanitizedContent);
 
-		// Get commenter name
-		const commenter = await authRepository.findUserById(userId);
 		const commenterName = commenter?.name || "Someone";
 
+		followAndNotifyFollowers(question, userId, commenterName, {
+			commentId: comment.id,
+		});
+
 		// Create notification for question author (don't notify if commenting on own question)
 		if (question.user_id !== userId) {
 			notificationService
@@ -196,7 +285,12 @@ export const updateComment = async (commentId, content, userId) => {
 		throw new Error("Unauthorized: You can only edit your own comments");
 	}
 
-	return repository.updateCommentDB(commentId, sanitizedContent);
+	const updatedComment = await repository.updateCommentDB(
+		commentId,
+		sanitizedContent,
+	);
+	recordCommentUploads(commentId, sanitizedContent);
+	return updatedComment;
 };
 
 /**
@@ -0,0 +1,219 @@
+import db from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Get a user's digest subscription
+ * @param {number} userId - User ID
+ * @returns {Promise<{frequency: string, last_sent_at: Date|null}|null>}
+ *   Null if the user never changed the setting or received a digest
+ */
+export const getDigestSubscriptionDB = async (userId) => {
+	const result = await db.query(
+		`SELECT frequency, last_sent_at
+		 FROM email_digest_subscriptions
+		 WHERE user_id = $1`,
+		[userId],
+	);
+	return result.rows[0] || null;
+};
+
+/**
+ * Set how often a user receives the digest
+ * @param {number} userId - User ID
+ * @param {string} frequency - "off", "daily" or "weekly"
+ * @returns {Promise<{frequency: string, last_sent_at: Date|null}>}
+ */
+export const setDigestFrequencyDB = async (userId, frequency) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO email_digest_subscriptions (user_id, frequency)
+			 VALUES ($1, $2)
+			 ON CONFLICT (user_id) DO UPDATE
+			 SET frequency = EXCLUDED.frequency, updated_at = NOW()
+			 RETURNING frequency, last_sent_at`,
+			[userId, frequency],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error updating digest frequency", {
+			userId,
+			frequency,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Turn the digest off for the subscription owning an unsubscribe token
+ * @param {string} token - Unsubscribe token from the digest email
+ * @returns {Promise<boolean>} True if the token matched a subscription
+ */
+export const unsubscribeByTokenDB = async (token) => {
+	const result = await db.query(
+		`UPDATE email_digest_subscriptions
+		 SET frequency = 'off', updated_at = NOW()
+		 WHERE unsubscribe_token = $1`,
+		[token],
+	);
+	return result.rowCount > 0;
+};
+
+/**
+ * Claim the next users whose digest is due, marking it as sent.
+ *
+ * A digest is due once its interval (a day or a week) has passed since the
+ * last one. Only users who chose a frequency have a row, so nobody gets a
+ * digest without opting in. Due rows are locked with SKIP LOCKED, so two API
+ * instances running the job at once never claim the same user. If the email
+ * can't be sent, hand `previous_sent_at` to releaseDigestClaimDB so the
+ * digest is retried on the next run.
+ * @param {number} batchSize - Maximum users to claim
+ * @returns {Promise<Array<{user_id: number, name: string, email: string, frequency: string, unsubscribe_token: string, previous_sent_at: Date|null}>>}
+ */
+export const claimDueDigestsDB = async (batchSize) => {
+	try {
+		const result = await db.query(
+			`WITH due AS (
+				SELECT s.user_id, s.last_sent_at AS previous_sent_at
+				FROM email_digest_subscriptions s
+				JOIN users u ON u.id = s.user_id
+				WHERE u.deleted_at IS NULL
+					AND u.is_active = true
+					AND s.frequency != 'off'
+					AND (
+						s.last_sent_at IS NULL
+						OR s.last_sent_at <= NOW() - CASE s.frequency
+							WHEN 'daily' THEN INTERVAL '1 day'
+							ELSE INTERVAL '7 days'
+						END
+					)
+				ORDER BY s.user_id
+				LIMIT $1
+				FOR UPDATE OF s SKIP LOCKED
+			),
+			claimed AS (
+				UPDATE email_digest_subscriptions s
+				SET last_sent_at = NOW()
+				FROM due
+				WHERE s.user_id = due.user_id
+				RETURNING s.user_id, s.frequency, s.unsubscribe_token,
+					due.previous_sent_at
+			)
+			SELECT c.user_id, c.frequency, c.unsubscribe_token,
+				c.previous_sent_at, u.name, u.email
+			FROM claimed c
+			JOIN users u ON u.id = c.user_id`,
+			[batchSize],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error claiming due digests", { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Undo a claim whose digest wasn't sent or queued, so it is due again
+ * @param {number} userId - User ID
+ * @param {Date|null} previousSentAt - last_sent_at before the claim
+ * @returns {Promise<void>}
+ */
+export const releaseDigestClaimDB = async (userId, previousSentAt) => {
+	try {
+		await db.query(
+			`UPDATE email_digest_subscriptions
+			 SET last_sent_at = $2
+			 WHERE user_id = $1`,
+			[userId, previousSentAt],
+		);
+	} catch (error) {
+		logger.error("Error releasing digest claim", {
+			userId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get a user's most recent unread notifications
+ * @param {number} userId - User ID
+ * @param {number} limit - Maximum notifications
+ * @returns {Promise<{notifications: Array, total: number}>}
+ */
+export const getUnreadNotificationsForDigestDB = async (userId, limit) => {
+	const result = await db.query(
+		`SELECT n.id, n.type, n.message, n.created_at,
+			q.id AS question_id, q.slug AS question_slug,
+			COUNT(*) OVER ()::integer AS total
+		 FROM notifications n
+		 LEFT JOIN questions q ON q.id = n.related_question_id
+		 WHERE n.user_id = $1
+			AND n.read = false
+			AND (n.related_question_id IS NULL OR q.deleted_at IS NULL)
+		 ORDER BY n.created_at DESC
+		 LIMIT $2`,
+		[userId, limit],
+	);
+	return {
+		notifications: result.rows,
+		total: result.rows[0]?.total ?? 0,
+	};
+};
+
+/**
+ * Get open questions without answers, asked since a date, in labels the
+ * user watches (excluding the user's own questions)
+ * @param {number} userId - User ID
+ * @param {Date} since - Start of the digest period
+ * @param {number} limit - Maximum questions
+ * @returns {Promise<Array<{id: number, title: string, slug: string, created_at: Date}>>}
+ */
+export const getUnansweredWatchedQuestionsDB = async (userId, since, limit) => {
+	const result = await db.query(
+		`SELECT q.id, q.title, q.slug, q.created_at
+		 FROM questions q
+		 WHERE q.deleted_at IS NULL
+			AND q.status = 'open'
+			AND q.answer_count = 0
+			AND q.created_at >= $2
+			AND q.user_id != $1
+			AND EXISTS (
+				SELECT 1
+				FROM question_labels ql
+				JOIN label_watches w ON w.label_id = ql.label_id
+				WHERE ql.question_id = q.id AND w.user_id = $1
+			)
+		 ORDER BY q.created_at DESC
+		 LIMIT $3`,
+		[userId, since, limit],
+	);
+	return result.rows;
+};
+
+/**
+ * Get the highest-voted answers posted since a date
+ * @param {Date} since - Start of the digest period
+ * @param {number} limit - Maximum answers
+ * @returns {Promise<Array<{id: number, content: string, score: number, author_name: string, question_id: number, question_title: string, question_slug: string}>>}
+ */
+export const getTopAnswersSinceDB = async (since, limit) => {
+	const result = await db.query(
+		`SELECT a.id, a.content,
+			(a.upvote_count - a.downvote_count) AS score,
+			u.name AS author_name,
+			q.id AS question_id, q.title AS question_title, q.slug AS question_slug
+		 FROM answers a
+		 JOIN questions q ON q.id = a.question_id
+		 JOIN users u ON u.id = a.user_id
+		 WHERE a.deleted_at IS NULL
+			AND q.deleted_at IS NULL
+			AND a.created_at >= $1
+			AND a.upvote_count - a.downvote_count > 0
+		 ORDER BY score DESC, a.created_at DESC
+		 LIMIT $2`,
+		[since, limit],
+	);
+	return result.rows;
+};
@@ -0,0 +1,70 @@
+import { Router } from "express";
+
+import { authenticateToken } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+import { authLimiter } from "../utils/rateLimiter.js";
+
+import {
+	getDigestSettings,
+	unsubscribe,
+	updateDigestSettings,
+} from "./digestService.js";
+
+const router = Router();
+
+/**
+ * GET /api/digests/settings
+ * How often the authenticated user receives the activity digest email
+ */
+router.get("/settings", authenticateToken(), async (req, res) => {
+	try {
+		const settings = await getDigestSettings(req.user.id);
+		res.json(settings);
+	} catch (error) {
+		logger.error("Get digest settings error: %O", error);
+		res.status(500).json({ error: "Failed to fetch digest settings" });
+	}
+});
+
+/**
+ * PUT /api/digests/settings
+ * Body: { frequency: "off" | "daily" | "weekly" }
+ */
+router.put("/settings", authenticateToken(), async (req, res) => {
+	try {
+		const settings = await updateDigestSettings(
+			req.user.id,
+			req.body?.frequency,
+		);
+		res.json(settings);
+	} catch (error) {
+		logger.error("Update digest settings error: %O", error);
+		if (error.message === "Invalid digest frequency") {
+			return res.status(400).json({ error: error.message });
+		}
+		res.status(500).json({ error: "Failed to update digest settings" });
+	}
+});
+
+/**
+ * POST /api/digests/unsubscribe
+ * Turn the digest off from an email's unsubscribe link; no login needed.
+ * Body: { token }
+ */
+router.post("/unsubscribe", authLimiter, async (req, res) => {
+	try {
+		await unsubscribe(req.body?.token);
+		res.json({ frequency: "off" });
+	} catch (error) {
+		if (error.message === "Invalid unsubscribe link") {
+			return res.status(400).json({ error: error.message });
+		}
+		if (error.message === "Unsubscribe link not found") {
+			return res.status(404).json({ error: error.message });
+		}
+		logger.error("Unsubscribe from digest error: %O", error);
+		res.status(500).json({ error: "Failed to unsubscribe" });
+	}
+});
+
+export default router;
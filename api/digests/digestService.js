@@ -0,0 +1,238 @@
+import emailService from "../emails/emailService.js";
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+import * as repository from "./digestRepository.js";
+
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+/** Frequency for users who never chose one: the digest is opt-in */
+export const DEFAULT_DIGEST_FREQUENCY = "off";
+
+const PERIOD_MS = {
+	daily: 24 * 60 * 60 * 1000,
+	weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+const MAX_NOTIFICATIONS = 10;
+const MAX_QUESTIONS = 5;
+const MAX_TOP_ANSWERS = 5;
+
+/**
+ * Upper bound on batches sent per run; anyone left over is picked up on the
+ * next run.
+ */
+const MAX_BATCHES_PER_RUN = 10;
+
+/** @type {NodeJS.Timeout | null} */
+let digestTimer = null;
+
+/** @type {Promise<number> | null} */
+let activeRun = null;
+
+/**
+ * Get how often the user receives the digest
+ * @param {number} userId - User ID
+ * @returns {Promise<{frequency: string, lastSentAt: Date|null}>}
+ */
+export const getDigestSettings = async (userId) => {
+	const subscription = await repository.getDigestSubscriptionDB(userId);
+	return {
+		frequency: subscription?.frequency ?? DEFAULT_DIGEST_FREQUENCY,
+		lastSentAt: subscription?.last_sent_at ?? null,
+	};
+};
+
+/**
+ * Change how often the user receives the digest
+ * @param {number} userId - User ID
+ * @param {string} frequency - "off", "daily" or "weekly"
+ * @returns {Promise<{frequency: string, lastSentAt: Date|null}>}
+ */
+export const updateDigestSettings = async (userId, frequency) => {
+	if (!DIGEST_FREQUENCIES.includes(frequency)) {
+		throw new Error("Invalid digest frequency");
+	}
+	const subscription = await repository.setDigestFrequencyDB(userId, frequency);
+	return {
+		frequency: subscription.frequency,
+		lastSentAt: subscription.last_sent_at,
+	};
+};
+
+/**
+ * Turn the digest off using the token from an email's unsubscribe link
+ * @param {string} token - Unsubscribe token
+ * @returns {Promise<void>}
+ */
+export const unsubscribe = async (token) => {
+	if (typeof token !== "string" || !/^[0-9a-f]{32}$/.test(token)) {
+		throw new Error("Invalid unsubscribe link");
+	}
+	if (!(await repository.unsubscribeByTokenDB(token))) {
+		throw new Error("Unsubscribe link not found");
+	}
+};
+
+/**
+ * Collect what goes into one user's digest
+ * @param {{user_id: number, frequency: string}} subscriber
+ * @param {Date} since - Start of the digest period
+ * @param {Array} topAnswers - Top answers for the period (shared by everyone)
+ * @returns {Promise<{notifications: Array, unreadCount: number, unansweredQuestions: Array, topAnswers: Array}>}
+ */
+const buildDigest = async (subscriber, since, topAnswers) => {
+	const [{ notifications, total }, unansweredQuestions] = await Promise.all([
+		repository.getUnreadNotificationsForDigestDB(
+			subscriber.user_id,
+			MAX_NOTIFICATIONS,
+		),
+		repository.getUnansweredWatchedQuestionsDB(
+			subscriber.user_id,
+			since,
+			MAX_QUESTIONS,
+		),
+	]);
+	return {
+		notifications,
+		unreadCount: total,
+		unansweredQuestions,
+		topAnswers,
+	};
+};
+
+/**
+ * Make a claimed digest due again so the next run retries it
+ * @param {{user_id: number, previous_sent_at: Date|null}} subscriber
+ * @returns {Promise<void>}
+ */
+const releaseClaim = async (subscriber) => {
+	try {
+		await repository.releaseDigestClaimDB(
+			subscriber.user_id,
+			subscriber.previous_sent_at,
+		);
+	} catch {
+		// Already logged; the user misses this period's digest
+	}
+};
+
+/**
+ * Send digests to every user whose digest is due
+ * @returns {Promise<number>} Number of digests sent
+ */
+export const sendDueDigests = async () => {
+	// Don't start a second run while the previous one is still going
+	if (activeRun) {
+		return activeRun;
+	}
+
+	activeRun = (async () => {
+		let sent = 0;
+		const now = Date.now();
+		// Top answers don't depend on the user, so fetch them once per frequency
+		const topAnswersByFrequency = {};
+
+		try {
+			for (let i = 0; i < MAX_BATCHES_PER_RUN; i++) {
+				const subscribers = await repository.claimDueDigestsDB(
+					config.digestBatchSize,
+				);
+				if (subscribers.length === 0) break;
+
+				for (const subscriber of subscribers) {
+					const since = new Date(now - PERIOD_MS[subscriber.frequency]);
+					try {
+						topAnswersByFrequency[subscriber.frequency] ??=
+							await repository.getTopAnswersSinceDB(since, MAX_TOP_ANSWERS);
+
+						const digest = await buildDigest(
+							subscriber,
+							since,
+							topAnswersByFrequency[subscriber.frequency],
+						);
+						// Nothing to report: skip this period rather than send an empty email
+						if (
+							digest.unreadCount === 0 &&
+							digest.unansweredQuestions.length === 0 &&
+							digest.topAnswers.length === 0
+						) {
+							continue;
+						}
+
+						const result = await emailService.sendDigestEmail({
+							userEmail: subscriber.email,
+							userName: subscriber.name,
+							frequency: subscriber.frequency,
+							unsubscribeToken: subscriber.unsubscribe_token,
+							...digest,
+						});
+						if (result.success) {
+							sent++;
+						} else {
+							logger.warn("Email service returned error for digest", {
+								userId: subscriber.user_id,
+								error: result.error,
+								queued: result.queued,
+							});
+							// A queued email is retried by the email queue
+							if (!result.queued) {
+								await releaseClaim(subscriber);
+							}
+						}
+					} catch (error) {
+						logger.error("Failed to send digest", {
+							userId: subscriber.user_id,
+							error: error.message,
+						});
+						await releaseClaim(subscriber);
+					}
+				}
+
+				if (subscribers.length < config.digestBatchSize) break;
+			}
+			if (sent > 0) {
+				logger.info("Sent activity digests", { sent });
+			}
+		} catch (error) {
+			logger.error("Failed to send activity digests", {
+				error: error.message,
+			});
+		}
+		return sent;
+	})();
+
+	try {
+		return await activeRun;
+	} finally {
+		activeRun = null;
+	}
+};
+
+/**
+ * Start periodically sending due digests
+ */
+export const startDigestScheduler = () => {
+	if (digestTimer) {
+		return;
+	}
+	digestTimer = setInterval(sendDueDigests, config.digestCheckIntervalMs);
+	// Don't keep the process alive just to send digests
+	digestTimer.unref();
+	logger.info(
+		"Digest scheduler started (every %dms)",
+		config.digestCheckIntervalMs,
+	);
+};
+
+/**
+ * Stop the digest scheduler and wait for any run in progress
+ * @returns {Promise<void>}
+ */
+export const stopDigestScheduler = async () => {
+	if (digestTimer) {
+		clearInterval(digestTimer);
+		digestTimer = null;
+	}
+	await activeRun;
+};
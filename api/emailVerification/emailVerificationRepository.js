@@ -0,0 +1,103 @@
+/**
+ * Email verification token repository
+ * Handles database operations for email verification tokens
+ */
+
+import crypto from "crypto";
+
+import db, { getClient } from "../db.js";
+import { hashToken } from "../passwordReset/passwordResetRepository.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Create an email verification token, invalidating the user's earlier ones
+ * @param {number} userId - User ID
+ * @param {Date} expiresAt - Expiration date
+ * @returns {Promise<string>} Plain token (before hashing)
+ */
+export const createVerificationTokenDB = async (userId, expiresAt) => {
+	try {
+		const plainToken = crypto.randomBytes(32).toString("hex");
+
+		await db.query(
+			`UPDATE email_verification_tokens
+			 SET used_at = NOW()
+			 WHERE user_id = $1 AND used_at IS NULL`,
+			[userId],
+		);
+
+		await db.query(
+			`INSERT INTO email_verification_tokens (user_id, token, expires_at)
+			 VALUES ($1, $2, $3)`,
+			[userId, hashToken(plainToken), expiresAt],
+		);
+
+		return plainToken;
+	} catch (error) {
+		logger.error("Error creating email verification token", {
+			userId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Use a verification token: mark it used and the user's email verified
+ * @param {string} token - Plain token
+ * @returns {Promise<Object|null>} The verified user, or null if the token is
+ *   invalid, expired or already used
+ */
+export const verifyEmailWithTokenDB = async (token) => {
+	const client = await getClient();
+	try {
+		await client.query("BEGIN");
+
+		const tokenResult = await client.query(
+			`UPDATE email_verification_tokens
+			 SET used_at = NOW()
+			 WHERE token = $1 AND used_at IS NULL AND expires_at > NOW()
+			 RETURNING user_id`,
+			[hashToken(token)],
+		);
+
+		if (tokenResult.rows.length === 0) {
+			await client.query("ROLLBACK");
+			return null;
+		}
+
+		const userResult = await client.query(
+			`UPDATE users
+			 SET is_email_verified = true,
+			     email_verified_at = COALESCE(email_verified_at, NOW()),
+			     updated_at = NOW()
+			 WHERE id = $1
+			 RETURNING id, email, is_email_verified, email_verified_at`,
+			[tokenResult.rows[0].user_id],
+		);
+
+		await client.query("COMMIT");
+		return userResult.rows[0] || null;
+	} catch (error) {
+		await client.query("ROLLBACK");
+		logger.error("Error verifying email", { error: error.message });
+		throw error;
+	} finally {
+		client.release();
+	}
+};
+
+/**
+ * Get a user's verification status
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { id, name, email, is_email_verified }
+ */
+export const getVerificationStatusDB = async (userId) => {
+	const result = await db.query(
+		`SELECT id, name, email, is_email_verified
+		 FROM users
+		 WHERE id = $1 AND deleted_at IS NULL`,
+		[userId],
+	);
+	return result.rows[0] || null;
+};
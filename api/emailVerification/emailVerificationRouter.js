@@ -0,0 +1,66 @@
+/**
+ * Email verification router
+ * Handles verifying an address and resending the verification link
+ */
+
+import express from "express";
+import Joi from "joi";
+
+import { authenticateToken } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+import { sensitiveLimiter } from "../utils/rateLimiter.js";
+import validate from "../utils/validation.js";
+
+import * as service from "./emailVerificationService.js";
+
+const router = express.Router();
+
+const verifyEmailSchema = Joi.object({
+	token: Joi.string().required().trim(),
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Verify an email address with the token from the verification link
+ */
+router.post(
+	"/verify-email",
+	sensitiveLimiter,
+	validate(verifyEmailSchema),
+	async (req, res) => {
+		try {
+			const result = await service.verifyEmail(req.body.token);
+			res.status(result.success ? 200 : 400).json(result);
+		} catch (error) {
+			logger.error("Verify email error: %O", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to verify email.",
+			});
+		}
+	},
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Email the logged-in user a new verification link
+ */
+router.post(
+	"/resend-verification",
+	sensitiveLimiter,
+	authenticateToken(),
+	async (req, res) => {
+		try {
+			const result = await service.resendVerificationEmail(req.user.id);
+			res.status(result.success ? 200 : 400).json(result);
+		} catch (error) {
+			logger.error("Resend verification email error: %O", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to send verification email.",
+			});
+		}
+	},
+);
+
+export default router;
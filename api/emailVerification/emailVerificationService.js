@@ -0,0 +1,82 @@
+/**
+ * Email verification service
+ * Sends verification links and marks addresses verified
+ */
+
+import emailService from "../emails/emailService.js";
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+import * as repository from "./emailVerificationRepository.js";
+
+/**
+ * Email a new verification link to a user (replacing any earlier link)
+ * @param {{id: number, name: string, email: string}} user - User to verify
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+	const expiryHours = config.emailVerificationExpiryHours;
+	const expiresAt = new Date();
+	expiresAt.setHours(expiresAt.getHours() + expiryHours);
+
+	const token = await repository.createVerificationTokenDB(user.id, expiresAt);
+	const result = await emailService.sendEmailVerificationEmail({
+		userEmail: user.email,
+		userName: user.name,
+		verifyUrl: `${config.appUrl}/verify-email?token=${token}`,
+		expiryHours,
+	});
+
+	if (result.success) {
+		logger.info("Verification email sent", { userId: user.id });
+	} else {
+		logger.warn("Verification email failed", {
+			userId: user.id,
+			error: result.error,
+		});
+	}
+};
+
+/**
+ * Send another verification link to a logged-in user
+ * @param {number} userId - User ID
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const resendVerificationEmail = async (userId) => {
+	const user = await repository.getVerificationStatusDB(userId);
+	if (!user) {
+		throw new Error("User not found");
+	}
+	if (user.is_email_verified) {
+		return { success: false, message: "Your email is already verified." };
+	}
+
+	await sendVerificationEmail(user);
+	return {
+		success: true,
+		message: `A new verification link has been sent to ${user.email}.`,
+	};
+};
+
+/**
+ * Verify an email address with the token from the verification link
+ * @param {string} token - Token from the link
+ * @returns {Promise<{success: boolean, message: string, userId?: number}>}
+ */
+export const verifyEmail = async (token) => {
+	const user = await repository.verifyEmailWithTokenDB(token);
+	if (!user) {
+		return {
+			success: false,
+			message:
+				"Invalid or expired verification link. Please request a new one.",
+		};
+	}
+
+	logger.info("Email verified", { userId: user.id });
+	return {
+		success: true,
+		message: "Your email has been verified.",
+		userId: user.id,
+	};
+};
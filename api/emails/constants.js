@@ -11,5 +11,9 @@ export const SUBJECTS = {
 	ANSWER_NOTIFICATION: (questionTitle) => `New Answer to: "${questionTitle}"`,
 	WELCOME: "Welcome to CYFoverflow!",
 	PASSWORD_RESET: "Reset Your CYFoverflow Password",
+	EMAIL_VERIFICATION: "Verify Your CYFoverflow Email",
+	ACTIVITY_NOTIFICATION: (heading) => `${heading} on CYFoverflow`,
+	DIGEST: (frequency) =>
+		`Your ${frequency === "daily" ? "daily" : "weekly"} CYFoverflow digest`,
 	// We will add more subjects as needed
 };
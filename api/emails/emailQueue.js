@@ -0,0 +1,134 @@
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+import { EMAIL_SOURCE } from "./constants.js";
+import * as repository from "./emailQueueRepository.js";
+import { getTransport } from "./transports/index.js";
+
+/** Emails retried per batch */
+const BATCH_SIZE = 50;
+
+/** How long a claimed email is hidden from other workers while it is sent */
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+/** @type {NodeJS.Timeout | null} */
+let retryTimer = null;
+
+/** @type {Promise<number> | null} */
+let activeRun = null;
+
+/**
+ * Delay before the next attempt: the retry interval, doubling each attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {Date}
+ */
+const nextAttemptAfter = (attempts) =>
+	new Date(Date.now() + config.emailRetryIntervalMs * 2 ** (attempts - 1));
+
+/**
+ * Queue an email whose first send failed. Permanent failures (e.g. a
+ * rejected address) are not queued.
+ * @param {{to: string, subject: string, html: string, text: string}} message
+ * @param {Error & {permanent?: boolean}} error - Why the send failed
+ * @returns {Promise<boolean>} True if the email was queued
+ */
+export const queueForRetry = async (message, error) => {
+	if (error.permanent || config.emailMaxAttempts <= 1) {
+		return false;
+	}
+	await repository.enqueueEmailDB(message, error.message, nextAttemptAfter(1));
+	return true;
+};
+
+/**
+ * Retry queued emails that are due
+ * @returns {Promise<number>} Number of emails sent
+ */
+export const processEmailRetryQueue = async () => {
+	// Don't start a second run while the previous one is still going
+	if (activeRun) {
+		return activeRun;
+	}
+
+	activeRun = (async () => {
+		let sent = 0;
+		try {
+			const emails = await repository.claimDueEmailsDB(
+				BATCH_SIZE,
+				CLAIM_LEASE_MS,
+			);
+
+			for (const email of emails) {
+				try {
+					await getTransport().send({
+						from: EMAIL_SOURCE,
+						to: email.to_address,
+						subject: email.subject,
+						html: email.html,
+						text: email.text,
+					});
+					await repository.deleteQueuedEmailDB(email.id);
+					sent++;
+				} catch (error) {
+					const attempts = email.attempts + 1;
+					const giveUp = error.permanent || attempts >= config.emailMaxAttempts;
+					await repository.recordEmailFailureDB(
+						email.id,
+						error.message,
+						giveUp ? null : nextAttemptAfter(attempts),
+					);
+					if (giveUp) {
+						logger.error("Giving up on email", {
+							id: email.id,
+							to: email.to_address,
+							attempts,
+							error: error.message,
+						});
+					}
+				}
+			}
+			if (sent > 0) {
+				logger.info("Sent queued emails", { sent });
+			}
+		} catch (error) {
+			logger.error("Failed to process email retry queue", {
+				error: error.message,
+			});
+		}
+		return sent;
+	})();
+
+	try {
+		return await activeRun;
+	} finally {
+		activeRun = null;
+	}
+};
+
+/**
+ * Start periodically retrying failed emails
+ */
+export const startEmailRetryWorker = () => {
+	if (retryTimer) {
+		return;
+	}
+	retryTimer = setInterval(processEmailRetryQueue, config.emailRetryIntervalMs);
+	// Don't keep the process alive just to retry emails
+	retryTimer.unref();
+	logger.info(
+		"Email retry worker started (every %dms)",
+		config.emailRetryIntervalMs,
+	);
+};
+
+/**
+ * Stop the retry worker and wait for any run in progress
+ * @returns {Promise<void>}
+ */
+export const stopEmailRetryWorker = async () => {
+	if (retryTimer) {
+		clearInterval(retryTimer);
+		retryTimer = null;
+	}
+	await activeRun;
+};
@@ -0,0 +1,89 @@
+import db from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Queue an email that failed to send for another attempt
+ * @param {{to: string, subject: string, html: string, text: string}} message
+ * @param {string} error - Why the first attempt failed
+ * @param {Date} nextAttemptAt - When to try again
+ * @returns {Promise<number>} Queue entry ID
+ */
+export const enqueueEmailDB = async (message, error, nextAttemptAt) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO email_retry_queue (to_address, subject, html, text, last_error, next_attempt_at)
+			 VALUES ($1, $2, $3, $4, $5, $6)
+			 RETURNING id`,
+			[
+				message.to,
+				message.subject,
+				message.html,
+				message.text,
+				error,
+				nextAttemptAt,
+			],
+		);
+		return result.rows[0].id;
+	} catch (dbError) {
+		logger.error("Error queueing email for retry", {
+			to: message.to,
+			error: dbError.message,
+		});
+		throw dbError;
+	}
+};
+
+/**
+ * Claim queued emails that are due for another attempt.
+ *
+ * Claimed rows have their next attempt pushed back by `leaseMs`, so another
+ * API instance won't pick them up while this one is sending; if the process
+ * dies mid-send they become due again once the lease runs out.
+ * @param {number} limit - Maximum emails to claim
+ * @param {number} leaseMs - How long the claim lasts
+ * @returns {Promise<Array<{id: number, to_address: string, subject: string, html: string, text: string, attempts: number}>>}
+ */
+export const claimDueEmailsDB = async (limit, leaseMs) => {
+	const result = await db.query(
+		`UPDATE email_retry_queue
+		 SET next_attempt_at = NOW() + ($2 * INTERVAL '1 millisecond')
+		 WHERE id IN (
+			SELECT id FROM email_retry_queue
+			WHERE failed_at IS NULL AND next_attempt_at <= NOW()
+			ORDER BY next_attempt_at
+			LIMIT $1
+			FOR UPDATE SKIP LOCKED
+		 )
+		 RETURNING id, to_address, subject, html, text, attempts`,
+		[limit, leaseMs],
+	);
+	return result.rows;
+};
+
+/**
+ * Remove an email from the queue once it has been sent
+ * @param {number} id - Queue entry ID
+ * @returns {Promise<void>}
+ */
+export const deleteQueuedEmailDB = async (id) => {
+	await db.query(`DELETE FROM email_retry_queue WHERE id = $1`, [id]);
+};
+
+/**
+ * Record a failed retry
+ * @param {number} id - Queue entry ID
+ * @param {string} error - Why the attempt failed
+ * @param {Date|null} nextAttemptAt - When to try again, or null to give up
+ * @returns {Promise<void>}
+ */
+export const recordEmailFailureDB = async (id, error, nextAttemptAt) => {
+	await db.query(
+		`UPDATE email_retry_queue
+		 SET attempts = attempts + 1,
+			last_error = $2,
+			next_attempt_at = COALESCE($3, next_attempt_at),
+			failed_at = CASE WHEN $3::timestamp IS NULL THEN NOW() END
+		 WHERE id = $1`,
+		[id, error, nextAttemptAt],
+	);
+};
@@ -1,28 +1,60 @@
-import AWS from "aws-sdk";
-
-import config from "../utils/config.js";
 import logger from "../utils/logger.js";
 
-import { EMAIL_SOURCE, EMAIL_REGION, SUBJECTS, APP_URL } from "./constants.js";
+import { EMAIL_SOURCE, SUBJECTS, APP_URL } from "./constants.js";
+import { queueForRetry } from "./emailQueue.js";
 import {
+	getActivityNotificationHtml,
+	getActivityNotificationText,
 	getAnswerNotificationHtml,
 	getAnswerNotificationText,
+	getDigestHtml,
+	getDigestText,
+	getEmailVerificationHtml,
+	getEmailVerificationText,
 	getPasswordResetHtml,
 	getPasswordResetText,
 } from "./templates/index.js";
 import { truncateContent } from "./templates/templateUtils.js";
+import { getTransport } from "./transports/index.js";
 
-// Configure AWS SES (only in production)
-let ses = null;
-const isProduction = config.production || config.emailMode === "aws";
-if (isProduction) {
-	AWS.config.update({
-		region: EMAIL_REGION,
-		accessKeyId: config.awsAccessKeyId,
-		secretAccessKey: config.awsSecretAccessKey,
-	});
-	ses = new AWS.SES({ apiVersion: "2010-12-01" });
-}
+/**
+ * Send a message through the configured transport (see transports/index.js).
+ * If sending fails the message is queued for retry, unless the failure is
+ * permanent.
+ * @param {{to: string, subject: string, html: string, text: string}} message
+ * @param {Object} [logContext] - Extra fields for the failure log
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string, code?: string, queued?: boolean}>}
+ */
+const deliver = async (message, logContext = {}) => {
+	try {
+		const { messageId } = await getTransport().send({
+			from: EMAIL_SOURCE,
+			...message,
+		});
+		return { success: true, messageId };
+	} catch (error) {
+		const queued = await queueForRetry(message, error).catch((queueError) => {
+			logger.error("EmailService: Failed to queue email for retry", {
+				error: queueError.message,
+				to: message.to,
+			});
+			return false;
+		});
+		logger.error("EmailService: Failed to send email", {
+			...logContext,
+			error: error.message,
+			errorCode: error.code,
+			to: message.to,
+			queued,
+		});
+		return {
+			success: false,
+			error: error.message,
+			code: error.code,
+			queued,
+		};
+	}
+};
 
 class EmailService {
 	async sendAnswerNotification({
@@ -94,54 +126,15 @@ class EmailService {
 			});
 			const subject = SUBJECTS.ANSWER_NOTIFICATION(subjectTitle);
 
-			// Send email: Use AWS SES in production, log to console in development
-			if (isProduction && ses) {
-				// Production: Use AWS SES
-				const params = {
-					Source: EMAIL_SOURCE,
-					Destination: {
-						ToAddresses: [questionAuthorEmail],
-					},
-					Message: {
-						Subject: {
-							Data: subject,
-							Charset: "UTF-8",
-						},
-						Body: {
-							Html: {
-								Data: htmlContent,
-								Charset: "UTF-8",
-							},
-							Text: {
-								Data: textContent,
-								Charset: "UTF-8",
-							},
-						},
-					},
-				};
-
-				const result = await ses.sendEmail(params).promise();
-				return {
-					success: true,
-					messageId: result.MessageId,
-				};
-			} else {
-				// Development: Log to console (emails will work in production)
-				logger.info(
-					"📧 Email notification (development mode - will send in production)",
-					{
-						to: questionAuthorEmail,
-						subject: subject,
-						questionId,
-						questionUrl,
-					},
-				);
-
-				return {
-					success: true,
-					messageId: `dev-${Date.now()}`,
-				};
-			}
+			return deliver(
+				{
+					to: questionAuthorEmail,
+					subject,
+					html: htmlContent,
+					text: textContent,
+				},
+				{ questionId, questionSlug },
+			);
 		} catch (error) {
 			logger.error("EmailService: Failed to send answer notification", {
 				error: error.message,
@@ -190,53 +183,200 @@ class EmailService {
 			});
 			const subject = SUBJECTS.PASSWORD_RESET;
 
-			// Send email: Use AWS SES in production, log to console in development
-			if (isProduction && ses) {
-				// Production: Use AWS SES
-				const params = {
-					Source: EMAIL_SOURCE,
-					Destination: {
-						ToAddresses: [userEmail],
-					},
-					Message: {
-						Subject: {
-							Data: subject,
-							Charset: "UTF-8",
-						},
-						Body: {
-							Html: {
-								Data: htmlContent,
-								Charset: "UTF-8",
-							},
-							Text: {
-								Data: textContent,
-								Charset: "UTF-8",
-							},
-						},
-					},
+			return deliver({
+				to: userEmail,
+				subject,
+				html: htmlContent,
+				text: textContent,
+			});
+		} catch (error) {
+			logger.error("EmailService: Failed to send password reset email", {
+				error: error.message,
+				errorCode: error.code,
+				to: userEmail,
+			});
+
+			return {
+				success: false,
+				error: error.message,
+				code: error.code,
+			};
+		}
+	}
+
+	/**
+	 * Send the link a new user follows to verify their email address
+	 * @param {Object} params
+	 * @param {string} params.userEmail - Address to verify
+	 * @param {string} [params.userName] - Recipient name
+	 * @param {string} params.verifyUrl - Verification page URL with the token
+	 * @param {number} params.expiryHours - How long the link works for
+	 * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+	 */
+	async sendEmailVerificationEmail({
+		userEmail,
+		userName,
+		verifyUrl,
+		expiryHours,
+	}) {
+		try {
+			if (!userEmail || !verifyUrl) {
+				logger.warn("EmailService: Email and verify URL are required", {
+					hasEmail: !!userEmail,
+				});
+				return {
+					success: false,
+					error: "User email and verify URL are required",
 				};
+			}
+
+			const templateData = { userName, verifyUrl, expiryHours };
+			return deliver({
+				to: userEmail,
+				subject: SUBJECTS.EMAIL_VERIFICATION,
+				html: getEmailVerificationHtml(templateData),
+				text: getEmailVerificationText(templateData),
+			});
+		} catch (error) {
+			logger.error("EmailService: Failed to send verification email", {
+				error: error.message,
+				errorCode: error.code,
+				to: userEmail,
+			});
 
-				const result = await ses.sendEmail(params).promise();
+			return {
+				success: false,
+				error: error.message,
+				code: error.code,
+			};
+		}
+	}
+
+	/**
+	 * Send a generic notification email (see activityNotificationTemplate.js)
+	 * @param {Object} params
+	 * @param {string} params.userEmail - Recipient address
+	 * @param {string} [params.userName] - Recipient name
+	 * @param {string} params.heading - Short heading, also used in the subject
+	 * @param {string} params.message - Notification message
+	 * @param {string} params.actionPath - App path to link to, e.g. /questions/my-slug
+	 * @param {string} [params.appUrl]
+	 * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+	 */
+	async sendActivityNotification({
+		userEmail,
+		userName,
+		heading,
+		message,
+		actionPath,
+		appUrl = APP_URL,
+	}) {
+		try {
+			if (!userEmail) {
+				logger.warn("EmailService: User email is required for notification");
+				return {
+					success: false,
+					error: "User email is required",
+				};
+			}
+
+			const templateData = {
+				userName,
+				heading,
+				message,
+				actionUrl: `${appUrl}${actionPath || "/"}`,
+				settingsUrl: `${appUrl}/settings/notifications`,
+			};
+			const htmlContent = getActivityNotificationHtml(templateData);
+			const textContent = getActivityNotificationText(templateData);
+			const subject = SUBJECTS.ACTIVITY_NOTIFICATION(heading);
+
+			return deliver({
+				to: userEmail,
+				subject,
+				html: htmlContent,
+				text: textContent,
+			});
+		} catch (error) {
+			logger.error("EmailService: Failed to send notification email", {
+				error: error.message,
+				errorCode: error.code,
+				to: userEmail,
+			});
+
+			return {
+				success: false,
+				error: error.message,
+				code: error.code,
+			};
+		}
+	}
+
+	/**
+	 * Send the daily/weekly activity digest (see digestTemplate.js)
+	 * @param {Object} params
+	 * @param {string} params.userEmail - Recipient address
+	 * @param {string} [params.userName] - Recipient name
+	 * @param {string} params.frequency - "daily" or "weekly"
+	 * @param {string} params.unsubscribeToken - Token for the no-login unsubscribe link
+	 * @param {Array} params.notifications - Most recent unread notifications
+	 * @param {number} params.unreadCount - Total unread notifications
+	 * @param {Array} params.unansweredQuestions - Unanswered questions in watched labels
+	 * @param {Array} params.topAnswers - Top-voted answers of the period
+	 * @param {string} [params.appUrl]
+	 * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+	 */
+	async sendDigestEmail({
+		userEmail,
+		userName,
+		frequency,
+		unsubscribeToken,
+		notifications,
+		unreadCount,
+		unansweredQuestions,
+		topAnswers,
+		appUrl = APP_URL,
+	}) {
+		try {
+			if (!userEmail) {
+				logger.warn("EmailService: User email is required for digest");
 				return {
-					success: true,
-					messageId: result.MessageId,
+					success: false,
+					error: "User email is required",
 				};
-			} else {
-				logger.info(
-					"📧 Password reset email (development mode - will send in production)",
-					{
-						to: userEmail,
-						subject: subject,
-						resetUrl,
-					},
-				);
+			}
+
+			if (!unsubscribeToken) {
+				logger.warn("EmailService: Unsubscribe token is required for digest");
 				return {
-					success: true,
-					messageId: `dev-${Date.now()}`,
+					success: false,
+					error: "Unsubscribe token is required",
 				};
 			}
+
+			const templateData = {
+				userName,
+				frequency,
+				notifications,
+				unreadCount,
+				unansweredQuestions,
+				topAnswers,
+				appUrl,
+				settingsUrl: `${appUrl}/settings/notifications`,
+				unsubscribeUrl: `${appUrl}/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`,
+			};
+			const htmlContent = getDigestHtml(templateData);
+			const textContent = getDigestText(templateData);
+			const subject = SUBJECTS.DIGEST(frequency);
+
+			return deliver({
+				to: userEmail,
+				subject,
+				html: htmlContent,
+				text: textContent,
+			});
 		} catch (error) {
-			logger.error("EmailService: Failed to send password reset email", {
+			logger.error("EmailService: Failed to send digest email", {
 				error: error.message,
 				errorCode: error.code,
 				to: userEmail,
@@ -0,0 +1,128 @@
+// api/emails/templates/activityNotificationTemplate.js
+import { escapeHtml } from "./templateUtils.js";
+
+/**
+ * Generic notification email (comments, accepted answers, new questions,
+ * followed-question activity) for users who chose email delivery.
+ */
+export const getActivityNotificationHtml = ({
+	userName,
+	heading,
+	message,
+	actionUrl,
+	settingsUrl,
+}) => {
+	const safeUserName = escapeHtml(userName || "there");
+	const safeHeading = escapeHtml(heading || "New activity");
+	const safeMessage = escapeHtml(message || "");
+	const safeActionUrl = escapeHtml(actionUrl || "");
+	const safeSettingsUrl = escapeHtml(settingsUrl || "");
+
+	return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <style>
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                    line-height: 1.6;
+                    color: #333;
+                    margin: 0;
+                    padding: 0;
+                    background-color: #f5f5f5;
+                }
+                .container {
+                    max-width: 600px;
+                    margin: 0 auto;
+                    background: white;
+                }
+                .header {
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    color: white;
+                    padding: 40px 20px;
+                    text-align: center;
+                }
+                .content {
+                    padding: 40px 30px;
+                }
+                .btn {
+                    display: inline-block;
+                    padding: 14px 32px;
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    color: white;
+                    text-decoration: none;
+                    border-radius: 50px;
+                    font-weight: 600;
+                    font-size: 16px;
+                    margin: 25px 0;
+                    box-shadow: 0 4px 15px rgba(102, 126, 234, 0.3);
+                }
+                .footer {
+                    margin-top: 40px;
+                    color: #666;
+                    font-size: 14px;
+                    text-align: center;
+                    padding-top: 20px;
+                    border-top: 1px solid #e9ecef;
+                }
+                h1 { margin: 0 0 10px 0; font-size: 28px; }
+                h2 { color: #333; margin-top: 0; }
+                p { margin: 15px 0; }
+                .highlight { color: #667eea; font-weight: 600; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🔔 ${safeHeading}</h1>
+                </div>
+                <div class="content">
+                    <h2>Hello ${safeUserName}!</h2>
+
+                    <p>${safeMessage}</p>
+
+                    <p style="text-align: center;">
+                        <a href="${safeActionUrl}" class="btn">View on CYFoverflow</a>
+                    </p>
+
+                    <div class="footer">
+                        <p>This email was sent by <span class="highlight">CYFoverflow</span> at cyf.academy.</p>
+                        <p>You're receiving this because you turned on email for this kind of notification.
+                        <a href="${safeSettingsUrl}">Change your notification settings</a>.</p>
+                        <p style="font-size: 12px; color: #888;">
+                            Sent at: ${new Date().toLocaleString()}
+                        </p>
+                    </div>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+};
+
+export const getActivityNotificationText = ({
+	heading,
+	message,
+	actionUrl,
+	settingsUrl,
+}) => {
+	const cleanMessage = (message || "").replace(/<[^>]*>/g, "").trim();
+
+	return `${(heading || "New activity").toUpperCase()}
+
+Hello!
+
+${cleanMessage}
+
+View it on CYFoverflow:
+${(actionUrl || "").trim()}
+
+---
+This email was sent by CYFoverflow at cyf.academy.
+You're receiving this because you turned on email for this kind of notification.
+Change your notification settings: ${(settingsUrl || "").trim()}
+
+Sent at: ${new Date().toLocaleString()}`;
+};
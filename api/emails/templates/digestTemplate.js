@@ -0,0 +1,199 @@
+// api/emails/templates/digestTemplate.js
+import { escapeHtml, truncateContent } from "./templateUtils.js";
+
+const questionUrl = (appUrl, slug, id) => `${appUrl}/questions/${slug || id}`;
+
+/**
+ * Daily/weekly activity digest: unread notifications, unanswered questions
+ * in watched labels and the period's top-voted answers.
+ */
+export const getDigestHtml = ({
+	userName,
+	frequency,
+	notifications = [],
+	unreadCount = 0,
+	unansweredQuestions = [],
+	topAnswers = [],
+	appUrl,
+	settingsUrl,
+	unsubscribeUrl,
+}) => {
+	const safeUserName = escapeHtml(userName || "there");
+	const period = frequency === "daily" ? "today" : "this week";
+
+	const notificationItems = notifications
+		.map((n) => {
+			const link = n.question_id
+				? escapeHtml(questionUrl(appUrl, n.question_slug, n.question_id))
+				: escapeHtml(`${appUrl}/`);
+			return `<li><a href="${link}">${escapeHtml(n.message)}</a></li>`;
+		})
+		.join("");
+	const moreNotifications =
+		unreadCount > notifications.length
+			? `<p class="muted">…and ${unreadCount - notifications.length} more unread.</p>`
+			: "";
+
+	const questionItems = unansweredQuestions
+		.map(
+			(q) =>
+				`<li><a href="${escapeHtml(questionUrl(appUrl, q.slug, q.id))}">${escapeHtml(q.title)}</a></li>`,
+		)
+		.join("");
+
+	const answerItems = topAnswers
+		.map(
+			(a) => `<li>
+                            <a href="${escapeHtml(questionUrl(appUrl, a.question_slug, a.question_id))}">${escapeHtml(a.question_title)}</a>
+                            <span class="muted">(+${escapeHtml(String(a.score))}, by ${escapeHtml(a.author_name)})</span>
+                            <div class="quote">${escapeHtml(truncateContent(a.content, 160))}</div>
+                        </li>`,
+		)
+		.join("");
+
+	const sectionsHtml = [
+		notificationItems &&
+			`<h3>Unread notifications (${unreadCount})</h3><ul>${notificationItems}</ul>${moreNotifications}`,
+		questionItems &&
+			`<h3>Unanswered questions in labels you watch</h3><ul>${questionItems}</ul>`,
+		answerItems && `<h3>Top answers ${period}</h3><ul>${answerItems}</ul>`,
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <style>
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                    line-height: 1.6;
+                    color: #333;
+                    margin: 0;
+                    padding: 0;
+                    background-color: #f5f5f5;
+                }
+                .container {
+                    max-width: 600px;
+                    margin: 0 auto;
+                    background: white;
+                }
+                .header {
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    color: white;
+                    padding: 40px 20px;
+                    text-align: center;
+                }
+                .content {
+                    padding: 40px 30px;
+                }
+                .footer {
+                    margin-top: 40px;
+                    color: #666;
+                    font-size: 14px;
+                    text-align: center;
+                    padding-top: 20px;
+                    border-top: 1px solid #e9ecef;
+                }
+                h1 { margin: 0 0 10px 0; font-size: 28px; }
+                h2 { color: #333; margin-top: 0; }
+                h3 { color: #333; margin: 30px 0 10px 0; }
+                ul { padding-left: 20px; }
+                li { margin: 8px 0; }
+                a { color: #667eea; }
+                .muted { color: #888; font-size: 14px; }
+                .quote {
+                    color: #555;
+                    font-size: 14px;
+                    border-left: 3px solid #e9ecef;
+                    padding-left: 10px;
+                    margin-top: 4px;
+                }
+                .highlight { color: #667eea; font-weight: 600; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>📬 Your ${frequency === "daily" ? "daily" : "weekly"} digest</h1>
+                </div>
+                <div class="content">
+                    <h2>Hello ${safeUserName}!</h2>
+                    <p>Here's what happened on CYFoverflow ${period}.</p>
+
+                    ${sectionsHtml}
+
+                    <div class="footer">
+                        <p>This email was sent by <span class="highlight">CYFoverflow</span> at cyf.academy.</p>
+                        <p><a href="${escapeHtml(settingsUrl || "")}">Change how often you get this email</a>
+                        · <a href="${escapeHtml(unsubscribeUrl || "")}">Unsubscribe</a></p>
+                        <p style="font-size: 12px; color: #888;">
+                            Sent at: ${new Date().toLocaleString()}
+                        </p>
+                    </div>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+};
+
+export const getDigestText = ({
+	frequency,
+	notifications = [],
+	unreadCount = 0,
+	unansweredQuestions = [],
+	topAnswers = [],
+	appUrl,
+	settingsUrl,
+	unsubscribeUrl,
+}) => {
+	const period = frequency === "daily" ? "today" : "this week";
+	const sections = [];
+
+	if (notifications.length > 0) {
+		const lines = notifications.map(
+			(n) =>
+				`- ${n.message}${n.question_id ? `\n  ${questionUrl(appUrl, n.question_slug, n.question_id)}` : ""}`,
+		);
+		if (unreadCount > notifications.length) {
+			lines.push(`...and ${unreadCount - notifications.length} more unread.`);
+		}
+		sections.push(
+			`UNREAD NOTIFICATIONS (${unreadCount})\n\n${lines.join("\n")}`,
+		);
+	}
+
+	if (unansweredQuestions.length > 0) {
+		const lines = unansweredQuestions.map(
+			(q) => `- ${q.title}\n  ${questionUrl(appUrl, q.slug, q.id)}`,
+		);
+		sections.push(
+			`UNANSWERED QUESTIONS IN LABELS YOU WATCH\n\n${lines.join("\n")}`,
+		);
+	}
+
+	if (topAnswers.length > 0) {
+		const lines = topAnswers.map(
+			(a) =>
+				`- ${a.question_title} (+${a.score}, by ${a.author_name})\n  ${questionUrl(appUrl, a.question_slug, a.question_id)}`,
+		);
+		sections.push(`TOP ANSWERS ${period.toUpperCase()}\n\n${lines.join("\n")}`);
+	}
+
+	return `YOUR ${frequency === "daily" ? "DAILY" : "WEEKLY"} CYFOVERFLOW DIGEST
+
+Here's what happened on CYFoverflow ${period}.
+
+${sections.join("\n\n")}
+
+---
+This email was sent by CYFoverflow at cyf.academy.
+Change how often you get this email: ${(settingsUrl || "").trim()}
+Unsubscribe: ${(unsubscribeUrl || "").trim()}
+
+Sent at: ${new Date().toLocaleString()}`;
+};
@@ -0,0 +1,138 @@
+// api/emails/templates/emailVerificationTemplate.js
+import { escapeHtml } from "./templateUtils.js";
+
+export const getEmailVerificationHtml = ({
+	userName,
+	verifyUrl,
+	expiryHours,
+}) => {
+	const safeUserName = escapeHtml(userName || "User");
+	const safeVerifyUrl = escapeHtml(verifyUrl || "");
+
+	return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <style>
+                body { 
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                    line-height: 1.6; 
+                    color: #333;
+                    margin: 0;
+                    padding: 0;
+                    background-color: #f5f5f5;
+                }
+                .container { 
+                    max-width: 600px; 
+                    margin: 0 auto; 
+                    background: white;
+                }
+                .header { 
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                    color: white; 
+                    padding: 40px 20px;
+                    text-align: center; 
+                }
+                .content { 
+                    padding: 40px 30px;
+                }
+                .btn { 
+                    display: inline-block; 
+                    padding: 14px 32px; 
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                    color: white; 
+                    text-decoration: none; 
+                    border-radius: 50px;
+                    font-weight: 600;
+                    font-size: 16px;
+                    margin: 25px 0;
+                    box-shadow: 0 4px 15px rgba(102, 126, 234, 0.3);
+                }
+                .warning-box { 
+                    background: #fff3cd; 
+                    padding: 20px; 
+                    border-left: 4px solid #ffc107; 
+                    margin: 30px 0; 
+                    border-radius: 8px;
+                }
+                .footer { 
+                    margin-top: 40px; 
+                    color: #666; 
+                    font-size: 14px;
+                    text-align: center;
+                    padding-top: 20px;
+                    border-top: 1px solid #e9ecef;
+                }
+                h1 { margin: 0 0 10px 0; font-size: 28px; }
+                h2 { color: #333; margin-top: 0; }
+                p { margin: 15px 0; }
+                .highlight { color: #667eea; font-weight: 600; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>✉️ Verify Your Email</h1>
+                    <p>Confirm your CYFoverflow email address</p>
+                </div>
+                <div class="content">
+                    <h2>Hello ${safeUserName}!</h2>
+                    
+                    <p>Thanks for signing up to CYFoverflow. Please confirm this is your email address.</p>
+                    
+                    <p style="text-align: center;">
+                        <a href="${safeVerifyUrl}" class="btn">Verify Email</a>
+                    </p>
+                    
+                    <p>Or copy and paste this link into your browser:</p>
+                    <p style="word-break: break-all; color: #667eea;">${safeVerifyUrl}</p>
+                    
+                    <div class="warning-box">
+                        <p><strong>⚠️ Important:</strong></p>
+                        <ul>
+                            <li>This link will expire in <strong>${Number(expiryHours)} hours</strong></li>
+                            <li>You can request a new link from the banner shown when you log in</li>
+                            <li>If you didn't create an account, you can safely ignore this email</li>
+                        </ul>
+                    </div>
+                    
+                    <div class="footer">
+                        <p>This email was sent by <span class="highlight">CYFoverflow</span> at cyf.academy.</p>
+                        <p>You're receiving this because this address was used to sign up.</p>
+                        <p style="font-size: 12px; color: #888;">
+                            Sent at: ${new Date().toLocaleString()}
+                        </p>
+                    </div>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+};
+
+export const getEmailVerificationText = ({
+	userName,
+	verifyUrl,
+	expiryHours,
+}) => {
+	return `VERIFY YOUR EMAIL - CYFOVERFLOW
+
+Hello ${userName || "User"}!
+
+Thanks for signing up to CYFoverflow. Please confirm this is your email address.
+
+Click the link below to verify your email:
+${verifyUrl}
+
+This link will expire in ${expiryHours} hours. You can request a new link from the banner shown when you log in.
+
+If you didn't create an account, you can safely ignore this email.
+
+---
+This email was sent by CYFoverflow at cyf.academy.
+You're receiving this because this address was used to sign up.
+
+Sent at: ${new Date().toLocaleString()}`;
+};
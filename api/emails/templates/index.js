@@ -1,4 +1,7 @@
+export * from "./activityNotificationTemplate.js";
 export * from "./answerNotificationTemplate.js";
+export * from "./digestTemplate.js";
+export * from "./emailVerificationTemplate.js";
 export * from "./passwordResetTemplate.js";
 // Future templates will be exported here:
 // export * from './welcomeTemplate.js';
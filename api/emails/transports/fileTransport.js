@@ -0,0 +1,40 @@
+import crypto from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import nodemailer from "nodemailer";
+
+import config from "../../utils/config.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Write each email as an .eml file (open with any mail client) instead of
+ * sending it
+ * @returns {import("./index.js").EmailTransport}
+ */
+export const createFileTransport = () => {
+	const directory = path.resolve(config.emailFileDir);
+	// Builds the raw RFC 822 message without sending it anywhere
+	const builder = nodemailer.createTransport({
+		streamTransport: true,
+		buffer: true,
+		newline: "unix",
+	});
+
+	return {
+		name: "file",
+		async send({ from, to, subject, html, text }) {
+			const info = await builder.sendMail({ from, to, subject, html, text });
+			const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto
+				.randomBytes(4)
+				.toString("hex")}.eml`;
+			const filePath = path.join(directory, fileName);
+
+			await mkdir(directory, { recursive: true });
+			await writeFile(filePath, info.message);
+			logger.info("📧 Email written to file", { to, subject, filePath });
+
+			return { messageId: info.messageId };
+		},
+	};
+};
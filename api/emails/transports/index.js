@@ -0,0 +1,65 @@
+import config from "../../utils/config.js";
+import logger from "../../utils/logger.js";
+
+import { createFileTransport } from "./fileTransport.js";
+import { createLogTransport } from "./logTransport.js";
+import { createSesTransport } from "./sesTransport.js";
+import { createSmtpTransport } from "./smtpTransport.js";
+
+/**
+ * @typedef EmailMessage
+ * @property {string} from - Sender address
+ * @property {string} to - Recipient address
+ * @property {string} subject
+ * @property {string} html - HTML body
+ * @property {string} text - Plain-text body
+ *
+ * @typedef EmailTransport
+ * @property {string} name - Transport name, as used in EMAIL_MODE
+ * @property {(message: EmailMessage) => Promise<{messageId: string}>} send -
+ *   Rejects on failure; `error.permanent` is true when retrying won't help
+ */
+
+const TRANSPORTS = {
+	ses: createSesTransport,
+	smtp: createSmtpTransport,
+	file: createFileTransport,
+	log: createLogTransport,
+};
+
+/** @type {EmailTransport | null} */
+let transport = null;
+
+/**
+ * Work out which transport to use from `config.emailMode`, defaulting to SES
+ * in production and logging elsewhere ("aws" is accepted for SES).
+ * @returns {string}
+ */
+export const resolveEmailMode = () => {
+	const mode = config.emailMode?.toLowerCase();
+	if (!mode) {
+		return config.production ? "ses" : "log";
+	}
+	if (mode === "aws") {
+		return "ses";
+	}
+	if (!TRANSPORTS[mode]) {
+		throw new Error(
+			`Invalid EMAIL_MODE "${config.emailMode}" (expected one of: ${Object.keys(TRANSPORTS).join(", ")})`,
+		);
+	}
+	return mode;
+};
+
+/**
+ * Get the configured email transport, creating it on first use
+ * @returns {EmailTransport}
+ */
+export const getTransport = () => {
+	if (!transport) {
+		const mode = resolveEmailMode();
+		transport = TRANSPORTS[mode]();
+		logger.info("Email transport: %s", mode);
+	}
+	return transport;
+};
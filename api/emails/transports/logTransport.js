@@ -0,0 +1,13 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Only log that an email would have been sent (the development default)
+ * @returns {import("./index.js").EmailTransport}
+ */
+export const createLogTransport = () => ({
+	name: "log",
+	async send({ to, subject }) {
+		logger.info("📧 Email (log mode - not sent)", { to, subject });
+		return { messageId: `dev-${Date.now()}` };
+	},
+});
@@ -0,0 +1,59 @@
+import AWS from "aws-sdk";
+
+import config from "../../utils/config.js";
+
+/** SES error codes that won't succeed on retry */
+const PERMANENT_ERROR_CODES = [
+	"MessageRejected",
+	"InvalidParameterValue",
+	"MailFromDomainNotVerified",
+];
+
+/**
+ * Send through AWS SES (uses the EC2 IAM role, or the configured keys)
+ * @returns {import("./index.js").EmailTransport}
+ */
+export const createSesTransport = () => {
+	AWS.config.update({
+		region: config.emailRegion,
+		accessKeyId: config.awsAccessKeyId,
+		secretAccessKey: config.awsSecretAccessKey,
+	});
+	const ses = new AWS.SES({ apiVersion: "2010-12-01" });
+
+	return {
+		name: "ses",
+		async send({ from, to, subject, html, text }) {
+			try {
+				const result = await ses
+					.sendEmail({
+						Source: from,
+						Destination: {
+							ToAddresses: [to],
+						},
+						Message: {
+							Subject: {
+								Data: subject,
+								Charset: "UTF-8",
+							},
+							Body: {
+								Html: {
+									Data: html,
+									Charset: "UTF-8",
+								},
+								Text: {
+									Data: text,
+									Charset: "UTF-8",
+								},
+							},
+						},
+					})
+					.promise();
+				return { messageId: result.MessageId };
+			} catch (error) {
+				error.permanent = PERMANENT_ERROR_CODES.includes(error.code);
+				throw error;
+			}
+		},
+	};
+};
@@ -0,0 +1,39 @@
+import nodemailer from "nodemailer";
+
+import config from "../../utils/config.js";
+
+/**
+ * Send through an SMTP server, e.g. a local MailHog/Mailpit container or a
+ * self-hosted relay
+ * @returns {import("./index.js").EmailTransport}
+ */
+export const createSmtpTransport = () => {
+	const transporter = nodemailer.createTransport({
+		host: config.smtpHost,
+		port: config.smtpPort,
+		secure: config.smtpSecure,
+		auth: config.smtpUser
+			? { user: config.smtpUser, pass: config.smtpPassword }
+			: undefined,
+	});
+
+	return {
+		name: "smtp",
+		async send({ from, to, subject, html, text }) {
+			try {
+				const info = await transporter.sendMail({
+					from,
+					to,
+					subject,
+					html,
+					text,
+				});
+				return { messageId: info.messageId };
+			} catch (error) {
+				// 5xx replies (unknown mailbox, rejected content) won't change on retry
+				error.permanent = error.responseCode >= 500;
+				throw error;
+			}
+		},
+	};
+};
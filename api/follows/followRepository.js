@@ -0,0 +1,156 @@
+import db from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Follow a question (no-op if already following)
+ * @param {number} userId - User ID
+ * @param {number} questionId - Question ID
+ * @returns {Promise<boolean>} True if a new follow was created
+ */
+export const followQuestionDB = async (userId, questionId) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO question_follows (user_id, question_id)
+			 VALUES ($1, $2)
+			 ON CONFLICT (user_id, question_id) DO NOTHING`,
+			[userId, questionId],
+		);
+		return result.rowCount > 0;
+	} catch (error) {
+		logger.error("Error following question", {
+			userId,
+			questionId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Unfollow a question
+ * @param {number} userId - User ID
+ * @param {number} questionId - Question ID
+ * @returns {Promise<boolean>} True if a follow was removed
+ */
+export const unfollowQuestionDB = async (userId, questionId) => {
+	try {
+		const result = await db.query(
+			`DELETE FROM question_follows
+			 WHERE user_id = $1 AND question_id = $2`,
+			[userId, questionId],
+		);
+		return result.rowCount > 0;
+	} catch (error) {
+		logger.error("Error unfollowing question", {
+			userId,
+			questionId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Check whether a user follows a question
+ * @param {number} userId - User ID
+ * @param {number} questionId - Question ID
+ * @returns {Promise<boolean>}
+ */
+export const isFollowingQuestionDB = async (userId, questionId) => {
+	const result = await db.query(
+		`SELECT 1 FROM question_follows
+		 WHERE user_id = $1 AND question_id = $2`,
+		[userId, questionId],
+	);
+	return result.rowCount > 0;
+};
+
+/**
+ * Get the number of followers of a question
+ * @param {number} questionId - Question ID
+ * @returns {Promise<number>}
+ */
+export const getFollowerCountDB = async (questionId) => {
+	const result = await db.query(
+		`SELECT COUNT(*)::integer AS count
+		 FROM question_follows
+		 WHERE question_id = $1`,
+		[questionId],
+	);
+	return result.rows[0].count;
+};
+
+/**
+ * Get the IDs of users following a question
+ * @param {number} questionId - Question ID
+ * @returns {Promise<Array<number>>}
+ */
+export const getQuestionFollowerIdsDB = async (questionId) => {
+	const result = await db.query(
+		`SELECT user_id FROM question_follows WHERE question_id = $1`,
+		[questionId],
+	);
+	return result.rows.map((row) => row.user_id);
+};
+
+/**
+ * Get the questions a user follows, most recently active first
+ * @param {number} userId - User ID
+ * @param {number|null} limit - Page size
+ * @param {number|null} page - Page number (1-based)
+ * @returns {Promise<Array>} Questions with labels and followed_at
+ */
+export const getFollowedQuestionsDB = async (
+	userId,
+	limit = null,
+	page = null,
+) => {
+	let query = `SELECT q.*, u.name as author_name, u.role as author_role, f.created_at as followed_at,
+         COALESCE(
+             json_agg(
+                 json_build_object('id', l.id, 'name', l.name)
+             ) FILTER (WHERE l.id IS NOT NULL),
+             '[]'::json
+         ) as labels
+         FROM question_follows f
+         JOIN questions q ON q.id = f.question_id
+         JOIN users u ON q.user_id = u.id
+         LEFT JOIN question_labels ql ON q.id = ql.question_id
+         LEFT JOIN labels l ON ql.label_id = l.id
+         WHERE f.user_id = $1 AND q.deleted_at IS NULL
+         GROUP BY q.id, u.name, u.role, f.created_at
+         ORDER BY q.last_activity_at DESC, q.id DESC`;
+
+	const params = [userId];
+
+	if (page && limit) {
+		const offset = (page - 1) * limit;
+		query += ` LIMIT $2 OFFSET $3`;
+		params.push(limit, offset);
+	} else if (limit) {
+		query += ` LIMIT $2`;
+		params.push(limit);
+	}
+
+	const result = await db.query(query, params);
+	return result.rows.map((row) => ({
+		...row,
+		labels: row.labels || [],
+	}));
+};
+
+/**
+ * Count the (non-deleted) questions a user follows
+ * @param {number} userId - User ID
+ * @returns {Promise<number>}
+ */
+export const getFollowedQuestionsCountDB = async (userId) => {
+	const result = await db.query(
+		`SELECT COUNT(*)::integer as count
+         FROM question_follows f
+         JOIN questions q ON q.id = f.question_id
+         WHERE f.user_id = $1 AND q.deleted_at IS NULL`,
+		[userId],
+	);
+	return result.rows[0].count;
+};
@@ -0,0 +1,113 @@
+import { Router } from "express";
+
+import { authenticateToken, optionalAuthenticateToken } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+import {
+	followQuestion,
+	getFollowedQuestions,
+	getFollowedQuestionsCount,
+	getFollowStatus,
+	unfollowQuestion,
+} from "./followService.js";
+
+const router = Router();
+
+/**
+ * GET /api/follows
+ * Questions the authenticated user follows, most recently active first
+ * Query params:
+ *   - limit, page: pagination
+ */
+router.get("/", authenticateToken(), async (req, res) => {
+	try {
+		const limit = req.query.limit ? Number.parseInt(req.query.limit, 10) : null;
+		const page = req.query.page ? Number.parseInt(req.query.page, 10) : null;
+
+		const paginationLimit = page ? limit || 10 : limit;
+
+		const questions = await getFollowedQuestions(
+			req.user.id,
+			paginationLimit,
+			page,
+		);
+
+		if (page) {
+			const total = await getFollowedQuestionsCount(req.user.id);
+			const totalPages = Math.ceil(total / paginationLimit);
+
+			res.json({
+				questions,
+				pagination: {
+					currentPage: page,
+					totalPages,
+					totalItems: total,
+					itemsPerPage: paginationLimit,
+				},
+			});
+		} else {
+			res.json(questions);
+		}
+	} catch (error) {
+		logger.error("Get followed questions error: %O", error);
+		res.status(500).json({ error: "Failed to fetch followed questions" });
+	}
+});
+
+/**
+ * GET /api/follows/question/:questionId
+ * Whether the current user follows a question, and its follower count
+ */
+router.get(
+	"/question/:questionId",
+	optionalAuthenticateToken(),
+	async (req, res) => {
+		try {
+			const status = await getFollowStatus(req.params.questionId, req.user?.id);
+			res.json(status);
+		} catch (error) {
+			logger.error("Get follow status error: %O", error);
+			res
+				.status(error.message === "Question not found" ? 404 : 500)
+				.json({ error: error.message });
+		}
+	},
+);
+
+/**
+ * POST /api/follows/question/:questionId
+ * Follow a question
+ */
+router.post("/question/:questionId", authenticateToken(), async (req, res) => {
+	try {
+		const status = await followQuestion(req.params.questionId, req.user.id);
+		res.json(status);
+	} catch (error) {
+		logger.error("Follow question error: %O", error);
+		res
+			.status(error.message === "Question not found" ? 404 : 500)
+			.json({ error: error.message });
+	}
+});
+
+/**
+ * DELETE /api/follows/question/:questionId
+ * Unfollow a question
+ */
+router.delete(
+	"/question/:questionId",
+	authenticateToken(),
+	async (req, res) => {
+		try {
+			const status = await unfollowQuestion(req.params.questionId, req.user.id);
+			res.json(status);
+		} catch (error) {
+			logger.error("Unfollow question error: %O", error);
+			res
+				.status(error.message === "Question not found" ? 404 : 500)
+				.json({ error: error.message });
+		}
+	},
+);
+
+export default router;
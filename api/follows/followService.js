@@ -0,0 +1,173 @@
+import * as notificationService from "../notifications/notificationService.js";
+import * as questionRepository from "../questions/questionRepository.js";
+import logger from "../utils/logger.js";
+
+import * as repository from "./followRepository.js";
+
+/**
+ * Push title and message for each kind of activity on a followed question.
+ * Answer edits are deliberately not among them: followers follow the
+ * question, and every typo fix on every answer would bury the rest.
+ */
+const FOLLOWER_NOTIFICATIONS = {
+	answer_added: (actorName, questionTitle) => ({
+		title: "New Answer",
+		message: `${actorName} answered a question you follow: "${questionTitle}"`,
+	}),
+	comment_added: (actorName, questionTitle) => ({
+		title: "New Comment",
+		message: `${actorName} commented on a question you follow: "${questionTitle}"`,
+	}),
+	question_edited: (actorName, questionTitle) => ({
+		title: "Question Edited",
+		message: `${actorName} edited a question you follow: "${questionTitle}"`,
+	}),
+	answer_accepted: (_actorName, questionTitle) => ({
+		title: "Answer Accepted",
+		message: `An answer was accepted on a question you follow: "${questionTitle}"`,
+	}),
+};
+
+const findQuestion = async (idOrSlug) => {
+	const question = await questionRepository.getQuestionByIdDB(idOrSlug);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+	return question;
+};
+
+/**
+ * Follow a question
+ * @param {number|string} idOrSlug - Question ID or slug
+ * @param {number} userId - User ID
+ * @returns {Promise<{following: boolean, followerCount: number}>}
+ */
+export const followQuestion = async (idOrSlug, userId) => {
+	const question = await findQuestion(idOrSlug);
+	await repository.followQuestionDB(userId, question.id);
+	return {
+		following: true,
+		followerCount: await repository.getFollowerCountDB(question.id),
+	};
+};
+
+/**
+ * Unfollow a question
+ * @param {number|string} idOrSlug - Question ID or slug
+ * @param {number} userId - User ID
+ * @returns {Promise<{following: boolean, followerCount: number}>}
+ */
+export const unfollowQuestion = async (idOrSlug, userId) => {
+	const question = await findQuestion(idOrSlug);
+	await repository.unfollowQuestionDB(userId, question.id);
+	return {
+		following: false,
+		followerCount: await repository.getFollowerCountDB(question.id),
+	};
+};
+
+/**
+ * Get whether a user follows a question, plus its follower count
+ * @param {number|string} idOrSlug - Question ID or slug
+ * @param {number} [userId] - User ID (optional, anonymous users never follow)
+ * @returns {Promise<{following: boolean, followerCount: number}>}
+ */
+export const getFollowStatus = async (idOrSlug, userId) => {
+	const question = await findQuestion(idOrSlug);
+	const [following, followerCount] = await Promise.all([
+		userId ? repository.isFollowingQuestionDB(userId, question.id) : false,
+		repository.getFollowerCountDB(question.id),
+	]);
+	return { following, followerCount };
+};
+
+/**
+ * Get the questions a user follows
+ * @param {number} userId - User ID
+ * @param {number|null} limit - Page size
+ * @param {number|null} page - Page number
+ * @returns {Promise<Array>}
+ */
+export const getFollowedQuestions = async (
+	userId,
+	limit = null,
+	page = null,
+) => {
+	return repository.getFollowedQuestionsDB(userId, limit, page);
+};
+
+/**
+ * Count the questions a user follows
+ * @param {number} userId - User ID
+ * @returns {Promise<number>}
+ */
+export const getFollowedQuestionsCount = async (userId) => {
+	return repository.getFollowedQuestionsCountDB(userId);
+};
+
+/**
+ * Follow a question on the user's behalf after they ask, answer or comment.
+ * Does not re-follow a question that is already followed.
+ * @param {number} userId - User ID
+ * @param {number} questionId - Question ID
+ * @returns {Promise<boolean>} True if a new follow was created
+ */
+export const autoFollowQuestion = async (userId, questionId) => {
+	return repository.followQuestionDB(userId, questionId);
+};
+
+/**
+ * Notify a question's followers about activity on it.
+ * The actor and anyone in `excludeUserIds` (e.g. users who already got a
+ * direct notification for the same event) are skipped.
+ * @param {Object} question - Question row ({ id, title, slug })
+ * @param {string} type - answer_added, comment_added, question_edited or answer_accepted
+ * @param {Object} options
+ * @param {number} options.actorId - User who caused the activity
+ * @param {string} [options.actorName] - Display name of the actor
+ * @param {Array<number>} [options.excludeUserIds] - Users not to notify
+ * @param {number} [options.answerId] - Related answer ID
+ * @param {number} [options.commentId] - Related comment ID
+ * @returns {Promise<number>} Number of followers notified
+ */
+export const notifyFollowers = async (
+	question,
+	type,
+	{
+		actorId,
+		actorName = "Someone",
+		excludeUserIds = [],
+		answerId = null,
+		commentId = null,
+	},
+) => {
+	const buildNotification = FOLLOWER_NOTIFICATIONS[type];
+	if (!buildNotification) {
+		throw new Error(`Unknown follower notification type: ${type}`);
+	}
+
+	const skipped = new Set([actorId, ...excludeUserIds]);
+	const followerIds = await repository.getQuestionFollowerIdsDB(question.id);
+	const recipientIds = followerIds.filter((id) => !skipped.has(id));
+
+	if (recipientIds.length === 0) {
+		return 0;
+	}
+
+	logger.debug("Notifying question followers", {
+		questionId: question.id,
+		type,
+		count: recipientIds.length,
+	});
+
+	await notificationService.createFollowerNotifications(recipientIds, {
+		type,
+		...buildNotification(actorName, question.title),
+		questionId: question.id,
+		questionSlug: question.slug,
+		answerId,
+		commentId,
+	});
+
+	return recipientIds.length;
+};
@@ -0,0 +1,567 @@
+import db, { getClient } from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Label columns plus its synonyms and how many live questions use it. The
+ * `question_count` column on labels is never kept up to date, so the count
+ * is worked out here instead.
+ */
+const LABEL_COLUMNS = `
+	l.id, l.name, l.slug, l.description, l.color, l.is_active,
+	l.created_at, l.updated_at,
+	(SELECT COUNT(*)::integer
+	 FROM question_labels ql
+	 JOIN questions q ON q.id = ql.question_id AND q.deleted_at IS NULL
+	 WHERE ql.label_id = l.id) AS question_count,
+	COALESCE(
+		(SELECT json_agg(json_build_object('id', s.id, 'name', s.name) ORDER BY s.name)
+		 FROM label_synonyms s
+		 WHERE s.label_id = l.id),
+		'[]'::json
+	) AS synonyms`;
+
+/**
+ * Get every label, retired ones included, for the admin screen
+ * @returns {Promise<Object[]>} Labels with their question counts
+ */
+export const getLabelsWithUsageDB = async () => {
+	try {
+		const result = await db.query(
+			`SELECT ${LABEL_COLUMNS}
+			 FROM labels l
+			 ORDER BY l.is_active DESC, l.name`,
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting labels", { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Get a label by ID
+ * @param {number} id - Label ID
+ * @returns {Promise<Object|null>} The label with its question count
+ */
+export const getLabelByIdDB = async (id) => {
+	try {
+		const result = await db.query(
+			`SELECT ${LABEL_COLUMNS} FROM labels l WHERE l.id = $1`,
+			[id],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error getting label", { id, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Find the label a name refers to: its name or slug, or one of its synonyms
+ * (ignoring case). A label's own name wins over another label's synonym.
+ * @param {string} name - Label name, slug or synonym
+ * @returns {Promise<Object|null>} { id, name, slug, is_active, synonym } where
+ *   synonym is the matching synonym, or null if the name matched directly
+ */
+export const findLabelByNameDB = async (name) => {
+	try {
+		const result = await db.query(
+			`SELECT l.id, l.name, l.slug, l.is_active, s.name AS synonym
+			 FROM labels l
+			 LEFT JOIN label_synonyms s
+				ON s.label_id = l.id AND LOWER(s.name) = LOWER($1)
+			 WHERE LOWER(l.name) = LOWER($1) OR l.slug = LOWER($1) OR s.id IS NOT NULL
+			 ORDER BY s.id IS NULL DESC
+			 LIMIT 1`,
+			[name],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error finding label by name", { name, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Get a label by its slug
+ * @param {string} slug - Label slug
+ * @returns {Promise<Object|null>} The label with its question count
+ */
+export const getLabelBySlugDB = async (slug) => {
+	try {
+		const result = await db.query(
+			`SELECT ${LABEL_COLUMNS} FROM labels l WHERE l.slug = $1`,
+			[slug],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error getting label by slug", { slug, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Count a label's live questions, and how many of them are unanswered or solved
+ * @param {number} labelId - Label ID
+ * @returns {Promise<{question_count: number, unanswered_count: number, solved_count: number}>}
+ */
+export const getLabelStatsDB = async (labelId) => {
+	try {
+		const result = await db.query(
+			`SELECT
+				COUNT(*)::integer AS question_count,
+				COUNT(*) FILTER (WHERE q.answer_count = 0)::integer AS unanswered_count,
+				COUNT(*) FILTER (WHERE q.is_solved)::integer AS solved_count
+			 FROM question_labels ql
+			 JOIN questions q ON q.id = ql.question_id AND q.deleted_at IS NULL
+			 WHERE ql.label_id = $1`,
+			[labelId],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error getting label stats", {
+			labelId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get a label's questions with the most activity in the last week. New
+ * answers count most, then question upvotes, then views.
+ * @param {number} labelId - Label ID
+ * @param {number} limit - Maximum number of questions
+ * @returns {Promise<Object[]>} Questions with their author and weekly activity
+ */
+export const getTrendingLabelQuestionsDB = async (labelId, limit) => {
+	try {
+		const result = await db.query(
+			`SELECT q.id, q.title, q.slug, q.answer_count, q.view_count, q.score,
+				q.is_solved, q.created_at, q.user_id, u.name AS author_name,
+				u.role AS author_role,
+				activity.answers_this_week, activity.votes_this_week,
+				activity.views_this_week
+			 FROM question_labels ql
+			 JOIN questions q ON q.id = ql.question_id AND q.deleted_at IS NULL
+			 JOIN users u ON u.id = q.user_id
+			 CROSS JOIN LATERAL (
+				SELECT
+					(SELECT COUNT(*)::integer FROM answers a
+					 WHERE a.question_id = q.id AND a.deleted_at IS NULL
+					   AND a.created_at >= NOW() - INTERVAL '7 days') AS answers_this_week,
+					(SELECT COUNT(*)::integer FROM question_votes v
+					 WHERE v.question_id = q.id AND v.vote_type = 'upvote'
+					   AND v.created_at >= NOW() - INTERVAL '7 days') AS votes_this_week,
+					(SELECT COUNT(*)::integer FROM question_views qv
+					 WHERE qv.question_id = q.id
+					   AND qv.viewed_at >= NOW() - INTERVAL '7 days') AS views_this_week
+			 ) activity
+			 WHERE ql.label_id = $1
+			   AND (activity.answers_this_week + activity.votes_this_week
+					+ activity.views_this_week) > 0
+			 ORDER BY (activity.answers_this_week * 5 + activity.votes_this_week * 3
+					+ activity.views_this_week) DESC,
+				q.created_at DESC
+			 LIMIT $2`,
+			[labelId, limit],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting trending label questions", {
+			labelId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get the users whose answers to a label's questions scored best
+ * @param {number} labelId - Label ID
+ * @param {number} limit - Maximum number of users
+ * @returns {Promise<Object[]>} Users with their answer count, accepted answer
+ *   count and total answer score in the label
+ */
+export const getTopLabelAnswerersDB = async (labelId, limit) => {
+	try {
+		const result = await db.query(
+			`SELECT u.id, u.name, u.avatar_url, u.reputation, u.role,
+				COUNT(*)::integer AS answer_count,
+				COUNT(*) FILTER (WHERE a.is_accepted)::integer AS accepted_count,
+				SUM(a.upvote_count - a.downvote_count)::integer AS score
+			 FROM question_labels ql
+			 JOIN questions q ON q.id = ql.question_id AND q.deleted_at IS NULL
+			 JOIN answers a ON a.question_id = q.id AND a.deleted_at IS NULL
+			 JOIN users u ON u.id = a.user_id AND u.deleted_at IS NULL
+			 WHERE ql.label_id = $1
+			 GROUP BY u.id
+			 ORDER BY score DESC, accepted_count DESC, answer_count DESC
+			 LIMIT $2`,
+			[labelId, limit],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting top label answerers", {
+			labelId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Add a label
+ * @param {Object} label
+ * @param {string} label.name - Display name
+ * @param {string} label.slug - URL-friendly name
+ * @param {string|null} label.description - What the label is for
+ * @param {string|null} label.color - Hex colour (#RRGGBB)
+ * @returns {Promise<Object>} The new label
+ */
+export const createLabelDB = async ({ name, slug, description, color }) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO labels (name, slug, description, color)
+			 VALUES ($1, $2, $3, $4)
+			 RETURNING id`,
+			[name, slug, description, color],
+		);
+		return getLabelByIdDB(result.rows[0].id);
+	} catch (error) {
+		logger.error("Error creating label", { name, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Change some of a label's fields
+ * @param {number} id - Label ID
+ * @param {Object} updates - Any of name, slug, description, color, is_active
+ * @returns {Promise<Object|null>} The updated label, or null if not found
+ */
+export const updateLabelDB = async (id, updates) => {
+	try {
+		const columns = Object.keys(updates);
+		const result = await db.query(
+			`UPDATE labels
+			 SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")}
+			 WHERE id = $1
+			 RETURNING id`,
+			[id, ...columns.map((column) => updates[column])],
+		);
+		return result.rows[0] ? getLabelByIdDB(id) : null;
+	} catch (error) {
+		logger.error("Error updating label", { id, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Delete a label. Its question_labels and label_watches rows go with it.
+ * @param {number} id - Label ID
+ * @returns {Promise<Object|null>} The deleted label's ID, or null if not found
+ */
+export const deleteLabelDB = async (id) => {
+	try {
+		const result = await db.query(
+			"DELETE FROM labels WHERE id = $1 RETURNING id",
+			[id],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error deleting label", { id, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Merge one label into another: questions, watchers and synonyms of the
+ * source label move to the target, the source's name becomes a synonym of
+ * the target, then the source label is deleted
+ * @param {number} sourceId - Label to merge away
+ * @param {number} targetId - Label to keep
+ * @returns {Promise<{label: Object, questionsMoved: number}|null>} The kept
+ *   label and how many questions gained it, or null if either label is gone
+ */
+export const mergeLabelsDB = async (sourceId, targetId) => {
+	const client = await getClient();
+	try {
+		await client.query("BEGIN");
+
+		const labels = await client.query(
+			"SELECT id FROM labels WHERE id = ANY($1::int[]) FOR UPDATE",
+			[[sourceId, targetId]],
+		);
+		if (labels.rows.length !== 2) {
+			await client.query("ROLLBACK");
+			return null;
+		}
+
+		// Questions that already carry both labels keep a single row
+		const moved = await client.query(
+			`INSERT INTO question_labels (question_id, label_id, created_at)
+			 SELECT question_id, $2, created_at
+			 FROM question_labels
+			 WHERE label_id = $1
+			 ON CONFLICT DO NOTHING`,
+			[sourceId, targetId],
+		);
+
+		// The merged label's name and synonyms become synonyms of the target
+		await client.query(
+			`UPDATE label_synonyms SET label_id = $2 WHERE label_id = $1`,
+			[sourceId, targetId],
+		);
+		await client.query(
+			`INSERT INTO label_synonyms (label_id, name)
+			 SELECT $2, name FROM labels WHERE id = $1
+			 ON CONFLICT DO NOTHING`,
+			[sourceId, targetId],
+		);
+
+		await client.query(
+			`INSERT INTO label_watches (user_id, label_id, created_at)
+			 SELECT user_id, $2, created_at
+			 FROM label_watches
+			 WHERE label_id = $1
+			 ON CONFLICT DO NOTHING`,
+			[sourceId, targetId],
+		);
+
+		await client.query("DELETE FROM labels WHERE id = $1", [sourceId]);
+
+		await client.query("COMMIT");
+		return {
+			label: await getLabelByIdDB(targetId),
+			questionsMoved: moved.rowCount,
+		};
+	} catch (error) {
+		await client.query("ROLLBACK");
+		logger.error("Error merging labels", {
+			sourceId,
+			targetId,
+			error: error.message,
+		});
+		throw error;
+	} finally {
+		client.release();
+	}
+};
+
+/**
+ * Add a synonym to a label
+ * @param {number} labelId - Label ID
+ * @param {string} name - Synonym
+ * @returns {Promise<Object>} The new synonym
+ */
+export const addLabelSynonymDB = async (labelId, name) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO label_synonyms (label_id, name)
+			 VALUES ($1, $2)
+			 RETURNING id, label_id, name`,
+			[labelId, name],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error adding label synonym", {
+			labelId,
+			name,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Remove a synonym from a label
+ * @param {number} labelId - Label ID
+ * @param {number} synonymId - Synonym ID
+ * @returns {Promise<Object|null>} The removed synonym, or null if not found
+ */
+export const deleteLabelSynonymDB = async (labelId, synonymId) => {
+	try {
+		const result = await db.query(
+			`DELETE FROM label_synonyms
+			 WHERE id = $1 AND label_id = $2
+			 RETURNING id, label_id, name`,
+			[synonymId, labelId],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error deleting label synonym", {
+			labelId,
+			synonymId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+const LABEL_PROPOSAL_COLUMNS = `
+	p.*,
+	u.name AS proposed_by_name,
+	l.slug AS label_slug`;
+
+/**
+ * Record a user's proposal for a new label
+ * @param {Object} proposal
+ * @param {string} proposal.name - Proposed label name
+ * @param {string|null} proposal.description - What the label would be for
+ * @param {number} proposal.proposedBy - User proposing it
+ * @returns {Promise<Object>} The new proposal
+ */
+export const createLabelProposalDB = async ({
+	name,
+	description,
+	proposedBy,
+}) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO label_proposals (name, description, proposed_by)
+			 VALUES ($1, $2, $3)
+			 RETURNING *`,
+			[name, description, proposedBy],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error creating label proposal", {
+			name,
+			proposedBy,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get a label proposal with its proposer
+ * @param {number} id - Proposal ID
+ * @returns {Promise<Object|null>}
+ */
+export const getLabelProposalByIdDB = async (id) => {
+	try {
+		const result = await db.query(
+			`SELECT ${LABEL_PROPOSAL_COLUMNS}
+			 FROM label_proposals p
+			 JOIN users u ON u.id = p.proposed_by
+			 LEFT JOIN labels l ON l.id = p.label_id
+			 WHERE p.id = $1`,
+			[id],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error getting label proposal", { id, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * List label proposals, oldest first
+ * @param {Object} filters
+ * @param {string} [filters.status] - Only proposals with this status
+ * @param {number} [filters.proposedBy] - Only this user's proposals
+ * @returns {Promise<Object[]>}
+ */
+export const getLabelProposalsDB = async ({ status, proposedBy } = {}) => {
+	try {
+		const result = await db.query(
+			`SELECT ${LABEL_PROPOSAL_COLUMNS}
+			 FROM label_proposals p
+			 JOIN users u ON u.id = p.proposed_by
+			 LEFT JOIN labels l ON l.id = p.label_id
+			 WHERE ($1::label_proposal_status IS NULL OR p.status = $1)
+			   AND ($2::integer IS NULL OR p.proposed_by = $2)
+			 ORDER BY p.created_at ASC`,
+			[status ?? null, proposedBy ?? null],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting label proposals", {
+			status,
+			proposedBy,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Approve a pending proposal: create the label and link it to the proposal
+ * @param {number} id - Proposal ID
+ * @param {number} reviewerId - Admin approving it
+ * @param {Object} label - { name, slug, description, color } for the label
+ * @returns {Promise<Object|null>} The new label, or null if the proposal
+ *   isn't pending any more
+ */
+export const approveLabelProposalDB = async (id, reviewerId, label) => {
+	const client = await getClient();
+	try {
+		await client.query("BEGIN");
+
+		const proposal = await client.query(
+			`SELECT id FROM label_proposals
+			 WHERE id = $1 AND status = 'pending'
+			 FOR UPDATE`,
+			[id],
+		);
+		if (proposal.rows.length === 0) {
+			await client.query("ROLLBACK");
+			return null;
+		}
+
+		const created = await client.query(
+			`INSERT INTO labels (name, slug, description, color)
+			 VALUES ($1, $2, $3, $4)
+			 RETURNING id`,
+			[label.name, label.slug, label.description, label.color],
+		);
+		const labelId = created.rows[0].id;
+
+		await client.query(
+			`UPDATE label_proposals
+			 SET status = 'approved', label_id = $2, reviewed_by = $3, reviewed_at = NOW()
+			 WHERE id = $1`,
+			[id, labelId, reviewerId],
+		);
+
+		await client.query("COMMIT");
+		return getLabelByIdDB(labelId);
+	} catch (error) {
+		await client.query("ROLLBACK");
+		logger.error("Error approving label proposal", {
+			id,
+			error: error.message,
+		});
+		throw error;
+	} finally {
+		client.release();
+	}
+};
+
+/**
+ * Reject a pending proposal
+ * @param {number} id - Proposal ID
+ * @param {number} reviewerId - Admin rejecting it
+ * @param {string|null} reason - Why it was rejected
+ * @returns {Promise<Object|null>} The proposal, or null if it isn't pending
+ */
+export const rejectLabelProposalDB = async (id, reviewerId, reason) => {
+	try {
+		const result = await db.query(
+			`UPDATE label_proposals
+			 SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), reject_reason = $3
+			 WHERE id = $1 AND status = 'pending'
+			 RETURNING *`,
+			[id, reviewerId, reason],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error rejecting label proposal", {
+			id,
+			error: error.message,
+		});
+		throw error;
+	}
+};
@@ -0,0 +1,86 @@
+import { Router } from "express";
+
+import { authenticateToken } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+import {
+	getLabelOverview,
+	getLabelProposals,
+	proposeLabel,
+	resolveLabel,
+} from "./labelService.js";
+
+const router = Router();
+
+/**
+ * GET /api/labels/resolve?name=js
+ * The label a name, slug or synonym refers to
+ */
+router.get("/resolve", async (req, res) => {
+	try {
+		const label = await resolveLabel(req.query.name);
+		if (!label) {
+			return res.status(404).json({ error: "Label not found" });
+		}
+		res.json(label);
+	} catch (error) {
+		logger.error("Resolve label error: %O", error);
+		res.status(500).json({ error: "Failed to resolve label" });
+	}
+});
+
+/**
+ * GET /api/labels/proposals/mine
+ * The current user's label proposals and how they were reviewed
+ */
+router.get("/proposals/mine", authenticateToken(), async (req, res) => {
+	try {
+		const proposals = await getLabelProposals({ proposedBy: req.user.id });
+		res.json(proposals);
+	} catch (error) {
+		logger.error("Get my label proposals error: %O", error);
+		res.status(500).json({ error: "Failed to fetch label proposals" });
+	}
+});
+
+/**
+ * POST /api/labels/proposals
+ * Propose a new label for admins to review
+ * Body: { name, description }
+ */
+router.post("/proposals", authenticateToken(), async (req, res) => {
+	try {
+		const { name, description } = req.body ?? {};
+		const proposal = await proposeLabel(req.user.id, { name, description });
+		res.status(201).json(proposal);
+	} catch (error) {
+		logger.error("Propose label error: %O", error);
+		const statusCode = error.message.includes("already")
+			? 409
+			: error.message.includes("required") || error.message.includes("must")
+				? 400
+				: 500;
+		res.status(statusCode).json({
+			error: statusCode === 500 ? "Failed to propose label" : error.message,
+		});
+	}
+});
+
+/**
+ * GET /api/labels/:slug
+ * A label with its question stats, trending questions and top answerers
+ */
+router.get("/:slug", async (req, res) => {
+	try {
+		const overview = await getLabelOverview(req.params.slug);
+		if (!overview) {
+			return res.status(404).json({ error: "Label not found" });
+		}
+		res.json(overview);
+	} catch (error) {
+		logger.error("Get label overview error: %O", error);
+		res.status(500).json({ error: "Failed to fetch label" });
+	}
+});
+
+export default router;
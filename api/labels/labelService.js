@@ -0,0 +1,473 @@
+import logger from "../utils/logger.js";
+import { generateSlug } from "../utils/slug.js";
+
+import * as repository from "./labelRepository.js";
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_REJECT_REASON_LENGTH = 300;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const TRENDING_QUESTIONS_LIMIT = 5;
+const TOP_ANSWERERS_LIMIT = 5;
+
+export const LABEL_PROPOSAL_STATUSES = ["pending", "approved", "rejected"];
+
+/**
+ * Check and tidy the fields of a new or changed label
+ * @param {Object} fields - Any of name, slug, description, color, isActive
+ * @returns {Object} Column values to store
+ */
+const normalizeLabelFields = ({ name, slug, description, color, isActive }) => {
+	const values = {};
+
+	if (name !== undefined) {
+		const trimmedName = typeof name === "string" ? name.trim() : "";
+		if (!trimmedName) {
+			throw new Error("Label name is required");
+		}
+		if (trimmedName.length > MAX_NAME_LENGTH) {
+			throw new Error(
+				`Label name must be ${MAX_NAME_LENGTH} characters or fewer`,
+			);
+		}
+		values.name = trimmedName;
+	}
+
+	if (slug !== undefined) {
+		const normalizedSlug = generateSlug(slug);
+		if (!normalizedSlug) {
+			throw new Error("Label slug must contain letters or numbers");
+		}
+		values.slug = normalizedSlug.slice(0, MAX_NAME_LENGTH);
+	}
+
+	if (description !== undefined) {
+		const trimmedDescription =
+			typeof description === "string" ? description.trim() : "";
+		if (trimmedDescription.length > MAX_DESCRIPTION_LENGTH) {
+			throw new Error(
+				`Label description must be ${MAX_DESCRIPTION_LENGTH} characters or fewer`,
+			);
+		}
+		values.description = trimmedDescription || null;
+	}
+
+	if (color !== undefined) {
+		if (color !== null && color !== "" && !COLOR_PATTERN.test(color)) {
+			throw new Error("Label color must be a hex colour like #281d80");
+		}
+		values.color = color ? color.toLowerCase() : null;
+	}
+
+	if (isActive !== undefined) {
+		if (typeof isActive !== "boolean") {
+			throw new Error("isActive must be a boolean");
+		}
+		values.is_active = isActive;
+	}
+
+	return values;
+};
+
+/**
+ * Check and trim a synonym or proposed label name
+ * @param {string} name
+ * @param {string} what - What the name is for, for error messages
+ * @returns {string}
+ */
+const normalizeName = (name, what) => {
+	const trimmedName = typeof name === "string" ? name.trim() : "";
+	if (!trimmedName) {
+		throw new Error(`${what} is required`);
+	}
+	if (trimmedName.length > MAX_NAME_LENGTH) {
+		throw new Error(`${what} must be ${MAX_NAME_LENGTH} characters or fewer`);
+	}
+	return trimmedName;
+};
+
+/**
+ * Make sure no label other than `exceptLabelId` is already called `name`,
+ * by name, slug or synonym
+ * @param {string} name - Name to check
+ * @param {number} [exceptLabelId] - Label allowed to have the name
+ */
+const ensureNameIsFree = async (name, exceptLabelId) => {
+	const existing = await repository.findLabelByNameDB(name);
+	if (existing && existing.id !== exceptLabelId) {
+		throw new Error(
+			existing.synonym
+				? `"${name}" already exists as a synonym of ${existing.name}`
+				: `A label named "${existing.name}" already exists`,
+		);
+	}
+};
+
+/**
+ * Turn a unique-constraint violation into a readable error
+ * @param {Error} error - Database error
+ * @returns {Error}
+ */
+const describeConflict = (error) => {
+	if (error.code === "23505") {
+		const field = error.constraint?.includes("slug") ? "slug" : "name";
+		return new Error(`A label with that ${field} already exists`);
+	}
+	return error;
+};
+
+/**
+ * Get every label, retired ones included, with how many questions use each
+ * @returns {Promise<Object[]>}
+ */
+export const getAllLabelsForAdmin = async () => {
+	return repository.getLabelsWithUsageDB();
+};
+
+/**
+ * Add a label. The slug is made from the name unless one is given.
+ * @param {Object} fields
+ * @param {string} fields.name - Display name
+ * @param {string} [fields.slug] - URL-friendly name
+ * @param {string} [fields.description] - What the label is for
+ * @param {string} [fields.color] - Hex colour (#RRGGBB)
+ * @returns {Promise<Object>} The new label
+ */
+export const createLabel = async ({ name, slug, description, color }) => {
+	const values = normalizeLabelFields({
+		name: name ?? "",
+		slug: slug || name || "",
+		description: description ?? null,
+		color: color ?? null,
+	});
+
+	await ensureNameIsFree(values.name);
+
+	try {
+		const label = await repository.createLabelDB(values);
+		logger.info("Label created", { labelId: label.id, name: label.name });
+		return label;
+	} catch (error) {
+		throw describeConflict(error);
+	}
+};
+
+/**
+ * Rename, recolour, describe, retire or restore a label
+ * @param {number} id - Label ID
+ * @param {Object} fields - Any of name, slug, description, color, isActive
+ * @returns {Promise<Object>} The updated label
+ */
+export const updateLabel = async (id, fields) => {
+	const values = normalizeLabelFields(fields);
+	if (Object.keys(values).length === 0) {
+		throw new Error("Nothing to update");
+	}
+	if (values.name) {
+		await ensureNameIsFree(values.name, id);
+	}
+
+	let label;
+	try {
+		label = await repository.updateLabelDB(id, values);
+	} catch (error) {
+		throw describeConflict(error);
+	}
+	if (!label) {
+		throw new Error("Label not found");
+	}
+	return label;
+};
+
+/**
+ * Delete a label no question uses. Labels still in use have to be retired
+ * or merged into another label instead, so questions don't lose them.
+ * @param {number} id - Label ID
+ * @returns {Promise<void>}
+ */
+export const deleteLabel = async (id) => {
+	const label = await repository.getLabelByIdDB(id);
+	if (!label) {
+		throw new Error("Label not found");
+	}
+	if (label.question_count > 0) {
+		throw new Error(
+			"This label is used by questions; retire it or merge it into another label instead",
+		);
+	}
+
+	await repository.deleteLabelDB(id);
+	logger.info("Label deleted", { labelId: id, name: label.name });
+};
+
+/**
+ * Merge one label into another, moving its questions, watchers and synonyms
+ * over. The merged label's name becomes a synonym of the one kept.
+ * @param {number} sourceId - Label to merge away (deleted afterwards)
+ * @param {number} targetId - Label to keep
+ * @returns {Promise<{label: Object, questionsMoved: number}>}
+ */
+export const mergeLabels = async (sourceId, targetId) => {
+	if (sourceId === targetId) {
+		throw new Error("Cannot merge a label into itself");
+	}
+
+	const result = await repository.mergeLabelsDB(sourceId, targetId);
+	if (!result) {
+		throw new Error("Label not found");
+	}
+
+	logger.info("Labels merged", {
+		sourceId,
+		targetId,
+		questionsMoved: result.questionsMoved,
+	});
+	return result;
+};
+
+/**
+ * Everything the label page shows: the label, how many of its questions are
+ * unanswered or solved, what is trending in it this week and who answers it
+ * best. A synonym in place of the slug (/labels/js) finds its label too.
+ * @param {string} slug - Label slug, name or synonym
+ * @returns {Promise<Object|null>} { label, stats, trending, topAnswerers },
+ *   or null if no label matches
+ */
+export const getLabelOverview = async (slug) => {
+	if (typeof slug !== "string" || !slug.trim()) {
+		return null;
+	}
+
+	let label = await repository.getLabelBySlugDB(slug.trim().toLowerCase());
+	if (!label) {
+		const match = await repository.findLabelByNameDB(slug.trim());
+		label = match && (await repository.getLabelByIdDB(match.id));
+	}
+	if (!label) {
+		return null;
+	}
+
+	const [counts, trending, topAnswerers] = await Promise.all([
+		repository.getLabelStatsDB(label.id),
+		repository.getTrendingLabelQuestionsDB(label.id, TRENDING_QUESTIONS_LIMIT),
+		repository.getTopLabelAnswerersDB(label.id, TOP_ANSWERERS_LIMIT),
+	]);
+
+	return {
+		label,
+		stats: {
+			...counts,
+			// Share of the label's questions that are solved, 0 to 1
+			solve_rate:
+				counts.question_count > 0
+					? counts.solved_count / counts.question_count
+					: null,
+		},
+		trending,
+		topAnswerers,
+	};
+};
+
+/**
+ * Add another name for a label, e.g. "js" for JavaScript
+ * @param {number} labelId - Label ID
+ * @param {string} name - Synonym
+ * @returns {Promise<Object>} The new synonym
+ */
+export const addSynonym = async (labelId, name) => {
+	const synonym = normalizeName(name, "Synonym");
+
+	const label = await repository.getLabelByIdDB(labelId);
+	if (!label) {
+		throw new Error("Label not found");
+	}
+	await ensureNameIsFree(synonym);
+
+	try {
+		return await repository.addLabelSynonymDB(labelId, synonym);
+	} catch (error) {
+		if (error.code === "23505") {
+			throw new Error(`The synonym "${synonym}" already exists`);
+		}
+		throw error;
+	}
+};
+
+/**
+ * Remove a synonym from a label
+ * @param {number} labelId - Label ID
+ * @param {number} synonymId - Synonym ID
+ * @returns {Promise<void>}
+ */
+export const removeSynonym = async (labelId, synonymId) => {
+	const synonym = await repository.deleteLabelSynonymDB(labelId, synonymId);
+	if (!synonym) {
+		throw new Error("Synonym not found");
+	}
+};
+
+/**
+ * Find the active label a name, slug or synonym refers to
+ * @param {string} name - e.g. "js"
+ * @returns {Promise<Object|null>} { id, name, slug } of the canonical label
+ */
+export const resolveLabel = async (name) => {
+	if (typeof name !== "string" || !name.trim()) {
+		return null;
+	}
+	const label = await repository.findLabelByNameDB(name.trim());
+	if (!label || !label.is_active) {
+		return null;
+	}
+	return { id: label.id, name: label.name, slug: label.slug };
+};
+
+/**
+ * Turn the labels chosen for a question into label IDs. Each entry can be an
+ * ID or a name, slug or synonym; names map to their canonical label, and a
+ * label chosen twice (e.g. "js" and "JavaScript") is only counted once.
+ * @param {Array<number|string>} labels
+ * @returns {Promise<number[]>}
+ */
+export const resolveLabelIds = async (labels) => {
+	const ids = [];
+	for (const entry of labels) {
+		let id = typeof entry === "number" ? entry : Number.NaN;
+		if (typeof entry === "string" && /^\d+$/.test(entry.trim())) {
+			id = Number.parseInt(entry, 10);
+		} else if (typeof entry === "string") {
+			const label = await resolveLabel(entry);
+			if (!label) {
+				throw new Error(`Label "${entry.trim()}" not found`);
+			}
+			id = label.id;
+		}
+		if (!Number.isInteger(id)) {
+			throw new Error("Labels must be label IDs or names");
+		}
+		if (!ids.includes(id)) {
+			ids.push(id);
+		}
+	}
+	return ids;
+};
+
+/**
+ * Propose a new label for admins to review
+ * @param {number} userId - User proposing it
+ * @param {Object} proposal
+ * @param {string} proposal.name - Proposed label name
+ * @param {string} [proposal.description] - What it would be for
+ * @returns {Promise<Object>} The new proposal
+ */
+export const proposeLabel = async (userId, { name, description }) => {
+	const proposedName = normalizeName(name, "Label name");
+	const { description: proposedDescription = null } = normalizeLabelFields({
+		description: description ?? null,
+	});
+
+	await ensureNameIsFree(proposedName);
+
+	try {
+		const proposal = await repository.createLabelProposalDB({
+			name: proposedName,
+			description: proposedDescription,
+			proposedBy: userId,
+		});
+		logger.info("Label proposed", { proposalId: proposal.id, userId });
+		return proposal;
+	} catch (error) {
+		if (error.code === "23505") {
+			throw new Error(`"${proposedName}" has already been proposed`);
+		}
+		throw error;
+	}
+};
+
+/**
+ * List label proposals, oldest first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending, approved or rejected
+ * @param {number} [filters.proposedBy] - Only this user's proposals
+ * @returns {Promise<Object[]>}
+ */
+export const getLabelProposals = async ({ status, proposedBy } = {}) => {
+	if (status && !LABEL_PROPOSAL_STATUSES.includes(status)) {
+		throw new Error(
+			`status must be one of: ${LABEL_PROPOSAL_STATUSES.join(", ")}`,
+		);
+	}
+	return repository.getLabelProposalsDB({ status, proposedBy });
+};
+
+/**
+ * Approve a proposal, creating its label. The admin can adjust the name,
+ * description and colour first.
+ * @param {number} id - Proposal ID
+ * @param {number} reviewerId - Admin approving it
+ * @param {Object} [overrides] - Any of name, description, color
+ * @returns {Promise<Object>} The new label
+ */
+export const approveLabelProposal = async (id, reviewerId, overrides = {}) => {
+	const proposal = await repository.getLabelProposalByIdDB(id);
+	if (!proposal) {
+		throw new Error("Label proposal not found");
+	}
+	if (proposal.status !== "pending") {
+		throw new Error("This proposal has already been reviewed");
+	}
+
+	const name = overrides.name ?? proposal.name;
+	const values = normalizeLabelFields({
+		name,
+		slug: name,
+		description: overrides.description ?? proposal.description,
+		color: overrides.color ?? null,
+	});
+	await ensureNameIsFree(values.name);
+
+	let label;
+	try {
+		label = await repository.approveLabelProposalDB(id, reviewerId, values);
+	} catch (error) {
+		throw describeConflict(error);
+	}
+	if (!label) {
+		throw new Error("This proposal has already been reviewed");
+	}
+
+	logger.info("Label proposal approved", { proposalId: id, labelId: label.id });
+	return label;
+};
+
+/**
+ * Reject a proposal
+ * @param {number} id - Proposal ID
+ * @param {number} reviewerId - Admin rejecting it
+ * @param {string} [reason] - Shown to the proposer
+ * @returns {Promise<Object>} The rejected proposal
+ */
+export const rejectLabelProposal = async (id, reviewerId, reason) => {
+	const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+	if (trimmedReason.length > MAX_REJECT_REASON_LENGTH) {
+		throw new Error(
+			`Reason must be ${MAX_REJECT_REASON_LENGTH} characters or fewer`,
+		);
+	}
+
+	const proposal = await repository.rejectLabelProposalDB(
+		id,
+		reviewerId,
+		trimmedReason || null,
+	);
+	if (!proposal) {
+		const existing = await repository.getLabelProposalByIdDB(id);
+		throw new Error(
+			existing
+				? "This proposal has already been reviewed"
+				: "Label proposal not found",
+		);
+	}
+	return proposal;
+};
@@ -0,0 +1,150 @@
+/**
+ * Create question_votes table and questions.score column
+ *
+ * Mirrors the answer `votes` table: one vote per user per question, reusing
+ * the `vote_type` enum. A trigger keeps the denormalized `questions.score`
+ * (upvotes minus downvotes) in sync so lists can sort and display it cheaply.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.addColumn("questions", {
+		score: {
+			type: "integer",
+			notNull: true,
+			default: 0,
+		},
+	});
+
+	pgm.createIndex("questions", "score", {
+		name: "questions_score_idx",
+	});
+
+	pgm.createTable("question_votes", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		question_id: {
+			type: "integer",
+			notNull: true,
+			references: "questions(id)",
+			onDelete: "CASCADE",
+		},
+		user_id: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		vote_type: {
+			type: "vote_type",
+			notNull: true,
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+		updated_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	// One vote per user per question
+	pgm.addConstraint("question_votes", "question_votes_user_question_unique", {
+		unique: ["user_id", "question_id"],
+	});
+
+	pgm.createIndex("question_votes", "question_id", {
+		name: "question_votes_question_id_idx",
+	});
+
+	pgm.createIndex("question_votes", "user_id", {
+		name: "question_votes_user_id_idx",
+	});
+
+	pgm.createIndex("question_votes", ["question_id", "vote_type"], {
+		name: "question_votes_question_type_idx",
+	});
+
+	// Trigger to automatically update updated_at timestamp
+	pgm.createTrigger("question_votes", "question_votes_updated_at_trigger", {
+		when: "BEFORE",
+		operation: ["UPDATE"],
+		function: "update_votes_updated_at",
+		level: "ROW",
+	});
+
+	// Trigger to keep questions.score in sync with question_votes
+	pgm.createFunction(
+		"update_question_vote_score",
+		[],
+		{
+			returns: "trigger",
+			language: "plpgsql",
+			replace: true,
+		},
+		`
+		BEGIN
+			IF TG_OP = 'INSERT' THEN
+				IF NEW.vote_type = 'upvote' THEN
+					UPDATE questions SET score = score + 1 WHERE id = NEW.question_id;
+				ELSIF NEW.vote_type = 'downvote' THEN
+					UPDATE questions SET score = score - 1 WHERE id = NEW.question_id;
+				END IF;
+				RETURN NEW;
+			ELSIF TG_OP = 'UPDATE' THEN
+				-- Handle vote type change
+				IF OLD.vote_type = 'upvote' AND NEW.vote_type = 'downvote' THEN
+					UPDATE questions SET score = score - 2 WHERE id = NEW.question_id;
+				ELSIF OLD.vote_type = 'downvote' AND NEW.vote_type = 'upvote' THEN
+					UPDATE questions SET score = score + 2 WHERE id = NEW.question_id;
+				END IF;
+				RETURN NEW;
+			ELSIF TG_OP = 'DELETE' THEN
+				IF OLD.vote_type = 'upvote' THEN
+					UPDATE questions SET score = score - 1 WHERE id = OLD.question_id;
+				ELSIF OLD.vote_type = 'downvote' THEN
+					UPDATE questions SET score = score + 1 WHERE id = OLD.question_id;
+				END IF;
+				RETURN OLD;
+			END IF;
+			RETURN NULL;
+		END;
+		`,
+	);
+
+	pgm.createTrigger("question_votes", "question_votes_update_score_trigger", {
+		when: "AFTER",
+		operation: ["INSERT", "UPDATE", "DELETE"],
+		function: "update_question_vote_score",
+		level: "ROW",
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTrigger("question_votes", "question_votes_updated_at_trigger", {
+		ifExists: true,
+	});
+	pgm.dropTrigger("question_votes", "question_votes_update_score_trigger", {
+		ifExists: true,
+	});
+
+	pgm.dropFunction("update_question_vote_score", [], {
+		ifExists: true,
+	});
+
+	pgm.dropTable("question_votes");
+
+	pgm.dropIndex("questions", "score", {
+		name: "questions_score_idx",
+		ifExists: true,
+	});
+	pgm.dropColumn("questions", "score");
+}
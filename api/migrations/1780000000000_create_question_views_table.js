@@ -0,0 +1,91 @@
+/**
+ * Create question_views table for de-duplicated view counting
+ *
+ * Each row records the last time a viewer (a user id or a hashed IP address)
+ * was counted for a question. A view only increments `questions.view_count`
+ * when the viewer has not been counted within the de-duplication window, so
+ * refreshing a page does not inflate the count.
+ *
+ * Also stops counter-only updates (view_count, score) from bumping
+ * `questions.updated_at`, which the UI uses to show "(edited)".
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("question_views", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		question_id: {
+			type: "integer",
+			notNull: true,
+			references: "questions(id)",
+			onDelete: "CASCADE",
+		},
+		// "user:<id>" for logged-in users, "ip:<sha256>" for anonymous visitors
+		viewer_key: {
+			type: "varchar(80)",
+			notNull: true,
+		},
+		viewed_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	// One row per viewer per question (upserted when the window expires)
+	pgm.addConstraint("question_views", "question_views_question_viewer_unique", {
+		unique: ["question_id", "viewer_key"],
+	});
+
+	// Index for pruning rows older than the de-duplication window
+	pgm.createIndex("question_views", "viewed_at", {
+		name: "question_views_viewed_at_idx",
+	});
+
+	// Only bump updated_at when something other than a counter changed
+	pgm.createFunction(
+		"update_questions_updated_at",
+		[],
+		{
+			returns: "trigger",
+			language: "plpgsql",
+			replace: true,
+		},
+		`
+		BEGIN
+			IF (to_jsonb(NEW) - 'view_count' - 'score' - 'updated_at' - 'search_vector')
+				IS DISTINCT FROM
+				(to_jsonb(OLD) - 'view_count' - 'score' - 'updated_at' - 'search_vector') THEN
+				NEW.updated_at = NOW();
+			END IF;
+			RETURN NEW;
+		END;
+		`,
+	);
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.createFunction(
+		"update_questions_updated_at",
+		[],
+		{
+			returns: "trigger",
+			language: "plpgsql",
+			replace: true,
+		},
+		`
+		BEGIN
+			NEW.updated_at = NOW();
+			RETURN NEW;
+		END;
+		`,
+	);
+
+	pgm.dropTable("question_views");
+}
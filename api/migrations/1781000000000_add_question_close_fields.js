@@ -0,0 +1,94 @@
+/**
+ * Add close / archive metadata to questions
+ *
+ * `question_status` already includes `closed` and `archived`; these columns
+ * record why and when a question was closed (and by whom), and when it was
+ * archived. Closing and archiving are moderation actions rather than edits,
+ * so they are also excluded from the `updated_at` trigger.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createType("question_close_reason", [
+		"off_topic", // Not about learning to code / not a fit for the site
+		"duplicate", // Already asked and answered elsewhere
+		"needs_details", // Not enough information to answer
+	]);
+
+	pgm.addColumns("questions", {
+		close_reason: {
+			type: "question_close_reason",
+			notNull: false,
+		},
+		closed_at: {
+			type: "timestamp",
+			notNull: false,
+		},
+		closed_by_user_id: {
+			type: "integer",
+			notNull: false,
+			references: "users(id)",
+			onDelete: "SET NULL",
+		},
+		archived_at: {
+			type: "timestamp",
+			notNull: false,
+		},
+	});
+
+	// Status / close metadata changes do not count as edits
+	pgm.createFunction(
+		"update_questions_updated_at",
+		[],
+		{
+			returns: "trigger",
+			language: "plpgsql",
+			replace: true,
+		},
+		`
+		BEGIN
+			IF (to_jsonb(NEW) - 'view_count' - 'score' - 'updated_at' - 'search_vector'
+					- 'status' - 'close_reason' - 'closed_at' - 'closed_by_user_id' - 'archived_at')
+				IS DISTINCT FROM
+				(to_jsonb(OLD) - 'view_count' - 'score' - 'updated_at' - 'search_vector'
+					- 'status' - 'close_reason' - 'closed_at' - 'closed_by_user_id' - 'archived_at') THEN
+				NEW.updated_at = NOW();
+			END IF;
+			RETURN NEW;
+		END;
+		`,
+	);
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.createFunction(
+		"update_questions_updated_at",
+		[],
+		{
+			returns: "trigger",
+			language: "plpgsql",
+			replace: true,
+		},
+		`
+		BEGIN
+			IF (to_jsonb(NEW) - 'view_count' - 'score' - 'updated_at' - 'search_vector')
+				IS DISTINCT FROM
+				(to_jsonb(OLD) - 'view_count' - 'score' - 'updated_at' - 'search_vector') THEN
+				NEW.updated_at = NOW();
+			END IF;
+			RETURN NEW;
+		END;
+		`,
+	);
+
+	pgm.dropColumns("questions", [
+		"close_reason",
+		"closed_at",
+		"closed_by_user_id",
+		"archived_at",
+	]);
+	pgm.dropType("question_close_reason");
+}
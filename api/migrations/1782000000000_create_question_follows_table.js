@@ -0,0 +1,64 @@
+/**
+ * Create question_follows table so users can follow any question
+ *
+ * Followers are notified about new answers, comments, edits and accepted
+ * answers on the question. Authors, answerers and commenters are followed
+ * automatically; anyone can unfollow.
+ *
+ * Also adds the `question_edited` notification type for edit events.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("question_follows", {
+		user_id: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		question_id: {
+			type: "integer",
+			notNull: true,
+			references: "questions(id)",
+			onDelete: "CASCADE",
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	// One follow per user per question; also serves "questions I follow" lookups
+	pgm.addConstraint("question_follows", "question_follows_pkey", {
+		primaryKey: ["user_id", "question_id"],
+	});
+
+	// Index for fanning out notifications to a question's followers
+	pgm.createIndex("question_follows", "question_id", {
+		name: "question_follows_question_id_idx",
+	});
+
+	pgm.addTypeValue("notification_type", "question_edited", {
+		ifNotExists: true,
+	});
+
+	// Existing authors follow their own questions
+	pgm.sql(`
+		INSERT INTO question_follows (user_id, question_id, created_at)
+		SELECT user_id, id, created_at
+		FROM questions
+		WHERE deleted_at IS NULL
+		ON CONFLICT DO NOTHING
+	`);
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("question_follows");
+	// Note: PostgreSQL does not support removing enum values, so
+	// 'question_edited' is left in notification_type
+}
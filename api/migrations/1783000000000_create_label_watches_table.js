@@ -0,0 +1,76 @@
+/**
+ * Create label_watches and question_notification_jobs tables
+ *
+ * New-question notifications used to be sent to every user. Users now watch
+ * labels and are only notified about new questions carrying those labels.
+ *
+ * Fan-out is queued: creating a question inserts a job, and a background
+ * worker sends the notifications in batches of watchers, keeping its place
+ * in `last_user_id` so a restart resumes where it stopped.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("label_watches", {
+		user_id: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		label_id: {
+			type: "integer",
+			notNull: true,
+			references: "labels(id)",
+			onDelete: "CASCADE",
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	// One watch per user per label; also serves "labels I watch" lookups
+	pgm.addConstraint("label_watches", "label_watches_pkey", {
+		primaryKey: ["user_id", "label_id"],
+	});
+
+	// Index for finding the watchers of a label
+	pgm.createIndex("label_watches", ["label_id", "user_id"], {
+		name: "label_watches_label_user_idx",
+	});
+
+	pgm.createTable("question_notification_jobs", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		question_id: {
+			type: "integer",
+			notNull: true,
+			unique: true,
+			references: "questions(id)",
+			onDelete: "CASCADE",
+		},
+		// Watchers are notified in user_id order; this is the last one notified
+		last_user_id: {
+			type: "integer",
+			notNull: true,
+			default: 0,
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("question_notification_jobs");
+	pgm.dropTable("label_watches");
+}
@@ -0,0 +1,55 @@
+/**
+ * Create notification_preferences table
+ *
+ * One optional row per user per notification type choosing the delivery
+ * channels (in-app, push, email). Users without a row get the defaults
+ * defined in `notificationService` (NOTIFICATION_CHANNEL_DEFAULTS).
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("notification_preferences", {
+		user_id: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		type: {
+			type: "notification_type",
+			notNull: true,
+		},
+		in_app: {
+			type: "boolean",
+			notNull: true,
+		},
+		push: {
+			type: "boolean",
+			notNull: true,
+		},
+		email: {
+			type: "boolean",
+			notNull: true,
+		},
+		updated_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.addConstraint(
+		"notification_preferences",
+		"notification_preferences_pkey",
+		{
+			primaryKey: ["user_id", "type"],
+		},
+	);
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("notification_preferences");
+}
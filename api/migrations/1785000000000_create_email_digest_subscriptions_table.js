@@ -0,0 +1,54 @@
+/**
+ * Create email_digest_subscriptions table
+ *
+ * How often each user gets the activity digest email, when it was last sent,
+ * and the token used by the unsubscribe link (which works without logging
+ * in). Users without a row don't get the digest; a row is created when the
+ * user chooses a frequency.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createType("digest_frequency", ["off", "daily", "weekly"]);
+
+	pgm.createTable("email_digest_subscriptions", {
+		user_id: {
+			type: "integer",
+			primaryKey: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		frequency: {
+			type: "digest_frequency",
+			notNull: true,
+		},
+		unsubscribe_token: {
+			type: "varchar(64)",
+			notNull: true,
+			unique: true,
+			default: pgm.func("replace(gen_random_uuid()::text, '-', '')"),
+		},
+		last_sent_at: {
+			type: "timestamp",
+			notNull: false,
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+		updated_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("email_digest_subscriptions");
+	pgm.dropType("digest_frequency");
+}
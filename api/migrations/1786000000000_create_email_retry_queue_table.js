@@ -0,0 +1,67 @@
+/**
+ * Create email_retry_queue table
+ *
+ * Emails whose first send failed, retried with backoff by a background job.
+ * Rows are deleted once sent; rows that run out of attempts (or fail
+ * permanently) are kept with `failed_at` set so they can be inspected.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("email_retry_queue", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		to_address: {
+			type: "varchar(255)",
+			notNull: true,
+		},
+		subject: {
+			type: "text",
+			notNull: true,
+		},
+		html: {
+			type: "text",
+			notNull: true,
+		},
+		text: {
+			type: "text",
+			notNull: true,
+		},
+		attempts: {
+			type: "integer",
+			notNull: true,
+			default: 1,
+		},
+		last_error: {
+			type: "text",
+			notNull: false,
+		},
+		next_attempt_at: {
+			type: "timestamp",
+			notNull: true,
+		},
+		failed_at: {
+			type: "timestamp",
+			notNull: false,
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.createIndex("email_retry_queue", "next_attempt_at", {
+		name: "email_retry_queue_pending_idx",
+		where: "failed_at IS NULL",
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("email_retry_queue");
+}
@@ -0,0 +1,80 @@
+/**
+ * Create upload_references table
+ *
+ * Records which content uses each upload: the questions, answers and comments
+ * whose content embeds its URL, and the users whose avatar it is. Saving the
+ * content replaces its references. Uploads with no references are orphans
+ * (e.g. an image added to the editor of a post that was never submitted) and
+ * are removed by the upload cleanup job once they are old enough.
+ *
+ * Existing content is scanned for upload URLs so nothing in use is cleaned up.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createType("upload_content_type", [
+		"question",
+		"answer",
+		"comment",
+		"avatar",
+	]);
+
+	pgm.createTable("upload_references", {
+		file_upload_id: {
+			type: "integer",
+			notNull: true,
+			references: "file_uploads(id)",
+			onDelete: "CASCADE",
+		},
+		content_type: {
+			type: "upload_content_type",
+			notNull: true,
+		},
+		// Question, answer or comment ID, or the user ID for avatars
+		content_id: {
+			type: "integer",
+			notNull: true,
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.addConstraint("upload_references", "upload_references_pkey", {
+		primaryKey: ["file_upload_id", "content_type", "content_id"],
+	});
+
+	// Index for replacing the references of a piece of content
+	pgm.createIndex("upload_references", ["content_type", "content_id"], {
+		name: "upload_references_content_idx",
+	});
+
+	pgm.sql(`
+		INSERT INTO upload_references (file_upload_id, content_type, content_id)
+		SELECT f.id, 'question'::upload_content_type, q.id
+		FROM file_uploads f
+		JOIN questions q ON q.content LIKE '%/uploads/%' || f.stored_filename || '%'
+		UNION
+		SELECT f.id, 'answer'::upload_content_type, a.id
+		FROM file_uploads f
+		JOIN answers a ON a.content LIKE '%/uploads/%' || f.stored_filename || '%'
+		UNION
+		SELECT f.id, 'comment'::upload_content_type, c.id
+		FROM file_uploads f
+		JOIN comments c ON c.content LIKE '%/uploads/%' || f.stored_filename || '%'
+		UNION
+		SELECT f.id, 'avatar'::upload_content_type, u.id
+		FROM file_uploads f
+		JOIN users u ON u.avatar_url LIKE '%/uploads/%' || f.stored_filename || '%'
+	`);
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("upload_references");
+	pgm.dropType("upload_content_type");
+}
@@ -0,0 +1,44 @@
+/**
+ * Add content_hash and last_used_at to file_uploads
+ *
+ * `content_hash` is the SHA-256 of the uploaded bytes. When a user uploads a
+ * file they already uploaded, the existing upload is returned instead of
+ * storing a copy (and it doesn't count towards their quota again).
+ *
+ * `last_used_at` is bumped when an upload is reused that way, and is what the
+ * orphan cleanup job measures age from, so a reused upload gets a fresh grace
+ * period before it must be referenced by some content.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.addColumns("file_uploads", {
+		content_hash: {
+			type: "varchar(64)",
+			notNull: false,
+		},
+		last_used_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.sql(`UPDATE file_uploads SET last_used_at = created_at`);
+
+	// Index for finding a user's earlier upload of the same file
+	pgm.createIndex("file_uploads", ["user_id", "content_hash"], {
+		name: "file_uploads_user_content_hash_idx",
+		where: "deleted_at IS NULL AND content_hash IS NOT NULL",
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropIndex("file_uploads", ["user_id", "content_hash"], {
+		name: "file_uploads_user_content_hash_idx",
+	});
+	pgm.dropColumns("file_uploads", ["content_hash", "last_used_at"]);
+}
@@ -0,0 +1,26 @@
+/**
+ * Add variants to file_uploads
+ *
+ * Images are stored with WebP and AVIF copies at several widths for
+ * responsive `srcset`s. `variants` lists them as
+ * `[{ format, width, height, key }]`; it is empty for non-images, GIFs and
+ * images uploaded before variants were generated.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.addColumns("file_uploads", {
+		variants: {
+			type: "jsonb",
+			notNull: true,
+			default: pgm.func("'[]'::jsonb"),
+		},
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropColumns("file_uploads", ["variants"]);
+}
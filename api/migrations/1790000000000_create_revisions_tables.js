@@ -0,0 +1,136 @@
+/**
+ * Create question_revisions and answer_revisions tables
+ *
+ * Every version of a question or answer is kept as a numbered revision:
+ * revision 1 is the post as created, and each edit or rollback adds the next
+ * one. Question revisions snapshot the labels as `[{ id, name }]`, so the
+ * history still reads correctly after labels are renamed or removed.
+ *
+ * Existing posts get a first revision holding their current state; earlier
+ * edits were not recorded.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("question_revisions", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		question_id: {
+			type: "integer",
+			notNull: true,
+			references: "questions(id)",
+			onDelete: "CASCADE",
+		},
+		revision_number: {
+			type: "integer",
+			notNull: true,
+		},
+		title: {
+			type: "varchar(255)",
+			notNull: true,
+		},
+		content: {
+			type: "text",
+			notNull: true,
+		},
+		labels: {
+			type: "jsonb",
+			notNull: true,
+			default: pgm.func("'[]'::jsonb"),
+		},
+		editor_id: {
+			type: "integer",
+			references: "users(id)",
+			onDelete: "SET NULL",
+		},
+		edit_summary: {
+			type: "varchar(300)",
+		},
+		// Revision number this revision restored, for rollbacks
+		rolled_back_to: {
+			type: "integer",
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.addConstraint("question_revisions", "question_revisions_number_key", {
+		unique: ["question_id", "revision_number"],
+	});
+
+	pgm.createTable("answer_revisions", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		answer_id: {
+			type: "integer",
+			notNull: true,
+			references: "answers(id)",
+			onDelete: "CASCADE",
+		},
+		revision_number: {
+			type: "integer",
+			notNull: true,
+		},
+		content: {
+			type: "text",
+			notNull: true,
+		},
+		editor_id: {
+			type: "integer",
+			references: "users(id)",
+			onDelete: "SET NULL",
+		},
+		edit_summary: {
+			type: "varchar(300)",
+		},
+		rolled_back_to: {
+			type: "integer",
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.addConstraint("answer_revisions", "answer_revisions_number_key", {
+		unique: ["answer_id", "revision_number"],
+	});
+
+	pgm.sql(`
+		INSERT INTO question_revisions
+			(question_id, revision_number, title, content, labels, editor_id, created_at)
+		SELECT q.id, 1, q.title, q.content,
+			COALESCE(
+				(SELECT jsonb_agg(jsonb_build_object('id', l.id, 'name', l.name) ORDER BY l.name)
+				 FROM question_labels ql
+				 JOIN labels l ON l.id = ql.label_id
+				 WHERE ql.question_id = q.id),
+				'[]'::jsonb
+			),
+			q.user_id, COALESCE(q.updated_at, q.created_at)
+		FROM questions q
+	`);
+
+	pgm.sql(`
+		INSERT INTO answer_revisions
+			(answer_id, revision_number, content, editor_id, created_at)
+		SELECT a.id, 1, a.content, a.user_id, COALESCE(a.updated_at, a.created_at)
+		FROM answers a
+	`);
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("answer_revisions");
+	pgm.dropTable("question_revisions");
+}
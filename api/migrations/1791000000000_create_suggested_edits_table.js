@@ -0,0 +1,93 @@
+/**
+ * Create suggested_edits table
+ *
+ * Users with enough reputation can propose an edit to someone else's question
+ * or answer. The suggestion waits in the review queue until the post's author
+ * or an admin approves it (the edit is applied as a new revision credited to
+ * the suggester) or rejects it. A user can only have one pending suggestion
+ * per post.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createType("suggested_edit_post_type", ["question", "answer"]);
+	pgm.createType("suggested_edit_status", ["pending", "approved", "rejected"]);
+
+	pgm.createTable("suggested_edits", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		post_type: {
+			type: "suggested_edit_post_type",
+			notNull: true,
+		},
+		// Question or answer ID
+		post_id: {
+			type: "integer",
+			notNull: true,
+		},
+		suggested_by: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		// Proposed title, for questions only
+		title: {
+			type: "varchar(255)",
+		},
+		content: {
+			type: "text",
+			notNull: true,
+		},
+		edit_summary: {
+			type: "varchar(300)",
+		},
+		// Revision the suggestion was made against, to show what changed
+		base_revision: {
+			type: "integer",
+			notNull: true,
+		},
+		status: {
+			type: "suggested_edit_status",
+			notNull: true,
+			default: "pending",
+		},
+		reviewed_by: {
+			type: "integer",
+			references: "users(id)",
+			onDelete: "SET NULL",
+		},
+		reviewed_at: {
+			type: "timestamp",
+		},
+		reject_reason: {
+			type: "varchar(300)",
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.createIndex("suggested_edits", ["post_type", "post_id", "status"], {
+		name: "suggested_edits_post_idx",
+	});
+
+	pgm.createIndex("suggested_edits", ["post_type", "post_id", "suggested_by"], {
+		name: "suggested_edits_one_pending_idx",
+		unique: true,
+		where: "status = 'pending'",
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("suggested_edits");
+	pgm.dropType("suggested_edit_status");
+	pgm.dropType("suggested_edit_post_type");
+}
@@ -0,0 +1,132 @@
+/**
+ * Create reputation_events table
+ *
+ * A ledger of every reputation change, so users can see why their reputation
+ * changed and admins can audit or recompute it. Undoing a vote or an
+ * acceptance is recorded as a reversal with the opposite points.
+ *
+ * Existing votes, accepted answers and approved suggested edits are
+ * backfilled. Where a user's reputation doesn't match the backfilled events
+ * (e.g. history from before reputation was tracked), an adjustment event
+ * makes up the difference so the ledger explains the current total.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createType("reputation_event_type", [
+		"question_upvote",
+		"question_downvote",
+		"answer_upvote",
+		"answer_downvote",
+		"answer_accepted",
+		"suggested_edit_approved",
+		"adjustment",
+	]);
+
+	pgm.createTable("reputation_events", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		// User whose reputation changed
+		user_id: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		event_type: {
+			type: "reputation_event_type",
+			notNull: true,
+		},
+		points: {
+			type: "integer",
+			notNull: true,
+		},
+		// Undoes an earlier event of the same type (vote removed, answer unaccepted)
+		reversal: {
+			type: "boolean",
+			notNull: true,
+			default: false,
+		},
+		// Source post: the question, plus the answer for answer events
+		question_id: {
+			type: "integer",
+			references: "questions(id)",
+			onDelete: "SET NULL",
+		},
+		answer_id: {
+			type: "integer",
+			references: "answers(id)",
+			onDelete: "SET NULL",
+		},
+		// User who caused the change: voter, question author or edit reviewer
+		actor_id: {
+			type: "integer",
+			references: "users(id)",
+			onDelete: "SET NULL",
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.createIndex("reputation_events", ["user_id", "created_at"], {
+		name: "reputation_events_user_idx",
+	});
+
+	// The same replay as recalculateReputationDB (reputationRepository.js),
+	// with the points as they were when this migration was written. It is
+	// deliberately a frozen copy rather than a call into app code: later
+	// changes to the rules or event types must not change what this does.
+	pgm.sql(`
+		INSERT INTO reputation_events
+			(user_id, event_type, points, question_id, answer_id, actor_id, created_at)
+		SELECT a.user_id,
+		       CASE WHEN v.vote_type = 'upvote' THEN 'answer_upvote' ELSE 'answer_downvote' END::reputation_event_type,
+		       CASE WHEN v.vote_type = 'upvote' THEN 10 ELSE -2 END,
+		       a.question_id, a.id, v.user_id, v.updated_at
+		FROM votes v
+		JOIN answers a ON a.id = v.answer_id
+		WHERE v.user_id <> a.user_id
+		UNION ALL
+		SELECT q.user_id,
+		       CASE WHEN v.vote_type = 'upvote' THEN 'question_upvote' ELSE 'question_downvote' END::reputation_event_type,
+		       CASE WHEN v.vote_type = 'upvote' THEN 5 ELSE -2 END,
+		       q.id, NULL, v.user_id, v.updated_at
+		FROM question_votes v
+		JOIN questions q ON q.id = v.question_id
+		WHERE v.user_id <> q.user_id
+		UNION ALL
+		SELECT a.user_id, 'answer_accepted', 15, a.question_id, a.id, q.user_id, a.updated_at
+		FROM answers a
+		JOIN questions q ON q.id = a.question_id
+		WHERE a.is_accepted = true
+		UNION ALL
+		SELECT s.suggested_by, 'suggested_edit_approved', 2,
+		       COALESCE(q.id, a.question_id), a.id, s.reviewed_by, s.reviewed_at
+		FROM suggested_edits s
+		LEFT JOIN questions q ON s.post_type = 'question' AND q.id = s.post_id
+		LEFT JOIN answers a ON s.post_type = 'answer' AND a.id = s.post_id
+		WHERE s.status = 'approved'
+	`);
+
+	pgm.sql(`
+		INSERT INTO reputation_events (user_id, event_type, points)
+		SELECT u.id, 'adjustment', COALESCE(u.reputation, 0) - COALESCE(SUM(e.points), 0)
+		FROM users u
+		LEFT JOIN reputation_events e ON e.user_id = u.id
+		GROUP BY u.id
+		HAVING COALESCE(u.reputation, 0) <> COALESCE(SUM(e.points), 0)
+	`);
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("reputation_events");
+	pgm.dropType("reputation_event_type");
+}
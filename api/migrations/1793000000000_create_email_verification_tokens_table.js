@@ -0,0 +1,55 @@
+/**
+ * Create email_verification_tokens table
+ * Stores the tokens emailed to users to confirm their address. Only the
+ * SHA-256 hash of each token is stored.
+ */
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("email_verification_tokens", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		user_id: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		token: {
+			type: "varchar(255)",
+			notNull: true,
+			unique: true,
+		},
+		expires_at: {
+			type: "timestamp",
+			notNull: true,
+		},
+		used_at: {
+			type: "timestamp",
+			notNull: false,
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.createIndex("email_verification_tokens", "user_id", {
+		name: "email_verification_tokens_user_id_idx",
+	});
+	pgm.createIndex("email_verification_tokens", "expires_at", {
+		name: "email_verification_tokens_expires_at_idx",
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("email_verification_tokens");
+}
@@ -0,0 +1,132 @@
+/**
+ * Create label_synonyms and label_proposals tables
+ *
+ * A synonym is another name for a label (`js` for JavaScript). Searching,
+ * filtering and tagging by a synonym use the label it points to. Synonym
+ * names are unique regardless of case. Common synonyms are seeded, except
+ * where a label already has that name.
+ *
+ * Users can propose new labels; a proposal waits until an admin approves it
+ * (creating the label) or rejects it. Only one pending proposal per name.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createTable("label_synonyms", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		label_id: {
+			type: "integer",
+			notNull: true,
+			references: "labels(id)",
+			onDelete: "CASCADE",
+		},
+		name: {
+			type: "varchar(100)",
+			notNull: true,
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.createIndex("label_synonyms", "lower(name)", {
+		name: "label_synonyms_name_idx",
+		unique: true,
+	});
+	pgm.createIndex("label_synonyms", "label_id", {
+		name: "label_synonyms_label_id_idx",
+	});
+
+	pgm.sql(`
+		INSERT INTO label_synonyms (label_id, name)
+		SELECT l.id, s.name
+		FROM (VALUES
+			('javascript', 'js'),
+			('javascript', 'ecmascript'),
+			('react', 'reactjs'),
+			('react', 'react.js'),
+			('html', 'html5'),
+			('css', 'css3'),
+			('python', 'py')
+		) AS s(slug, name)
+		JOIN labels l ON l.slug = s.slug
+		-- A name that is already a label stays that label, not a synonym
+		WHERE NOT EXISTS (
+			SELECT 1 FROM labels other
+			WHERE LOWER(other.name) = LOWER(s.name) OR other.slug = LOWER(s.name)
+		)
+		ON CONFLICT DO NOTHING;
+	`);
+
+	pgm.createType("label_proposal_status", ["pending", "approved", "rejected"]);
+
+	pgm.createTable("label_proposals", {
+		id: {
+			type: "serial",
+			primaryKey: true,
+		},
+		name: {
+			type: "varchar(100)",
+			notNull: true,
+		},
+		description: {
+			type: "text",
+		},
+		proposed_by: {
+			type: "integer",
+			notNull: true,
+			references: "users(id)",
+			onDelete: "CASCADE",
+		},
+		status: {
+			type: "label_proposal_status",
+			notNull: true,
+			default: "pending",
+		},
+		// Label created when the proposal was approved
+		label_id: {
+			type: "integer",
+			references: "labels(id)",
+			onDelete: "SET NULL",
+		},
+		reviewed_by: {
+			type: "integer",
+			references: "users(id)",
+			onDelete: "SET NULL",
+		},
+		reviewed_at: {
+			type: "timestamp",
+		},
+		reject_reason: {
+			type: "varchar(300)",
+		},
+		created_at: {
+			type: "timestamp",
+			notNull: true,
+			default: pgm.func("NOW()"),
+		},
+	});
+
+	pgm.createIndex("label_proposals", "lower(name)", {
+		name: "label_proposals_one_pending_idx",
+		unique: true,
+		where: "status = 'pending'",
+	});
+	pgm.createIndex("label_proposals", ["status", "created_at"], {
+		name: "label_proposals_status_idx",
+	});
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropTable("label_proposals");
+	pgm.dropType("label_proposal_status");
+	pgm.dropTable("label_synonyms");
+}
@@ -0,0 +1,61 @@
+/**
+ * Add a role to every user
+ *
+ * Roles replace the ADMIN_EMAILS list as the source of admin rights, so
+ * admins can grant and revoke them without a redeploy. What each role may do
+ * is defined in utils/permissions.js. Everyone starts as a trainee.
+ *
+ * Users whose email is in ADMIN_EMAILS when this runs become admins, so
+ * existing admins keep their access.
+ *
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function up(pgm) {
+	pgm.createType("user_role", ["admin", "moderator", "mentor", "trainee"]);
+
+	pgm.addColumn("users", {
+		role: {
+			type: "user_role",
+			notNull: true,
+			default: "trainee",
+		},
+		role_granted_by: {
+			type: "integer",
+			references: "users(id)",
+			onDelete: "SET NULL",
+		},
+		role_granted_at: {
+			type: "timestamp",
+		},
+	});
+
+	// Staff are listed on the admin page
+	pgm.createIndex("users", "role", {
+		name: "users_staff_role_idx",
+		where: "role <> 'trainee'",
+	});
+
+	// Read directly: migrations don't import app code, and node-pg-migrate may
+	// load this without the app's config having been initialised.
+	// eslint-disable-next-line no-restricted-syntax -- see above
+	const adminEmails = (process.env.ADMIN_EMAILS || "")
+		.split(",")
+		.map((email) => email.trim().toLowerCase())
+		.filter(Boolean);
+	if (adminEmails.length > 0) {
+		pgm.sql(
+			`UPDATE users SET role = 'admin', role_granted_at = NOW()
+			 WHERE LOWER(email) = ANY({adminEmails}::text[])`,
+			{ adminEmails },
+		);
+	}
+}
+
+/**
+ * @param {import("node-pg-migrate").MigrationBuilder} pgm
+ */
+export async function down(pgm) {
+	pgm.dropIndex("users", "role", { name: "users_staff_role_idx" });
+	pgm.dropColumns("users", ["role", "role_granted_by", "role_granted_at"]);
+	pgm.dropType("user_role");
+}
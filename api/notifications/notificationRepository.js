@@ -375,3 +375,83 @@ export const deleteNotificationsByQuestionIdDB = async (questionId) => {
 		throw error;
 	}
 };
+
+/**
+ * Get a user's saved notification preferences (types without a row use defaults)
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<{type: string, in_app: boolean, push: boolean, email: boolean}>>}
+ */
+export const getNotificationPreferencesDB = async (userId) => {
+	const result = await db.query(
+		`SELECT type, in_app, push, email
+		 FROM notification_preferences
+		 WHERE user_id = $1`,
+		[userId],
+	);
+	return result.rows;
+};
+
+/**
+ * Save notification preferences for several types at once
+ * @param {number} userId - User ID
+ * @param {Array<{type: string, in_app: boolean, push: boolean, email: boolean}>} preferences
+ * @returns {Promise<void>}
+ */
+export const upsertNotificationPreferencesDB = async (userId, preferences) => {
+	if (preferences.length === 0) {
+		return;
+	}
+
+	try {
+		await db.query(
+			`INSERT INTO notification_preferences (user_id, type, in_app, push, email)
+			 SELECT $1, t.type::notification_type, t.in_app, t.push, t.email
+			 FROM unnest($2::text[], $3::boolean[], $4::boolean[], $5::boolean[])
+				AS t(type, in_app, push, email)
+			 ON CONFLICT (user_id, type) DO UPDATE
+				SET in_app = EXCLUDED.in_app,
+					push = EXCLUDED.push,
+					email = EXCLUDED.email,
+					updated_at = NOW()`,
+			[
+				userId,
+				preferences.map((p) => p.type),
+				preferences.map((p) => p.in_app),
+				preferences.map((p) => p.push),
+				preferences.map((p) => p.email),
+			],
+		);
+	} catch (error) {
+		logger.error("Error saving notification preferences", {
+			userId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Resolve the delivery channels of a notification type for several users,
+ * falling back to the given defaults when a user has no saved preference.
+ * Deleted and deactivated users are left out.
+ * @param {Array<number>} userIds - Candidate recipients
+ * @param {string} type - Notification type
+ * @param {{in_app: boolean, push: boolean, email: boolean}} defaults - Default channels
+ * @returns {Promise<Array<{user_id: number, name: string, email_address: string, in_app: boolean, push: boolean, email: boolean}>>}
+ */
+export const getNotificationRecipientsDB = async (userIds, type, defaults) => {
+	const result = await db.query(
+		`SELECT u.id AS user_id, u.name, u.email AS email_address,
+			COALESCE(p.in_app, $3) AS in_app,
+			COALESCE(p.push, $4) AS push,
+			COALESCE(p.email, $5) AS email
+		 FROM users u
+		 LEFT JOIN notification_preferences p
+			ON p.user_id = u.id AND p.type = $2::notification_type
+		 WHERE u.id = ANY($1::int[])
+			AND u.deleted_at IS NULL
+			AND (u.is_active IS NULL OR u.is_active = true)`,
+		[userIds, type, defaults.in_app, defaults.push, defaults.email],
+	);
+	return result.rows;
+};
@@ -52,6 +52,43 @@ router.get("/unread-count", authenticateToken(), async (req, res) => {
 	}
 });
 
+/**
+ * GET /api/notifications/preferences
+ * Delivery channels (in_app, push, email) for each notification type
+ */
+router.get("/preferences", authenticateToken(), async (req, res) => {
+	try {
+		const preferences = await service.getNotificationPreferences(req.user.id);
+		res.json(preferences);
+	} catch (error) {
+		logger.error("Get notification preferences error:", error);
+		res.status(500).json({ error: "Failed to fetch notification preferences" });
+	}
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Update delivery channels. Body: { [type]: { in_app?, push?, email? } }
+ */
+router.put("/preferences", authenticateToken(), async (req, res) => {
+	try {
+		const preferences = await service.updateNotificationPreferences(
+			req.user.id,
+			req.body,
+		);
+		res.json(preferences);
+	} catch (error) {
+		logger.error("Update notification preferences error:", error);
+		const statusCode = error.message.startsWith("Invalid") ? 400 : 500;
+		res.status(statusCode).json({
+			error:
+				statusCode === 400
+					? error.message
+					: "Failed to update notification preferences",
+		});
+	}
+});
+
 /**
  * PUT /api/notifications/:id/read
  * Mark a notification as read
@@ -1,9 +1,172 @@
+import emailService from "../emails/emailService.js";
 import * as pushNotificationService from "../pushNotifications/pushNotificationService.js";
 import logger from "../utils/logger.js";
 
 import * as repository from "./notificationRepository.js";
 import * as sseHandler from "./notificationSSE.js";
 
+/**
+ * Delivery channels used when a user has not saved a preference for a type
+ */
+export const NOTIFICATION_CHANNEL_DEFAULTS = {
+	answer_added: { in_app: true, push: true, email: true },
+	comment_added: { in_app: true, push: true, email: false },
+	answer_accepted: { in_app: true, push: true, email: false },
+	question_added: { in_app: true, push: false, email: false },
+	question_edited: { in_app: true, push: true, email: false },
+};
+
+export const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_CHANNEL_DEFAULTS);
+
+/**
+ * Defaults for activity on questions someone follows rather than owns.
+ * Answering or commenting follows a question, so these never email unless
+ * the user turned email on for the type.
+ */
+export const FOLLOWER_CHANNEL_DEFAULTS = Object.fromEntries(
+	Object.entries(NOTIFICATION_CHANNEL_DEFAULTS).map(([type, channels]) => [
+		type,
+		{ ...channels, email: false },
+	]),
+);
+
+const NOTIFICATION_CHANNELS = ["in_app", "push", "email"];
+
+const BATCH_SIZE = 500;
+
+/**
+ * Deliver a notification to each recipient over the channels they enabled
+ * for its type: stored + SSE broadcast (in-app), push, and email.
+ * @param {Array<number>} userIds - Recipients
+ * @param {Object} notification
+ * @param {string} notification.type - Notification type
+ * @param {string} notification.title - Push / email heading
+ * @param {string} notification.message - Notification message
+ * @param {number} notification.questionId - Question ID
+ * @param {string} [notification.questionSlug] - Question slug for links
+ * @param {number} [notification.answerId] - Related answer ID
+ * @param {number} [notification.commentId] - Related comment ID
+ * @param {(recipient: Object) => Promise<Object>} [notification.sendEmail] -
+ *   Sends the email for one recipient; defaults to the generic activity email
+ * @param {Object} [channelDefaults] - Channels for recipients without a saved
+ *   preference; defaults to NOTIFICATION_CHANNEL_DEFAULTS for the type
+ */
+const deliverNotification = async (
+	userIds,
+	{
+		type,
+		title,
+		message,
+		questionId,
+		questionSlug = null,
+		answerId = null,
+		commentId = null,
+		sendEmail,
+	},
+	channelDefaults = NOTIFICATION_CHANNEL_DEFAULTS[type],
+) => {
+	const recipients = await repository.getNotificationRecipientsDB(
+		userIds,
+		type,
+		channelDefaults,
+	);
+
+	const inApp = recipients.filter((r) => r.in_app);
+	for (let i = 0; i < inApp.length; i += BATCH_SIZE) {
+		await repository.bulkCreateNotificationsDB(
+			inApp.slice(i, i + BATCH_SIZE).map((r) => ({
+				user_id: r.user_id,
+				type,
+				message,
+				related_question_id: questionId,
+				related_answer_id: answerId,
+				related_comment_id: commentId,
+			})),
+		);
+	}
+
+	for (const recipient of recipients) {
+		const userId = recipient.user_id;
+
+		// Broadcast to SSE connections (real-time update) - non-blocking
+		if (recipient.in_app && sseHandler.getConnectionCount(userId) > 0) {
+			repository
+				.getUnreadNotificationCountDB(userId)
+				.then((unreadCount) => {
+					sseHandler.broadcastToUser(userId, "unread_count", {
+						count: unreadCount,
+					});
+					sseHandler.broadcastToUser(userId, "new_notification", {
+						type,
+						questionId,
+						answerId,
+						commentId,
+					});
+				})
+				.catch((error) => {
+					logger.error("Failed to broadcast SSE notification", {
+						error: error.message,
+					});
+				});
+		}
+
+		// Send push notification (non-blocking)
+		if (recipient.push) {
+			repository
+				.getUnreadNotificationCountDB(userId)
+				.catch(() => undefined)
+				.then((badgeCount) =>
+					pushNotificationService.sendPushNotification(userId, {
+						title,
+						body: message,
+						data: {
+							type,
+							questionId: questionId.toString(),
+							answerId: answerId ? answerId.toString() : null,
+							commentId: commentId ? commentId.toString() : null,
+							questionSlug: questionSlug || undefined,
+							badgeCount,
+						},
+					}),
+				)
+				.catch((error) => {
+					logger.error(`Failed to send push notification for ${type}`, {
+						error: error.message,
+					});
+				});
+		}
+
+		// Send email (non-blocking)
+		if (recipient.email && recipient.email_address) {
+			const send = sendEmail
+				? sendEmail(recipient)
+				: emailService.sendActivityNotification({
+						userEmail: recipient.email_address,
+						userName: recipient.name,
+						heading: title,
+						message,
+						actionPath: `/questions/${questionSlug || questionId}`,
+					});
+			send
+				.then((result) => {
+					if (!result.success) {
+						logger.warn("Email service returned error", {
+							type,
+							questionId,
+							error: result.error,
+						});
+					}
+				})
+				.catch((error) => {
+					logger.error(`Failed to send ${type} email`, {
+						questionId,
+						error: error.message,
+					});
+				});
+		}
+	}
+};
+
 /**
  * Create a notification for answer added
  * @param {number} questionAuthorId - Question author's user ID
@@ -11,6 +174,8 @@ import * as sseHandler from "./notificationSSE.js";
  * @param {number} questionId - Question ID
  * @param {string} answererName - Name of the person who answered
  * @param {string} questionTitle - Question title
+ * @param {string} questionSlug - Question slug for link
+ * @param {string} [answerContent] - Answer content, quoted in the email
  */
 export const createAnswerNotification = async (
 	questionAuthorId,
@@ -19,60 +184,29 @@ export const createAnswerNotification = async (
 	answererName,
 	questionTitle,
 	questionSlug,
+	answerContent = "",
 ) => {
 	try {
 		// Don't notify if user answered their own question
 		// (This check should be done at the service level before calling this)
-		const message = `${answererName} answered your question: "${questionTitle}"`;
-		await repository.createNotificationDB({
-			user_id: questionAuthorId,
+		await deliverNotification([questionAuthorId], {
 			type: "answer_added",
-			message,
-			related_question_id: questionId,
-			related_answer_id: answerId,
-		});
-
-		const badgeCount = await repository
-			.getUnreadNotificationCountDB(questionAuthorId)
-			.catch(() => undefined);
-
-		// Send push notification (non-blocking)
-		pushNotificationService
-			.sendPushNotification(questionAuthorId, {
-				title: "New Answer",
-				body: message,
-				data: {
-					type: "answer_added",
-					questionId: questionId.toString(),
-					answerId: answerId.toString(),
-					questionSlug: questionSlug || undefined,
-					badgeCount,
-				},
-			})
-			.catch((error) => {
-				logger.error("Failed to send push notification for answer", {
-					error: error.message,
-				});
-			});
-
-		// Broadcast to SSE connections (real-time update) - non-blocking
-		repository
-			.getUnreadNotificationCountDB(questionAuthorId)
-			.then((unreadCount) => {
-				sseHandler.broadcastToUser(questionAuthorId, "unread_count", {
-					count: unreadCount,
-				});
-				sseHandler.broadcastToUser(questionAuthorId, "new_notification", {
-					type: "answer_added",
+			title: "New Answer",
+			message: `${answererName} answered your question: "${questionTitle}"`,
+			questionId,
+			questionSlug,
+			answerId,
+			sendEmail: (recipient) =>
+				emailService.sendAnswerNotification({
+					questionAuthorEmail: recipient.email_address,
+					questionAuthorName: recipient.name || "User",
+					questionSlug,
 					questionId,
-					answerId,
-				});
-			})
-			.catch((error) => {
-				logger.error("Failed to broadcast SSE notification", {
-					error: error.message,
-				});
-			});
+					questionTitle,
+					answererName,
+					answerContent,
+				}),
+		});
 	} catch (error) {
 		logger.error("Error creating answer notification:", error);
 		// Don't throw - notifications are non-critical
@@ -87,6 +221,7 @@ export const createAnswerNotification = async (
  * @param {number} questionId - Question ID
  * @param {number} [answerId] - Answer ID (if comment is on answer)
  * @param {string} commenterName - Name of the person who commented
+ * @param {string} questionSlug - Question slug for link
  */
 export const createCommentNotification = async (
 	questionAuthorId,
@@ -97,62 +232,17 @@ export const createCommentNotification = async (
 	questionSlug,
 ) => {
 	try {
-		const message = answerId
-			? `${commenterName} commented on an answer to your question`
-			: `${commenterName} commented on your question`;
-
-		await repository.createNotificationDB({
-			user_id: questionAuthorId,
+		await deliverNotification([questionAuthorId], {
 			type: "comment_added",
-			message,
-			related_question_id: questionId,
-			related_answer_id: answerId || null,
-			related_comment_id: commentId,
+			title: "New Comment",
+			message: answerId
+				? `${commenterName} commented on an answer to your question`
+				: `${commenterName} commented on your question`,
+			questionId,
+			questionSlug,
+			answerId: answerId || null,
+			commentId,
 		});
-
-		const badgeCount = await repository
-			.getUnreadNotificationCountDB(questionAuthorId)
-			.catch(() => undefined);
-
-		// Send push notification (non-blocking)
-		pushNotificationService
-			.sendPushNotification(questionAuthorId, {
-				title: "New Comment",
-				body: message,
-				data: {
-					type: "comment_added",
-					questionId: questionId.toString(),
-					answerId: answerId ? answerId.toString() : null,
-					commentId: commentId.toString(),
-					questionSlug: questionSlug || undefined,
-					badgeCount,
-				},
-			})
-			.catch((error) => {
-				logger.error("Failed to send push notification for comment", {
-					error: error.message,
-				});
-			});
-
-		// Broadcast to SSE connections (real-time update) - non-blocking
-		repository
-			.getUnreadNotificationCountDB(questionAuthorId)
-			.then((unreadCount) => {
-				sseHandler.broadcastToUser(questionAuthorId, "unread_count", {
-					count: unreadCount,
-				});
-				sseHandler.broadcastToUser(questionAuthorId, "new_notification", {
-					type: "comment_added",
-					questionId,
-					answerId,
-					commentId,
-				});
-			})
-			.catch((error) => {
-				logger.error("Failed to broadcast SSE notification", {
-					error: error.message,
-				});
-			});
 	} catch (error) {
 		logger.error("Error creating comment notification:", error);
 		// Don't throw - notifications are non-critical
@@ -176,56 +266,14 @@ export const createAcceptedAnswerNotification = async (
 	questionSlug,
 ) => {
 	try {
-		const message = `Your answer was accepted for: "${questionTitle}"`;
-		await repository.createNotificationDB({
-			user_id: answerAuthorId,
+		await deliverNotification([answerAuthorId], {
 			type: "answer_accepted",
-			message,
-			related_question_id: questionId,
-			related_answer_id: answerId,
+			title: "Answer Accepted!",
+			message: `Your answer was accepted for: "${questionTitle}"`,
+			questionId,
+			questionSlug,
+			answerId,
 		});
-
-		const badgeCount = await repository
-			.getUnreadNotificationCountDB(answerAuthorId)
-			.catch(() => undefined);
-
-		// Send push notification (non-blocking)
-		pushNotificationService
-			.sendPushNotification(answerAuthorId, {
-				title: "Answer Accepted!",
-				body: message,
-				data: {
-					type: "answer_accepted",
-					questionId: questionId.toString(),
-					answerId: answerId.toString(),
-					questionSlug: questionSlug,
-					badgeCount,
-				},
-			})
-			.catch((error) => {
-				logger.error("Failed to send push notification for accepted answer", {
-					error: error.message,
-				});
-			});
-
-		// Broadcast to SSE connections (real-time update) - non-blocking
-		repository
-			.getUnreadNotificationCountDB(answerAuthorId)
-			.then((unreadCount) => {
-				sseHandler.broadcastToUser(answerAuthorId, "unread_count", {
-					count: unreadCount,
-				});
-				sseHandler.broadcastToUser(answerAuthorId, "new_notification", {
-					type: "answer_accepted",
-					questionId,
-					answerId,
-				});
-			})
-			.catch((error) => {
-				logger.error("Failed to broadcast SSE notification", {
-					error: error.message,
-				});
-			});
 	} catch (error) {
 		logger.error("Error creating accepted answer notification:", error);
 		// Don't throw - notifications are non-critical
@@ -322,58 +370,59 @@ export const deleteQuestionNotifications = async (questionId) => {
 };
 
 /**
- * Create notifications for new question (notify all users)
- * Uses bulk insert for performance
- * @param {number} questionId - Question ID
- * @param {string} questionTitle - Question title
- * @param {string} questionAuthorName - Question author's name
- * @param {Array<number>} allUserIds - Array of all user IDs to notify
+ * Notify label watchers about a new question. Called by the label-watch
+ * fan-out job with one batch of watchers at a time.
+ * @param {Object} question - { id, title, slug, author_name }
+ * @param {Array<number>} userIds - Watchers to notify
  */
-export const createQuestionNotification = async (
-	questionId,
-	questionTitle,
-	questionAuthorName,
-	allUserIds,
-) => {
-	if (!allUserIds || allUserIds.length === 0) {
+export const createQuestionNotifications = async (question, userIds) => {
+	if (!userIds || userIds.length === 0) {
 		return;
 	}
 
 	try {
-		const message = `${questionAuthorName} asked: "${questionTitle}"`;
-
-		// Prepare notification data for bulk insert
-		const notifications = allUserIds.map((userId) => ({
-			user_id: userId,
+		await deliverNotification(userIds, {
 			type: "question_added",
-			message,
-			related_question_id: questionId,
-			related_answer_id: null,
-			related_comment_id: null,
-		}));
-
-		// Use bulk insert for better performance
-		// Process in batches of 500 to avoid query size limits
-		const BATCH_SIZE = 500;
-
-		for (let i = 0; i < notifications.length; i += BATCH_SIZE) {
-			const batch = notifications.slice(i, i + BATCH_SIZE);
-			try {
-				await repository.bulkCreateNotificationsDB(batch);
-			} catch (error) {
-				logger.error(
-					`Failed to create notification batch ${i / BATCH_SIZE + 1}:`,
-					error,
-				);
-				// Continue with next batch
-			}
-		}
+			title: "New Question",
+			message: `${question.author_name || "Someone"} asked: "${question.title}"`,
+			questionId: question.id,
+			questionSlug: question.slug,
+		});
 	} catch (error) {
 		logger.error("Error creating question notifications:", error);
 		// Don't throw - notifications are non-critical
 	}
 };
 
+/**
+ * Notify the followers of a question about activity on it
+ * @param {Array<number>} userIds - Followers to notify (actor already excluded)
+ * @param {Object} notification
+ * @param {string} notification.type - answer_added, comment_added, question_edited or answer_accepted
+ * @param {string} notification.title - Push notification title
+ * @param {string} notification.message - Notification message
+ * @param {number} notification.questionId - Question ID
+ * @param {string} [notification.questionSlug] - Question slug for links
+ * @param {number} [notification.answerId] - Related answer ID
+ * @param {number} [notification.commentId] - Related comment ID
+ */
+export const createFollowerNotifications = async (userIds, notification) => {
+	if (!userIds || userIds.length === 0) {
+		return;
+	}
+
+	try {
+		await deliverNotification(
+			userIds,
+			notification,
+			FOLLOWER_CHANNEL_DEFAULTS[notification.type],
+		);
+	} catch (error) {
+		logger.error("Error creating follower notifications:", error);
+		// Don't throw - notifications are non-critical
+	}
+};
+
 /**
  * Get notifications for a user
  * @param {number} userId - User ID
@@ -436,3 +485,57 @@ export const markAllNotificationsAsRead = async (userId) => {
 export const deleteNotification = async (notificationId, userId) => {
 	return repository.deleteNotificationDB(notificationId, userId);
 };
+
+/**
+ * Get a user's delivery channels for every notification type
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Map of type to { in_app, push, email }
+ */
+export const getNotificationPreferences = async (userId) => {
+	const saved = await repository.getNotificationPreferencesDB(userId);
+	const preferences = {};
+	for (const type of NOTIFICATION_TYPES) {
+		const row = saved.find((p) => p.type === type);
+		preferences[type] = row
+			? { in_app: row.in_app, push: row.push, email: row.email }
+			: { ...NOTIFICATION_CHANNEL_DEFAULTS[type] };
+	}
+	return preferences;
+};
+
+/**
+ * Update a user's delivery channels. Types or channels that are left out
+ * keep their current value.
+ * @param {number} userId - User ID
+ * @param {Object} updates - Map of type to partial { in_app, push, email }
+ * @returns {Promise<Object>} Updated preferences for every type
+ */
+export const updateNotificationPreferences = async (userId, updates) => {
+	if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+		throw new Error("Invalid preferences: expected an object keyed by type");
+	}
+
+	const current = await getNotificationPreferences(userId);
+	const rows = [];
+
+	for (const [type, channels] of Object.entries(updates)) {
+		if (!NOTIFICATION_TYPES.includes(type)) {
+			throw new Error(`Invalid notification type: ${type}`);
+		}
+		if (!channels || typeof channels !== "object") {
+			throw new Error(`Invalid preferences for ${type}`);
+		}
+		for (const [channel, enabled] of Object.entries(channels)) {
+			if (!NOTIFICATION_CHANNELS.includes(channel)) {
+				throw new Error(`Invalid notification channel: ${channel}`);
+			}
+			if (typeof enabled !== "boolean") {
+				throw new Error(`Invalid preferences for ${type}.${channel}`);
+			}
+		}
+		rows.push({ type, ...current[type], ...channels });
+	}
+
+	await repository.upsertNotificationPreferencesDB(userId, rows);
+	return getNotificationPreferences(userId);
+};
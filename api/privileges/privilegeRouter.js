@@ -0,0 +1,27 @@
+import { Router } from "express";
+
+import { optionalAuthenticateToken } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+import { getPrivileges, getUserPrivileges } from "./privilegeService.js";
+
+const router = Router();
+
+/**
+ * GET /api/privileges
+ * Every privilege and the reputation it needs. For a logged-in user, also
+ * which ones they have and the next one they can earn.
+ */
+router.get("/", optionalAuthenticateToken(), (req, res) => {
+	try {
+		if (!req.user) {
+			return res.json({ privileges: getPrivileges() });
+		}
+		res.json(getUserPrivileges(req.user));
+	} catch (error) {
+		logger.error("Get privileges error: %O", error);
+		res.status(500).json({ error: "Failed to fetch privileges" });
+	}
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import config from "../utils/config.js";
+import { hasPermission } from "../utils/permissions.js";
+
+/**
+ * What users can do once they have enough reputation, lowest threshold
+ * first. Thresholds can be changed with PRIVILEGE_THRESHOLDS
+ * (e.g. "downvote=50,close_questions=1000").
+ */
+export const PRIVILEGES = [
+	{
+		name: "comment_everywhere",
+		title: "Comment everywhere",
+		description:
+			"Comment on any question or answer. Without it, you can comment on your own posts and on answers to your questions.",
+		defaultReputation: 15,
+	},
+	{
+		name: "downvote",
+		title: "Downvote",
+		description: "Downvote questions and answers that are unclear or wrong.",
+		defaultReputation: 25,
+	},
+	{
+		name: "suggest_edits",
+		title: "Suggest edits",
+		description:
+			"Suggest edits to other people's questions and answers. The author or an admin reviews them.",
+		defaultReputation: 50,
+	},
+	{
+		name: "review_suggested_edits",
+		title: "Review suggested edits",
+		description:
+			"Approve or reject edits suggested to anyone's posts from the review queue.",
+		defaultReputation: 200,
+	},
+	{
+		name: "close_questions",
+		title: "Close and reopen questions",
+		description:
+			"Close other people's questions, mark them as duplicates and reopen them.",
+		defaultReputation: 500,
+	},
+];
+
+export const PRIVILEGE_NAMES = PRIVILEGES.map((privilege) => privilege.name);
+
+/**
+ * Reputation needed for a privilege
+ * @param {string} name - Privilege name
+ * @returns {number}
+ */
+export const getPrivilegeThreshold = (name) => {
+	const privilege = PRIVILEGES.find((p) => p.name === name);
+	if (!privilege) {
+		throw new Error(`Unknown privilege: ${name}`);
+	}
+	return config.privilegeThresholds[name] ?? privilege.defaultReputation;
+};
+
+/**
+ * Whether a user has a privilege. Staff roles with the all_privileges
+ * permission have every privilege.
+ * @param {{role: string, reputation: number}} user - User row
+ * @param {string} name - Privilege name
+ * @returns {boolean}
+ */
+export const hasPrivilege = (user, name) => {
+	const threshold = getPrivilegeThreshold(name);
+	if (hasPermission(user, "all_privileges")) {
+		return true;
+	}
+	return (Number(user?.reputation) || 0) >= threshold;
+};
+
+/**
+ * Every privilege with its threshold, in the order they are earned
+ * @returns {Array<{name: string, title: string, description: string, reputation: number}>}
+ */
+export const getPrivileges = () =>
+	PRIVILEGES.map(({ name, title, description }) => ({
+		name,
+		title,
+		description,
+		reputation: getPrivilegeThreshold(name),
+	})).sort((a, b) => a.reputation - b.reputation);
+
+/**
+ * Which privileges a user has, and the next one they can earn
+ * @param {{role: string, reputation: number}} user - User row
+ * @returns {{reputation: number, privileges: Array, next: Object|null}}
+ */
+export const getUserPrivileges = (user) => {
+	const privileges = getPrivileges().map((privilege) => ({
+		...privilege,
+		granted: hasPrivilege(user, privilege.name),
+	}));
+	const next = privileges.find((privilege) => !privilege.granted) || null;
+	const reputation = Number(user.reputation) || 0;
+
+	return {
+		reputation,
+		privileges,
+		next: next && {
+			...next,
+			reputationNeeded: next.reputation - reputation,
+		},
+	};
+};
@@ -62,8 +62,17 @@ export const createQuestionDB = async (
 	return question;
 };
 
-export const getAllQuestionsDB = async (limit = null, page = null) => {
-	let query = `SELECT q.*, u.name as author_name,
+export const getAllQuestionsDB = async (
+	limit = null,
+	page = null,
+	sortBy = "newest",
+) => {
+	const orderBy =
+		sortBy === "views"
+			? "q.view_count DESC, q.created_at DESC"
+			: "q.created_at DESC";
+
+	let query = `SELECT q.*, u.name as author_name, u.role as author_role,
          COALESCE(
              json_agg(
                  json_build_object('id', l.id, 'name', l.name)
@@ -75,8 +84,8 @@ export const getAllQuestionsDB = async (limit = null, page = null) => {
          LEFT JOIN question_labels ql ON q.id = ql.question_id
          LEFT JOIN labels l ON ql.label_id = l.id
          WHERE q.deleted_at IS NULL
-         GROUP BY q.id, u.name
-         ORDER BY q.created_at DESC`;
+         GROUP BY q.id, u.name, u.role
+         ORDER BY ${orderBy}`;
 
 	const params = [];
 
@@ -109,7 +118,7 @@ export const getQuestionsByUserIdDB = async (
 	limit = null,
 	page = null,
 ) => {
-	let query = `SELECT q.*, u.name as author_name,
+	let query = `SELECT q.*, u.name as author_name, u.role as author_role,
          COALESCE(
              json_agg(
                  json_build_object('id', l.id, 'name', l.name)
@@ -121,7 +130,7 @@ export const getQuestionsByUserIdDB = async (
          LEFT JOIN question_labels ql ON q.id = ql.question_id
          LEFT JOIN labels l ON ql.label_id = l.id
          WHERE q.user_id = $1 AND q.deleted_at IS NULL
-         GROUP BY q.id, u.name
+         GROUP BY q.id, u.name, u.role
          ORDER BY q.created_at DESC`;
 
 	const params = [userId];
@@ -159,7 +168,7 @@ export const getQuestionByIdDB = async (idOrSlug) => {
 	let result;
 	if (isPureNumeric) {
 		result = await db.query(
-			`SELECT q.*, u.name as author_name, u.email as author_email,
+			`SELECT q.*, u.name as author_name, u.role as author_role, u.email as author_email,
 			 COALESCE(
 				 json_agg(
 					 json_build_object('id', l.id, 'name', l.name)
@@ -171,12 +180,12 @@ export const getQuestionByIdDB = async (idOrSlug) => {
 			 LEFT JOIN question_labels ql ON q.id = ql.question_id
 			 LEFT JOIN labels l ON ql.label_id = l.id
 			 WHERE q.id = $1 AND q.deleted_at IS NULL
-			 GROUP BY q.id, u.name, u.email`,
+			 GROUP BY q.id, u.name, u.role, u.email`,
 			[idOrSlug],
 		);
 	} else {
 		result = await db.query(
-			`SELECT q.*, u.name as author_name, u.email as author_email,
+			`SELECT q.*, u.name as author_name, u.role as author_role, u.email as author_email,
 			 COALESCE(
 				 json_agg(
 					 json_build_object('id', l.id, 'name', l.name)
@@ -188,7 +197,7 @@ export const getQuestionByIdDB = async (idOrSlug) => {
 			 LEFT JOIN question_labels ql ON q.id = ql.question_id
 			 LEFT JOIN labels l ON ql.label_id = l.id
 			 WHERE q.slug = $1 AND q.deleted_at IS NULL
-			 GROUP BY q.id, u.name, u.email`,
+			 GROUP BY q.id, u.name, u.role, u.email`,
 			[idOrSlug],
 		);
 	}
@@ -213,7 +222,7 @@ export const getDeletedQuestionByIdDB = async (idOrSlug) => {
 	let result;
 	if (isPureNumeric) {
 		result = await db.query(
-			`SELECT q.*, u.name as author_name, u.email as author_email,
+			`SELECT q.*, u.name as author_name, u.role as author_role, u.email as author_email,
 			 COALESCE(
 				 json_agg(
 					 json_build_object('id', l.id, 'name', l.name)
@@ -225,12 +234,12 @@ export const getDeletedQuestionByIdDB = async (idOrSlug) => {
 			 LEFT JOIN question_labels ql ON q.id = ql.question_id
 			 LEFT JOIN labels l ON ql.label_id = l.id
 			 WHERE q.id = $1
-			 GROUP BY q.id, u.name, u.email`,
+			 GROUP BY q.id, u.name, u.role, u.email`,
 			[idOrSlug],
 		);
 	} else {
 		result = await db.query(
-			`SELECT q.*, u.name as author_name, u.email as author_email,
+			`SELECT q.*, u.name as author_name, u.role as author_role, u.email as author_email,
 			 COALESCE(
 				 json_agg(
 					 json_build_object('id', l.id, 'name', l.name)
@@ -242,7 +251,7 @@ export const getDeletedQuestionByIdDB = async (idOrSlug) => {
 			 LEFT JOIN question_labels ql ON q.id = ql.question_id
 			 LEFT JOIN labels l ON ql.label_id = l.id
 			 WHERE q.slug = $1
-			 GROUP BY q.id, u.name, u.email`,
+			 GROUP BY q.id, u.name, u.role, u.email`,
 			[idOrSlug],
 		);
 	}
@@ -361,7 +370,18 @@ export const updateQuestionDB = async (
 };
 
 export const getAllLabelsDB = async () => {
-	const result = await db.query(`SELECT id, name FROM labels ORDER BY name`);
+	const result = await db.query(
+		`SELECT l.id, l.name, l.slug,
+			COALESCE(
+				array_agg(s.name ORDER BY s.name) FILTER (WHERE s.id IS NOT NULL),
+				'{}'
+			) AS synonyms
+		 FROM labels l
+		 LEFT JOIN label_synonyms s ON s.label_id = l.id
+		 WHERE l.is_active = true
+		 GROUP BY l.id
+		 ORDER BY l.name`,
+	);
 	return result.rows;
 };
 
@@ -373,7 +393,7 @@ export const searchQuestionsByLabelsDB = async (labelId = []) => {
             JOIN question_labels ql ON q.id = ql.question_id
             WHERE ql.label_id = ANY($1::int[]) AND q.deleted_at IS NULL
         )
-        SELECT q.*, u.name as author_name,
+        SELECT q.*, u.name as author_name, u.role as author_role,
          COALESCE(
              json_agg(
                  json_build_object('id', l.id, 'name', l.name)
@@ -385,7 +405,7 @@ export const searchQuestionsByLabelsDB = async (labelId = []) => {
          JOIN users u ON q.user_id = u.id
          LEFT JOIN question_labels ql ON q.id = ql.question_id
          LEFT JOIN labels l ON ql.label_id = l.id
-         GROUP BY q.id, u.name, q.title, q.content, q.slug, q.user_id, q.status, q.is_solved, 
+         GROUP BY q.id, u.name, u.role, q.title, q.content, q.slug, q.user_id, q.status, q.is_solved, 
                   q.template_type, q.browser, q.os, q.documentation_link, q.answer_count, 
                   q.view_count, q.created_at, q.updated_at, q.last_activity_at, q.deleted_at, 
                   q.search_vector
@@ -401,197 +421,311 @@ export const searchQuestionsByLabelsDB = async (labelId = []) => {
 	return questions;
 };
 
-export const searchQuestionsByTextDB = async (
-	searchTerm,
-	limit = null,
-	page = null,
-	options = {},
-) => {
+/**
+ * Markers wrapped around matched terms in `title_highlight` and `snippet`.
+ * Control characters are used instead of HTML so the client can render
+ * highlights without trusting user content as markup.
+ */
+export const HIGHLIGHT_START = "\u0002";
+export const HIGHLIGHT_END = "\u0003";
+
+const TITLE_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=true`;
+const SNIPPET_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Visible comments on question `q` or on one of its visible answers
+const QUESTION_COMMENTS_SQL = `comments c
+		LEFT JOIN answers ca ON c.answer_id = ca.id
+		WHERE c.deleted_at IS NULL
+			AND (c.question_id = q.id OR (ca.question_id = q.id AND ca.deleted_at IS NULL))`;
+
+const ANSWER_MATCH_SQL = `EXISTS (
+		SELECT 1 FROM answers a
+		WHERE a.question_id = q.id AND a.deleted_at IS NULL AND a.search_vector @@ search.tsq
+	)`;
+
+const COMMENT_MATCH_SQL = `EXISTS (
+		SELECT 1 FROM ${QUESTION_COMMENTS_SQL} AND c.search_vector @@ search.tsq
+	)`;
+
+/**
+ * Relevance of a question for `search.tsq`: title (weight A) outranks body (B),
+ * which outranks the best matching answer (re-weighted to C), then comments (D).
+ */
+const SEARCH_RANK_SQL = `ts_rank(q.search_vector, search.tsq) + COALESCE((
+		SELECT MAX(ts_rank(setweight(a.search_vector, 'C'), search.tsq))
+		FROM answers a
+		WHERE a.question_id = q.id AND a.deleted_at IS NULL AND a.search_vector @@ search.tsq
+	), 0) + COALESCE((
+		SELECT MAX(ts_rank(setweight(c.search_vector, 'D'), search.tsq))
+		FROM ${QUESTION_COMMENTS_SQL} AND c.search_vector @@ search.tsq
+	), 0)`;
+
+/**
+ * Best matching answer or comment for question `q`, used to tell the user
+ * where a buried match is. Comments are skipped when `answersOnly` is set.
+ * @param {boolean} answersOnly
+ * @returns {string} LATERAL subquery producing (type, id, answer_id, content)
+ */
+const buildBestMatchSql = (answersOnly) => {
+	const answerMatches = `SELECT 'answer' AS type, a.id, NULL::integer AS answer_id, a.content,
+				ts_rank(a.search_vector, search.tsq) AS rank
+			FROM answers a
+			WHERE a.question_id = q.id AND a.deleted_at IS NULL AND a.search_vector @@ search.tsq`;
+	const commentMatches = `SELECT 'comment' AS type, c.id, c.answer_id, c.content,
+				ts_rank(c.search_vector, search.tsq) AS rank
+			FROM ${QUESTION_COMMENTS_SQL} AND c.search_vector @@ search.tsq`;
+
+	return `(
+			${answersOnly ? answerMatches : `${answerMatches} UNION ALL ${commentMatches}`}
+			ORDER BY rank DESC
+			LIMIT 1
+		)`;
+};
+
+const SQL_COMPARISONS = {
+	"=": "=",
+	">": ">",
+	">=": ">=",
+	"<": "<",
+	"<=": "<=",
+};
+
+const SEARCH_ORDER_BY = {
+	newest: "created_at DESC",
+	oldest: "created_at ASC",
+	votes: "answer_count DESC, created_at DESC",
+	relevance: "search_rank DESC, created_at DESC",
+};
+
+/**
+ * Build the WHERE clause shared by the search query and its count.
+ * The parsed query must be in scope as `search.tsq` and `$1` must be the raw term;
+ * extra parameters are pushed onto `params`. An empty term (a query made only of
+ * operators such as `label:react is:solved`) matches every question.
+ * @param {Object} options - { solved, dateRange, labelIds, matchIn } plus the
+ *   structured query filters { labelNames, status, userId, answerCount, created }
+ * @param {Array} params - Query parameters (mutated)
+ * @returns {string} SQL conditions
+ */
+const buildTextSearchWhere = (options, params) => {
 	const {
 		solved = null,
-		sortBy = "relevance",
 		dateRange = null,
 		labelIds = [],
+		matchIn = "all",
+		labelNames = [],
+		status = null,
+		userId = null,
+		answerCount = null,
+		created = [],
 	} = options;
 
-	const searchPattern = `%${searchTerm}%`;
-	let paramIndex = 1;
-	const params = [searchPattern];
-
-	// Determine if we need answer_count for sorting
-	const needsAnswerCount = sortBy === "votes";
-
-	let query = `SELECT q.*, u.name as author_name,
-         COALESCE(
-             json_agg(
-                 json_build_object('id', l2.id, 'name', l2.name)
-             ) FILTER (WHERE l2.id IS NOT NULL),
-             '[]'::json
-         ) as labels`;
-
-	if (needsAnswerCount) {
-		query += `,
-         (SELECT COUNT(*) FROM answers a WHERE a.question_id = q.id AND a.deleted_at IS NULL) as answer_count`;
+	let where;
+	if (matchIn === "answers") {
+		where = `q.deleted_at IS NULL AND ${ANSWER_MATCH_SQL}`;
+	} else if (!params[0]) {
+		where = `q.deleted_at IS NULL`;
+	} else {
+		// Label names are not part of the tsvector, so keep a substring match for
+		// them; a term that is exactly a synonym ("js") finds its label too
+		params.push(`%${params[0]}%`);
+		where = `q.deleted_at IS NULL
+         AND (q.search_vector @@ search.tsq
+            OR ${ANSWER_MATCH_SQL}
+            OR ${COMMENT_MATCH_SQL}
+            OR EXISTS (
+                SELECT 1 FROM question_labels ql
+                JOIN labels l ON ql.label_id = l.id
+                WHERE ql.question_id = q.id
+                AND (
+                    l.name ILIKE $${params.length}
+                    OR EXISTS (
+                        SELECT 1 FROM label_synonyms s
+                        WHERE s.label_id = l.id AND LOWER(s.name) = LOWER(TRIM($1))
+                    )
+                )
+            ))`;
 	}
 
-	query += ` FROM questions q
-         JOIN users u ON q.user_id = u.id
-         LEFT JOIN question_labels ql ON q.id = ql.question_id
-         LEFT JOIN labels l ON ql.label_id = l.id
-         LEFT JOIN question_labels ql2 ON q.id = ql2.question_id
-         LEFT JOIN labels l2 ON ql2.label_id = l2.id
-         WHERE (q.title ILIKE $${paramIndex} 
-            OR q.content ILIKE $${paramIndex}
-            OR l.name ILIKE $${paramIndex})
-            AND q.deleted_at IS NULL`;
-
 	// Add solved status filter
 	if (solved !== null) {
-		paramIndex++;
-		query += ` AND q.is_solved = $${paramIndex}`;
 		params.push(solved);
+		where += ` AND q.is_solved = $${params.length}`;
 	}
 
 	// Add date range filter (no parameter needed, using SQL date functions)
-	if (dateRange) {
-		let dateFilter = "";
-		switch (dateRange) {
-			case "today":
-				dateFilter = `q.created_at >= CURRENT_DATE`;
-				break;
-			case "week":
-				dateFilter = `q.created_at >= CURRENT_DATE - INTERVAL '7 days'`;
-				break;
-			case "month":
-				dateFilter = `q.created_at >= CURRENT_DATE - INTERVAL '30 days'`;
-				break;
-			case "year":
-				dateFilter = `q.created_at >= CURRENT_DATE - INTERVAL '365 days'`;
-				break;
-			default:
-				break;
-		}
-		if (dateFilter) {
-			query += ` AND ${dateFilter}`;
-		}
+	const dateFilters = {
+		today: `q.created_at >= CURRENT_DATE`,
+		week: `q.created_at >= CURRENT_DATE - INTERVAL '7 days'`,
+		month: `q.created_at >= CURRENT_DATE - INTERVAL '30 days'`,
+		year: `q.created_at >= CURRENT_DATE - INTERVAL '365 days'`,
+	};
+	if (dateRange && dateFilters[dateRange]) {
+		where += ` AND ${dateFilters[dateRange]}`;
 	}
 
 	// Add label filter
 	if (labelIds && labelIds.length > 0) {
-		paramIndex++;
-		query += ` AND q.id IN (
-			SELECT DISTINCT ql3.question_id 
-			FROM question_labels ql3 
-			WHERE ql3.label_id = ANY($${paramIndex}::int[])
-		)`;
 		params.push(labelIds);
+		where += ` AND q.id IN (
+			SELECT DISTINCT ql2.question_id
+			FROM question_labels ql2
+			WHERE ql2.label_id = ANY($${params.length}::int[])
+		)`;
 	}
 
-	// PostgreSQL requires all selected columns to be in GROUP BY when using aggregates
-	// List all columns from q.* explicitly to avoid JSON equality operator errors
-	query += ` GROUP BY q.id, u.name, q.title, q.content, q.slug, q.user_id, q.status, q.is_solved, 
-                  q.template_type, q.browser, q.os, q.documentation_link, q.answer_count, 
-                  q.view_count, q.created_at, q.updated_at, q.last_activity_at, q.deleted_at`;
-
-	// Add sorting
-	switch (sortBy) {
-		case "newest":
-			query += ` ORDER BY q.created_at DESC`;
-			break;
-		case "oldest":
-			query += ` ORDER BY q.created_at ASC`;
-			break;
-		case "votes":
-			query += ` ORDER BY (SELECT COUNT(*) FROM answers a WHERE a.question_id = q.id AND a.deleted_at IS NULL) DESC, q.created_at DESC`;
-			break;
-		case "relevance":
-		default:
-			// Relevance: prioritize title matches, then content matches
-			query += ` ORDER BY 
-				CASE WHEN q.title ILIKE $1 THEN 1 ELSE 2 END,
-				q.created_at DESC`;
-			break;
+	// label:<name> - every named label must be present; a synonym ("js")
+	// stands for its label
+	for (const labelName of labelNames) {
+		params.push(labelName);
+		where += ` AND EXISTS (
+			SELECT 1 FROM question_labels ql3
+			JOIN labels l3 ON ql3.label_id = l3.id
+			WHERE ql3.question_id = q.id
+			AND (
+				LOWER(l3.name) = LOWER($${params.length})
+				OR EXISTS (
+					SELECT 1 FROM label_synonyms s3
+					WHERE s3.label_id = l3.id AND LOWER(s3.name) = LOWER($${params.length})
+				)
+			)
+		)`;
+	}
+
+	// is:open / is:closed / is:archived
+	if (status) {
+		params.push(status);
+		where += ` AND q.status = $${params.length}`;
+	}
+
+	// user:<id>
+	if (userId !== null) {
+		params.push(userId);
+		where += ` AND q.user_id = $${params.length}`;
 	}
 
+	// answers:<n>, answers:>n, ...
+	if (answerCount && SQL_COMPARISONS[answerCount.op]) {
+		params.push(answerCount.value);
+		where += ` AND q.answer_count ${SQL_COMPARISONS[answerCount.op]} $${params.length}`;
+	}
+
+	// created:<date>, created:>date, ... compare whole days
+	for (const { op, date } of created) {
+		params.push(date);
+		const day = `$${params.length}::date`;
+		const dayConditions = {
+			"=": `q.created_at >= ${day} AND q.created_at < ${day} + 1`,
+			">": `q.created_at >= ${day} + 1`,
+			">=": `q.created_at >= ${day}`,
+			"<": `q.created_at < ${day}`,
+			"<=": `q.created_at < ${day} + 1`,
+		};
+		if (dayConditions[op]) {
+			where += ` AND ${dayConditions[op]}`;
+		}
+	}
+
+	return where;
+};
+
+/**
+ * Full-text search over questions (title, body), their answers, comments and label names.
+ * `searchTerm` uses web search syntax: "quoted phrases", -exclusions and OR.
+ * Pass `options.matchIn = "answers"` to only match answer content.
+ * Each result includes `search_rank`, `title_highlight` and a content `snippet`
+ * with matches wrapped in HIGHLIGHT_START / HIGHLIGHT_END, plus `matched_in`
+ * ({ type: 'answer' | 'comment', id, answer_id, snippet }) when an answer or
+ * comment matched.
+ */
+export const searchQuestionsByTextDB = async (
+	searchTerm,
+	limit = null,
+	page = null,
+	options = {},
+) => {
+	const { sortBy = "relevance", matchIn = "all" } = options;
+	const orderBy = SEARCH_ORDER_BY[sortBy] || SEARCH_ORDER_BY.relevance;
+
+	const params = [searchTerm];
+	const where = buildTextSearchWhere(options, params);
+
+	let pagination = "";
 	if (limit && page) {
-		paramIndex++;
-		const offset = (page - 1) * limit;
-		query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-		params.push(limit, offset);
+		params.push(limit, (page - 1) * limit);
+		pagination = ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
 	} else if (limit) {
-		paramIndex++;
-		query += ` LIMIT $${paramIndex}`;
 		params.push(limit);
+		pagination = ` LIMIT $${params.length}`;
 	}
 
+	params.push(TITLE_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS);
+	const titleOptionsIndex = params.length - 1;
+	const snippetOptionsIndex = params.length;
+
+	// Rank and paginate first so headlines are only generated for the returned page
+	const query = `WITH search AS (
+             SELECT websearch_to_tsquery('english', $1) AS tsq
+         ),
+         matches AS (
+             SELECT q.id, q.created_at, q.answer_count, ${SEARCH_RANK_SQL} AS search_rank
+             FROM questions q, search
+             WHERE ${where}
+             ORDER BY ${orderBy}${pagination}
+         )
+         SELECT q.*, u.name as author_name, u.role as author_role, m.search_rank,
+             COALESCE(
+                 (SELECT json_agg(json_build_object('id', l.id, 'name', l.name))
+                  FROM question_labels ql
+                  JOIN labels l ON ql.label_id = l.id
+                  WHERE ql.question_id = q.id),
+                 '[]'::json
+             ) as labels,
+             ts_headline('english', q.title, search.tsq, $${titleOptionsIndex}) as title_highlight,
+             ts_headline(
+                 'english',
+                 regexp_replace(COALESCE(q.content, ''), '<[^>]*>', ' ', 'g'),
+                 search.tsq,
+                 $${snippetOptionsIndex}
+             ) as snippet,
+             CASE WHEN best.id IS NULL THEN NULL ELSE json_build_object(
+                 'type', best.type,
+                 'id', best.id,
+                 'answer_id', best.answer_id,
+                 'snippet', ts_headline(
+                     'english',
+                     regexp_replace(COALESCE(best.content, ''), '<[^>]*>', ' ', 'g'),
+                     search.tsq,
+                     $${snippetOptionsIndex}
+                 )
+             ) END as matched_in
+         FROM matches m
+         JOIN questions q ON q.id = m.id
+         JOIN users u ON q.user_id = u.id
+         CROSS JOIN search
+         LEFT JOIN LATERAL ${buildBestMatchSql(matchIn === "answers")} best ON true
+         ORDER BY ${orderBy}`;
+
 	const result = await db.query(query, params);
-	const questions = result.rows.map((row) => ({
+	return result.rows.map((row) => ({
 		...row,
 		labels: row.labels || [],
 	}));
-
-	return questions;
 };
 
 export const getSearchQuestionsCountDB = async (searchTerm, options = {}) => {
-	const { solved = null, dateRange = null, labelIds = [] } = options;
-
-	const searchPattern = `%${searchTerm}%`;
-	let paramIndex = 1;
-	const params = [searchPattern];
+	const params = [searchTerm];
+	const where = buildTextSearchWhere(options, params);
 
-	let query = `SELECT COUNT(DISTINCT q.id) as total
-         FROM questions q
-         LEFT JOIN question_labels ql ON q.id = ql.question_id
-         LEFT JOIN labels l ON ql.label_id = l.id
-         WHERE (q.title ILIKE $${paramIndex} 
-            OR q.content ILIKE $${paramIndex}
-            OR l.name ILIKE $${paramIndex})
-            AND q.deleted_at IS NULL`;
-
-	// Add solved status filter
-	if (solved !== null) {
-		paramIndex++;
-		query += ` AND q.is_solved = $${paramIndex}`;
-		params.push(solved);
-	}
-
-	// Add date range filter (no parameter needed, using SQL date functions)
-	if (dateRange) {
-		let dateFilter = "";
-		switch (dateRange) {
-			case "today":
-				dateFilter = `q.created_at >= CURRENT_DATE`;
-				break;
-			case "week":
-				dateFilter = `q.created_at >= CURRENT_DATE - INTERVAL '7 days'`;
-				break;
-			case "month":
-				dateFilter = `q.created_at >= CURRENT_DATE - INTERVAL '30 days'`;
-				break;
-			case "year":
-				dateFilter = `q.created_at >= CURRENT_DATE - INTERVAL '365 days'`;
-				break;
-			default:
-				break;
-		}
-		if (dateFilter) {
-			query += ` AND ${dateFilter}`;
-		}
-	}
-
-	// Add label filter
-	if (labelIds && labelIds.length > 0) {
-		paramIndex++;
-		query += ` AND q.id IN (
-			SELECT DISTINCT ql2.question_id 
-			FROM question_labels ql2 
-			WHERE ql2.label_id = ANY($${paramIndex}::int[])
-		)`;
-		params.push(labelIds);
-	}
-
-	const result = await db.query(query, params);
+	const result = await db.query(
+		`WITH search AS (
+             SELECT websearch_to_tsquery('english', $1) AS tsq
+         )
+         SELECT COUNT(*) as total
+         FROM questions q, search
+         WHERE ${where}`,
+		params,
+	);
 	return parseInt(result.rows[0].total, 10);
 };
 
@@ -606,3 +740,77 @@ export const updateSolvedStatusDB = async (id, isSolved) => {
 
 	return result.rows[0];
 };
+
+/**
+ * Close a question with a reason
+ * @param {number} id - Question ID
+ * @param {string} reason - One of the question_close_reason values
+ * @param {number} closedByUserId - User closing the question
+ * @returns {Promise<Object|undefined>} Updated question row
+ */
+export const closeQuestionDB = async (id, reason, closedByUserId) => {
+	const result = await db.query(
+		`UPDATE questions
+         SET status = 'closed', close_reason = $1, closed_at = NOW(), closed_by_user_id = $2
+         WHERE id = $3 AND deleted_at IS NULL
+         RETURNING *`,
+		[reason, closedByUserId, id],
+	);
+
+	return result.rows[0];
+};
+
+/**
+ * Reopen a closed or archived question, restoring its solved/open status
+ * @param {number} id - Question ID
+ * @returns {Promise<Object|undefined>} Updated question row
+ */
+export const reopenQuestionDB = async (id) => {
+	const result = await db.query(
+		`UPDATE questions
+         SET status = CASE WHEN is_solved THEN 'solved'::question_status ELSE 'open'::question_status END,
+             close_reason = NULL, closed_at = NULL, closed_by_user_id = NULL, archived_at = NULL
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING *`,
+		[id],
+	);
+
+	return result.rows[0];
+};
+
+/**
+ * Archive a question (read-only, kept for reference)
+ * @param {number} id - Question ID
+ * @returns {Promise<Object|undefined>} Updated question row
+ */
+export const archiveQuestionDB = async (id) => {
+	const result = await db.query(
+		`UPDATE questions
+         SET status = 'archived', archived_at = NOW()
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING *`,
+		[id],
+	);
+
+	return result.rows[0];
+};
+
+/**
+ * Archive open or closed questions with no activity for the given number of days.
+ * Solved questions are kept as they are still useful answers.
+ * @param {number} days - Inactivity threshold in days
+ * @returns {Promise<number>} Number of archived questions
+ */
+export const archiveStaleQuestionsDB = async (days) => {
+	const result = await db.query(
+		`UPDATE questions
+         SET status = 'archived', archived_at = NOW()
+         WHERE status IN ('open', 'closed')
+           AND is_solved = false
+           AND deleted_at IS NULL
+           AND last_activity_at < NOW() - make_interval(days => $1)`,
+		[days],
+	);
+
+	return result.rowCount;
+};
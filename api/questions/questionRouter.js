@@ -1,8 +1,14 @@
 import express from "express";
 
+import {
+	getQuestionRevisions,
+	rollbackQuestion,
+} from "../revisions/revisionService.js";
 import { getSimilarQuestions } from "../similarQuestions/similarQuestionsService.js";
-import { authenticateToken } from "../utils/auth.js";
+import { authenticateToken, optionalAuthenticateToken } from "../utils/auth.js";
+import { requireVerifiedEmail } from "../utils/emailVerificationAuth.js";
 import logger from "../utils/logger.js";
+import { recordQuestionView } from "../views/viewService.js";
 
 import {
 	createQuestion,
@@ -18,10 +24,33 @@ import {
 	getTotalQuestionsCount,
 	getSearchQuestionsCount,
 	markQuestionSolved,
+	closeQuestion,
+	reopenQuestion,
+	archiveQuestion,
+	markQuestionAsDuplicate,
 } from "./questionService.js";
 
 const router = express.Router();
 
+/**
+ * Map close/reopen/archive service errors to HTTP status codes
+ * @param {Error} error
+ * @returns {number}
+ */
+const statusTransitionErrorCode = (error) => {
+	if (error.message.includes("not found")) return 404;
+	if (error.message.includes("not authorised")) return 403;
+	if (error.message.includes("already") || error.message.includes("not closed"))
+		return 409;
+	if (
+		error.message.includes("must be") ||
+		error.message.includes("is required") ||
+		error.message.includes("cannot be")
+	)
+		return 400;
+	return 500;
+};
+
 router.get("/my-questions", authenticateToken(), async (req, res) => {
 	try {
 		const limit = req.query.limit ? Number.parseInt(req.query.limit, 10) : null;
@@ -56,56 +85,74 @@ router.get("/my-questions", authenticateToken(), async (req, res) => {
 		res.status(500).json({ error: "failed to fetch user's questions" });
 	}
 });
-router.post("/", authenticateToken(), async (req, res) => {
-	try {
-		const {
-			title,
-			content,
-			templateType,
-			browser,
-			os,
-			documentationLink,
-			labelId,
-		} = req.body;
-
-		if (!content || (typeof content === "string" && !content.trim())) {
-			logger.error("Content is missing or empty from request body", {
-				bodyKeys: Object.keys(req.body),
-				hasTitle: !!title,
-				contentType: typeof content,
-				contentLength: typeof content === "string" ? content.length : 0,
+router.post(
+	"/",
+	authenticateToken(),
+	requireVerifiedEmail("post"),
+	async (req, res) => {
+		try {
+			const {
+				title,
+				content,
+				templateType,
+				browser,
+				os,
+				documentationLink,
+				labelId,
+			} = req.body;
+
+			if (!content || (typeof content === "string" && !content.trim())) {
+				logger.error("Content is missing or empty from request body", {
+					bodyKeys: Object.keys(req.body),
+					hasTitle: !!title,
+					contentType: typeof content,
+					contentLength: typeof content === "string" ? content.length : 0,
+				});
+				return res.status(400).json({ message: "Content is required" });
+			}
+
+			const question = await createQuestion(
+				req.user.id,
+				title,
+				content,
+				templateType,
+				browser,
+				os,
+				documentationLink,
+				labelId,
+			);
+			res.status(201).json(question);
+		} catch (error) {
+			logger.error("Create a question error: %O", error);
+			const statusCode = error.message.includes("not found") ? 404 : 500;
+			res.status(statusCode).json({
+				error: error.message || "failed to create question",
 			});
-			return res.status(400).json({ message: "Content is required" });
 		}
+	},
+);
 
-		const question = await createQuestion(
-			req.user.id,
-			title,
-			content,
-			templateType,
-			browser,
-			os,
-			documentationLink,
-			labelId,
-		);
-		res.status(201).json(question);
-	} catch (error) {
-		logger.error("Create a question error: %O", error);
-		const statusCode = error.message.includes("not found") ? 404 : 500;
-		res.status(statusCode).json({
-			error: error.message || "failed to create question",
-		});
-	}
-});
-
+/**
+ * GET /api/questions
+ * Query params:
+ *   - limit, page: pagination
+ *   - sortBy: 'newest' (default) or 'views' (most viewed first)
+ */
 router.get("/", async (req, res) => {
 	try {
 		const limit = req.query.limit ? Number.parseInt(req.query.limit, 10) : null;
 		const page = req.query.page ? Number.parseInt(req.query.page, 10) : null;
+		const sortBy = req.query.sortBy || "newest";
+
+		if (!["newest", "views"].includes(sortBy)) {
+			return res
+				.status(400)
+				.json({ error: "sortBy must be one of: newest, views" });
+		}
 
 		const paginationLimit = page ? limit || 10 : limit;
 
-		const questions = await getAllQuestions(paginationLimit, page);
+		const questions = await getAllQuestions(paginationLimit, page, sortBy);
 
 		if (page) {
 			const total = await getTotalQuestionsCount();
@@ -129,9 +176,24 @@ router.get("/", async (req, res) => {
 	}
 });
 
+/**
+ * GET /api/questions/search
+ * Full-text search over titles, bodies, answers, comments and label names.
+ * Query params:
+ *   - q: search terms in web search syntax ("exact phrase", -exclude, a OR b),
+ *     optionally with operators: label:<name>, is:solved|unsolved|open|closed|archived,
+ *     user:<id>, answers:<n> (or >n, >=n, <n, <=n), created:<date> (or >date, ...)
+ *   - limit, page: pagination
+ *   - sortBy: 'relevance' (default), 'newest', 'oldest' or 'votes'
+ *   - solved, dateRange, labelIds: filters
+ *   - matchIn: 'all' (default) or 'answers' to only match answer content
+ * Each result includes `title_highlight` and `snippet`, with matches wrapped in
+ * \u0002 ... \u0003 markers, and `matched_in` when an answer or comment matched.
+ */
 router.get("/search", async (req, res) => {
 	try {
-		const { q, limit, page, solved, sortBy, dateRange, labelIds } = req.query;
+		const { q, limit, page, solved, sortBy, dateRange, labelIds, matchIn } =
+			req.query;
 
 		if (!q || !q.trim()) {
 			return res.status(400).json({ error: "Search query is required" });
@@ -152,6 +214,14 @@ router.get("/search", async (req, res) => {
 		if (dateRange) {
 			options.dateRange = dateRange;
 		}
+		if (matchIn) {
+			if (!["all", "answers"].includes(matchIn)) {
+				return res
+					.status(400)
+					.json({ error: "matchIn must be one of: all, answers" });
+			}
+			options.matchIn = matchIn;
+		}
 		if (labelIds) {
 			// labelIds can be comma-separated string or array
 			options.labelIds = Array.isArray(labelIds)
@@ -184,7 +254,10 @@ router.get("/search", async (req, res) => {
 		}
 	} catch (error) {
 		logger.error("Search questions error: %O", error);
-		res.status(500).json({
+		const statusCode = error.message.startsWith("Invalid search query")
+			? 400
+			: 500;
+		res.status(statusCode).json({
 			error: error.message || "Failed to search questions",
 		});
 	}
@@ -267,13 +340,17 @@ router.get("/:id/similar", async (req, res) => {
 	}
 });
 
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuthenticateToken(), async (req, res) => {
 	try {
 		const { id } = req.params;
 		const question = await getQuestionById(id);
 		if (!question) {
 			return res.status(404).json({ error: "Question not found" });
 		}
+
+		// Buffered and de-duplicated - never blocks or fails the response
+		recordQuestionView(question.id, { userId: req.user?.id, ip: req.ip });
+
 		res.json(question);
 	} catch (error) {
 		logger.error("get a question by id error: %O", error);
@@ -292,6 +369,7 @@ router.put("/:id", authenticateToken(), async (req, res) => {
 			os,
 			documentationLink,
 			labelId,
+			editSummary,
 		} = req.body;
 
 		const question = await updateQuestion(
@@ -304,14 +382,65 @@ router.put("/:id", authenticateToken(), async (req, res) => {
 			os,
 			documentationLink,
 			labelId,
+			editSummary,
+			req.user.name,
 		);
 		res.status(201).json(question);
 	} catch (error) {
 		logger.error("update a question error: %O", error);
+		if (error.message.startsWith("Edit summary")) {
+			return res.status(400).json({ error: error.message });
+		}
+		if (error.message.startsWith("Label")) {
+			return res.status(400).json({ error: error.message });
+		}
 		res.status(500).json({ error: "failed to update question" });
 	}
 });
 
+/**
+ * GET /api/questions/:id/revisions
+ * The question and every revision of it (title, content, labels, editor,
+ * summary), newest first
+ */
+router.get("/:id/revisions", async (req, res) => {
+	try {
+		const history = await getQuestionRevisions(req.params.id);
+		res.json(history);
+	} catch (error) {
+		logger.error("Get question revisions error: %O", error);
+		res.status(statusTransitionErrorCode(error)).json({ error: error.message });
+	}
+});
+
+/**
+ * POST /api/questions/:id/revisions/:revision/rollback
+ * Restore an earlier revision (author or moderator)
+ */
+router.post(
+	"/:id/revisions/:revision/rollback",
+	authenticateToken(),
+	async (req, res) => {
+		try {
+			const revisionNumber = Number.parseInt(req.params.revision, 10);
+			if (Number.isNaN(revisionNumber)) {
+				return res.status(400).json({ error: "Invalid revision number" });
+			}
+			const question = await rollbackQuestion(
+				req.params.id,
+				revisionNumber,
+				req.user,
+			);
+			res.json(question);
+		} catch (error) {
+			logger.error("Roll back question error: %O", error);
+			res
+				.status(statusTransitionErrorCode(error))
+				.json({ error: error.message });
+		}
+	},
+);
+
 router.delete("/:id", authenticateToken(), async (req, res) => {
 	try {
 		const { id } = req.params;
@@ -349,4 +478,70 @@ router.patch("/:id/solve", authenticateToken(), async (req, res) => {
 	}
 });
 
+/**
+ * PATCH /api/questions/:id/close
+ * Close a question (author or admin)
+ * Body: { reason: 'off_topic' | 'duplicate' | 'needs_details' }
+ */
+router.patch("/:id/close", authenticateToken(), async (req, res) => {
+	try {
+		const updated = await closeQuestion(
+			req.params.id,
+			req.user,
+			req.body?.reason,
+		);
+		res.json(updated);
+	} catch (error) {
+		logger.error("Close question error: %O", error);
+		res.status(statusTransitionErrorCode(error)).json({ error: error.message });
+	}
+});
+
+/**
+ * PATCH /api/questions/:id/duplicate
+ * Close a question as a duplicate of a canonical question (author or admin)
+ * Body: { canonicalId: number | string } - canonical question ID or slug
+ */
+router.patch("/:id/duplicate", authenticateToken(), async (req, res) => {
+	try {
+		const updated = await markQuestionAsDuplicate(
+			req.params.id,
+			req.user,
+			req.body?.canonicalId,
+		);
+		res.json(updated);
+	} catch (error) {
+		logger.error("Mark question duplicate error: %O", error);
+		res.status(statusTransitionErrorCode(error)).json({ error: error.message });
+	}
+});
+
+/**
+ * PATCH /api/questions/:id/reopen
+ * Reopen a closed question (author or admin; archived questions moderators only)
+ */
+router.patch("/:id/reopen", authenticateToken(), async (req, res) => {
+	try {
+		const updated = await reopenQuestion(req.params.id, req.user);
+		res.json(updated);
+	} catch (error) {
+		logger.error("Reopen question error: %O", error);
+		res.status(statusTransitionErrorCode(error)).json({ error: error.message });
+	}
+});
+
+/**
+ * PATCH /api/questions/:id/archive
+ * Archive a question (moderators only)
+ */
+router.patch("/:id/archive", authenticateToken(), async (req, res) => {
+	try {
+		const updated = await archiveQuestion(req.params.id, req.user);
+		res.json(updated);
+	} catch (error) {
+		logger.error("Archive question error: %O", error);
+		res.status(statusTransitionErrorCode(error)).json({ error: error.message });
+	}
+});
+
 export default router;
@@ -1,38 +1,61 @@
-import * as authRepository from "../auth/authRepository.js";
+import * as followService from "../follows/followService.js";
+import * as labelService from "../labels/labelService.js";
 import * as notificationService from "../notifications/notificationService.js";
+import { hasPrivilege } from "../privileges/privilegeService.js";
+import * as revisionService from "../revisions/revisionService.js";
 import * as similarQuestionsService from "../similarQuestions/similarQuestionsService.js";
+import * as uploadService from "../uploads/uploadService.js";
+import config from "../utils/config.js";
 import logger from "../utils/logger.js";
+import { hasPermission } from "../utils/permissions.js";
 import { sanitizeHtml } from "../utils/security.js";
+import * as watchService from "../watches/watchService.js";
 
 import * as repository from "./questionRepository.js";
+import { parseSearchQuery } from "./searchQueryParser.js";
 
-export const createQuestion = async (
-	userId,
-	title,
-	content,
-	templateType,
-	browser = null,
-	os = null,
-	documentationLink = null,
-	labelId = [],
-) => {
-	if (!title) {
+const MIN_TITLE_LENGTH = 10;
+const MAX_TITLE_LENGTH = 100;
+
+/** @type {NodeJS.Timeout | null} */
+let archiveTimer = null;
+
+/** @type {Promise<number> | null} */
+let activeArchive = null;
+
+/**
+ * Check a question title's length
+ * @param {string} title - Title from the request
+ * @returns {string} Trimmed title
+ */
+export const normalizeTitle = (title) => {
+	if (!title || typeof title !== "string") {
 		throw new Error("Title is required");
 	}
 
 	const trimmedTitle = title.trim();
-	const MAX_TITLE_LENGTH = 100;
-	const MIN_TITLE_LENGTH = 10;
-
 	if (trimmedTitle.length < MIN_TITLE_LENGTH) {
 		throw new Error(
 			`Title must be at least ${MIN_TITLE_LENGTH} characters long`,
 		);
 	}
-
 	if (trimmedTitle.length > MAX_TITLE_LENGTH) {
 		throw new Error(`Title must be ${MAX_TITLE_LENGTH} characters or less`);
 	}
+	return trimmedTitle;
+};
+
+export const createQuestion = async (
+	userId,
+	title,
+	content,
+	templateType,
+	browser = null,
+	os = null,
+	documentationLink = null,
+	labelId = [],
+) => {
+	const trimmedTitle = normalizeTitle(title);
 	if (!content || (typeof content === "string" && !content.trim())) {
 		throw new Error("Content is required");
 	}
@@ -40,6 +63,8 @@ export const createQuestion = async (
 	if (labelId == null) labelId = [];
 	if (!Array.isArray(labelId)) throw new Error("Labels must be an array");
 
+	// Labels can be given by name or synonym ("js") as well as by ID
+	labelId = await labelService.resolveLabelIds(labelId);
 	if (labelId.length > 3) throw new Error("Maximum 3 labels allowed");
 
 	// Sanitize HTML content to prevent XSS
@@ -60,32 +85,32 @@ export const createQuestion = async (
 		documentationLink,
 		labelId,
 	);
+	await revisionService.recordQuestionRevision(question, userId);
+
+	uploadService
+		.syncUploadReferences("question", question.id, sanitizedContent)
+		.catch((error) => {
+			logger.error("Failed to record question uploads", {
+				questionId: question.id,
+				error: error.message,
+			});
+		});
+
+	// Authors follow their own questions
+	followService.autoFollowQuestion(userId, question.id).catch((error) => {
+		logger.error("Failed to auto-follow question", {
+			questionId: question.id,
+			error: error.message,
+		});
+	});
 
-	// Create notifications for all users (non-blocking - runs in background)
-	// This doesn't block question creation response
-	(async () => {
-		try {
-			const allUsers = await authRepository.getAllUsers();
-			const userIdsToNotify = allUsers
-				.map((u) => u.id)
-				.filter((id) => id !== userId); // Don't notify the question author
-
-			if (userIdsToNotify.length > 0) {
-				const questionAuthor = await authRepository.findUserById(userId);
-				const authorName = questionAuthor?.name || "Someone";
-
-				await notificationService.createQuestionNotification(
-					question.id,
-					trimmedTitle,
-					authorName,
-					userIdsToNotify,
-				);
-			}
-		} catch (error) {
-			logger.error("Error creating question notifications:", error);
-			// Don't throw - notifications are non-critical
-		}
-	})();
+	// Watchers of the question's labels are notified by the background fan-out job
+	watchService.enqueueNewQuestionNotifications(question.id).catch((error) => {
+		logger.error("Failed to queue new-question notifications", {
+			questionId: question.id,
+			error: error.message,
+		});
+	});
 
 	// Auto-detect similar questions (non-blocking, async - don't wait for it)
 	// This runs in the background so it doesn't slow down question creation
@@ -109,8 +134,12 @@ export const createQuestion = async (
 	return question;
 };
 
-export const getAllQuestions = async (limit = null, page = null) => {
-	return repository.getAllQuestionsDB(limit, page);
+export const getAllQuestions = async (
+	limit = null,
+	page = null,
+	sortBy = "newest",
+) => {
+	return repository.getAllQuestionsDB(limit, page, sortBy);
 };
 
 export const getTotalQuestionsCount = async () => {
@@ -121,7 +150,16 @@ export const getQuestionById = async (id) => {
 	const question = await repository.getQuestionByIdDB(id);
 	if (!question) {
 		logger.error("Error not found Question");
+		return question;
+	}
+
+	// Point visitors of a duplicate at the canonical question
+	if (question.close_reason === "duplicate") {
+		question.duplicate_of = await similarQuestionsService.getCanonicalQuestion(
+			question.id,
+		);
 	}
+
 	return question;
 };
 
@@ -136,6 +174,13 @@ export const getQuestionsByUserId = async (
 export const getQuestionsByUserIdCount = async (userId) => {
 	return repository.getQuestionsByUserIdCountDB(userId);
 };
+/**
+ * Edit a question (author only), record the revision and tell its followers
+ * @param {string|number} idOrSlug - Question ID or slug
+ * @param {number} userId - Editor, who must be the author
+ * @param {string} [editorName] - Editor's display name for follower notifications
+ * @returns {Promise<Object>} Updated question
+ */
 export const updateQuestion = async (
 	idOrSlug,
 	userId,
@@ -146,34 +191,24 @@ export const updateQuestion = async (
 	os = null,
 	documentationLink = null,
 	labelId = [],
+	editSummary = null,
+	editorName = undefined,
 ) => {
 	const question = await repository.getQuestionByIdDB(idOrSlug);
 	if (!question) {
 		throw new Error("Question not found");
 	}
-	if (!title) {
-		throw new Error("title is required");
-	}
-
-	const trimmedTitle = title.trim();
-	const MAX_TITLE_LENGTH = 100;
-	const MIN_TITLE_LENGTH = 10;
-
-	if (trimmedTitle.length < MIN_TITLE_LENGTH) {
-		throw new Error(
-			`Title must be at least ${MIN_TITLE_LENGTH} characters long`,
-		);
-	}
-
-	if (trimmedTitle.length > MAX_TITLE_LENGTH) {
-		throw new Error(`Title must be ${MAX_TITLE_LENGTH} characters or less`);
-	}
+	const trimmedTitle = normalizeTitle(title);
 	if (!content) {
 		throw new Error("content is required");
 	}
 	if (question.user_id !== userId) {
 		throw new Error("You are not authorised to edit");
 	}
+	const summary = revisionService.normalizeEditSummary(editSummary);
+	if (Array.isArray(labelId)) {
+		labelId = await labelService.resolveLabelIds(labelId);
+	}
 
 	// Sanitize HTML content to prevent XSS
 	const sanitizedContent =
@@ -184,7 +219,7 @@ export const updateQuestion = async (
 	}
 
 	// Use the actual question ID from the fetched question
-	return repository.updateQuestionDB(
+	const updatedQuestion = await repository.updateQuestionDB(
 		question.id,
 		trimmedTitle,
 		sanitizedContent,
@@ -194,6 +229,34 @@ export const updateQuestion = async (
 		documentationLink,
 		labelId,
 	);
+	await revisionService.recordQuestionRevision(
+		updatedQuestion,
+		userId,
+		summary,
+	);
+
+	uploadService
+		.syncUploadReferences("question", question.id, sanitizedContent)
+		.catch((error) => {
+			logger.error("Failed to record question uploads", {
+				questionId: question.id,
+				error: error.message,
+			});
+		});
+
+	followService
+		.notifyFollowers({ ...question, title: trimmedTitle }, "question_edited", {
+			actorId: userId,
+			actorName: editorName,
+		})
+		.catch((error) => {
+			logger.error("Failed to notify followers of question edit", {
+				questionId: question.id,
+				error: error.message,
+			});
+		});
+
+	return updatedQuestion;
 };
 
 export const deleteQuestion = async (idOrSlug, userId) => {
@@ -210,7 +273,7 @@ export const deleteQuestion = async (idOrSlug, userId) => {
 
 	// Delete all notifications related to this question (non-blocking)
 	// This includes:
-	// - question_added notifications (for all users)
+	// - question_added notifications (for label watchers)
 	// - answer_added notifications (for answers to this question)
 	// - comment_added notifications (for comments on this question or its answers)
 	// - answer_accepted notifications (for accepted answers to this question)
@@ -237,6 +300,18 @@ export const searchQuestionsByLabels = async (labelId = []) => {
 	return repository.searchQuestionsByLabelsDB(labelId);
 };
 
+/**
+ * Split a structured query into free text and filters. Operators in the query
+ * (label:, is:, user:, answers:, created:) take precedence over `options`.
+ * @param {string} searchTerm
+ * @param {Object} options
+ * @returns {{ text: string, options: Object }}
+ */
+const resolveSearchQuery = (searchTerm, options) => {
+	const { text, filters } = parseSearchQuery(searchTerm.trim());
+	return { text, options: { ...options, ...filters } };
+};
+
 export const searchQuestionsByText = async (
 	searchTerm,
 	limit = null,
@@ -247,11 +322,13 @@ export const searchQuestionsByText = async (
 		throw new Error("Search term is required");
 	}
 
+	const resolved = resolveSearchQuery(searchTerm, options);
+
 	return repository.searchQuestionsByTextDB(
-		searchTerm.trim(),
+		resolved.text,
 		limit,
 		page,
-		options,
+		resolved.options,
 	);
 };
 
@@ -260,7 +337,9 @@ export const getSearchQuestionsCount = async (searchTerm, options = {}) => {
 		return 0;
 	}
 
-	return repository.getSearchQuestionsCountDB(searchTerm.trim(), options);
+	const resolved = resolveSearchQuery(searchTerm, options);
+
+	return repository.getSearchQuestionsCountDB(resolved.text, resolved.options);
 };
 
 export const markQuestionSolved = async (idOrSlug, userId, isSolved) => {
@@ -276,3 +355,210 @@ export const markQuestionSolved = async (idOrSlug, userId, isSolved) => {
 
 	return repository.updateSolvedStatusDB(question.id, isSolved);
 };
+
+export const CLOSE_REASONS = ["off_topic", "duplicate", "needs_details"];
+
+/**
+ * Close a question so it no longer accepts answers.
+ * Only the author or a user with the close_questions privilege can close it.
+ * @param {string|number} idOrSlug - Question ID or slug
+ * @param {Object} user - Authenticated user ({ id, role, reputation })
+ * @param {string} reason - One of CLOSE_REASONS
+ */
+export const closeQuestion = async (idOrSlug, user, reason) => {
+	if (!CLOSE_REASONS.includes(reason)) {
+		throw new Error(`Close reason must be one of: ${CLOSE_REASONS.join(", ")}`);
+	}
+
+	const question = await repository.getQuestionByIdDB(idOrSlug);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+
+	if (question.user_id !== user.id && !hasPrivilege(user, "close_questions")) {
+		throw new Error("You are not authorised to close this question");
+	}
+
+	if (question.status === "closed" || question.status === "archived") {
+		throw new Error(`Question is already ${question.status}`);
+	}
+
+	return repository.closeQuestionDB(question.id, reason, user.id);
+};
+
+/**
+ * Close a question as a duplicate of another (canonical) question.
+ * Only the author or a user with the close_questions privilege can mark a
+ * question as a duplicate.
+ * @param {string|number} idOrSlug - Duplicate question ID or slug
+ * @param {Object} user - Authenticated user ({ id, role, reputation })
+ * @param {string|number} canonicalIdOrSlug - Canonical question ID or slug
+ */
+export const markQuestionAsDuplicate = async (
+	idOrSlug,
+	user,
+	canonicalIdOrSlug,
+) => {
+	if (!canonicalIdOrSlug) {
+		throw new Error("Canonical question is required");
+	}
+
+	const question = await repository.getQuestionByIdDB(idOrSlug);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+
+	if (question.user_id !== user.id && !hasPrivilege(user, "close_questions")) {
+		throw new Error(
+			"You are not authorised to mark this question as a duplicate",
+		);
+	}
+
+	if (question.status === "archived") {
+		throw new Error("Question is already archived");
+	}
+
+	const canonical = await repository.getQuestionByIdDB(
+		String(canonicalIdOrSlug),
+	);
+	if (!canonical) {
+		throw new Error("Canonical question not found");
+	}
+
+	return similarQuestionsService.markAsDuplicate(
+		question.id,
+		canonical.id,
+		user.id,
+	);
+};
+
+/**
+ * Reopen a closed question (the author or a user with the close_questions
+ * privilege). Archived questions can only be reopened by a moderator.
+ * @param {string|number} idOrSlug - Question ID or slug
+ * @param {Object} user - Authenticated user ({ id, role, reputation })
+ */
+export const reopenQuestion = async (idOrSlug, user) => {
+	const question = await repository.getQuestionByIdDB(idOrSlug);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+
+	if (question.user_id !== user.id && !hasPrivilege(user, "close_questions")) {
+		throw new Error("You are not authorised to reopen this question");
+	}
+
+	if (question.status !== "closed" && question.status !== "archived") {
+		throw new Error("Question is not closed");
+	}
+
+	if (
+		question.status === "archived" &&
+		!hasPermission(user, "moderate_content")
+	) {
+		throw new Error("You are not authorised to reopen an archived question");
+	}
+
+	if (question.close_reason === "duplicate") {
+		await similarQuestionsService.clearDuplicate(question.id);
+	}
+
+	return repository.reopenQuestionDB(question.id);
+};
+
+/**
+ * Archive a question (moderators and admins only)
+ * @param {string|number} idOrSlug - Question ID or slug
+ * @param {Object} user - Authenticated user ({ id, role })
+ */
+export const archiveQuestion = async (idOrSlug, user) => {
+	if (!hasPermission(user, "moderate_content")) {
+		throw new Error("You are not authorised to archive questions");
+	}
+
+	const question = await repository.getQuestionByIdDB(idOrSlug);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+
+	if (question.status === "archived") {
+		throw new Error("Question is already archived");
+	}
+
+	return repository.archiveQuestionDB(question.id);
+};
+
+/**
+ * Archive open/closed questions with no activity for `days` days
+ * @param {number} days - Inactivity threshold in days
+ * @returns {Promise<number>} Number of archived questions
+ */
+export const archiveStaleQuestions = async (days) => {
+	if (!Number.isInteger(days) || days < 1) {
+		throw new Error("Days must be a positive integer");
+	}
+
+	const archived = await repository.archiveStaleQuestionsDB(days);
+	logger.info(`Archived ${archived} stale questions (inactive ${days}+ days)`);
+	return archived;
+};
+
+/**
+ * Archive questions inactive for config.staleQuestionDays, as the scheduled
+ * job does. Failures are logged rather than thrown.
+ * @returns {Promise<number>} Number of archived questions
+ */
+const runStaleQuestionArchiver = async () => {
+	// Don't start a second run while the previous one is still going
+	if (activeArchive) {
+		return activeArchive;
+	}
+
+	activeArchive = archiveStaleQuestions(config.staleQuestionDays).catch(
+		(error) => {
+			logger.error("Failed to archive stale questions", {
+				error: error.message,
+			});
+			return 0;
+		},
+	);
+
+	try {
+		return await activeArchive;
+	} finally {
+		activeArchive = null;
+	}
+};
+
+/**
+ * Start periodically archiving stale questions. An interval of 0 leaves
+ * archiving to the admin action.
+ */
+export const startStaleQuestionArchiver = () => {
+	if (archiveTimer || config.staleQuestionArchiveIntervalMs <= 0) {
+		return;
+	}
+	archiveTimer = setInterval(
+		runStaleQuestionArchiver,
+		config.staleQuestionArchiveIntervalMs,
+	);
+	// Don't keep the process alive just to archive questions
+	archiveTimer.unref();
+	logger.info(
+		"Stale question archiver started (every %dms, after %d days)",
+		config.staleQuestionArchiveIntervalMs,
+		config.staleQuestionDays,
+	);
+};
+
+/**
+ * Stop the stale question archiver and wait for any run in progress
+ * @returns {Promise<void>}
+ */
+export const stopStaleQuestionArchiver = async () => {
+	if (archiveTimer) {
+		clearInterval(archiveTimer);
+		archiveTimer = null;
+	}
+	await activeArchive;
+};
@@ -0,0 +1,152 @@
+/**
+ * Parser for structured search queries, e.g.
+ *   label:react is:solved user:42 answers:0 created:>2026-01-01 useEffect "infinite loop"
+ *
+ * Operators become search filters; everything else is kept as free text for
+ * full-text search (so "quoted phrases", -exclusions and OR still work).
+ * A `word:value` token that isn't an operator is rejected, so typos like
+ * `lable:react` don't quietly search for text instead; host:port and `::`
+ * forms such as `localhost:3000` and `std::vector` are left as text.
+ * Invalid queries throw an Error whose message starts with "Invalid search query".
+ */
+
+const IS_VALUES = {
+	solved: { solved: true },
+	unsolved: { solved: false },
+	open: { status: "open" },
+	closed: { status: "closed" },
+	archived: { status: "archived" },
+};
+
+// "localhost:3000", "localhost:3000/api", "std::vector"
+const NON_OPERATOR_VALUE_PATTERN = /^(\d+(\/\S*)?|:.*)$/;
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.+)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const SEARCH_OPERATORS = ["label", "is", "user", "answers", "created"];
+
+const invalid = (message) => new Error(`Invalid search query: ${message}`);
+
+/**
+ * Split a query into whitespace-separated tokens, keeping double-quoted
+ * sections (including `label:"two words"`) together.
+ * @param {string} query
+ * @returns {string[]}
+ */
+const tokenize = (query) => {
+	const tokens = query.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+	if ((query.match(/"/g) || []).length % 2 !== 0) {
+		throw invalid("unmatched quote");
+	}
+	return tokens;
+};
+
+const unquote = (value) => value.replace(/^"(.*)"$/, "$1").trim();
+
+/**
+ * Split an operator value like ">=3" into a comparison and operand
+ * @param {string} value
+ * @returns {{ op: string, value: string }}
+ */
+const parseComparison = (value) => {
+	const [, op = "=", operand] = value.match(COMPARISON_PATTERN);
+	return { op, value: operand };
+};
+
+const isValidDate = (value) => {
+	if (!DATE_PATTERN.test(value)) return false;
+	const date = new Date(`${value}T00:00:00Z`);
+	return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Parse a structured search query
+ * @param {string} query - Raw query from the search box
+ * @returns {{ text: string, filters: Object }} Free text plus filters:
+ *   labelNames, solved, status, userId, answerCount { op, value }, created [{ op, date }]
+ */
+export const parseSearchQuery = (query) => {
+	const textTokens = [];
+	const filters = {};
+
+	for (const token of tokenize(query || "")) {
+		const match = token.match(/^(-?)([a-zA-Z]+):(.*)$/);
+
+		// Not an operator: plain words, URLs, or a trailing colon as in "TypeError:"
+		if (!match || token.includes("://") || !match[3]) {
+			textTokens.push(token);
+			continue;
+		}
+
+		const [, negated, rawName, rawValue] = match;
+		const name = rawName.toLowerCase();
+		const value = unquote(rawValue);
+
+		if (!SEARCH_OPERATORS.includes(name)) {
+			if (NON_OPERATOR_VALUE_PATTERN.test(rawValue)) {
+				textTokens.push(token);
+				continue;
+			}
+			throw invalid(
+				`unknown operator "${rawName}:". Supported operators: ${SEARCH_OPERATORS.map((op) => `${op}:`).join(", ")}. To search for "${token}" as text, put it in quotes`,
+			);
+		}
+
+		if (negated) {
+			throw invalid(`negated operators are not supported ("${token}")`);
+		}
+		if (!value) {
+			throw invalid(`"${name}:" needs a value`);
+		}
+
+		switch (name) {
+			case "label":
+				filters.labelNames = [...(filters.labelNames || []), value];
+				break;
+
+			case "is": {
+				const isFilter = IS_VALUES[value.toLowerCase()];
+				if (!isFilter) {
+					throw invalid(
+						`unknown value "is:${value}". Use one of: ${Object.keys(IS_VALUES)
+							.map((v) => `is:${v}`)
+							.join(", ")}`,
+					);
+				}
+				Object.assign(filters, isFilter);
+				break;
+			}
+
+			case "user":
+				if (!/^\d+$/.test(value)) {
+					throw invalid(`"user:" expects a numeric user ID, got "${value}"`);
+				}
+				filters.userId = Number.parseInt(value, 10);
+				break;
+
+			case "answers": {
+				const { op, value: count } = parseComparison(value);
+				if (!/^\d+$/.test(count)) {
+					throw invalid(
+						`"answers:" expects a number such as answers:0 or answers:>2, got "${value}"`,
+					);
+				}
+				filters.answerCount = { op, value: Number.parseInt(count, 10) };
+				break;
+			}
+
+			case "created": {
+				const { op, value: date } = parseComparison(value);
+				if (!isValidDate(date)) {
+					throw invalid(
+						`"created:" expects a date like created:>2026-01-01 (YYYY-MM-DD), got "${value}"`,
+					);
+				}
+				filters.created = [...(filters.created || []), { op, date }];
+				break;
+			}
+		}
+	}
+
+	return { text: textTokens.join(" ").trim(), filters };
+};
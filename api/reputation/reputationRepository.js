@@ -1,15 +1,42 @@
-import db from "../db.js";
+import db, { getClient } from "../db.js";
 import logger from "../utils/logger.js";
 
 /**
- * Update user reputation
- * @param {number} userId - User ID
- * @param {number} points - Points to add (can be negative)
+ * Record a reputation change in the ledger and apply it to the user's total.
+ * Reputation never drops below zero.
+ * @param {Object} event
+ * @param {number} event.userId - User whose reputation changes
+ * @param {string} event.eventType - reputation_event_type value
+ * @param {number} event.points - Points to add (can be negative)
+ * @param {boolean} [event.reversal] - Undoes an earlier event of this type
+ * @param {number|null} [event.questionId] - Source question
+ * @param {number|null} [event.answerId] - Source answer
+ * @param {number|null} [event.actorId] - User who caused the change
  * @returns {Promise<number>} New reputation value
  */
-export const updateReputationDB = async (userId, points) => {
+export const recordReputationEventDB = async ({
+	userId,
+	eventType,
+	points,
+	reversal = false,
+	questionId = null,
+	answerId = null,
+	actorId = null,
+}) => {
+	const client = await getClient();
 	try {
-		const result = await db.query(
+		await client.query("BEGIN");
+
+		// Write the event first, so this waits for a running recalculation
+		// (which locks the ledger) before touching the user's total
+		await client.query(
+			`INSERT INTO reputation_events
+				(user_id, event_type, points, reversal, question_id, answer_id, actor_id)
+			 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+			[userId, eventType, points, reversal, questionId, answerId, actorId],
+		);
+
+		const result = await client.query(
 			`UPDATE users 
 			 SET reputation = GREATEST(0, reputation + $1), updated_at = NOW()
 			 WHERE id = $2
@@ -21,14 +48,165 @@ export const updateReputationDB = async (userId, points) => {
 			throw new Error(`User ${userId} not found`);
 		}
 
+		await client.query("COMMIT");
 		return parseInt(result.rows[0].reputation, 10);
 	} catch (error) {
+		await client.query("ROLLBACK");
 		logger.error("Error updating reputation in database", {
 			userId,
+			eventType,
 			points,
 			error: error.message,
 		});
 		throw error;
+	} finally {
+		client.release();
+	}
+};
+
+/**
+ * Get a page of a user's reputation events, newest first, with the title of
+ * the source question
+ * @param {number} userId - User ID
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows to skip
+ * @returns {Promise<Array>} Reputation events
+ */
+export const getReputationEventsDB = async (userId, limit, offset) => {
+	try {
+		const result = await db.query(
+			`SELECT e.id, e.event_type, e.points, e.reversal, e.question_id,
+			        e.answer_id, e.actor_id, actor.name AS actor_name, e.created_at,
+			        q.title AS question_title, q.slug AS question_slug
+			 FROM reputation_events e
+			 LEFT JOIN questions q ON q.id = e.question_id AND q.deleted_at IS NULL
+			 LEFT JOIN users actor ON actor.id = e.actor_id
+			 WHERE e.user_id = $1
+			 ORDER BY e.created_at DESC, e.id DESC
+			 LIMIT $2 OFFSET $3`,
+			[userId, limit, offset],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting reputation events", {
+			userId,
+			limit,
+			offset,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Count a user's reputation events
+ * @param {number} userId - User ID
+ * @returns {Promise<number>}
+ */
+export const getReputationEventsCountDB = async (userId) => {
+	try {
+		const result = await db.query(
+			"SELECT COUNT(*) FROM reputation_events WHERE user_id = $1",
+			[userId],
+		);
+		return parseInt(result.rows[0].count, 10);
+	} catch (error) {
+		logger.error("Error counting reputation events", {
+			userId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Rebuild the ledger from votes, accepted answers and approved suggested
+ * edits, and set every user's reputation to the total of their events
+ * (never below zero)
+ * @param {Object} rules - Points per event, see REPUTATION_RULES
+ * @returns {Promise<{users: number, changed: number}>} Users recalculated,
+ *   and how many of them had a different reputation before
+ */
+export const recalculateReputationDB = async (rules) => {
+	const client = await getClient();
+	try {
+		await client.query("BEGIN");
+		await client.query("LOCK TABLE reputation_events IN EXCLUSIVE MODE");
+		await client.query("DELETE FROM reputation_events");
+
+		// The backfill in migration 1792 started as a copy of this. That copy
+		// stays as it is, so the migration keeps doing what it did when it ran;
+		// this is the one to change when the rules or sources change.
+
+		await client.query(
+			`INSERT INTO reputation_events
+				(user_id, event_type, points, question_id, answer_id, actor_id, created_at)
+			 SELECT a.user_id,
+			        CASE WHEN v.vote_type = 'upvote' THEN 'answer_upvote' ELSE 'answer_downvote' END::reputation_event_type,
+			        CASE WHEN v.vote_type = 'upvote' THEN $1::integer ELSE $3::integer END,
+			        a.question_id, a.id, v.user_id, v.updated_at
+			 FROM votes v
+			 JOIN answers a ON a.id = v.answer_id
+			 WHERE v.user_id <> a.user_id
+			 UNION ALL
+			 SELECT q.user_id,
+			        CASE WHEN v.vote_type = 'upvote' THEN 'question_upvote' ELSE 'question_downvote' END::reputation_event_type,
+			        CASE WHEN v.vote_type = 'upvote' THEN $2::integer ELSE $3::integer END,
+			        q.id, NULL, v.user_id, v.updated_at
+			 FROM question_votes v
+			 JOIN questions q ON q.id = v.question_id
+			 WHERE v.user_id <> q.user_id
+			 UNION ALL
+			 SELECT a.user_id, 'answer_accepted', $4::integer, a.question_id, a.id,
+			        q.user_id, a.updated_at
+			 FROM answers a
+			 JOIN questions q ON q.id = a.question_id
+			 WHERE a.is_accepted = true
+			 UNION ALL
+			 SELECT s.suggested_by, 'suggested_edit_approved', $5::integer,
+			        COALESCE(q.id, a.question_id), a.id, s.reviewed_by, s.reviewed_at
+			 FROM suggested_edits s
+			 LEFT JOIN questions q ON s.post_type = 'question' AND q.id = s.post_id
+			 LEFT JOIN answers a ON s.post_type = 'answer' AND a.id = s.post_id
+			 WHERE s.status = 'approved'`,
+			[
+				rules.ANSWER_UPVOTE,
+				rules.QUESTION_UPVOTE,
+				rules.CONTENT_DOWNVOTE,
+				rules.ANSWER_ACCEPTED,
+				rules.SUGGESTED_EDIT_APPROVED,
+			],
+		);
+
+		const result = await client.query(
+			`WITH totals AS (
+				SELECT u.id, GREATEST(0, COALESCE(SUM(e.points), 0)) AS reputation
+				FROM users u
+				LEFT JOIN reputation_events e ON e.user_id = u.id
+				GROUP BY u.id
+			 ),
+			 updated AS (
+				UPDATE users u
+				SET reputation = totals.reputation, updated_at = NOW()
+				FROM totals
+				WHERE u.id = totals.id AND u.reputation IS DISTINCT FROM totals.reputation
+				RETURNING u.id
+			 )
+			 SELECT (SELECT COUNT(*) FROM totals) AS users,
+			        (SELECT COUNT(*) FROM updated) AS changed`,
+		);
+
+		await client.query("COMMIT");
+		return {
+			users: parseInt(result.rows[0].users, 10),
+			changed: parseInt(result.rows[0].changed, 10),
+		};
+	} catch (error) {
+		await client.query("ROLLBACK");
+		logger.error("Error recalculating reputation", { error: error.message });
+		throw error;
+	} finally {
+		client.release();
 	}
 };
 
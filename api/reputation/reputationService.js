@@ -10,21 +10,46 @@ export const REPUTATION_RULES = {
 	ANSWER_ACCEPTED: 15,
 	QUESTION_UPVOTE: 5,
 	CONTENT_DOWNVOTE: -2, // For both questions and answers
+	SUGGESTED_EDIT_APPROVED: 2,
 };
 
+const VOTE_EVENT_TYPES = [
+	"question_upvote",
+	"question_downvote",
+	"answer_upvote",
+	"answer_downvote",
+];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
 /**
- * Update user reputation
- * @param {number} userId - User ID
+ * Record a reputation change for a user
+ * @param {number} userId - User whose reputation changes
  * @param {number} points - Points to add (can be negative)
+ * @param {Object} event - What caused the change
+ * @param {string} event.type - reputation_event_type value, e.g. "answer_upvote"
+ * @param {boolean} [event.reversal] - Undoes an earlier event of this type
+ * @param {number|null} [event.questionId] - Source question
+ * @param {number|null} [event.answerId] - Source answer
+ * @param {number|null} [event.actorId] - User who caused the change
  * @returns {Promise<number>} New reputation value
  */
-export const updateReputation = async (userId, points) => {
+export const updateReputation = async (userId, points, event) => {
 	if (!userId || points === 0) {
 		return;
 	}
 
 	try {
-		const newReputation = await repository.updateReputationDB(userId, points);
+		const newReputation = await repository.recordReputationEventDB({
+			userId,
+			eventType: event.type,
+			points,
+			reversal: event.reversal,
+			questionId: event.questionId,
+			answerId: event.answerId,
+			actorId: event.actorId,
+		});
 		return newReputation;
 	} catch (error) {
 		logger.error("Error updating reputation", {
@@ -36,130 +61,141 @@ export const updateReputation = async (userId, points) => {
 	}
 };
 
+/**
+ * Work out the reputation events for a vote. Changing a vote reverses the old
+ * one and applies the new one; removing a vote reverses it.
+ * @param {"question"|"answer"} postType - Kind of post voted on
+ * @param {number} upvotePoints - Points for an upvote on this kind of post
+ * @param {string} voteType - 'upvote' or 'downvote'
+ * @param {string|null} previousVoteType - Previous vote type or null
+ * @param {boolean} isRemoved - Whether the vote was removed (toggled off)
+ * @returns {Array<{type: string, points: number, reversal: boolean}>}
+ */
+const getVoteEvents = (
+	postType,
+	upvotePoints,
+	voteType,
+	previousVoteType,
+	isRemoved,
+) => {
+	const pointsFor = (type) =>
+		type === "upvote" ? upvotePoints : REPUTATION_RULES.CONTENT_DOWNVOTE;
+	const events = [];
+
+	if (previousVoteType && (isRemoved || previousVoteType !== voteType)) {
+		events.push({
+			type: `${postType}_${previousVoteType}`,
+			points: -pointsFor(previousVoteType),
+			reversal: true,
+		});
+	}
+	if (!isRemoved && previousVoteType !== voteType) {
+		events.push({
+			type: `${postType}_${voteType}`,
+			points: pointsFor(voteType),
+			reversal: false,
+		});
+	}
+	return events;
+};
+
 /**
  * Handle reputation change for answer vote
- * @param {number} answerUserId - User who wrote the answer
+ * @param {{id: number, user_id: number, question_id: number}} answer - Answer voted on
  * @param {number} voterUserId - User who voted
  * @param {string} voteType - 'upvote' or 'downvote'
  * @param {string} previousVoteType - Previous vote type (if changing vote) or null
  * @param {boolean} isRemoved - Whether the vote was removed (toggled off)
  */
 export const handleAnswerVoteReputation = async (
-	answerUserId,
+	answer,
 	voterUserId,
 	voteType,
 	previousVoteType = null,
 	isRemoved = false,
 ) => {
 	// Don't award reputation if user votes on their own content
-	if (answerUserId === voterUserId) {
+	if (answer.user_id === voterUserId) {
 		return;
 	}
 
-	let pointsToAdd = 0;
-
-	if (isRemoved) {
-		// Vote was removed - reverse the previous reputation change
-		if (previousVoteType === "upvote") {
-			pointsToAdd = -REPUTATION_RULES.ANSWER_UPVOTE;
-		} else if (previousVoteType === "downvote") {
-			pointsToAdd = -REPUTATION_RULES.CONTENT_DOWNVOTE;
-		}
-	} else if (previousVoteType) {
-		// Vote type changed - reverse old, apply new
-		if (previousVoteType === "upvote" && voteType === "downvote") {
-			// Upvote -> Downvote: remove +10, add -2 = -12 total
-			pointsToAdd =
-				-REPUTATION_RULES.ANSWER_UPVOTE + REPUTATION_RULES.CONTENT_DOWNVOTE;
-		} else if (previousVoteType === "downvote" && voteType === "upvote") {
-			// Downvote -> Upvote: remove -2, add +10 = +12 total
-			pointsToAdd =
-				-REPUTATION_RULES.CONTENT_DOWNVOTE + REPUTATION_RULES.ANSWER_UPVOTE;
-		}
-	} else {
-		// New vote
-		if (voteType === "upvote") {
-			pointsToAdd = REPUTATION_RULES.ANSWER_UPVOTE;
-		} else if (voteType === "downvote") {
-			pointsToAdd = REPUTATION_RULES.CONTENT_DOWNVOTE;
-		}
-	}
-
-	if (pointsToAdd !== 0) {
-		await updateReputation(answerUserId, pointsToAdd);
+	const events = getVoteEvents(
+		"answer",
+		REPUTATION_RULES.ANSWER_UPVOTE,
+		voteType,
+		previousVoteType,
+		isRemoved,
+	);
+	for (const { points, ...event } of events) {
+		await updateReputation(answer.user_id, points, {
+			...event,
+			questionId: answer.question_id,
+			answerId: answer.id,
+			actorId: voterUserId,
+		});
 	}
 };
 
 /**
  * Handle reputation change for question vote
- * @param {number} questionUserId - User who wrote the question
+ * @param {{id: number, user_id: number}} question - Question voted on
  * @param {number} voterUserId - User who voted
  * @param {string} voteType - 'upvote' or 'downvote'
  * @param {string} previousVoteType - Previous vote type (if changing vote) or null
  * @param {boolean} isRemoved - Whether the vote was removed (toggled off)
  */
 export const handleQuestionVoteReputation = async (
-	questionUserId,
+	question,
 	voterUserId,
 	voteType,
 	previousVoteType = null,
 	isRemoved = false,
 ) => {
 	// Don't award reputation if user votes on their own content
-	if (questionUserId === voterUserId) {
+	if (question.user_id === voterUserId) {
 		return;
 	}
 
-	let pointsToAdd = 0;
-
-	if (isRemoved) {
-		// Vote was removed - reverse the previous reputation change
-		if (previousVoteType === "upvote") {
-			pointsToAdd = -REPUTATION_RULES.QUESTION_UPVOTE;
-		} else if (previousVoteType === "downvote") {
-			pointsToAdd = -REPUTATION_RULES.CONTENT_DOWNVOTE;
-		}
-	} else if (previousVoteType) {
-		// Vote type changed - reverse old, apply new
-		if (previousVoteType === "upvote" && voteType === "downvote") {
-			// Upvote -> Downvote: remove +5, add -2 = -7 total
-			pointsToAdd =
-				-REPUTATION_RULES.QUESTION_UPVOTE + REPUTATION_RULES.CONTENT_DOWNVOTE;
-		} else if (previousVoteType === "downvote" && voteType === "upvote") {
-			// Downvote -> Upvote: remove -2, add +5 = +7 total
-			pointsToAdd =
-				-REPUTATION_RULES.CONTENT_DOWNVOTE + REPUTATION_RULES.QUESTION_UPVOTE;
-		}
-	} else {
-		// New vote
-		if (voteType === "upvote") {
-			pointsToAdd = REPUTATION_RULES.QUESTION_UPVOTE;
-		} else if (voteType === "downvote") {
-			pointsToAdd = REPUTATION_RULES.CONTENT_DOWNVOTE;
-		}
-	}
-
-	if (pointsToAdd !== 0) {
-		await updateReputation(questionUserId, pointsToAdd);
+	const events = getVoteEvents(
+		"question",
+		REPUTATION_RULES.QUESTION_UPVOTE,
+		voteType,
+		previousVoteType,
+		isRemoved,
+	);
+	for (const { points, ...event } of events) {
+		await updateReputation(question.user_id, points, {
+			...event,
+			questionId: question.id,
+			actorId: voterUserId,
+		});
 	}
 };
 
 /**
  * Handle reputation change for accepted answer
- * @param {number} answerUserId - User who wrote the answer
+ * @param {{id: number, user_id: number, question_id: number}} answer - Answer accepted or unaccepted
  * @param {boolean} isAccepted - Whether answer is being accepted (true) or unaccepted (false)
+ * @param {number} actorId - Question author who accepted it
  */
 export const handleAnswerAcceptedReputation = async (
-	answerUserId,
+	answer,
 	isAccepted,
+	actorId,
 ) => {
-	const pointsToAdd = isAccepted
-		? REPUTATION_RULES.ANSWER_ACCEPTED
-		: -REPUTATION_RULES.ANSWER_ACCEPTED;
-
-	if (pointsToAdd !== 0) {
-		await updateReputation(answerUserId, pointsToAdd);
-	}
+	await updateReputation(
+		answer.user_id,
+		isAccepted
+			? REPUTATION_RULES.ANSWER_ACCEPTED
+			: -REPUTATION_RULES.ANSWER_ACCEPTED,
+		{
+			type: "answer_accepted",
+			reversal: !isAccepted,
+			questionId: answer.question_id,
+			answerId: answer.id,
+			actorId,
+		},
+	);
 };
 
 /**
@@ -170,3 +206,57 @@ export const handleAnswerAcceptedReputation = async (
 export const getUserReputation = async (userId) => {
 	return repository.getUserReputationDB(userId);
 };
+
+/**
+ * Get a page of a user's reputation history, newest first. Voters are not
+ * shown, so votes stay anonymous.
+ * @param {number} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.page] - Page number, from 1
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<{events: Array, pagination: Object}>}
+ */
+export const getReputationHistory = async (
+	userId,
+	{ page = 1, limit = DEFAULT_PAGE_SIZE } = {},
+) => {
+	const pageSize = Math.min(
+		Math.max(limit || DEFAULT_PAGE_SIZE, 1),
+		MAX_PAGE_SIZE,
+	);
+	const currentPage = Math.max(page || 1, 1);
+
+	const [events, total] = await Promise.all([
+		repository.getReputationEventsDB(
+			userId,
+			pageSize,
+			(currentPage - 1) * pageSize,
+		),
+		repository.getReputationEventsCountDB(userId),
+	]);
+
+	return {
+		events: events.map(({ actor_id, actor_name, ...event }) =>
+			VOTE_EVENT_TYPES.includes(event.event_type)
+				? event
+				: { ...event, actor_id, actor_name },
+		),
+		pagination: {
+			currentPage,
+			totalPages: Math.ceil(total / pageSize),
+			totalItems: total,
+			itemsPerPage: pageSize,
+		},
+	};
+};
+
+/**
+ * Rebuild every user's reputation history from votes, accepted answers and
+ * approved suggested edits, and reset their reputation to match
+ * @returns {Promise<{users: number, changed: number}>}
+ */
+export const recalculateReputation = async () => {
+	const result = await repository.recalculateReputationDB(REPUTATION_RULES);
+	logger.info("Recalculated reputation", result);
+	return result;
+};
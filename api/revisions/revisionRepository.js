@@ -0,0 +1,252 @@
+import db from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Add the next revision of a question. The labels are snapshotted from the
+ * question's current labels.
+ * @param {Object} revision
+ * @param {number} revision.questionId - Question ID
+ * @param {string} revision.title - Title as of this revision
+ * @param {string} revision.content - Content as of this revision
+ * @param {number} revision.editorId - User who made the change
+ * @param {string|null} [revision.editSummary] - Editor's description of the change
+ * @param {number|null} [revision.rolledBackTo] - Revision number restored by a rollback
+ * @returns {Promise<Object>} The new revision
+ */
+export const createQuestionRevisionDB = async ({
+	questionId,
+	title,
+	content,
+	editorId,
+	editSummary = null,
+	rolledBackTo = null,
+}) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO question_revisions
+				(question_id, revision_number, title, content, labels, editor_id, edit_summary, rolled_back_to)
+			 SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3,
+				COALESCE(
+					(SELECT jsonb_agg(jsonb_build_object('id', l.id, 'name', l.name) ORDER BY l.name)
+					 FROM question_labels ql
+					 JOIN labels l ON l.id = ql.label_id
+					 WHERE ql.question_id = $1),
+					'[]'::jsonb
+				),
+				$4, $5, $6
+			 FROM question_revisions
+			 WHERE question_id = $1
+			 RETURNING *`,
+			[questionId, title, content, editorId, editSummary, rolledBackTo],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error recording question revision", {
+			questionId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get every revision of a question, newest first
+ * @param {number} questionId - Question ID
+ * @returns {Promise<Array>} Revisions with the editor's name
+ */
+export const getQuestionRevisionsDB = async (questionId) => {
+	try {
+		const result = await db.query(
+			`SELECT r.*, u.name AS editor_name
+			 FROM question_revisions r
+			 LEFT JOIN users u ON u.id = r.editor_id
+			 WHERE r.question_id = $1
+			 ORDER BY r.revision_number DESC`,
+			[questionId],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting question revisions", {
+			questionId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get one revision of a question
+ * @param {number} questionId - Question ID
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<Object|null>} Revision or null
+ */
+export const getQuestionRevisionDB = async (questionId, revisionNumber) => {
+	try {
+		const result = await db.query(
+			`SELECT * FROM question_revisions
+			 WHERE question_id = $1 AND revision_number = $2`,
+			[questionId, revisionNumber],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error getting question revision", {
+			questionId,
+			revisionNumber,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get the number of a question's latest revision
+ * @param {number} questionId - Question ID
+ * @returns {Promise<number>} Revision number, or 0 if none were recorded
+ */
+export const getLatestQuestionRevisionNumberDB = async (questionId) => {
+	try {
+		const result = await db.query(
+			`SELECT COALESCE(MAX(revision_number), 0) AS revision_number
+			 FROM question_revisions
+			 WHERE question_id = $1`,
+			[questionId],
+		);
+		return result.rows[0].revision_number;
+	} catch (error) {
+		logger.error("Error getting latest question revision", {
+			questionId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Add the next revision of an answer
+ * @param {Object} revision
+ * @param {number} revision.answerId - Answer ID
+ * @param {string} revision.content - Content as of this revision
+ * @param {number} revision.editorId - User who made the change
+ * @param {string|null} [revision.editSummary] - Editor's description of the change
+ * @param {number|null} [revision.rolledBackTo] - Revision number restored by a rollback
+ * @returns {Promise<Object>} The new revision
+ */
+export const createAnswerRevisionDB = async ({
+	answerId,
+	content,
+	editorId,
+	editSummary = null,
+	rolledBackTo = null,
+}) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO answer_revisions
+				(answer_id, revision_number, content, editor_id, edit_summary, rolled_back_to)
+			 SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5
+			 FROM answer_revisions
+			 WHERE answer_id = $1
+			 RETURNING *`,
+			[answerId, content, editorId, editSummary, rolledBackTo],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error recording answer revision", {
+			answerId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get every revision of an answer, newest first
+ * @param {number} answerId - Answer ID
+ * @returns {Promise<Array>} Revisions with the editor's name
+ */
+export const getAnswerRevisionsDB = async (answerId) => {
+	try {
+		const result = await db.query(
+			`SELECT r.*, u.name AS editor_name
+			 FROM answer_revisions r
+			 LEFT JOIN users u ON u.id = r.editor_id
+			 WHERE r.answer_id = $1
+			 ORDER BY r.revision_number DESC`,
+			[answerId],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting answer revisions", {
+			answerId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get one revision of an answer
+ * @param {number} answerId - Answer ID
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<Object|null>} Revision or null
+ */
+export const getAnswerRevisionDB = async (answerId, revisionNumber) => {
+	try {
+		const result = await db.query(
+			`SELECT * FROM answer_revisions
+			 WHERE answer_id = $1 AND revision_number = $2`,
+			[answerId, revisionNumber],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error getting answer revision", {
+			answerId,
+			revisionNumber,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get the number of an answer's latest revision
+ * @param {number} answerId - Answer ID
+ * @returns {Promise<number>} Revision number, or 0 if none were recorded
+ */
+export const getLatestAnswerRevisionNumberDB = async (answerId) => {
+	try {
+		const result = await db.query(
+			`SELECT COALESCE(MAX(revision_number), 0) AS revision_number
+			 FROM answer_revisions
+			 WHERE answer_id = $1`,
+			[answerId],
+		);
+		return result.rows[0].revision_number;
+	} catch (error) {
+		logger.error("Error getting latest answer revision", {
+			answerId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Keep only the label IDs that still exist
+ * @param {Array<number>} labelIds - Label IDs
+ * @returns {Promise<Array<number>>}
+ */
+export const getExistingLabelIdsDB = async (labelIds) => {
+	try {
+		const result = await db.query(
+			`SELECT id FROM labels WHERE id = ANY($1::int[]) ORDER BY id`,
+			[labelIds],
+		);
+		return result.rows.map((row) => row.id);
+	} catch (error) {
+		logger.error("Error checking label IDs", {
+			labelIds,
+			error: error.message,
+		});
+		throw error;
+	}
+};
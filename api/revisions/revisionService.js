@@ -0,0 +1,247 @@
+import * as answerRepository from "../answers/answerRepository.js";
+import * as followService from "../follows/followService.js";
+import * as questionRepository from "../questions/questionRepository.js";
+import * as uploadService from "../uploads/uploadService.js";
+import logger from "../utils/logger.js";
+import { hasPermission } from "../utils/permissions.js";
+import { sanitizeText } from "../utils/security.js";
+
+import * as repository from "./revisionRepository.js";
+
+const MAX_EDIT_SUMMARY_LENGTH = 300;
+
+/**
+ * Validate an optional edit summary
+ * @param {unknown} editSummary - Summary from the request body
+ * @returns {string|null} Sanitized summary, or null if none was given
+ */
+export const normalizeEditSummary = (editSummary) => {
+	if (editSummary === undefined || editSummary === null) {
+		return null;
+	}
+	if (typeof editSummary !== "string") {
+		throw new Error("Edit summary must be a string");
+	}
+	const summary = sanitizeText(editSummary);
+	if (summary.length > MAX_EDIT_SUMMARY_LENGTH) {
+		throw new Error(
+			`Edit summary must be ${MAX_EDIT_SUMMARY_LENGTH} characters or less`,
+		);
+	}
+	return summary || null;
+};
+
+/**
+ * Record a question's current title, content and labels as its next revision
+ * @param {{id: number, title: string, content: string}} question - Saved question
+ * @param {number} editorId - User who made the change
+ * @param {string|null} [editSummary] - Normalized edit summary
+ * @returns {Promise<Object>} The new revision
+ */
+export const recordQuestionRevision = (
+	question,
+	editorId,
+	editSummary = null,
+) =>
+	repository.createQuestionRevisionDB({
+		questionId: question.id,
+		title: question.title,
+		content: question.content,
+		editorId,
+		editSummary,
+	});
+
+/**
+ * Record an answer's current content as its next revision
+ * @param {{id: number, content: string}} answer - Saved answer
+ * @param {number} editorId - User who made the change
+ * @param {string|null} [editSummary] - Normalized edit summary
+ * @returns {Promise<Object>} The new revision
+ */
+export const recordAnswerRevision = (answer, editorId, editSummary = null) =>
+	repository.createAnswerRevisionDB({
+		answerId: answer.id,
+		content: answer.content,
+		editorId,
+		editSummary,
+	});
+
+/**
+ * Get the number of a post's latest revision
+ * @param {"question"|"answer"} postType - Kind of post
+ * @param {number} postId - Question or answer ID
+ * @returns {Promise<number>}
+ */
+export const getLatestRevisionNumber = (postType, postId) =>
+	postType === "question"
+		? repository.getLatestQuestionRevisionNumberDB(postId)
+		: repository.getLatestAnswerRevisionNumberDB(postId);
+
+/**
+ * Get the revision history of a question, newest first
+ * @param {string|number} idOrSlug - Question ID or slug
+ * @returns {Promise<{question: Object, revisions: Array}>}
+ */
+export const getQuestionRevisions = async (idOrSlug) => {
+	const question = await questionRepository.getQuestionByIdDB(idOrSlug);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+	const revisions = await repository.getQuestionRevisionsDB(question.id);
+	return {
+		question: {
+			id: question.id,
+			slug: question.slug,
+			title: question.title,
+			user_id: question.user_id,
+		},
+		revisions,
+	};
+};
+
+/**
+ * Get the revision history of an answer, newest first
+ * @param {number} answerId - Answer ID
+ * @returns {Promise<{answer: Object, revisions: Array}>}
+ */
+export const getAnswerRevisions = async (answerId) => {
+	const answer = await answerRepository.getAnswerByIdDB(answerId);
+	if (!answer) {
+		throw new Error("Answer not found");
+	}
+	const revisions = await repository.getAnswerRevisionsDB(answer.id);
+	return {
+		answer: {
+			id: answer.id,
+			question_id: answer.question_id,
+			user_id: answer.user_id,
+		},
+		revisions,
+	};
+};
+
+/**
+ * Record which uploads restored content uses (non-blocking)
+ * @param {string} contentType - "question" or "answer"
+ * @param {number} contentId - Question or answer ID
+ * @param {string} content - Restored content
+ */
+const syncRestoredUploads = (contentType, contentId, content) => {
+	uploadService
+		.syncUploadReferences(contentType, contentId, content)
+		.catch((error) => {
+			logger.error("Failed to record uploads of restored content", {
+				contentType,
+				contentId,
+				error: error.message,
+			});
+		});
+};
+
+/**
+ * Restore a question's title, content and labels from an earlier revision.
+ * The rollback is itself recorded as a new revision, and followers are told
+ * about it as an edit. Labels that no longer exist are left out.
+ * @param {string|number} idOrSlug - Question ID or slug
+ * @param {number} revisionNumber - Revision to restore
+ * @param {{id: number, name: string, role: string}} user - Author, or a user who can edit any post
+ * @returns {Promise<Object>} Updated question
+ */
+export const rollbackQuestion = async (idOrSlug, revisionNumber, user) => {
+	const question = await questionRepository.getQuestionByIdDB(idOrSlug);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+	if (question.user_id !== user.id && !hasPermission(user, "edit_any_post")) {
+		throw new Error("You are not authorised to roll back this question");
+	}
+
+	const revision = await repository.getQuestionRevisionDB(
+		question.id,
+		revisionNumber,
+	);
+	if (!revision) {
+		throw new Error("Revision not found");
+	}
+
+	const labelIds = await repository.getExistingLabelIdsDB(
+		revision.labels.map((label) => label.id),
+	);
+	const updatedQuestion = await questionRepository.updateQuestionDB(
+		question.id,
+		revision.title,
+		revision.content,
+		question.template_type,
+		question.browser,
+		question.os,
+		question.documentation_link,
+		labelIds,
+	);
+
+	await repository.createQuestionRevisionDB({
+		questionId: question.id,
+		title: revision.title,
+		content: revision.content,
+		editorId: user.id,
+		editSummary: `Rolled back to revision ${revisionNumber}`,
+		rolledBackTo: revisionNumber,
+	});
+	syncRestoredUploads("question", question.id, revision.content);
+
+	followService
+		.notifyFollowers(
+			{ ...question, title: revision.title },
+			"question_edited",
+			{ actorId: user.id, actorName: user.name },
+		)
+		.catch((error) => {
+			logger.error("Failed to notify followers of question rollback", {
+				questionId: question.id,
+				error: error.message,
+			});
+		});
+
+	return updatedQuestion;
+};
+
+/**
+ * Restore an answer's content from an earlier revision. The rollback is
+ * itself recorded as a new revision.
+ * @param {number} answerId - Answer ID
+ * @param {number} revisionNumber - Revision to restore
+ * @param {{id: number, role: string}} user - Author, or a user who can edit any post
+ * @returns {Promise<Object>} Updated answer
+ */
+export const rollbackAnswer = async (answerId, revisionNumber, user) => {
+	const answer = await answerRepository.getAnswerByIdDB(answerId);
+	if (!answer) {
+		throw new Error("Answer not found");
+	}
+	if (answer.user_id !== user.id && !hasPermission(user, "edit_any_post")) {
+		throw new Error("You are not authorised to roll back this answer");
+	}
+
+	const revision = await repository.getAnswerRevisionDB(
+		answer.id,
+		revisionNumber,
+	);
+	if (!revision) {
+		throw new Error("Revision not found");
+	}
+
+	const updatedAnswer = await answerRepository.updateAnswerDB(
+		answer.id,
+		revision.content,
+	);
+
+	await repository.createAnswerRevisionDB({
+		answerId: answer.id,
+		content: revision.content,
+		editorId: user.id,
+		editSummary: `Rolled back to revision ${revisionNumber}`,
+		rolledBackTo: revisionNumber,
+	});
+	syncRestoredUploads("answer", answer.id, revision.content);
+
+	return updatedAnswer;
+};
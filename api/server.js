@@ -1,4 +1,4 @@
-import { connectDb } from "./db.js";
+import { connectDb, disconnectDb } from "./db.js";
 import config from "./utils/config.js";
 import logger from "./utils/logger.js";
 
@@ -6,11 +6,72 @@ const { port } = config.init();
 
 await connectDb();
 
+// Imported once config is initialised, as some of these read it on load
 const { default: app } = await import("./app.js");
+const { startDigestScheduler, stopDigestScheduler } = await import(
+	"./digests/digestService.js"
+);
+const { startEmailRetryWorker, stopEmailRetryWorker } = await import(
+	"./emails/emailQueue.js"
+);
+const { startStaleQuestionArchiver, stopStaleQuestionArchiver } = await import(
+	"./questions/questionService.js"
+);
+const { startUploadCleanup, stopUploadCleanup } = await import(
+	"./uploads/uploadService.js"
+);
+const { startViewFlusher, stopViewFlusher } = await import(
+	"./views/viewService.js"
+);
+const { startNotificationFanout, stopNotificationFanout } = await import(
+	"./watches/watchService.js"
+);
 
-app.listen(port, "0.0.0.0", (err) => {
+const server = app.listen(port, "0.0.0.0", (err) => {
 	if (err) {
 		throw err;
 	}
 	logger.info(`listening on ${port}`);
 });
+
+startViewFlusher();
+startNotificationFanout();
+startDigestScheduler();
+startEmailRetryWorker();
+startUploadCleanup();
+startStaleQuestionArchiver();
+
+let shuttingDown = false;
+
+/**
+ * Stop taking requests, let the background jobs finish (writing out buffered
+ * views) and close the database pool, leaving nothing to keep the process
+ * running
+ * @param {string} signal
+ */
+const shutdown = async (signal) => {
+	if (shuttingDown) {
+		return;
+	}
+	shuttingDown = true;
+	logger.info("%s received, shutting down", signal);
+
+	try {
+		await new Promise((resolve) => server.close(resolve));
+		await Promise.all([
+			stopViewFlusher(),
+			stopNotificationFanout(),
+			stopDigestScheduler(),
+			stopEmailRetryWorker(),
+			stopUploadCleanup(),
+			stopStaleQuestionArchiver(),
+		]);
+		await disconnectDb();
+	} catch (error) {
+		logger.error("Error during shutdown", { error: error.message });
+		process.exitCode = 1;
+	}
+};
+
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);
@@ -1,4 +1,4 @@
-import db from "../db.js";
+import db, { getClient } from "../db.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -134,6 +134,167 @@ export const deleteSimilarQuestionDB = async (
 	}
 };
 
+/**
+ * Mark a question as a duplicate of a canonical question.
+ * In one transaction this:
+ * - refuses a canonical question that is itself a duplicate, which would
+ *   make a chain (or a cycle, if it duplicates this question)
+ * - records the duplicate -> canonical relation (replacing any previous one)
+ * - points questions that were duplicates of this one at the canonical question
+ * - closes the duplicate with reason 'duplicate'
+ * - merges the duplicate and its manual relations into the canonical question's similar list
+ * @param {number} duplicateId - Question being closed as a duplicate
+ * @param {number} canonicalId - Question it duplicates
+ * @param {number} userId - User marking the duplicate
+ * @returns {Promise<Object>} Updated duplicate question row
+ */
+export const markQuestionDuplicateDB = async (
+	duplicateId,
+	canonicalId,
+	userId,
+) => {
+	const client = await getClient();
+	try {
+		await client.query("BEGIN");
+
+		// Lock both questions so that marking A -> B and B -> A at the same
+		// time can't both get past the check below
+		await client.query(
+			`SELECT id FROM questions WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+			[[duplicateId, canonicalId]],
+		);
+		const canonicalDuplicate = await client.query(
+			`SELECT 1
+			 FROM similar_questions sq
+			 JOIN questions q ON sq.related_question_id = q.id
+			 WHERE sq.question_id = $1
+				AND sq.relation_type = 'duplicate'
+				AND sq.is_active = true
+				AND q.deleted_at IS NULL`,
+			[canonicalId],
+		);
+		if (canonicalDuplicate.rows.length > 0) {
+			throw new Error(
+				"Canonical question is already a duplicate; mark this question as a duplicate of the question it duplicates",
+			);
+		}
+
+		// A question can only be a duplicate of one canonical question
+		await client.query(
+			`UPDATE similar_questions
+			 SET is_active = false, updated_at = NOW()
+			 WHERE question_id = $1 AND relation_type = 'duplicate' AND related_question_id != $2`,
+			[duplicateId, canonicalId],
+		);
+
+		await client.query(
+			`INSERT INTO similar_questions
+				(question_id, related_question_id, relation_type, created_by_user_id)
+			 VALUES ($1, $2, 'duplicate', $3)
+			 ON CONFLICT (question_id, related_question_id, relation_type)
+			 DO UPDATE SET is_active = true, created_by_user_id = $3, updated_at = NOW()`,
+			[duplicateId, canonicalId, userId],
+		);
+
+		// Questions closed as duplicates of this one move to the canonical question
+		await client.query(
+			`INSERT INTO similar_questions
+				(question_id, related_question_id, relation_type, created_by_user_id)
+			 SELECT sq.question_id, $2, 'duplicate', sq.created_by_user_id
+			 FROM similar_questions sq
+			 WHERE sq.related_question_id = $1
+				AND sq.relation_type = 'duplicate'
+				AND sq.is_active = true
+			 ON CONFLICT (question_id, related_question_id, relation_type)
+			 DO UPDATE SET is_active = true, updated_at = NOW()`,
+			[duplicateId, canonicalId],
+		);
+		await client.query(
+			`UPDATE similar_questions
+			 SET is_active = false, updated_at = NOW()
+			 WHERE related_question_id = $1 AND relation_type = 'duplicate' AND is_active = true`,
+			[duplicateId],
+		);
+
+		// Canonical question lists the duplicate, plus anything linked to the duplicate
+		await client.query(
+			`INSERT INTO similar_questions
+				(question_id, related_question_id, relation_type, created_by_user_id)
+			 VALUES ($1, $2, 'similar', $3)
+			 ON CONFLICT (question_id, related_question_id, relation_type)
+			 DO UPDATE SET is_active = true, updated_at = NOW()`,
+			[canonicalId, duplicateId, userId],
+		);
+		await client.query(
+			`INSERT INTO similar_questions
+				(question_id, related_question_id, relation_type, created_by_user_id, similarity_score)
+			 SELECT $2, sq.related_question_id, sq.relation_type, sq.created_by_user_id, sq.similarity_score
+			 FROM similar_questions sq
+			 WHERE sq.question_id = $1
+				AND sq.is_active = true
+				AND sq.relation_type != 'duplicate'
+				AND sq.related_question_id != $2
+			 ON CONFLICT (question_id, related_question_id, relation_type) DO NOTHING`,
+			[duplicateId, canonicalId],
+		);
+
+		const result = await client.query(
+			`UPDATE questions
+			 SET status = 'closed', close_reason = 'duplicate', closed_at = NOW(), closed_by_user_id = $2
+			 WHERE id = $1 AND deleted_at IS NULL
+			 RETURNING *`,
+			[duplicateId, userId],
+		);
+
+		await client.query("COMMIT");
+		return result.rows[0];
+	} catch (error) {
+		await client.query("ROLLBACK");
+		logger.error("Error marking question as duplicate:", error);
+		throw error;
+	} finally {
+		client.release();
+	}
+};
+
+/**
+ * Get the canonical question a question was marked as a duplicate of
+ * @param {number} questionId - Duplicate question ID
+ * @returns {Promise<Object|null>} { id, title, slug } or null
+ */
+export const getCanonicalQuestionDB = async (questionId) => {
+	const result = await db.query(
+		`SELECT q.id, q.title, q.slug
+		 FROM similar_questions sq
+		 JOIN questions q ON sq.related_question_id = q.id
+		 WHERE sq.question_id = $1
+			AND sq.relation_type = 'duplicate'
+			AND sq.is_active = true
+			AND q.deleted_at IS NULL
+		 ORDER BY sq.updated_at DESC
+		 LIMIT 1`,
+		[questionId],
+	);
+
+	return result.rows[0] || null;
+};
+
+/**
+ * Remove a question's duplicate relation (e.g. when it is reopened)
+ * @param {number} questionId - Duplicate question ID
+ * @returns {Promise<boolean>} Whether a relation was deactivated
+ */
+export const clearDuplicateRelationDB = async (questionId) => {
+	const result = await db.query(
+		`UPDATE similar_questions
+		 SET is_active = false, updated_at = NOW()
+		 WHERE question_id = $1 AND relation_type = 'duplicate' AND is_active = true`,
+		[questionId],
+	);
+
+	return result.rowCount > 0;
+};
+
 /**
  * Find potentially similar questions using text similarity
  * Uses PostgreSQL's full-text search capabilities
@@ -172,6 +172,40 @@ export const deleteSimilarQuestion = async (questionId, relatedQuestionId) => {
 	}
 };
 
+/**
+ * Record that a question duplicates a canonical question and close it.
+ * Authorization and existence checks are done by the caller.
+ * @param {number} duplicateId - Question being closed as a duplicate
+ * @param {number} canonicalId - Canonical question ID
+ * @param {number} userId - User marking the duplicate
+ * @returns {Promise<Object>} Updated duplicate question row
+ */
+export const markAsDuplicate = async (duplicateId, canonicalId, userId) => {
+	if (duplicateId === canonicalId) {
+		throw new Error("A question cannot be a duplicate of itself");
+	}
+
+	return repository.markQuestionDuplicateDB(duplicateId, canonicalId, userId);
+};
+
+/**
+ * Get the canonical question for a duplicate
+ * @param {number} questionId - Duplicate question ID
+ * @returns {Promise<Object|null>} { id, title, slug } or null
+ */
+export const getCanonicalQuestion = async (questionId) => {
+	return repository.getCanonicalQuestionDB(questionId);
+};
+
+/**
+ * Unlink a question from its canonical question
+ * @param {number} questionId - Duplicate question ID
+ * @returns {Promise<boolean>} Whether a relation was removed
+ */
+export const clearDuplicate = async (questionId) => {
+	return repository.clearDuplicateRelationDB(questionId);
+};
+
 /**
  * Auto-detect and suggest similar questions when a question is created
  * This can be called after question creation to automatically link similar questions
@@ -0,0 +1,247 @@
+import db from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Suggested edits joined with the post they change: its author, current
+ * title and content, and the question it belongs to. Suggestions on deleted
+ * posts are left out. `is_stale` is true once the post has been edited since
+ * the suggestion was made.
+ */
+const SUGGESTED_EDITS_FROM = `
+	FROM suggested_edits s
+	JOIN users u ON u.id = s.suggested_by
+	LEFT JOIN questions q
+		ON s.post_type = 'question' AND q.id = s.post_id AND q.deleted_at IS NULL
+	LEFT JOIN answers a
+		ON s.post_type = 'answer' AND a.id = s.post_id AND a.deleted_at IS NULL
+	LEFT JOIN questions aq ON aq.id = a.question_id
+	WHERE COALESCE(q.id, a.id) IS NOT NULL`;
+
+const SUGGESTED_EDIT_COLUMNS = `
+	s.*,
+	u.name AS suggested_by_name,
+	COALESCE(q.user_id, a.user_id) AS author_id,
+	q.title AS current_title,
+	COALESCE(q.content, a.content) AS current_content,
+	COALESCE(q.id, aq.id) AS question_id,
+	COALESCE(q.slug, aq.slug) AS question_slug,
+	COALESCE(q.title, aq.title) AS question_title,
+	s.base_revision < COALESCE(
+		(SELECT MAX(qr.revision_number) FROM question_revisions qr
+		 WHERE qr.question_id = q.id),
+		(SELECT MAX(ar.revision_number) FROM answer_revisions ar
+		 WHERE ar.answer_id = a.id),
+		0
+	) AS is_stale`;
+
+/**
+ * Add a pending suggested edit
+ * @param {Object} suggestion
+ * @param {"question"|"answer"} suggestion.postType - Kind of post
+ * @param {number} suggestion.postId - Question or answer ID
+ * @param {number} suggestion.suggestedBy - User suggesting the edit
+ * @param {string|null} suggestion.title - Proposed title (questions only)
+ * @param {string} suggestion.content - Proposed content
+ * @param {string|null} suggestion.editSummary - Description of the change
+ * @param {number} suggestion.baseRevision - Revision the edit was made against
+ * @returns {Promise<Object>} The new suggestion
+ */
+export const createSuggestedEditDB = async ({
+	postType,
+	postId,
+	suggestedBy,
+	title,
+	content,
+	editSummary,
+	baseRevision,
+}) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO suggested_edits
+				(post_type, post_id, suggested_by, title, content, edit_summary, base_revision)
+			 VALUES ($1, $2, $3, $4, $5, $6, $7)
+			 RETURNING *`,
+			[
+				postType,
+				postId,
+				suggestedBy,
+				title,
+				content,
+				editSummary,
+				baseRevision,
+			],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error creating suggested edit", {
+			postType,
+			postId,
+			suggestedBy,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get a suggested edit with the post it changes
+ * @param {number} id - Suggested edit ID
+ * @returns {Promise<Object|null>} Suggestion, or null if it or its post is gone
+ */
+export const getSuggestedEditByIdDB = async (id) => {
+	try {
+		const result = await db.query(
+			`SELECT ${SUGGESTED_EDIT_COLUMNS}
+			 ${SUGGESTED_EDITS_FROM}
+			 AND s.id = $1`,
+			[id],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error getting suggested edit", { id, error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Build the filter for a page of suggested edits
+ * @param {Object} filters
+ * @param {string} filters.status - pending, approved or rejected
+ * @param {number|null} filters.authorId - Only suggestions on this user's posts
+ * @param {number|null} filters.suggestedBy - Only suggestions by this user
+ * @param {number|null} [filters.excludeSuggestedBy] - Leave out suggestions
+ *   by this user
+ * @returns {{where: string, params: Array}}
+ */
+const buildSuggestedEditFilter = ({
+	status,
+	authorId,
+	suggestedBy,
+	excludeSuggestedBy,
+}) => {
+	const params = [status];
+	let where = "AND s.status = $1";
+	if (authorId) {
+		params.push(authorId);
+		where += ` AND COALESCE(q.user_id, a.user_id) = $${params.length}`;
+	}
+	if (suggestedBy) {
+		params.push(suggestedBy);
+		where += ` AND s.suggested_by = $${params.length}`;
+	}
+	if (excludeSuggestedBy) {
+		params.push(excludeSuggestedBy);
+		where += ` AND s.suggested_by <> $${params.length}`;
+	}
+	return { where, params };
+};
+
+/**
+ * Get a page of suggested edits, oldest first
+ * @param {Object} filters - See buildSuggestedEditFilter
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows to skip
+ * @returns {Promise<Array>}
+ */
+export const getSuggestedEditsDB = async (filters, limit, offset) => {
+	try {
+		const { where, params } = buildSuggestedEditFilter(filters);
+		const result = await db.query(
+			`SELECT ${SUGGESTED_EDIT_COLUMNS}
+			 ${SUGGESTED_EDITS_FROM}
+			 ${where}
+			 ORDER BY s.created_at ASC, s.id ASC
+			 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+			[...params, limit, offset],
+		);
+		return result.rows;
+	} catch (error) {
+		logger.error("Error getting suggested edits", {
+			filters,
+			limit,
+			offset,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Count the suggested edits matching a filter
+ * @param {Object} filters - See buildSuggestedEditFilter
+ * @returns {Promise<number>}
+ */
+export const getSuggestedEditsCountDB = async (filters) => {
+	try {
+		const { where, params } = buildSuggestedEditFilter(filters);
+		const result = await db.query(
+			`SELECT COUNT(*)::int AS count
+			 ${SUGGESTED_EDITS_FROM}
+			 ${where}`,
+			params,
+		);
+		return result.rows[0].count;
+	} catch (error) {
+		logger.error("Error counting suggested edits", {
+			filters,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Approve or reject a suggested edit that is still pending. Only one
+ * reviewer can win if two review it at once.
+ * @param {number} id - Suggested edit ID
+ * @param {"approved"|"rejected"} status - Review outcome
+ * @param {number} reviewerId - Author or admin reviewing it
+ * @param {string|null} [rejectReason] - Why it was rejected
+ * @returns {Promise<Object|null>} Updated suggestion, or null if it was no longer pending
+ */
+export const reviewSuggestedEditDB = async (
+	id,
+	status,
+	reviewerId,
+	rejectReason = null,
+) => {
+	try {
+		const result = await db.query(
+			`UPDATE suggested_edits
+			 SET status = $2, reviewed_by = $3, reviewed_at = NOW(), reject_reason = $4
+			 WHERE id = $1 AND status = 'pending'
+			 RETURNING *`,
+			[id, status, reviewerId, rejectReason],
+		);
+		return result.rows[0] || null;
+	} catch (error) {
+		logger.error("Error reviewing suggested edit", {
+			id,
+			status,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Put an approved suggestion back in the queue when its edit could not be
+ * applied
+ * @param {number} id - Suggested edit ID
+ */
+export const reopenSuggestedEditDB = async (id) => {
+	try {
+		await db.query(
+			`UPDATE suggested_edits
+			 SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL
+			 WHERE id = $1`,
+			[id],
+		);
+	} catch (error) {
+		logger.error("Error reopening suggested edit", {
+			id,
+			error: error.message,
+		});
+		throw error;
+	}
+};
@@ -0,0 +1,123 @@
+import { Router } from "express";
+
+import { authenticateToken } from "../utils/auth.js";
+import { requireVerifiedEmail } from "../utils/emailVerificationAuth.js";
+import logger from "../utils/logger.js";
+import { requirePrivilege } from "../utils/privilegeAuth.js";
+
+import {
+	approveSuggestedEdit,
+	getSuggestedEdits,
+	rejectSuggestedEdit,
+	suggestEdit,
+} from "./suggestedEditService.js";
+
+const router = Router();
+
+/**
+ * Map a suggested edit error message to an HTTP status code
+ * @param {Error} error
+ * @returns {number}
+ */
+const suggestedEditErrorCode = (error) => {
+	const message = error.message || "";
+	if (message.includes("not found")) return 404;
+	if (message.includes("not authorised") || message.includes("reputation")) {
+		return 403;
+	}
+	if (message.includes("already") || message.includes("out of date")) {
+		return 409;
+	}
+	if (
+		message.includes("must") ||
+		message.includes("is required") ||
+		message.includes("cannot")
+	) {
+		return 400;
+	}
+	return 500;
+};
+
+/**
+ * GET /api/suggested-edits
+ * Review queue: pending suggestions on the user's posts (every post for
+ * admins and reviewers), oldest first
+ * Query params:
+ *   - status: pending (default), approved or rejected
+ *   - mine: "true" for the user's own suggestions instead
+ *   - limit, page: pagination
+ */
+router.get("/", authenticateToken(), async (req, res) => {
+	try {
+		const result = await getSuggestedEdits(req.user, {
+			status: req.query.status,
+			mine: req.query.mine === "true",
+			page: Number.parseInt(req.query.page, 10) || 1,
+			limit: Number.parseInt(req.query.limit, 10) || undefined,
+		});
+		res.json(result);
+	} catch (error) {
+		logger.error("Get suggested edits error: %O", error);
+		res.status(suggestedEditErrorCode(error)).json({ error: error.message });
+	}
+});
+
+/**
+ * POST /api/suggested-edits
+ * Suggest an edit to someone else's question or answer
+ * Body: { postType, postId, title (questions), content, editSummary }
+ */
+router.post(
+	"/",
+	authenticateToken(),
+	requireVerifiedEmail("post"),
+	requirePrivilege("suggest_edits"),
+	async (req, res) => {
+		try {
+			const { postType, postId, title, content, editSummary } = req.body;
+			const suggestion = await suggestEdit(
+				{ postType, postId, title, content, editSummary },
+				req.user,
+			);
+			res.status(201).json(suggestion);
+		} catch (error) {
+			logger.error("Suggest edit error: %O", error);
+			res.status(suggestedEditErrorCode(error)).json({ error: error.message });
+		}
+	},
+);
+
+/**
+ * POST /api/suggested-edits/:id/approve
+ * Apply a suggested edit (post author, reviewer or admin)
+ */
+router.post("/:id/approve", authenticateToken(), async (req, res) => {
+	try {
+		const suggestion = await approveSuggestedEdit(req.params.id, req.user);
+		res.json(suggestion);
+	} catch (error) {
+		logger.error("Approve suggested edit error: %O", error);
+		res.status(suggestedEditErrorCode(error)).json({ error: error.message });
+	}
+});
+
+/**
+ * POST /api/suggested-edits/:id/reject
+ * Reject a suggested edit (post author, reviewer or admin)
+ * Body: { reason } (optional)
+ */
+router.post("/:id/reject", authenticateToken(), async (req, res) => {
+	try {
+		const suggestion = await rejectSuggestedEdit(
+			req.params.id,
+			req.user,
+			req.body?.reason,
+		);
+		res.json(suggestion);
+	} catch (error) {
+		logger.error("Reject suggested edit error: %O", error);
+		res.status(suggestedEditErrorCode(error)).json({ error: error.message });
+	}
+});
+
+export default router;
@@ -0,0 +1,338 @@
+import * as answerRepository from "../answers/answerRepository.js";
+import * as followService from "../follows/followService.js";
+import { hasPrivilege } from "../privileges/privilegeService.js";
+import * as questionRepository from "../questions/questionRepository.js";
+import { normalizeTitle } from "../questions/questionService.js";
+import * as reputationService from "../reputation/reputationService.js";
+import * as revisionService from "../revisions/revisionService.js";
+import * as uploadService from "../uploads/uploadService.js";
+import logger from "../utils/logger.js";
+import { hasPermission } from "../utils/permissions.js";
+import { sanitizeHtml, sanitizeText } from "../utils/security.js";
+
+import * as repository from "./suggestedEditRepository.js";
+
+export const SUGGESTED_EDIT_POST_TYPES = ["question", "answer"];
+export const SUGGESTED_EDIT_STATUSES = ["pending", "approved", "rejected"];
+
+const MAX_REJECT_REASON_LENGTH = 300;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Load the question or answer a suggestion is for
+ * @param {"question"|"answer"} postType - Kind of post
+ * @param {number|string} postId - Question ID or slug, or answer ID
+ * @returns {Promise<Object>} Question or answer row
+ */
+const findPost = async (postType, postId) => {
+	const post =
+		postType === "question"
+			? await questionRepository.getQuestionByIdDB(postId)
+			: await answerRepository.getAnswerByIdDB(postId);
+	if (!post) {
+		throw new Error(
+			postType === "question" ? "Question not found" : "Answer not found",
+		);
+	}
+	return post;
+};
+
+/**
+ * Suggest an edit to someone else's question or answer. The router checks
+ * the suggest_edits privilege.
+ * @param {Object} suggestion
+ * @param {"question"|"answer"} suggestion.postType - Kind of post
+ * @param {number|string} suggestion.postId - Question ID or slug, or answer ID
+ * @param {string} [suggestion.title] - Proposed title (questions only)
+ * @param {string} suggestion.content - Proposed content
+ * @param {string} [suggestion.editSummary] - Description of the change
+ * @param {{id: number, role: string}} user - User suggesting the edit
+ * @returns {Promise<Object>} The pending suggestion
+ */
+export const suggestEdit = async (
+	{ postType, postId, title, content, editSummary },
+	user,
+) => {
+	if (!SUGGESTED_EDIT_POST_TYPES.includes(postType)) {
+		throw new Error("Post type must be question or answer");
+	}
+	const post = await findPost(postType, postId);
+
+	if (post.user_id === user.id) {
+		throw new Error("You cannot suggest edits to your own post");
+	}
+
+	const trimmedTitle = postType === "question" ? normalizeTitle(title) : null;
+	const sanitizedContent =
+		typeof content === "string" ? sanitizeHtml(content.trim()) : "";
+	if (!sanitizedContent) {
+		throw new Error("Content is required");
+	}
+	if (
+		sanitizedContent === post.content &&
+		(postType === "answer" || trimmedTitle === post.title)
+	) {
+		throw new Error("Suggested edit must change the post");
+	}
+	const summary = revisionService.normalizeEditSummary(editSummary);
+
+	try {
+		return await repository.createSuggestedEditDB({
+			postType,
+			postId: post.id,
+			suggestedBy: user.id,
+			title: trimmedTitle,
+			content: sanitizedContent,
+			editSummary: summary,
+			baseRevision: await revisionService.getLatestRevisionNumber(
+				postType,
+				post.id,
+			),
+		});
+	} catch (error) {
+		if (error.code === "23505") {
+			throw new Error(
+				"You already have a pending suggested edit for this post",
+			);
+		}
+		throw error;
+	}
+};
+
+/**
+ * Get a page of suggested edits. By default this is the review queue: pending
+ * suggestions on the user's own posts, or on every post (except their own
+ * suggestions) for staff and users with the review_suggested_edits
+ * privilege. With `mine`, it is the user's own suggestions instead.
+ * @param {{id: number, role: string, reputation: number}} user - Current user
+ * @param {Object} [options]
+ * @param {string} [options.status] - pending (default), approved or rejected
+ * @param {boolean} [options.mine] - Suggestions made by the user
+ * @param {number} [options.page] - Page number, from 1
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<{suggestedEdits: Array, pagination: Object}>}
+ */
+export const getSuggestedEdits = async (
+	user,
+	{
+		status = "pending",
+		mine = false,
+		page = 1,
+		limit = DEFAULT_PAGE_SIZE,
+	} = {},
+) => {
+	if (!SUGGESTED_EDIT_STATUSES.includes(status)) {
+		throw new Error("Status must be pending, approved or rejected");
+	}
+	const pageSize = Math.min(
+		Math.max(limit || DEFAULT_PAGE_SIZE, 1),
+		MAX_PAGE_SIZE,
+	);
+	const currentPage = Math.max(page || 1, 1);
+
+	const reviewsEveryPost = hasPrivilege(user, "review_suggested_edits");
+	const filters = {
+		status,
+		authorId: mine || reviewsEveryPost ? null : user.id,
+		suggestedBy: mine ? user.id : null,
+		excludeSuggestedBy: !mine && reviewsEveryPost ? user.id : null,
+	};
+	const [suggestedEdits, total] = await Promise.all([
+		repository.getSuggestedEditsDB(
+			filters,
+			pageSize,
+			(currentPage - 1) * pageSize,
+		),
+		repository.getSuggestedEditsCountDB(filters),
+	]);
+
+	return {
+		suggestedEdits,
+		pagination: {
+			currentPage,
+			totalPages: Math.ceil(total / pageSize),
+			totalItems: total,
+			itemsPerPage: pageSize,
+		},
+	};
+};
+
+/**
+ * Load a suggestion the user may review: one on their own post, or any
+ * suggestion by someone else for staff and users with the
+ * review_suggested_edits privilege
+ * @param {number} id - Suggested edit ID
+ * @param {{id: number, role: string, reputation: number}} user - Reviewer
+ * @returns {Promise<Object>} Pending suggestion
+ */
+const findReviewableEdit = async (id, user) => {
+	const suggestion = await repository.getSuggestedEditByIdDB(id);
+	if (!suggestion) {
+		throw new Error("Suggested edit not found");
+	}
+	if (
+		suggestion.suggested_by === user.id &&
+		!hasPermission(user, "edit_any_post")
+	) {
+		throw new Error("You cannot review your own suggested edit");
+	}
+	if (
+		suggestion.author_id !== user.id &&
+		!hasPrivilege(user, "review_suggested_edits")
+	) {
+		throw new Error("You are not authorised to review this suggested edit");
+	}
+	if (suggestion.status !== "pending") {
+		throw new Error("This suggested edit has already been reviewed");
+	}
+	return suggestion;
+};
+
+/**
+ * Apply an approved suggestion to its post and record it as a revision
+ * credited to the suggester
+ * @param {Object} suggestion - Suggestion with its post's details
+ */
+const applySuggestedEdit = async (suggestion) => {
+	const post = await findPost(suggestion.post_type, suggestion.post_id);
+
+	if (suggestion.post_type === "question") {
+		const updatedQuestion = await questionRepository.updateQuestionDB(
+			post.id,
+			suggestion.title,
+			suggestion.content,
+			post.template_type,
+			post.browser,
+			post.os,
+			post.documentation_link,
+			post.labels.map((label) => label.id),
+		);
+		await revisionService.recordQuestionRevision(
+			updatedQuestion,
+			suggestion.suggested_by,
+			suggestion.edit_summary,
+		);
+
+		followService
+			.notifyFollowers(updatedQuestion, "question_edited", {
+				actorId: suggestion.suggested_by,
+				actorName: suggestion.suggested_by_name,
+			})
+			.catch((error) => {
+				logger.error("Failed to notify followers of question edit", {
+					questionId: post.id,
+					error: error.message,
+				});
+			});
+	} else {
+		const updatedAnswer = await answerRepository.updateAnswerDB(
+			post.id,
+			suggestion.content,
+		);
+		await revisionService.recordAnswerRevision(
+			updatedAnswer,
+			suggestion.suggested_by,
+			suggestion.edit_summary,
+		);
+	}
+
+	uploadService
+		.syncUploadReferences(suggestion.post_type, post.id, suggestion.content)
+		.catch((error) => {
+			logger.error("Failed to record uploads of suggested edit", {
+				suggestedEditId: suggestion.id,
+				error: error.message,
+			});
+		});
+};
+
+/**
+ * Approve a suggested edit (post author or reviewer). The edit is applied and
+ * the suggester earns reputation. A suggestion made before the post's latest
+ * edit can't be approved, as it would undo that edit; it can only be
+ * rejected.
+ * @param {number} id - Suggested edit ID
+ * @param {{id: number, role: string}} user - Reviewer
+ * @returns {Promise<Object>} Approved suggestion
+ */
+export const approveSuggestedEdit = async (id, user) => {
+	const suggestion = await findReviewableEdit(id, user);
+
+	const latestRevision = await revisionService.getLatestRevisionNumber(
+		suggestion.post_type,
+		suggestion.post_id,
+	);
+	if (latestRevision > suggestion.base_revision) {
+		throw new Error(
+			"This suggested edit is out of date: the post has been edited since it was suggested",
+		);
+	}
+
+	const approved = await repository.reviewSuggestedEditDB(
+		suggestion.id,
+		"approved",
+		user.id,
+	);
+	if (!approved) {
+		throw new Error("This suggested edit has already been reviewed");
+	}
+
+	try {
+		await applySuggestedEdit(suggestion);
+	} catch (error) {
+		await repository.reopenSuggestedEditDB(suggestion.id);
+		throw error;
+	}
+
+	reputationService
+		.updateReputation(
+			suggestion.suggested_by,
+			reputationService.REPUTATION_RULES.SUGGESTED_EDIT_APPROVED,
+			{
+				type: "suggested_edit_approved",
+				questionId: suggestion.question_id,
+				answerId: suggestion.post_type === "answer" ? suggestion.post_id : null,
+				actorId: user.id,
+			},
+		)
+		.catch((error) => {
+			logger.error("Failed to award reputation for suggested edit", {
+				suggestedEditId: suggestion.id,
+				error: error.message,
+			});
+		});
+
+	return approved;
+};
+
+/**
+ * Reject a suggested edit (post author or reviewer)
+ * @param {number} id - Suggested edit ID
+ * @param {{id: number, role: string}} user - Reviewer
+ * @param {string} [reason] - Why it was rejected, shown to the suggester
+ * @returns {Promise<Object>} Rejected suggestion
+ */
+export const rejectSuggestedEdit = async (id, user, reason = null) => {
+	if (reason !== null && reason !== undefined && typeof reason !== "string") {
+		throw new Error("Reason must be a string");
+	}
+	const rejectReason = sanitizeText(reason) || null;
+	if (rejectReason && rejectReason.length > MAX_REJECT_REASON_LENGTH) {
+		throw new Error(
+			`Reason must be ${MAX_REJECT_REASON_LENGTH} characters or less`,
+		);
+	}
+
+	const suggestion = await findReviewableEdit(id, user);
+	const rejected = await repository.reviewSuggestedEditDB(
+		suggestion.id,
+		"rejected",
+		user.id,
+		rejectReason,
+	);
+	if (!rejected) {
+		throw new Error("This suggested edit has already been reviewed");
+	}
+	return rejected;
+};
@@ -0,0 +1,52 @@
+import config from "../../utils/config.js";
+import logger from "../../utils/logger.js";
+import { STORAGE_TYPE, UPLOAD_DIR } from "../uploadConfig.js";
+
+import { createLocalStorage } from "./localStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+
+/**
+ * @typedef StoredObject
+ * @property {import("stream").Readable} body - File contents
+ * @property {number} contentLength - Size in bytes
+ *
+ * @typedef StorageDriver
+ * @property {string} name - Driver name, as used in STORAGE_TYPE
+ * @property {(key: string, buffer: Buffer, contentType: string) => Promise<void>} put
+ * @property {(key: string) => Promise<StoredObject|null>} get - Null if missing
+ * @property {(key: string) => Promise<void>} delete - No-op if missing
+ * @property {(key: string) => Promise<string|null>} getUrl - A URL the browser
+ *   can fetch the file from directly, or null if it must go through the API
+ */
+
+/** @type {StorageDriver | null} */
+let storage = null;
+
+/**
+ * Get the configured storage driver, creating it on first use
+ * @returns {StorageDriver}
+ */
+export const getStorage = () => {
+	if (!storage) {
+		if (STORAGE_TYPE === "s3") {
+			storage = createS3Storage({
+				bucket: config.s3Bucket,
+				region: config.s3Region,
+				endpoint: config.s3Endpoint,
+				forcePathStyle: config.s3ForcePathStyle,
+				accessKeyId: config.s3AccessKeyId,
+				secretAccessKey: config.s3SecretAccessKey,
+				publicBaseUrl: config.s3BaseUrl,
+				signedUrlTtlSeconds: config.uploadSignedUrlTtlSeconds,
+			});
+		} else if (STORAGE_TYPE === "local") {
+			storage = createLocalStorage(UPLOAD_DIR);
+		} else {
+			throw new Error(
+				`Invalid STORAGE_TYPE "${STORAGE_TYPE}" (expected "local" or "s3")`,
+			);
+		}
+		logger.info("Upload storage: %s", storage.name);
+	}
+	return storage;
+};
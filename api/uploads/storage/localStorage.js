@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Store uploads on the local disk, under `rootDir`
+ * @param {string} rootDir - Upload directory
+ * @returns {import("./index.js").StorageDriver}
+ */
+export const createLocalStorage = (rootDir) => {
+	const root = path.resolve(rootDir);
+
+	/** Resolve a key inside the upload directory, refusing anything outside it */
+	const resolveKey = (key) => {
+		const filePath = path.resolve(root, key);
+		if (!filePath.startsWith(root + path.sep)) {
+			throw new Error(`Invalid storage key: ${key}`);
+		}
+		return filePath;
+	};
+
+	return {
+		name: "local",
+
+		async put(key, buffer) {
+			const filePath = resolveKey(key);
+			await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+			await fs.promises.writeFile(filePath, buffer);
+		},
+
+		async get(key) {
+			const filePath = resolveKey(key);
+			try {
+				const stats = await fs.promises.stat(filePath);
+				return {
+					body: fs.createReadStream(filePath),
+					contentLength: stats.size,
+				};
+			} catch (error) {
+				if (error.code === "ENOENT") return null;
+				throw error;
+			}
+		},
+
+		async delete(key) {
+			try {
+				await fs.promises.unlink(resolveKey(key));
+			} catch (error) {
+				if (error.code !== "ENOENT") throw error;
+			}
+		},
+
+		// Local files can only be served through the API
+		async getUrl() {
+			return null;
+		},
+	};
+};
@@ -0,0 +1,87 @@
+import AWS from "aws-sdk";
+
+/**
+ * Store uploads in an S3 bucket, or any S3-compatible service (MinIO, R2,
+ * etc.) when `endpoint` is set
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {boolean} [options.forcePathStyle] - Use bucket-in-path URLs (needed by MinIO)
+ * @param {string} [options.accessKeyId]
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.publicBaseUrl] - Public URL of the bucket or a CDN
+ *   in front of it; when unset, files are reached through signed URLs
+ * @param {number} options.signedUrlTtlSeconds - Lifetime of signed URLs
+ * @returns {import("./index.js").StorageDriver}
+ */
+export const createS3Storage = ({
+	bucket,
+	region,
+	endpoint,
+	forcePathStyle = false,
+	accessKeyId,
+	secretAccessKey,
+	publicBaseUrl,
+	signedUrlTtlSeconds,
+}) => {
+	if (!bucket) {
+		throw new Error("S3_BUCKET is required when STORAGE_TYPE is s3");
+	}
+
+	const s3 = new AWS.S3({
+		apiVersion: "2006-03-01",
+		region,
+		endpoint,
+		s3ForcePathStyle: forcePathStyle,
+		signatureVersion: "v4",
+		...(accessKeyId ? { accessKeyId, secretAccessKey } : {}),
+	});
+
+	return {
+		name: "s3",
+
+		async put(key, buffer, contentType) {
+			await s3
+				.putObject({
+					Bucket: bucket,
+					Key: key,
+					Body: buffer,
+					ContentType: contentType,
+				})
+				.promise();
+		},
+
+		async get(key) {
+			try {
+				const head = await s3
+					.headObject({ Bucket: bucket, Key: key })
+					.promise();
+				return {
+					body: s3.getObject({ Bucket: bucket, Key: key }).createReadStream(),
+					contentLength: head.ContentLength,
+				};
+			} catch (error) {
+				if (error.code === "NotFound" || error.code === "NoSuchKey") {
+					return null;
+				}
+				throw error;
+			}
+		},
+
+		async delete(key) {
+			await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+		},
+
+		async getUrl(key) {
+			if (publicBaseUrl) {
+				return `${publicBaseUrl.replace(/\/$/, "")}/${key}`;
+			}
+			return s3.getSignedUrlPromise("getObject", {
+				Bucket: bucket,
+				Key: key,
+				Expires: signedUrlTtlSeconds,
+			});
+		},
+	};
+};
@@ -42,6 +42,18 @@ export const IMAGE_SETTINGS = {
 	thumbnailWidth: 300,
 	thumbnailHeight: 300,
 	thumbnailQuality: 70,
+	// Responsive variants: each width smaller than the image, plus its full
+	// width, in each format (see processImage)
+	variantWidths: [480, 960, 1440],
+	variantFormats: {
+		webp: { quality: 80 },
+		avif: { quality: 50, effort: 2 },
+	},
+};
+
+export const VARIANT_CONTENT_TYPES = {
+	webp: "image/webp",
+	avif: "image/avif",
 };
 
 // Ensure upload directory exists
@@ -54,35 +66,58 @@ if (STORAGE_TYPE === "local") {
 	}
 }
 
-// Base URL for file access
-export const getBaseUrl = () => {
-	if (STORAGE_TYPE === "s3") {
-		return (
-			config.s3BaseUrl ||
-			config.appUrl ||
-			"https://cyfoverflow.hosting.codeyourfuture.io"
-		);
-	}
-	return config.appUrl || "http://localhost:3100";
-};
+// Thumbnails are stored next to the originals under this prefix
+export const THUMBNAIL_PREFIX = "thumbnails/thumb-";
 
-// File URL generator
-export const getFileUrl = (filePath) => {
-	if (STORAGE_TYPE === "s3") {
-		// S3 URLs will be stored in the database
-		return filePath;
-	}
-	// Local storage: return relative URL
-	// File path is absolute (e.g., /path/to/api/uploads/filename.jpg)
-	// Static files are served from /uploads (mapped to api/uploads directory)
-	const filename = path.basename(filePath);
-	const dirname = path.dirname(filePath);
+/**
+ * Storage key of a stored file or its thumbnail (the path inside the upload
+ * directory or bucket)
+ * @param {string} storedFilename - Unique stored filename
+ * @param {{thumbnail?: boolean}} [options]
+ * @returns {string}
+ */
+export const getStorageKey = (storedFilename, { thumbnail = false } = {}) =>
+	thumbnail ? `${THUMBNAIL_PREFIX}${storedFilename}` : storedFilename;
 
-	// Check if it's a thumbnail (path contains "thumbnails")
-	if (dirname.includes("thumbnails")) {
-		return `/uploads/thumbnails/${filename}`;
-	}
+// Responsive variants are stored under this prefix
+export const VARIANT_PREFIX = "variants/";
+
+/**
+ * Storage key of a responsive variant of an image
+ * @param {string} storedFilename - Unique stored filename
+ * @param {number} width - Variant width in pixels
+ * @param {string} format - "webp" or "avif"
+ * @returns {string} e.g. variants/123-abc.png-480.webp
+ */
+export const getVariantKey = (storedFilename, width, format) =>
+	`${VARIANT_PREFIX}${storedFilename}-${width}.${format}`;
 
-	// Regular file - just return /uploads/filename
-	return `/uploads/${filename}`;
+/**
+ * Parse a variant storage key (the reverse of getVariantKey)
+ * @param {string} key - Storage key
+ * @returns {{storedFilename: string, width: number, format: string}|null}
+ *   The parts of the key, or null if it isn't a variant key
+ */
+export const parseVariantKey = (key) => {
+	if (!key.startsWith(VARIANT_PREFIX)) {
+		return null;
+	}
+	const match = /^(.+)-(\d+)\.(\w+)$/.exec(key.slice(VARIANT_PREFIX.length));
+	if (!match || !Object.hasOwn(VARIANT_CONTENT_TYPES, match[3])) {
+		return null;
+	}
+	return {
+		storedFilename: match[1],
+		width: parseInt(match[2], 10),
+		format: match[3],
+	};
 };
+
+/**
+ * URL a stored file is served from. Files are always served by the API under
+ * /uploads (which proxies them or redirects to the storage backend), so the
+ * URLs embedded in posts don't depend on where the file is stored.
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+export const getFileUrl = (key) => `/uploads/${key}`;
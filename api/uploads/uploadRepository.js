@@ -3,7 +3,7 @@
  * Handles database operations for file uploads
  */
 
-import db from "../db.js";
+import db, { getClient } from "../db.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -26,14 +26,16 @@ export const createFileUploadDB = async (fileData) => {
 			height = null,
 			thumbnail_path = null,
 			thumbnail_url = null,
+			content_hash = null,
+			variants = [],
 		} = fileData;
 
 		const result = await db.query(
 			`INSERT INTO file_uploads (
 				user_id, original_filename, stored_filename, file_path, file_url,
 				mime_type, file_size, file_type, width, height,
-				thumbnail_path, thumbnail_url
-			) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+				thumbnail_path, thumbnail_url, content_hash, variants
+			) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
 			RETURNING *`,
 			[
 				user_id,
@@ -48,6 +50,9 @@ export const createFileUploadDB = async (fileData) => {
 				height,
 				thumbnail_path,
 				thumbnail_url,
+				content_hash,
+				// pg would send a JS array as a Postgres array, not JSON
+				JSON.stringify(variants),
 			],
 		);
 
@@ -83,6 +88,69 @@ export const getFileUploadByIdDB = async (fileId) => {
 	}
 };
 
+/**
+ * Get a file upload by its stored filename
+ * @param {string} storedFilename - Unique stored filename
+ * @returns {Promise<Object|null>} File record or null
+ */
+export const getFileUploadByStoredFilenameDB = async (storedFilename) => {
+	const result = await db.query(
+		`SELECT * FROM file_uploads
+		 WHERE stored_filename = $1 AND deleted_at IS NULL`,
+		[storedFilename],
+	);
+	return result.rows[0] || null;
+};
+
+/**
+ * Find a user's live upload with the given content hash and mark it as used
+ * again, so the orphan cleanup job gives it a fresh grace period
+ * @param {number} userId - User ID
+ * @param {string} contentHash - SHA-256 of the file contents (hex)
+ * @returns {Promise<Object|null>} File record or null
+ */
+export const reuseFileUploadByHashDB = async (userId, contentHash) => {
+	const result = await db.query(
+		`UPDATE file_uploads
+		 SET last_used_at = NOW()
+		 WHERE id = (
+			SELECT id FROM file_uploads
+			WHERE user_id = $1 AND content_hash = $2 AND deleted_at IS NULL
+			ORDER BY created_at DESC
+			LIMIT 1
+		 )
+		 RETURNING *`,
+		[userId, contentHash],
+	);
+	return result.rows[0] || null;
+};
+
+/**
+ * Get a user's storage usage
+ * @param {number} userId - User ID
+ * @returns {Promise<{usedBytes: number, fileCount: number, uploadsToday: number}>}
+ *   Bytes and number of files stored, and files uploaded in the last 24 hours
+ *   (deleted ones included, so deleting files doesn't reset the daily limit)
+ */
+export const getUploadUsageDB = async (userId) => {
+	const result = await db.query(
+		`SELECT
+			COALESCE(SUM(file_size) FILTER (WHERE deleted_at IS NULL), 0) AS used_bytes,
+			COUNT(*) FILTER (WHERE deleted_at IS NULL)::int AS file_count,
+			COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 day')::int AS uploads_today
+		 FROM file_uploads
+		 WHERE user_id = $1`,
+		[userId],
+	);
+	const row = result.rows[0];
+	return {
+		// SUM of a bigint is a numeric, which pg returns as a string
+		usedBytes: Number(row.used_bytes),
+		fileCount: row.file_count,
+		uploadsToday: row.uploads_today,
+	};
+};
+
 /**
  * Get file uploads by user ID
  * @param {number} userId - User ID
@@ -142,3 +210,109 @@ export const deleteFileUploadDB = async (fileId, userId) => {
 		return false;
 	}
 };
+
+/**
+ * Replace the uploads referenced by a piece of content. Filenames without a
+ * (live) upload record are ignored.
+ * @param {string} contentType - "question", "answer", "comment" or "avatar"
+ * @param {number} contentId - Content ID (user ID for avatars)
+ * @param {Array<string>} storedFilenames - Stored filenames the content uses
+ * @returns {Promise<void>}
+ */
+export const replaceUploadReferencesDB = async (
+	contentType,
+	contentId,
+	storedFilenames,
+) => {
+	const client = await getClient();
+	try {
+		await client.query("BEGIN");
+
+		await client.query(
+			`DELETE FROM upload_references
+			 WHERE content_type = $1 AND content_id = $2`,
+			[contentType, contentId],
+		);
+
+		if (storedFilenames.length > 0) {
+			await client.query(
+				`INSERT INTO upload_references (file_upload_id, content_type, content_id)
+				 SELECT id, $1, $2
+				 FROM file_uploads
+				 WHERE stored_filename = ANY($3::text[]) AND deleted_at IS NULL
+				 ON CONFLICT DO NOTHING`,
+				[contentType, contentId, storedFilenames],
+			);
+		}
+
+		await client.query("COMMIT");
+	} catch (error) {
+		await client.query("ROLLBACK");
+		throw error;
+	} finally {
+		client.release();
+	}
+};
+
+/**
+ * Soft delete up to `limit` uploads that nothing references and that were
+ * last uploaded before `lastUsedBefore`, claiming them for the cleanup job.
+ *
+ * References are written after content is saved and can be missing if that
+ * write failed, and suggested edits only get references once approved. So
+ * before an upload counts as orphaned, the content itself is searched for its
+ * URL too: posts (deleted or not), avatars and pending suggested edits.
+ * Revisions count as well, so rolling back to one doesn't bring back a
+ * broken image.
+ * @param {Date} lastUsedBefore - Only uploads older than this are removed
+ * @param {number} limit - Maximum number of uploads to claim
+ * @returns {Promise<Array<{id: number, stored_filename: string, thumbnail_path: string|null, variants: Array<Object>}>>}
+ */
+export const claimOrphanedUploadsDB = async (lastUsedBefore, limit) => {
+	const result = await db.query(
+		`UPDATE file_uploads
+		 SET deleted_at = NOW()
+		 WHERE id IN (
+			SELECT f.id
+			FROM file_uploads f
+			CROSS JOIN LATERAL (
+				SELECT '%/uploads/%' || f.stored_filename || '%' AS url_pattern
+			) p
+			WHERE f.deleted_at IS NULL
+			  AND f.last_used_at < $1
+			  AND NOT EXISTS (
+				SELECT 1 FROM upload_references r WHERE r.file_upload_id = f.id
+			  )
+			  AND NOT EXISTS (
+				SELECT 1 FROM questions q WHERE q.content LIKE p.url_pattern
+			  )
+			  AND NOT EXISTS (
+				SELECT 1 FROM answers a WHERE a.content LIKE p.url_pattern
+			  )
+			  AND NOT EXISTS (
+				SELECT 1 FROM comments c WHERE c.content LIKE p.url_pattern
+			  )
+			  AND NOT EXISTS (
+				SELECT 1 FROM users u WHERE u.avatar_url LIKE p.url_pattern
+			  )
+			  AND NOT EXISTS (
+				SELECT 1 FROM question_revisions qr
+				WHERE qr.content LIKE p.url_pattern
+			  )
+			  AND NOT EXISTS (
+				SELECT 1 FROM answer_revisions ar
+				WHERE ar.content LIKE p.url_pattern
+			  )
+			  AND NOT EXISTS (
+				SELECT 1 FROM suggested_edits se
+				WHERE se.status = 'pending' AND se.content LIKE p.url_pattern
+			  )
+			ORDER BY f.last_used_at
+			LIMIT $2
+			FOR UPDATE OF f SKIP LOCKED
+		 )
+		 RETURNING id, stored_filename, thumbnail_path, variants`,
+		[lastUsedBefore, limit],
+	);
+	return result.rows;
+};
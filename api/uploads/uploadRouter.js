@@ -7,6 +7,7 @@ import express from "express";
 import multer from "multer";
 
 import { authenticateToken } from "../utils/auth.js";
+import { requireVerifiedEmail } from "../utils/emailVerificationAuth.js";
 import logger from "../utils/logger.js";
 import { generalLimiter } from "../utils/rateLimiter.js";
 
@@ -30,15 +31,78 @@ const upload = multer({
 	},
 });
 
+/** HTTP status for uploads refused by a per-user limit */
+const LIMIT_STATUS = {
+	UPLOAD_QUOTA_EXCEEDED: 413,
+	UPLOAD_DAILY_LIMIT_EXCEEDED: 429,
+};
+
+/**
+ * Public fields of a file upload record
+ * @param {Object} fileRecord - File upload record
+ * @returns {Object}
+ */
+const toFileResponse = (fileRecord) => ({
+	id: fileRecord.id,
+	original_filename: fileRecord.original_filename,
+	file_url: fileRecord.file_url,
+	thumbnail_url: fileRecord.thumbnail_url,
+	mime_type: fileRecord.mime_type,
+	file_size: fileRecord.file_size,
+	file_type: fileRecord.file_type,
+	width: fileRecord.width,
+	height: fileRecord.height,
+	created_at: fileRecord.created_at,
+	...uploadService.getResponsiveImage(fileRecord),
+});
+
+/**
+ * GET /api/upload
+ * List the current user's uploads with their storage usage and limits
+ */
+router.get("/", generalLimiter, authenticateToken(), async (req, res) => {
+	try {
+		const page = Math.max(1, parseInt(req.query.page) || 1);
+		const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+		const { files, usage } = await uploadService.getUserUploads(req.user.id, {
+			page,
+			limit,
+			fileType: req.query.type || null,
+		});
+
+		res.json({
+			success: true,
+			files: files.map(toFileResponse),
+			usage,
+			page,
+			limit,
+		});
+	} catch (error) {
+		logger.error("File list error", {
+			error: error.message,
+			userId: req.user?.id,
+		});
+		const statusCode = error.message.startsWith("File type must be")
+			? 400
+			: 500;
+		res.status(statusCode).json({
+			success: false,
+			message: statusCode === 400 ? error.message : "Failed to fetch uploads",
+		});
+	}
+});
+
 /**
  * POST /api/upload
- * Upload a file (image or other file type)
+ * Upload a file (image or other file type). Responds 413 when the user's
+ * storage quota would be exceeded and 429 when their daily limit is reached.
  */
 router.post(
 	"/",
 	generalLimiter,
 	upload.single("file"),
 	authenticateToken(),
+	requireVerifiedEmail("upload"),
 	async (req, res) => {
 		try {
 			if (!req.file) {
@@ -60,18 +124,7 @@ router.post(
 
 			res.status(201).json({
 				success: true,
-				file: {
-					id: fileRecord.id,
-					original_filename: fileRecord.original_filename,
-					file_url: fileRecord.file_url,
-					thumbnail_url: fileRecord.thumbnail_url,
-					mime_type: fileRecord.mime_type,
-					file_size: fileRecord.file_size,
-					file_type: fileRecord.file_type,
-					width: fileRecord.width,
-					height: fileRecord.height,
-					created_at: fileRecord.created_at,
-				},
+				file: toFileResponse(fileRecord),
 			});
 		} catch (error) {
 			logger.error("File upload error", {
@@ -81,9 +134,11 @@ router.post(
 			});
 
 			if (!res.headersSent) {
-				res.status(400).json({
+				const limitStatus = LIMIT_STATUS[error.code];
+				res.status(limitStatus ?? 400).json({
 					success: false,
 					message: error.message || "Failed to upload file",
+					...(limitStatus && { code: error.code, usage: error.usage }),
 				});
 			}
 		}
@@ -0,0 +1,54 @@
+/**
+ * Serves uploaded files under /uploads, from whichever storage backend is
+ * configured (replaces the old static mount of api/uploads)
+ */
+
+import { pipeline } from "stream/promises";
+
+import express from "express";
+
+import logger from "../utils/logger.js";
+
+import * as uploadService from "./uploadService.js";
+
+const router = express.Router();
+
+/**
+ * GET /uploads/:key
+ * Streams the file, or redirects to a signed/public storage URL when
+ * UPLOAD_SERVE_MODE is "redirect"
+ */
+router.get("/*key", async (req, res) => {
+	const key = req.params.key.join("/");
+	try {
+		const file = await uploadService.getStoredFile(key);
+		if (!file) {
+			return res.sendStatus(404);
+		}
+
+		if (file.redirectUrl) {
+			// Signed URLs expire, so don't let the redirect outlive them
+			res.set("Cache-Control", "private, max-age=60");
+			return res.redirect(302, file.redirectUrl);
+		}
+
+		res.set({
+			"Content-Type": file.contentType,
+			"Content-Length": String(file.contentLength),
+			// Stored filenames are unique, so the content never changes
+			"Cache-Control": "public, max-age=31536000, immutable",
+			// Never run scripts from uploaded HTML/SVG in the app's origin
+			"Content-Security-Policy": "sandbox",
+		});
+		await pipeline(file.body, res);
+	} catch (error) {
+		logger.error("Error serving upload", { key, error: error.message });
+		if (!res.headersSent) {
+			res.sendStatus(500);
+		} else {
+			res.destroy(error);
+		}
+	}
+});
+
+export default router;
@@ -4,29 +4,51 @@
  */
 
 import crypto from "crypto";
-import fs from "fs";
 import path from "path";
 
+import config from "../utils/config.js";
 import logger from "../utils/logger.js";
 
+import { getStorage } from "./storage/index.js";
 import {
-	STORAGE_TYPE,
-	UPLOAD_DIR,
 	MAX_FILE_SIZE,
 	ALLOWED_IMAGE_TYPES,
 	ALLOWED_FILE_TYPES,
 	IMAGE_SETTINGS,
+	THUMBNAIL_PREFIX,
+	VARIANT_CONTENT_TYPES,
 	getFileUrl,
+	getStorageKey,
+	getVariantKey,
+	parseVariantKey,
 } from "./uploadConfig.js";
 import * as repository from "./uploadRepository.js";
 
+/** Kinds of content that can reference uploads */
+export const UPLOAD_CONTENT_TYPES = ["question", "answer", "comment", "avatar"];
+
+/** Orphaned uploads removed per batch by the cleanup job */
+const CLEANUP_BATCH_SIZE = 100;
+
+/**
+ * Upper bound on batches removed per run; anything left over is picked up on
+ * the next run.
+ */
+const MAX_CLEANUP_BATCHES_PER_RUN = 10;
+
+/** @type {NodeJS.Timeout | null} */
+let cleanupTimer = null;
+
+/** @type {Promise<number> | null} */
+let activeCleanup = null;
+
 // Dynamic import for sharp (image processing)
 let sharp = null;
 try {
 	const sharpModule = await import("sharp");
 	sharp = sharpModule.default;
 } catch {
-	// Sharp is optional - image optimization will be disabled if not installed
+	// Sharp is optional - image uploads are refused if it isn't installed
 }
 
 /**
@@ -42,95 +64,220 @@ const generateUniqueFilename = (originalFilename) => {
 };
 
 /**
- * Process and optimize image
+ * Process and optimize image. Outputs carry no metadata: sharp doesn't copy
+ * EXIF (GPS position, camera details, ...) unless asked to, so the pixels are
+ * rotated to match the EXIF orientation before it is dropped.
  * @param {Buffer} buffer - Image buffer
  * @param {string} mimeType - MIME type
  * @returns {Promise<Object>} Processed image data
  */
 const processImage = async (buffer, mimeType) => {
+	// Without sharp the original, metadata and all, is all there is to store
 	if (!sharp) {
-		return { buffer, width: null, height: null };
+		throw new Error("Image uploads are unavailable on this server");
 	}
 
 	try {
-		const image = sharp(buffer);
-		const metadata = await image.metadata();
-
-		// Resize if too large
-		let processedImage = image;
-		if (
-			metadata.width > IMAGE_SETTINGS.maxWidth ||
-			metadata.height > IMAGE_SETTINGS.maxHeight
-		) {
-			processedImage = image.resize(
-				IMAGE_SETTINGS.maxWidth,
-				IMAGE_SETTINGS.maxHeight,
-				{
-					fit: "inside",
-					withoutEnlargement: true,
-				},
-			);
-		}
+		const image = sharp(buffer).rotate();
+
+		// Resize if too large. GIFs are loaded with every frame so they stay
+		// animated; they have no EXIF orientation to apply.
+		let processedImage = (
+			mimeType === "image/gif"
+				? sharp(buffer, { animated: true })
+				: image.clone()
+		).resize(IMAGE_SETTINGS.maxWidth, IMAGE_SETTINGS.maxHeight, {
+			fit: "inside",
+			withoutEnlargement: true,
+		});
 
 		// Optimize based on format
-		let optimizedBuffer;
 		if (mimeType === "image/jpeg" || mimeType === "image/jpg") {
-			optimizedBuffer = await processedImage
-				.jpeg({ quality: IMAGE_SETTINGS.quality })
-				.toBuffer();
+			processedImage = processedImage.jpeg({ quality: IMAGE_SETTINGS.quality });
 		} else if (mimeType === "image/png") {
-			optimizedBuffer = await processedImage
-				.png({ quality: IMAGE_SETTINGS.quality })
-				.toBuffer();
+			processedImage = processedImage.png({ quality: IMAGE_SETTINGS.quality });
 		} else if (mimeType === "image/webp") {
-			optimizedBuffer = await processedImage
-				.webp({ quality: IMAGE_SETTINGS.quality })
-				.toBuffer();
-		} else {
-			optimizedBuffer = await processedImage.toBuffer();
+			processedImage = processedImage.webp({ quality: IMAGE_SETTINGS.quality });
 		}
+		const { data: optimizedBuffer, info } = await processedImage.toBuffer({
+			resolveWithObject: true,
+		});
+
+		// Animated images report the height of the whole strip of frames
+		const height = info.pageHeight ?? info.height;
 
-		// Generate thumbnail
+		// Generate thumbnail from the first frame
 		const thumbnailBuffer = await image
+			.clone()
 			.resize(IMAGE_SETTINGS.thumbnailWidth, IMAGE_SETTINGS.thumbnailHeight, {
 				fit: "cover",
 			})
 			.jpeg({ quality: IMAGE_SETTINGS.thumbnailQuality })
 			.toBuffer();
 
-		const finalMetadata = await sharp(optimizedBuffer).metadata();
+		// Responsive variants at each smaller width plus the full width. GIFs
+		// get none, since the variants would only keep the first frame.
+		const variants = [];
+		if (mimeType !== "image/gif") {
+			const widths = [
+				...IMAGE_SETTINGS.variantWidths.filter((w) => w < info.width),
+				info.width,
+			];
+			for (const [format, options] of Object.entries(
+				IMAGE_SETTINGS.variantFormats,
+			)) {
+				for (const width of widths) {
+					const { data, info: variantInfo } = await image
+						.clone()
+						.resize({
+							width,
+							height: IMAGE_SETTINGS.maxHeight,
+							fit: "inside",
+							withoutEnlargement: true,
+						})
+						.toFormat(format, options)
+						.toBuffer({ resolveWithObject: true });
+					variants.push({
+						format,
+						width: variantInfo.width,
+						height: variantInfo.height,
+						buffer: data,
+					});
+				}
+			}
+		}
 
 		return {
 			buffer: optimizedBuffer,
 			thumbnailBuffer,
-			width: finalMetadata.width,
-			height: finalMetadata.height,
+			width: info.width,
+			height,
+			variants,
 		};
 	} catch (error) {
+		// Storing the original would keep its metadata, so refuse the image
 		logger.error("Error processing image", { error: error.message });
-		return { buffer, width: null, height: null };
+		throw new Error("Could not process image. Is it a valid image file?");
 	}
 };
 
 /**
- * Save file to local storage
- * @param {Buffer} buffer - File buffer
- * @param {string} filename - Filename
- * @param {string} subdir - Subdirectory (optional)
- * @returns {Promise<string>} File path
+ * Storage keys of everything stored for an upload: the file, its thumbnail
+ * and its variants. Keys are derived from the stored filename, since older
+ * records hold absolute local paths in file_path.
+ * @param {{stored_filename: string, thumbnail_path: string|null, variants?: Array<{format: string, width: number}>}} fileRecord
+ * @returns {Array<string>}
  */
-const saveToLocal = async (buffer, filename, subdir = "") => {
-	const dir = subdir ? path.join(UPLOAD_DIR, subdir) : UPLOAD_DIR;
-	if (!fs.existsSync(dir)) {
-		fs.mkdirSync(dir, { recursive: true });
+const getUploadKeys = (fileRecord) =>
+	[
+		getStorageKey(fileRecord.stored_filename),
+		fileRecord.thumbnail_path &&
+			getStorageKey(fileRecord.stored_filename, { thumbnail: true }),
+		...(fileRecord.variants ?? []).map((variant) =>
+			getVariantKey(fileRecord.stored_filename, variant.width, variant.format),
+		),
+	].filter(Boolean);
+
+/**
+ * Delete files from storage, logging (not throwing) on failure
+ * @param {Array<string|null>} keys - Storage keys; empty entries are skipped
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = async (keys) => {
+	const storage = getStorage();
+	for (const key of keys.filter(Boolean)) {
+		try {
+			await storage.delete(key);
+		} catch (error) {
+			logger.warn("Error deleting stored file", {
+				error: error.message,
+				key,
+			});
+		}
 	}
-	const filePath = path.join(dir, filename);
-	await fs.promises.writeFile(filePath, buffer);
-	return filePath;
 };
 
 /**
- * Upload a file
+ * Responsive variants of an uploaded image with their URLs, and a `srcset`
+ * per format (e.g. `srcset.webp` for `<img srcset>`, or one per
+ * `<picture><source type>`)
+ * @param {{stored_filename: string, variants?: Array<{format: string, width: number, height: number}>}} fileRecord
+ * @returns {{variants: Array<{format: string, width: number, height: number, url: string}>, srcset: Object<string, string>}}
+ */
+export const getResponsiveImage = (fileRecord) => {
+	const variants = (fileRecord.variants ?? []).map(
+		({ format, width, height }) => ({
+			format,
+			width,
+			height,
+			url: getFileUrl(getVariantKey(fileRecord.stored_filename, width, format)),
+		}),
+	);
+	const srcset = {};
+	for (const variant of variants) {
+		srcset[variant.format] = [
+			srcset[variant.format],
+			`${variant.url} ${variant.width}w`,
+		]
+			.filter(Boolean)
+			.join(", ");
+	}
+	return { variants, srcset };
+};
+
+/**
+ * A user's storage usage along with their limits
+ * @param {{usedBytes: number, fileCount: number, uploadsToday: number}} usage
+ * @returns {{usedBytes: number, quotaBytes: number, fileCount: number, uploadsToday: number, dailyLimit: number}}
+ */
+const withLimits = (usage) => ({
+	usedBytes: usage.usedBytes,
+	quotaBytes: config.uploadQuotaBytes,
+	fileCount: usage.fileCount,
+	uploadsToday: usage.uploadsToday,
+	dailyLimit: config.uploadDailyLimit,
+});
+
+/**
+ * Error for an upload that would go over one of the user's limits. `code`
+ * and `usage` are included in the API response.
+ * @param {string} message - Error message
+ * @param {string} code - UPLOAD_QUOTA_EXCEEDED or UPLOAD_DAILY_LIMIT_EXCEEDED
+ * @param {Object} usage - Usage with limits (see withLimits)
+ * @returns {Error}
+ */
+const limitError = (message, code, usage) =>
+	Object.assign(new Error(message), { code, usage });
+
+/**
+ * Check that the user can store another file of the given size
+ * @param {number} userId - User ID
+ * @param {number} fileSize - Size of the new file in bytes
+ * @returns {Promise<void>}
+ */
+const checkUploadLimits = async (userId, fileSize) => {
+	const usage = withLimits(await repository.getUploadUsageDB(userId));
+
+	if (usage.dailyLimit > 0 && usage.uploadsToday >= usage.dailyLimit) {
+		throw limitError(
+			`Daily upload limit of ${usage.dailyLimit} files reached. Please try again tomorrow`,
+			"UPLOAD_DAILY_LIMIT_EXCEEDED",
+			usage,
+		);
+	}
+
+	if (usage.quotaBytes > 0 && usage.usedBytes + fileSize > usage.quotaBytes) {
+		throw limitError(
+			`Storage quota of ${usage.quotaBytes / 1024 / 1024}MB exceeded. Delete some uploads to make room`,
+			"UPLOAD_QUOTA_EXCEEDED",
+			usage,
+		);
+	}
+};
+
+/**
+ * Upload a file. If the user already uploaded the same file, their existing
+ * upload is returned instead of storing a copy.
  * @param {Object} file - Multer file object
  * @param {number} userId - User ID
  * @returns {Promise<Object>} File upload record
@@ -152,56 +299,98 @@ export const uploadFile = async (file, userId) => {
 			throw new Error(`File type ${file.mimetype} is not allowed`);
 		}
 
+		const contentHash = crypto
+			.createHash("sha256")
+			.update(file.buffer)
+			.digest("hex");
+		const existing = await repository.reuseFileUploadByHashDB(
+			userId,
+			contentHash,
+		);
+		if (existing) {
+			return existing;
+		}
+
+		await checkUploadLimits(userId, file.size);
+
 		const isImage = ALLOWED_IMAGE_TYPES.includes(file.mimetype);
 		const fileType = isImage ? "image" : "file";
 
 		// Generate unique filename
 		const storedFilename = generateUniqueFilename(file.originalname);
+		const storage = getStorage();
 		let fileBuffer = file.buffer;
 		let width = null;
 		let height = null;
-		let thumbnailPath = null;
-		let thumbnailUrl = null;
+		let thumbnailKey = null;
+		let variants = [];
+
+		const fileKey = getStorageKey(storedFilename);
+		const objects = [];
 
 		// Process image if applicable
-		if (isImage && sharp) {
+		if (isImage) {
 			const processed = await processImage(file.buffer, file.mimetype);
 			fileBuffer = processed.buffer;
 			width = processed.width;
 			height = processed.height;
 
-			// Save thumbnail
+			// Thumbnails are always JPEG (see processImage)
 			if (processed.thumbnailBuffer) {
-				const thumbnailFilename = `thumb-${storedFilename}`;
-				thumbnailPath = await saveToLocal(
-					processed.thumbnailBuffer,
-					thumbnailFilename,
-					"thumbnails",
-				);
-				thumbnailUrl = getFileUrl(thumbnailPath);
+				thumbnailKey = getStorageKey(storedFilename, { thumbnail: true });
+				objects.push({
+					key: thumbnailKey,
+					buffer: processed.thumbnailBuffer,
+					contentType: "image/jpeg",
+				});
 			}
-		}
 
-		// Save file
-		const filePath = await saveToLocal(fileBuffer, storedFilename);
-		const fileUrl = getFileUrl(filePath);
-
-		const fileRecord = await repository.createFileUploadDB({
-			user_id: userId,
-			original_filename: file.originalname,
-			stored_filename: storedFilename,
-			file_path: filePath,
-			file_url: fileUrl,
-			mime_type: file.mimetype,
-			file_size: fileBuffer.length,
-			file_type: fileType,
-			width,
-			height,
-			thumbnail_path: thumbnailPath,
-			thumbnail_url: thumbnailUrl,
+			variants = processed.variants.map(({ buffer, ...variant }) => {
+				const key = getVariantKey(
+					storedFilename,
+					variant.width,
+					variant.format,
+				);
+				objects.push({
+					key,
+					buffer,
+					contentType: VARIANT_CONTENT_TYPES[variant.format],
+				});
+				return { ...variant, key };
+			});
+		}
+		objects.push({
+			key: fileKey,
+			buffer: fileBuffer,
+			contentType: file.mimetype,
 		});
 
-		return fileRecord;
+		try {
+			for (const object of objects) {
+				await storage.put(object.key, object.buffer, object.contentType);
+			}
+
+			return await repository.createFileUploadDB({
+				user_id: userId,
+				original_filename: file.originalname,
+				stored_filename: storedFilename,
+				file_path: fileKey,
+				file_url: getFileUrl(fileKey),
+				mime_type: file.mimetype,
+				file_size: fileBuffer.length,
+				file_type: fileType,
+				width,
+				height,
+				thumbnail_path: thumbnailKey,
+				thumbnail_url: thumbnailKey && getFileUrl(thumbnailKey),
+				content_hash: contentHash,
+				variants,
+			});
+		} catch (error) {
+			// Don't leave files behind that no record points to
+			await removeStoredFiles(objects.map((object) => object.key));
+			throw error;
+		}
 	} catch (error) {
 		if (error.code === "42P01") {
 			throw new Error(
@@ -217,6 +406,34 @@ export const uploadFile = async (file, userId) => {
 	}
 };
 
+/**
+ * List a user's uploads, newest first, with their storage usage
+ * @param {number} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Uploads per page
+ * @param {number} [options.page=1] - Page number
+ * @param {string|null} [options.fileType] - "image" or "file" to filter by type
+ * @returns {Promise<{files: Array<Object>, usage: Object}>}
+ */
+export const getUserUploads = async (
+	userId,
+	{ limit = 20, page = 1, fileType = null } = {},
+) => {
+	if (fileType !== null && !["image", "file"].includes(fileType)) {
+		throw new Error("File type must be image or file");
+	}
+
+	const [files, usage] = await Promise.all([
+		repository.getFileUploadsByUserIdDB(userId, {
+			limit,
+			offset: (page - 1) * limit,
+			file_type: fileType,
+		}),
+		repository.getUploadUsageDB(userId),
+	]);
+	return { files, usage: withLimits(usage) };
+};
+
 /**
  * Delete a file upload
  * @param {number} fileId - File upload ID
@@ -234,25 +451,7 @@ export const deleteFile = async (fileId, userId) => {
 			throw new Error("Unauthorized to delete this file");
 		}
 
-		// Delete physical files
-		if (STORAGE_TYPE === "local") {
-			try {
-				if (fs.existsSync(fileRecord.file_path)) {
-					await fs.promises.unlink(fileRecord.file_path);
-				}
-				if (
-					fileRecord.thumbnail_path &&
-					fs.existsSync(fileRecord.thumbnail_path)
-				) {
-					await fs.promises.unlink(fileRecord.thumbnail_path);
-				}
-			} catch (error) {
-				logger.warn("Error deleting physical file", {
-					error: error.message,
-					filePath: fileRecord.file_path,
-				});
-			}
-		}
+		await removeStoredFiles(getUploadKeys(fileRecord));
 
 		// Soft delete database record
 		const deleted = await repository.deleteFileUploadDB(fileId, userId);
@@ -266,3 +465,207 @@ export const deleteFile = async (fileId, userId) => {
 		throw error;
 	}
 };
+
+/**
+ * Stored filename of the upload a storage key belongs to (the file itself,
+ * its thumbnail or one of its variants)
+ * @param {string} key - Storage key
+ * @returns {string|null} Stored filename, or null if the key is malformed
+ */
+const getStoredFilename = (key) => {
+	const variant = parseVariantKey(key);
+	let storedFilename = key;
+	if (variant) {
+		storedFilename = variant.storedFilename;
+	} else if (key.startsWith(THUMBNAIL_PREFIX)) {
+		storedFilename = key.slice(THUMBNAIL_PREFIX.length);
+	}
+	if (
+		!storedFilename ||
+		storedFilename.includes("/") ||
+		storedFilename.includes("\\") ||
+		storedFilename.startsWith(".")
+	) {
+		return null;
+	}
+	return storedFilename;
+};
+
+/**
+ * Look up a stored file to serve it under /uploads. Only files that still
+ * have an upload record are served.
+ * @param {string} key - Storage key from the URL
+ * @returns {Promise<{redirectUrl: string}|{body: import("stream").Readable, contentLength: number, contentType: string}|null>}
+ *   A URL to redirect to, the file contents, or null if there is no such file
+ */
+export const getStoredFile = async (key) => {
+	const variant = parseVariantKey(key);
+	const isThumbnail = key.startsWith(THUMBNAIL_PREFIX);
+	const storedFilename = getStoredFilename(key);
+	if (!storedFilename) {
+		return null;
+	}
+
+	const fileRecord =
+		await repository.getFileUploadByStoredFilenameDB(storedFilename);
+	if (!fileRecord || (isThumbnail && !fileRecord.thumbnail_path)) {
+		return null;
+	}
+	if (
+		variant &&
+		!fileRecord.variants?.some(
+			(v) => v.width === variant.width && v.format === variant.format,
+		)
+	) {
+		return null;
+	}
+
+	const storage = getStorage();
+	if (config.uploadServeMode === "redirect") {
+		const redirectUrl = await storage.getUrl(key);
+		if (redirectUrl) {
+			return { redirectUrl };
+		}
+	}
+
+	const object = await storage.get(key);
+	if (!object) {
+		return null;
+	}
+	let contentType = fileRecord.mime_type;
+	if (variant) {
+		contentType = VARIANT_CONTENT_TYPES[variant.format];
+	} else if (isThumbnail) {
+		contentType = "image/jpeg";
+	}
+	return { ...object, contentType };
+};
+
+/**
+ * Find the uploads a piece of text uses, by their /uploads URLs (originals,
+ * thumbnails or variants, relative or absolute)
+ * @param {...(string|null|undefined)} texts - HTML content, avatar URLs, etc.
+ * @returns {Array<string>} Stored filenames, without duplicates
+ */
+export const extractUploadFilenames = (...texts) => {
+	const pattern = /\/uploads\/([^\s"'<>?#,\\]+)/g;
+	const filenames = new Set();
+	for (const text of texts) {
+		if (typeof text !== "string") continue;
+		for (const match of text.matchAll(pattern)) {
+			const storedFilename = getStoredFilename(match[1]);
+			if (storedFilename) {
+				filenames.add(storedFilename);
+			}
+		}
+	}
+	return [...filenames];
+};
+
+/**
+ * Record which uploads a piece of content uses, replacing what was recorded
+ * when it was last saved. Uploads that end up unreferenced are deleted by the
+ * cleanup job.
+ * @param {string} contentType - "question", "answer", "comment" or "avatar"
+ * @param {number} contentId - Content ID (user ID for avatars)
+ * @param {...(string|null|undefined)} texts - The content's text fields
+ * @returns {Promise<void>}
+ */
+export const syncUploadReferences = async (
+	contentType,
+	contentId,
+	...texts
+) => {
+	if (!UPLOAD_CONTENT_TYPES.includes(contentType)) {
+		throw new Error(`Invalid upload content type: ${contentType}`);
+	}
+	await repository.replaceUploadReferencesDB(
+		contentType,
+		contentId,
+		extractUploadFilenames(...texts),
+	);
+};
+
+/**
+ * Delete uploads that no content references and that are older than
+ * config.uploadOrphanMaxAgeHours, along with their thumbnails. The age limit
+ * leaves time to submit a post after adding an image to it. Content is
+ * re-checked for the upload's URL before deleting, so a failed
+ * syncUploadReferences never costs a published image.
+ * @returns {Promise<number>} Number of uploads deleted
+ */
+export const cleanupOrphanedUploads = async () => {
+	// Don't start a second run while the previous one is still going
+	if (activeCleanup) {
+		return activeCleanup;
+	}
+
+	activeCleanup = (async () => {
+		let deleted = 0;
+		const lastUsedBefore = new Date(
+			Date.now() - config.uploadOrphanMaxAgeHours * 60 * 60 * 1000,
+		);
+
+		try {
+			for (let i = 0; i < MAX_CLEANUP_BATCHES_PER_RUN; i++) {
+				// Claiming marks the records deleted, so the files stop being served
+				const uploads = await repository.claimOrphanedUploadsDB(
+					lastUsedBefore,
+					CLEANUP_BATCH_SIZE,
+				);
+
+				for (const upload of uploads) {
+					await removeStoredFiles(getUploadKeys(upload));
+				}
+				deleted += uploads.length;
+
+				if (uploads.length < CLEANUP_BATCH_SIZE) break;
+			}
+			if (deleted > 0) {
+				logger.info("Deleted orphaned uploads", { deleted });
+			}
+		} catch (error) {
+			logger.error("Failed to clean up orphaned uploads", {
+				error: error.message,
+			});
+		}
+		return deleted;
+	})();
+
+	try {
+		return await activeCleanup;
+	} finally {
+		activeCleanup = null;
+	}
+};
+
+/**
+ * Start periodically deleting orphaned uploads
+ */
+export const startUploadCleanup = () => {
+	if (cleanupTimer) {
+		return;
+	}
+	cleanupTimer = setInterval(
+		cleanupOrphanedUploads,
+		config.uploadCleanupIntervalMs,
+	);
+	// Don't keep the process alive just to clean up uploads
+	cleanupTimer.unref();
+	logger.info(
+		"Upload cleanup started (every %dms)",
+		config.uploadCleanupIntervalMs,
+	);
+};
+
+/**
+ * Stop the upload cleanup job and wait for any run in progress
+ * @returns {Promise<void>}
+ */
+export const stopUploadCleanup = async () => {
+	if (cleanupTimer) {
+		clearInterval(cleanupTimer);
+		cleanupTimer = null;
+	}
+	await activeCleanup;
+};
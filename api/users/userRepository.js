@@ -16,6 +16,7 @@ export const getUserProfileByIdDB = async (userId) => {
 				avatar_url,
 				public_email,
 				is_cyf_trainee,
+				role,
 				is_active,
 				is_email_verified,
 				COALESCE(reputation, 0) as reputation,
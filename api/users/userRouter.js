@@ -1,5 +1,6 @@
 import express from "express";
 
+import { getReputationHistory } from "../reputation/reputationService.js";
 import { authenticateToken, optionalAuthenticateToken } from "../utils/auth.js";
 import logger from "../utils/logger.js";
 
@@ -32,6 +33,29 @@ router.get("/:id", optionalAuthenticateToken(), async (req, res) => {
 	}
 });
 
+/**
+ * GET /api/users/:id/reputation
+ * User's reputation history, newest first
+ * Query params: page, limit
+ */
+router.get("/:id/reputation", async (req, res) => {
+	try {
+		const userId = parseInt(req.params.id, 10);
+		if (isNaN(userId)) {
+			return res.status(400).json({ error: "Invalid user ID" });
+		}
+
+		const history = await getReputationHistory(userId, {
+			page: Number.parseInt(req.query.page, 10) || 1,
+			limit: Number.parseInt(req.query.limit, 10) || undefined,
+		});
+		res.json(history);
+	} catch (error) {
+		logger.error("Get reputation history error: %O", error);
+		res.status(500).json({ error: "Failed to fetch reputation history" });
+	}
+});
+
 /**
  * PATCH /api/users/:id
  * Update user profile (only own profile)
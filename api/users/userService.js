@@ -1,5 +1,6 @@
 import * as answerRepository from "../answers/answerRepository.js";
 import * as questionRepository from "../questions/questionRepository.js";
+import * as uploadService from "../uploads/uploadService.js";
 import logger from "../utils/logger.js";
 
 import * as repository from "./userRepository.js";
@@ -96,6 +97,18 @@ export const updateUserProfile = async (userId, updates) => {
 			userId,
 			updates,
 		);
+
+		if (updates.avatar_url !== undefined) {
+			uploadService
+				.syncUploadReferences("avatar", userId, updates.avatar_url)
+				.catch((error) => {
+					logger.error("Failed to record avatar upload", {
+						userId,
+						error: error.message,
+					});
+				});
+		}
+
 		return updatedProfile;
 	} catch (error) {
 		logger.error("Error updating user profile:", error);
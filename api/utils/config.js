@@ -21,13 +21,45 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
  * @property {string} emailRegion
  * @property {string} appUrl
  * @property {string=} emailMode
+ * @property {string=} smtpHost
+ * @property {number} smtpPort
+ * @property {boolean} smtpSecure
+ * @property {string=} smtpUser
+ * @property {string=} smtpPassword
+ * @property {string} emailFileDir
+ * @property {number} emailMaxAttempts
+ * @property {number} emailRetryIntervalMs
  * @property {string=} awsAccessKeyId
  * @property {string=} awsSecretAccessKey
  * @property {string} frontendUrl
  * @property {string} storageType
  * @property {string} uploadDir
  * @property {string=} s3BaseUrl
+ * @property {string=} s3Bucket
+ * @property {string} s3Region
+ * @property {string=} s3Endpoint
+ * @property {boolean} s3ForcePathStyle
+ * @property {string=} s3AccessKeyId
+ * @property {string=} s3SecretAccessKey
+ * @property {"proxy"|"redirect"} uploadServeMode
+ * @property {number} uploadSignedUrlTtlSeconds
+ * @property {number} uploadOrphanMaxAgeHours
+ * @property {number} uploadCleanupIntervalMs
+ * @property {number} uploadQuotaBytes
+ * @property {number} uploadDailyLimit
+ * @property {Record<string, number>} privilegeThresholds
+ * @property {number} emailVerificationExpiryHours
+ * @property {string[]} unverifiedRestrictions
  * @property {boolean} isTest
+ * @property {number} viewDedupWindowMinutes
+ * @property {number} viewFlushIntervalMs
+ * @property {number} staleQuestionDays
+ * @property {number} staleQuestionArchiveIntervalMs
+ * @property {number} notificationFanoutBatchSize
+ * @property {number} notificationFanoutIntervalMs
+ * @property {number} digestBatchSize
+ * @property {number} digestCheckIntervalMs
+ * @property {string[]} bootstrapAdminEmails
  *
  * @typedef {import("node-pg-migrate/dist/runner.js").RunnerOption} RunnerOption
  * @typedef {import("node-pg-migrate/dist/runner.js").RunnerOptionUrl} RunnerOptionUrl
@@ -78,18 +110,90 @@ const createConfig = (overrides) => {
 			source.VITE_APP_URL ||
 			"https://cyfoverflow.hosting.codeyourfuture.io",
 		emailMode: source.EMAIL_MODE,
+		smtpHost: source.SMTP_HOST || "localhost",
+		smtpPort: parseInt(source.SMTP_PORT ?? "1025", 10),
+		smtpSecure: source.SMTP_SECURE?.toLowerCase() === "true",
+		smtpUser: source.SMTP_USER,
+		smtpPassword: source.SMTP_PASSWORD,
+		emailFileDir:
+			source.EMAIL_FILE_DIR || resolve(__dirname, "..", "tmp", "emails"),
+		emailMaxAttempts: parseInt(source.EMAIL_MAX_ATTEMPTS ?? "5", 10),
+		emailRetryIntervalMs: parseInt(
+			source.EMAIL_RETRY_INTERVAL_MS ?? "60000",
+			10,
+		),
 		awsAccessKeyId: source.AWS_ACCESS_KEY_ID,
 		awsSecretAccessKey: source.AWS_SECRET_ACCESS_KEY,
 		frontendUrl: source.FRONTEND_URL || "http://localhost:5173",
 		storageType: source.STORAGE_TYPE || "local",
 		uploadDir: source.UPLOAD_DIR,
 		s3BaseUrl: source.S3_BASE_URL,
+		s3Bucket: source.S3_BUCKET,
+		s3Region: source.S3_REGION || "eu-west-1",
+		s3Endpoint: source.S3_ENDPOINT,
+		s3ForcePathStyle: source.S3_FORCE_PATH_STYLE?.toLowerCase() === "true",
+		s3AccessKeyId: source.S3_ACCESS_KEY_ID || source.AWS_ACCESS_KEY_ID,
+		s3SecretAccessKey:
+			source.S3_SECRET_ACCESS_KEY || source.AWS_SECRET_ACCESS_KEY,
+		uploadServeMode:
+			source.UPLOAD_SERVE_MODE?.toLowerCase() === "redirect"
+				? "redirect"
+				: "proxy",
+		uploadSignedUrlTtlSeconds: parseInt(
+			source.UPLOAD_SIGNED_URL_TTL_SECONDS ?? "300",
+			10,
+		),
+		uploadOrphanMaxAgeHours: parseInt(
+			source.UPLOAD_ORPHAN_MAX_AGE_HOURS ?? "24",
+			10,
+		),
+		uploadCleanupIntervalMs: parseInt(
+			source.UPLOAD_CLEANUP_INTERVAL_MS ?? "3600000",
+			10,
+		),
+		uploadQuotaBytes:
+			parseInt(source.UPLOAD_QUOTA_MB ?? "100", 10) * 1024 * 1024,
+		uploadDailyLimit: parseInt(source.UPLOAD_DAILY_LIMIT ?? "50", 10),
+		privilegeThresholds: parseThresholds(source.PRIVILEGE_THRESHOLDS),
+		emailVerificationExpiryHours: parseInt(
+			source.EMAIL_VERIFICATION_EXPIRY_HOURS ?? "24",
+			10,
+		),
+		unverifiedRestrictions: (source.UNVERIFIED_RESTRICTIONS || "")
+			.split(",")
+			.map((action) => action.trim().toLowerCase())
+			.filter(Boolean),
 		vapidPublicKey: source.VAPID_PUBLIC_KEY || null,
 		vapidPrivateKey: source.VAPID_PRIVATE_KEY || null,
 		vapidSubject:
 			source.VAPID_SUBJECT ||
 			`mailto:${source.EMAIL_SOURCE || "admin@example.com"}`,
-		adminEmails: (source.ADMIN_EMAILS || "")
+		viewDedupWindowMinutes: parseInt(
+			source.VIEW_DEDUP_WINDOW_MINUTES ?? "1440",
+			10,
+		),
+		viewFlushIntervalMs: parseInt(source.VIEW_FLUSH_INTERVAL_MS ?? "30000", 10),
+		staleQuestionDays: parseInt(source.STALE_QUESTION_DAYS ?? "180", 10),
+		staleQuestionArchiveIntervalMs: parseInt(
+			source.STALE_QUESTION_ARCHIVE_INTERVAL_MS ?? "86400000",
+			10,
+		),
+		notificationFanoutBatchSize: parseInt(
+			source.NOTIFICATION_FANOUT_BATCH_SIZE ?? "500",
+			10,
+		),
+		notificationFanoutIntervalMs: parseInt(
+			source.NOTIFICATION_FANOUT_INTERVAL_MS ?? "10000",
+			10,
+		),
+		digestBatchSize: parseInt(source.DIGEST_BATCH_SIZE ?? "100", 10),
+		digestCheckIntervalMs: parseInt(
+			source.DIGEST_CHECK_INTERVAL_MS ?? "3600000",
+			10,
+		),
+		// Only used to give the first admins their role; after that roles
+		// are managed from the admin page
+		bootstrapAdminEmails: (source.ADMIN_EMAILS || "")
 			.split(",")
 			.map((e) => e.trim().toLowerCase())
 			.filter(Boolean),
@@ -161,6 +265,22 @@ function createDbConfig(source) {
 		ssl: false,
 	};
 }
+/**
+ * Parse "name=value" pairs, e.g. "downvote=50,close_questions=1000"
+ * @param {string=} value
+ * @returns {Record<string, number>}
+ */
+function parseThresholds(value) {
+	const thresholds = {};
+	for (const pair of (value || "").split(",")) {
+		const [name, threshold] = pair.split("=").map((part) => part.trim());
+		const parsed = parseInt(threshold, 10);
+		if (name && !Number.isNaN(parsed)) {
+			thresholds[name] = parsed;
+		}
+	}
+	return thresholds;
+}
 /**
  * @param {Record<string, string>} source
  * @param {string[]} required
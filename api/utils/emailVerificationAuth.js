@@ -0,0 +1,41 @@
+import config from "./config.js";
+import logger from "./logger.js";
+import { hasPermission } from "./permissions.js";
+
+const ACTION_DESCRIPTIONS = {
+	post: "post",
+	comment: "comment",
+	vote: "vote",
+	upload: "upload files",
+};
+
+/**
+ * Middleware that blocks unverified users from an action when it is listed
+ * in UNVERIFIED_RESTRICTIONS. Must be used after authenticateToken().
+ * @param {"post"|"comment"|"vote"|"upload"} action - Restricted action
+ */
+export function requireVerifiedEmail(action) {
+	if (!ACTION_DESCRIPTIONS[action]) {
+		throw new Error(`Unknown email verification restriction: ${action}`);
+	}
+
+	return (req, res, next) => {
+		if (!req.user) {
+			return res.status(401).json({ message: "Authentication required" });
+		}
+
+		if (
+			config.unverifiedRestrictions.includes(action) &&
+			req.user.is_email_verified === false &&
+			!hasPermission(req.user, "skip_email_verification")
+		) {
+			logger.debug(`Unverified user ${req.user.id} blocked from ${action}`);
+			return res.status(403).json({
+				message: `Please verify your email address to ${ACTION_DESCRIPTIONS[action]}.`,
+				code: "EMAIL_NOT_VERIFIED",
+			});
+		}
+
+		next();
+	};
+}
@@ -0,0 +1,94 @@
+import logger from "./logger.js";
+
+/**
+ * Roles a user can hold, most trusted first. Everyone starts as a trainee.
+ */
+export const ROLES = ["admin", "moderator", "mentor", "trainee"];
+
+export const DEFAULT_ROLE = "trainee";
+
+/**
+ * Staff actions, each checked on its own rather than "is this an admin?":
+ * - view_admin_dashboard: admin stats, user and content lists, deleted posts
+ * - manage_users: block and delete users
+ * - manage_roles: grant and revoke roles
+ * - moderate_content: delete anyone's posts, archive questions and reopen
+ *   archived ones
+ * - manage_labels: create, edit, merge and retire labels, their synonyms and
+ *   proposals
+ * - manage_reputation: recalculate everyone's reputation
+ * - edit_any_post: restore revisions of, and approve edits to, anyone's posts
+ * - all_privileges: every reputation privilege whatever their reputation
+ * - skip_email_verification: act before verifying their email
+ */
+export const PERMISSIONS = [
+	"view_admin_dashboard",
+	"manage_users",
+	"manage_roles",
+	"moderate_content",
+	"manage_labels",
+	"manage_reputation",
+	"edit_any_post",
+	"all_privileges",
+	"skip_email_verification",
+];
+
+const ROLE_PERMISSIONS = {
+	admin: PERMISSIONS,
+	moderator: [
+		"view_admin_dashboard",
+		"moderate_content",
+		"manage_labels",
+		"edit_any_post",
+		"all_privileges",
+		"skip_email_verification",
+	],
+	mentor: ["all_privileges", "skip_email_verification"],
+	trainee: [],
+};
+
+/**
+ * What a role may do
+ * @param {string} role - One of ROLES
+ * @returns {string[]} Permission names
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] ?? [];
+
+/**
+ * Whether a user's role allows an action
+ * @param {{role: string}} user - User row
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+	if (!PERMISSIONS.includes(permission)) {
+		throw new Error(`Unknown permission: ${permission}`);
+	}
+	return getRolePermissions(user?.role).includes(permission);
+};
+
+/**
+ * Middleware that only lets users whose role has a permission through.
+ * Must be used after authenticateToken().
+ * @param {string} permission - One of PERMISSIONS
+ */
+export function requirePermission(permission) {
+	if (!PERMISSIONS.includes(permission)) {
+		throw new Error(`Unknown permission: ${permission}`);
+	}
+
+	return (req, res, next) => {
+		if (!req.user) {
+			return res.status(401).json({ error: "Authentication required" });
+		}
+
+		if (!hasPermission(req.user, permission)) {
+			logger.warn(
+				`User ${req.user.id} (${req.user.role}) denied ${permission} on ${req.method} ${req.originalUrl}`,
+			);
+			return res.status(403).json({ error: "You don't have permission" });
+		}
+
+		next();
+	};
+}
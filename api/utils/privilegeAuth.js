@@ -0,0 +1,41 @@
+import {
+	getPrivilegeThreshold,
+	hasPrivilege,
+	PRIVILEGES,
+} from "../privileges/privilegeService.js";
+
+import logger from "./logger.js";
+
+/**
+ * Middleware that checks the authenticated user has enough reputation for a
+ * privilege. Must be used after authenticateToken().
+ * @param {string} name - Privilege name (see PRIVILEGES)
+ * @param {(req: import("express").Request) => boolean} [appliesTo] - Only
+ *   check requests this returns true for, e.g. downvotes but not upvotes
+ */
+export function requirePrivilege(name, appliesTo = () => true) {
+	const privilege = PRIVILEGES.find((p) => p.name === name);
+	if (!privilege) {
+		throw new Error(`Unknown privilege: ${name}`);
+	}
+
+	return (req, res, next) => {
+		if (!req.user) {
+			return res.status(401).json({ error: "Authentication required" });
+		}
+
+		if (appliesTo(req) && !hasPrivilege(req.user, name)) {
+			const reputation = getPrivilegeThreshold(name);
+			logger.debug(
+				`User ${req.user.id} lacks the ${name} privilege (${req.user.reputation}/${reputation})`,
+			);
+			return res.status(403).json({
+				error: `You need at least ${reputation} reputation to ${privilege.title.toLowerCase()}`,
+				privilege: name,
+				reputation,
+			});
+		}
+
+		next();
+	};
+}
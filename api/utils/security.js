@@ -49,7 +49,7 @@ export const sanitizeHtml = (html) => {
 	// List of allowed attributes per tag
 	const allowedAttributes = {
 		a: ["href", "title", "target"],
-		img: ["src", "alt", "title", "width", "height"],
+		img: ["src", "srcset", "sizes", "alt", "title", "width", "height"],
 		code: ["class"],
 		pre: ["class"],
 		div: ["class"],
@@ -110,6 +110,21 @@ export const sanitizeHtml = (html) => {
 						) {
 							safeAttrs.push(`${attrName}="${attrValue}"`);
 						}
+					} else if (attrName.toLowerCase() === "srcset") {
+						// Same rule as src, for every "<url> <width>w" candidate
+						const urls = attrValue
+							.split(",")
+							.map((candidate) => candidate.trim().split(/\s+/)[0]);
+						if (
+							urls.every(
+								(url) =>
+									url.startsWith("http://") ||
+									url.startsWith("https://") ||
+									url.startsWith("/"),
+							)
+						) {
+							safeAttrs.push(`${attrName}="${attrValue}"`);
+						}
 					} else {
 						safeAttrs.push(`${attrName}="${attrValue}"`);
 					}
@@ -0,0 +1,82 @@
+import db from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Record a batch of question views and increment view counts for the ones
+ * that fall outside the de-duplication window.
+ *
+ * A view is counted when the (question, viewer) pair has never been seen, or
+ * was last counted more than `windowMinutes` ago.
+ * @param {Array<{questionId: number, viewerKey: string}>} views - Buffered views
+ * @param {number} windowMinutes - De-duplication window in minutes
+ * @returns {Promise<number>} Number of views that were counted
+ */
+export const recordViewsDB = async (views, windowMinutes) => {
+	if (!views || views.length === 0) {
+		return 0;
+	}
+
+	try {
+		const result = await db.query(
+			`WITH incoming AS (
+				SELECT DISTINCT question_id, viewer_key
+				FROM unnest($1::int[], $2::varchar[]) AS t(question_id, viewer_key)
+			),
+			counted AS (
+				INSERT INTO question_views (question_id, viewer_key, viewed_at)
+				SELECT i.question_id, i.viewer_key, NOW()
+				FROM incoming i
+				JOIN questions q ON q.id = i.question_id AND q.deleted_at IS NULL
+				ON CONFLICT (question_id, viewer_key) DO UPDATE
+					SET viewed_at = EXCLUDED.viewed_at
+					WHERE question_views.viewed_at < NOW() - make_interval(mins => $3)
+				RETURNING question_id
+			),
+			totals AS (
+				SELECT question_id, COUNT(*)::int AS views
+				FROM counted
+				GROUP BY question_id
+			)
+			UPDATE questions q
+			SET view_count = q.view_count + totals.views
+			FROM totals
+			WHERE q.id = totals.question_id
+			RETURNING totals.views`,
+			[
+				views.map((v) => v.questionId),
+				views.map((v) => v.viewerKey),
+				windowMinutes,
+			],
+		);
+
+		return result.rows.reduce((sum, row) => sum + row.views, 0);
+	} catch (error) {
+		logger.error("Error recording question views", {
+			count: views.length,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Delete view records older than the de-duplication window
+ * (they no longer affect whether a view is counted)
+ * @param {number} windowMinutes - De-duplication window in minutes
+ * @returns {Promise<number>} Number of deleted rows
+ */
+export const deleteExpiredViewsDB = async (windowMinutes) => {
+	try {
+		const result = await db.query(
+			`DELETE FROM question_views
+			 WHERE viewed_at < NOW() - make_interval(mins => $1)`,
+			[windowMinutes],
+		);
+		return result.rowCount;
+	} catch (error) {
+		logger.error("Error deleting expired question views", {
+			error: error.message,
+		});
+		throw error;
+	}
+};
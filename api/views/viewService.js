@@ -0,0 +1,139 @@
+import crypto from "node:crypto";
+
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+import * as repository from "./viewRepository.js";
+
+/**
+ * Upper bound on (question, viewer) pairs remembered in memory. When it is
+ * exceeded the cache is cleared; the database still de-duplicates on flush.
+ */
+const MAX_TRACKED_VIEWERS = 50000;
+
+/** @type {Map<string, number>} "<questionId>:<viewerKey>" -> last counted (ms) */
+const recentViewers = new Map();
+
+/** @type {Array<{questionId: number, viewerKey: string}>} */
+let pendingViews = [];
+
+/** @type {NodeJS.Timeout | null} */
+let flushTimer = null;
+
+/**
+ * Build a stable, non-reversible key identifying the viewer
+ * @param {Object} viewer
+ * @param {number} [viewer.userId] - Logged-in user ID
+ * @param {string} [viewer.ip] - Client IP address (used for anonymous visitors)
+ * @returns {string|null} Viewer key, or null if the viewer cannot be identified
+ */
+export const getViewerKey = ({ userId, ip } = {}) => {
+	if (userId) {
+		return `user:${userId}`;
+	}
+	if (!ip) {
+		return null;
+	}
+	const hash = crypto
+		.createHash("sha256")
+		.update(`${config.jwtSecret ?? ""}:${ip}`)
+		.digest("hex");
+	return `ip:${hash}`;
+};
+
+/**
+ * Record a question view. Cheap and synchronous: views are de-duplicated in
+ * memory and buffered, then written in batches by `flushViews`.
+ * @param {number} questionId - Question ID
+ * @param {Object} viewer - `{ userId, ip }` of the visitor
+ * @returns {boolean} Whether the view was buffered (false if de-duplicated)
+ */
+export const recordQuestionView = (questionId, viewer) => {
+	const viewerKey = getViewerKey(viewer);
+	if (!questionId || !viewerKey) {
+		return false;
+	}
+
+	const key = `${questionId}:${viewerKey}`;
+	const now = Date.now();
+	const windowMs = config.viewDedupWindowMinutes * 60 * 1000;
+	const lastSeen = recentViewers.get(key);
+
+	if (lastSeen && now - lastSeen < windowMs) {
+		return false;
+	}
+
+	if (recentViewers.size >= MAX_TRACKED_VIEWERS) {
+		recentViewers.clear();
+	}
+	recentViewers.set(key, now);
+	pendingViews.push({ questionId, viewerKey });
+	return true;
+};
+
+/**
+ * Write buffered views to the database and prune expired records
+ * @returns {Promise<number>} Number of views counted
+ */
+export const flushViews = async () => {
+	// Forget in-memory viewers whose window has expired
+	const windowMs = config.viewDedupWindowMinutes * 60 * 1000;
+	const now = Date.now();
+	for (const [key, lastSeen] of recentViewers) {
+		if (now - lastSeen >= windowMs) {
+			recentViewers.delete(key);
+		}
+	}
+
+	if (pendingViews.length === 0) {
+		return 0;
+	}
+
+	const views = pendingViews;
+	pendingViews = [];
+
+	try {
+		const counted = await repository.recordViewsDB(
+			views,
+			config.viewDedupWindowMinutes,
+		);
+		await repository.deleteExpiredViewsDB(config.viewDedupWindowMinutes);
+		logger.debug("Flushed question views", {
+			buffered: views.length,
+			counted,
+		});
+		return counted;
+	} catch (error) {
+		// View counts are non-critical - drop the batch rather than retrying forever
+		logger.error("Failed to flush question views", {
+			count: views.length,
+			error: error.message,
+		});
+		return 0;
+	}
+};
+
+/**
+ * Start periodically flushing buffered views
+ */
+export const startViewFlusher = () => {
+	if (flushTimer) {
+		return;
+	}
+	flushTimer = setInterval(flushViews, config.viewFlushIntervalMs);
+	// Don't keep the process alive just to flush views
+	flushTimer.unref();
+	logger.info("View flusher started (every %dms)", config.viewFlushIntervalMs);
+};
+
+/**
+ * Stop the periodic flush and write any remaining buffered views
+ * @returns {Promise<number>} Number of views counted in the final flush
+ */
+export const stopViewFlusher = async () => {
+	if (flushTimer) {
+		clearInterval(flushTimer);
+		flushTimer = null;
+	}
+	return flushViews();
+};
@@ -176,3 +176,142 @@ export const getUserVotesForAnswersDB = async (answerIds, userId) => {
 		throw error;
 	}
 };
+
+/**
+ * Create or update a vote for a question
+ * @param {number} questionId - The question ID
+ * @param {number} userId - The user ID
+ * @param {string} voteType - 'upvote' or 'downvote'
+ * @returns {Promise<Object>} The vote object
+ */
+export const createOrUpdateQuestionVoteDB = async (
+	questionId,
+	userId,
+	voteType,
+) => {
+	try {
+		// Check if vote already exists
+		const existingVote = await db.query(
+			`SELECT id, vote_type FROM question_votes 
+			 WHERE question_id = $1 AND user_id = $2`,
+			[questionId, userId],
+		);
+
+		if (existingVote.rows.length > 0) {
+			const existingVoteType = existingVote.rows[0].vote_type;
+
+			// If same vote type, remove the vote (toggle off)
+			if (existingVoteType === voteType) {
+				await db.query(`DELETE FROM question_votes WHERE id = $1`, [
+					existingVote.rows[0].id,
+				]);
+				return { vote_type: null, removed: true };
+			}
+
+			// If different vote type, update it
+			const result = await db.query(
+				`UPDATE question_votes 
+				 SET vote_type = $1, created_at = NOW()
+				 WHERE id = $2
+				 RETURNING *`,
+				[voteType, existingVote.rows[0].id],
+			);
+			return result.rows[0];
+		}
+
+		// Create new vote
+		const result = await db.query(
+			`INSERT INTO question_votes (question_id, user_id, vote_type)
+			 VALUES ($1, $2, $3)
+			 RETURNING *`,
+			[questionId, userId, voteType],
+		);
+		return result.rows[0];
+	} catch (error) {
+		logger.error("Error creating/updating question vote:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get vote counts for a question
+ * @param {number} questionId - The question ID
+ * @returns {Promise<Object>} Object with upvote_count, downvote_count and score
+ */
+export const getQuestionVoteCountsDB = async (questionId) => {
+	try {
+		const result = await db.query(
+			`SELECT 
+				COUNT(*) FILTER (WHERE vote_type = 'upvote') AS upvote_count,
+				COUNT(*) FILTER (WHERE vote_type = 'downvote') AS downvote_count
+			 FROM question_votes
+			 WHERE question_id = $1`,
+			[questionId],
+		);
+		const upvoteCount = parseInt(result.rows[0].upvote_count) || 0;
+		const downvoteCount = parseInt(result.rows[0].downvote_count) || 0;
+		return {
+			upvote_count: upvoteCount,
+			downvote_count: downvoteCount,
+			score: upvoteCount - downvoteCount,
+		};
+	} catch (error) {
+		logger.error("Error getting question vote counts:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get user's vote for a question
+ * @param {number} questionId - The question ID
+ * @param {number} userId - The user ID
+ * @returns {Promise<string|null>} 'upvote', 'downvote', or null
+ */
+export const getUserQuestionVoteDB = async (questionId, userId) => {
+	try {
+		const result = await db.query(
+			`SELECT vote_type FROM question_votes 
+			 WHERE question_id = $1 AND user_id = $2`,
+			[questionId, userId],
+		);
+
+		if (result.rows.length === 0) {
+			return null;
+		}
+
+		return result.rows[0].vote_type;
+	} catch (error) {
+		logger.error("Error getting user question vote:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get user's votes for multiple questions
+ * @param {number[]} questionIds - Array of question IDs
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object>} Object mapping question_id to vote_type
+ */
+export const getUserVotesForQuestionsDB = async (questionIds, userId) => {
+	if (!questionIds || questionIds.length === 0) {
+		return {};
+	}
+
+	try {
+		const result = await db.query(
+			`SELECT question_id, vote_type FROM question_votes 
+			 WHERE question_id = ANY($1) AND user_id = $2`,
+			[questionIds, userId],
+		);
+
+		const userVotes = {};
+		result.rows.forEach((row) => {
+			userVotes[row.question_id] = row.vote_type;
+		});
+
+		return userVotes;
+	} catch (error) {
+		logger.error("Error getting user votes for questions:", error);
+		throw error;
+	}
+};
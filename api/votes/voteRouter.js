@@ -1,38 +1,59 @@
 import express from "express";
 
 import { authenticateToken, optionalAuthenticateToken } from "../utils/auth.js";
+import { requireVerifiedEmail } from "../utils/emailVerificationAuth.js";
 import logger from "../utils/logger.js";
+import { requirePrivilege } from "../utils/privilegeAuth.js";
 
-import { voteOnAnswer, getVoteCounts, getUserVote } from "./voteService.js";
+import {
+	voteOnAnswer,
+	getVoteCounts,
+	getUserVote,
+	voteOnQuestion,
+	getQuestionVoteCounts,
+	getUserQuestionVote,
+	getUserVotesForQuestions,
+} from "./voteService.js";
 
 const router = express.Router();
 
+const requireDownvotePrivilege = requirePrivilege(
+	"downvote",
+	(req) => req.body?.vote_type === "downvote",
+);
+
 /**
  * POST /api/votes/answer/:answerId
- * Vote on an answer (upvote or downvote)
+ * Vote on an answer (upvote, or downvote with the downvote privilege)
  */
-router.post("/answer/:answerId", authenticateToken(), async (req, res) => {
-	try {
-		const { answerId } = req.params;
-		const { vote_type } = req.body;
-		const userId = req.user.id;
-
-		if (!vote_type || !["upvote", "downvote"].includes(vote_type)) {
-			return res.status(400).json({
-				message: "Invalid vote_type. Must be 'upvote' or 'downvote'",
-			});
-		}
+router.post(
+	"/answer/:answerId",
+	authenticateToken(),
+	requireVerifiedEmail("vote"),
+	requireDownvotePrivilege,
+	async (req, res) => {
+		try {
+			const { answerId } = req.params;
+			const { vote_type } = req.body;
+			const userId = req.user.id;
 
-		const result = await voteOnAnswer(parseInt(answerId), userId, vote_type);
+			if (!vote_type || !["upvote", "downvote"].includes(vote_type)) {
+				return res.status(400).json({
+					message: "Invalid vote_type. Must be 'upvote' or 'downvote'",
+				});
+			}
 
-		res.json(result);
-	} catch (error) {
-		logger.error("Vote on answer error: %O", error);
-		res.status(error.message === "Answer not found" ? 404 : 500).json({
-			message: error.message,
-		});
-	}
-});
+			const result = await voteOnAnswer(parseInt(answerId), userId, vote_type);
+
+			res.json(result);
+		} catch (error) {
+			logger.error("Vote on answer error: %O", error);
+			res.status(error.message === "Answer not found" ? 404 : 500).json({
+				message: error.message,
+			});
+		}
+	},
+);
 
 /**
  * GET /api/votes/answer/:answerId
@@ -60,4 +81,97 @@ router.get(
 	},
 );
 
+/**
+ * POST /api/votes/question/:questionId
+ * Vote on a question (upvote, or downvote with the downvote privilege)
+ */
+router.post(
+	"/question/:questionId",
+	authenticateToken(),
+	requireVerifiedEmail("vote"),
+	requireDownvotePrivilege,
+	async (req, res) => {
+		try {
+			const { questionId } = req.params;
+			const { vote_type } = req.body;
+			const userId = req.user.id;
+
+			if (!vote_type || !["upvote", "downvote"].includes(vote_type)) {
+				return res.status(400).json({
+					message: "Invalid vote_type. Must be 'upvote' or 'downvote'",
+				});
+			}
+
+			const result = await voteOnQuestion(questionId, userId, vote_type);
+
+			res.json(result);
+		} catch (error) {
+			logger.error("Vote on question error: %O", error);
+			const statusCode =
+				error.message === "Question not found"
+					? 404
+					: error.message.includes("cannot vote")
+						? 403
+						: 500;
+			res.status(statusCode).json({ message: error.message });
+		}
+	},
+);
+
+/**
+ * POST /api/votes/questions/batch
+ * Get the current user's votes for multiple questions (for question lists)
+ * Body: { question_ids: number[] }
+ */
+router.post(
+	"/questions/batch",
+	optionalAuthenticateToken(),
+	async (req, res) => {
+		try {
+			const { question_ids } = req.body;
+
+			if (!Array.isArray(question_ids)) {
+				return res.status(400).json({
+					message: "question_ids must be an array",
+				});
+			}
+
+			const userVotes = await getUserVotesForQuestions(
+				question_ids.map((id) => parseInt(id, 10)).filter(Boolean),
+				req.user?.id,
+			);
+			res.json(userVotes);
+		} catch (error) {
+			logger.error("Get question votes batch error: %O", error);
+			res.status(500).json({ message: error.message });
+		}
+	},
+);
+
+/**
+ * GET /api/votes/question/:questionId
+ * Get vote counts and user's vote for a question
+ */
+router.get(
+	"/question/:questionId",
+	optionalAuthenticateToken(),
+	async (req, res) => {
+		try {
+			const questionId = parseInt(req.params.questionId, 10);
+			const userId = req.user?.id; // Optional, may be undefined if not logged in
+
+			const voteCounts = await getQuestionVoteCounts(questionId);
+			const userVote = await getUserQuestionVote(questionId, userId);
+
+			res.json({
+				...voteCounts,
+				user_vote: userVote,
+			});
+		} catch (error) {
+			logger.error("Get question vote counts error: %O", error);
+			res.status(500).json({ message: error.message });
+		}
+	},
+);
+
 export default router;
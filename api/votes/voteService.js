@@ -1,4 +1,5 @@
 import * as answerRepository from "../answers/answerRepository.js";
+import * as questionRepository from "../questions/questionRepository.js";
 import * as reputationService from "../reputation/reputationService.js";
 import logger from "../utils/logger.js";
 
@@ -42,7 +43,7 @@ export const voteOnAnswer = async (answerId, userId, voteType) => {
 		// Update reputation (non-blocking)
 		reputationService
 			.handleAnswerVoteReputation(
-				answer.user_id,
+				answer,
 				userId,
 				voteType,
 				previousVote,
@@ -85,3 +86,101 @@ export const getUserVote = async (answerId, userId) => {
 	}
 	return repository.getUserVoteDB(answerId, userId);
 };
+
+/**
+ * Vote on a question
+ * @param {number} questionId - The question ID
+ * @param {number} userId - The user ID
+ * @param {string} voteType - 'upvote' or 'downvote'
+ * @returns {Promise<Object>} Updated vote counts and user's vote
+ */
+export const voteOnQuestion = async (questionId, userId, voteType) => {
+	if (!["upvote", "downvote"].includes(voteType)) {
+		throw new Error("Invalid vote type. Must be 'upvote' or 'downvote'");
+	}
+
+	// Verify question exists
+	const question = await questionRepository.getQuestionByIdDB(questionId);
+	if (!question) {
+		throw new Error("Question not found");
+	}
+
+	// Prevent users from voting on their own questions
+	if (question.user_id === userId) {
+		throw new Error("You cannot vote on your own question");
+	}
+
+	try {
+		// Get previous vote to calculate reputation change
+		const previousVote = await repository.getUserQuestionVoteDB(
+			question.id,
+			userId,
+		);
+
+		const vote = await repository.createOrUpdateQuestionVoteDB(
+			question.id,
+			userId,
+			voteType,
+		);
+		const voteCounts = await repository.getQuestionVoteCountsDB(question.id);
+		const userVote = vote.removed ? null : vote.vote_type;
+
+		// Update reputation (non-blocking)
+		reputationService
+			.handleQuestionVoteReputation(
+				question,
+				userId,
+				voteType,
+				previousVote,
+				vote.removed || false,
+			)
+			.catch((error) => {
+				logger.error("Failed to update reputation for question vote", {
+					error: error.message,
+				});
+			});
+
+		return {
+			...voteCounts,
+			user_vote: userVote,
+		};
+	} catch (error) {
+		logger.error("Error voting on question:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get vote counts for a question
+ * @param {number} questionId - The question ID
+ * @returns {Promise<Object>} Vote counts and score
+ */
+export const getQuestionVoteCounts = async (questionId) => {
+	return repository.getQuestionVoteCountsDB(questionId);
+};
+
+/**
+ * Get user's vote for a question
+ * @param {number} questionId - The question ID
+ * @param {number} userId - The user ID (optional)
+ * @returns {Promise<string|null>} User's vote type or null
+ */
+export const getUserQuestionVote = async (questionId, userId) => {
+	if (!userId) {
+		return null;
+	}
+	return repository.getUserQuestionVoteDB(questionId, userId);
+};
+
+/**
+ * Get user's votes for several questions (for question lists)
+ * @param {number[]} questionIds - Array of question IDs
+ * @param {number} userId - The user ID (optional)
+ * @returns {Promise<Object>} Object mapping question_id to vote_type
+ */
+export const getUserVotesForQuestions = async (questionIds, userId) => {
+	if (!userId) {
+		return {};
+	}
+	return repository.getUserVotesForQuestionsDB(questionIds, userId);
+};
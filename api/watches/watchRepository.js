@@ -0,0 +1,181 @@
+import db, { getClient } from "../db.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Check whether a label exists
+ * @param {number} labelId - Label ID
+ * @returns {Promise<boolean>}
+ */
+export const labelExistsDB = async (labelId) => {
+	const result = await db.query(`SELECT 1 FROM labels WHERE id = $1`, [
+		labelId,
+	]);
+	return result.rowCount > 0;
+};
+
+/**
+ * Watch a label (no-op if already watching)
+ * @param {number} userId - User ID
+ * @param {number} labelId - Label ID
+ * @returns {Promise<boolean>} True if a new watch was created
+ */
+export const watchLabelDB = async (userId, labelId) => {
+	try {
+		const result = await db.query(
+			`INSERT INTO label_watches (user_id, label_id)
+			 VALUES ($1, $2)
+			 ON CONFLICT (user_id, label_id) DO NOTHING`,
+			[userId, labelId],
+		);
+		return result.rowCount > 0;
+	} catch (error) {
+		logger.error("Error watching label", {
+			userId,
+			labelId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Stop watching a label
+ * @param {number} userId - User ID
+ * @param {number} labelId - Label ID
+ * @returns {Promise<boolean>} True if a watch was removed
+ */
+export const unwatchLabelDB = async (userId, labelId) => {
+	try {
+		const result = await db.query(
+			`DELETE FROM label_watches WHERE user_id = $1 AND label_id = $2`,
+			[userId, labelId],
+		);
+		return result.rowCount > 0;
+	} catch (error) {
+		logger.error("Error unwatching label", {
+			userId,
+			labelId,
+			error: error.message,
+		});
+		throw error;
+	}
+};
+
+/**
+ * Get the labels a user watches
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<{id: number, name: string, watched_at: Date}>>}
+ */
+export const getWatchedLabelsDB = async (userId) => {
+	const result = await db.query(
+		`SELECT l.id, l.name, w.created_at AS watched_at
+		 FROM label_watches w
+		 JOIN labels l ON l.id = w.label_id
+		 WHERE w.user_id = $1
+		 ORDER BY l.name`,
+		[userId],
+	);
+	return result.rows;
+};
+
+/**
+ * Queue new-question notifications for the watchers of a question's labels
+ * @param {number} questionId - Question ID
+ * @returns {Promise<void>}
+ */
+export const enqueueQuestionNotificationJobDB = async (questionId) => {
+	await db.query(
+		`INSERT INTO question_notification_jobs (question_id)
+		 VALUES ($1)
+		 ON CONFLICT (question_id) DO NOTHING`,
+		[questionId],
+	);
+};
+
+/**
+ * Claim the next batch of watchers to notify for the oldest queued job.
+ *
+ * The job row is locked with SKIP LOCKED so several API instances can run
+ * the worker side by side, and the job's progress is saved before the batch
+ * is returned, so a watcher is never notified twice (if the process dies
+ * mid-batch, that batch is skipped rather than repeated). The job is
+ * deleted once its last batch has been claimed, or if the question has
+ * since been deleted.
+ * @param {number} batchSize - Maximum watchers to claim
+ * @returns {Promise<{question: Object, userIds: Array<number>, done: boolean}|null>}
+ *   The question ({ id, title, slug, author_name }) and the claimed watchers,
+ *   or null if the queue is empty
+ */
+export const claimQuestionNotificationBatchDB = async (batchSize) => {
+	const client = await getClient();
+	try {
+		await client.query("BEGIN");
+
+		const jobResult = await client.query(
+			`SELECT j.id, j.question_id, j.last_user_id,
+				q.user_id AS author_id, q.title, q.slug, q.deleted_at,
+				COALESCE(u.name, 'Someone') AS author_name
+			 FROM question_notification_jobs j
+			 JOIN questions q ON q.id = j.question_id
+			 JOIN users u ON u.id = q.user_id
+			 ORDER BY j.id
+			 LIMIT 1
+			 FOR UPDATE OF j SKIP LOCKED`,
+		);
+		const job = jobResult.rows[0];
+
+		if (!job) {
+			await client.query("COMMIT");
+			return null;
+		}
+
+		let userIds = [];
+		if (!job.deleted_at) {
+			const watcherResult = await client.query(
+				`SELECT DISTINCT w.user_id
+				 FROM label_watches w
+				 JOIN question_labels ql ON ql.label_id = w.label_id
+				 WHERE ql.question_id = $1
+					AND w.user_id > $2
+					AND w.user_id != $3
+				 ORDER BY w.user_id
+				 LIMIT $4`,
+				[job.question_id, job.last_user_id, job.author_id, batchSize],
+			);
+			userIds = watcherResult.rows.map((row) => row.user_id);
+		}
+
+		const done = userIds.length < batchSize;
+		if (done) {
+			await client.query(
+				`DELETE FROM question_notification_jobs WHERE id = $1`,
+				[job.id],
+			);
+		} else {
+			await client.query(
+				`UPDATE question_notification_jobs SET last_user_id = $2 WHERE id = $1`,
+				[job.id, userIds[userIds.length - 1]],
+			);
+		}
+
+		await client.query("COMMIT");
+		return {
+			question: {
+				id: job.question_id,
+				title: job.title,
+				slug: job.slug,
+				author_name: job.author_name,
+			},
+			userIds,
+			done,
+		};
+	} catch (error) {
+		await client.query("ROLLBACK");
+		logger.error("Error claiming question notification batch", {
+			error: error.message,
+		});
+		throw error;
+	} finally {
+		client.release();
+	}
+};
@@ -0,0 +1,58 @@
+import { Router } from "express";
+
+import { authenticateToken } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+import { getWatchedLabels, unwatchLabel, watchLabel } from "./watchService.js";
+
+const router = Router();
+
+const watchErrorStatus = (error) => {
+	if (error.message === "Label not found") return 404;
+	if (error.message === "Invalid label ID") return 400;
+	return 500;
+};
+
+/**
+ * GET /api/watches/labels
+ * Labels the authenticated user watches for new questions
+ */
+router.get("/labels", authenticateToken(), async (req, res) => {
+	try {
+		const labels = await getWatchedLabels(req.user.id);
+		res.json(labels);
+	} catch (error) {
+		logger.error("Get watched labels error: %O", error);
+		res.status(500).json({ error: "Failed to fetch watched labels" });
+	}
+});
+
+/**
+ * PUT /api/watches/labels/:labelId
+ * Watch a label; returns the updated list of watched labels
+ */
+router.put("/labels/:labelId", authenticateToken(), async (req, res) => {
+	try {
+		const labels = await watchLabel(req.user.id, req.params.labelId);
+		res.json(labels);
+	} catch (error) {
+		logger.error("Watch label error: %O", error);
+		res.status(watchErrorStatus(error)).json({ error: error.message });
+	}
+});
+
+/**
+ * DELETE /api/watches/labels/:labelId
+ * Stop watching a label; returns the updated list of watched labels
+ */
+router.delete("/labels/:labelId", authenticateToken(), async (req, res) => {
+	try {
+		const labels = await unwatchLabel(req.user.id, req.params.labelId);
+		res.json(labels);
+	} catch (error) {
+		logger.error("Unwatch label error: %O", error);
+		res.status(watchErrorStatus(error)).json({ error: error.message });
+	}
+});
+
+export default router;
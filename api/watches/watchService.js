@@ -0,0 +1,146 @@
+import * as notificationService from "../notifications/notificationService.js";
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+import * as repository from "./watchRepository.js";
+
+/**
+ * Upper bound on batches sent per run, so one popular question cannot keep
+ * the worker busy indefinitely; the rest is picked up on the next run.
+ */
+const MAX_BATCHES_PER_RUN = 20;
+
+/** @type {NodeJS.Timeout | null} */
+let fanoutTimer = null;
+
+/** @type {Promise<number> | null} */
+let activeRun = null;
+
+const parseLabelId = (labelId) => {
+	const id = Number(labelId);
+	if (!Number.isInteger(id) || id <= 0) {
+		throw new Error("Invalid label ID");
+	}
+	return id;
+};
+
+/**
+ * Get the labels a user watches
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>}
+ */
+export const getWatchedLabels = async (userId) => {
+	return repository.getWatchedLabelsDB(userId);
+};
+
+/**
+ * Watch a label to be notified about new questions carrying it
+ * @param {number} userId - User ID
+ * @param {number|string} labelId - Label ID
+ * @returns {Promise<Array>} The user's watched labels
+ */
+export const watchLabel = async (userId, labelId) => {
+	const id = parseLabelId(labelId);
+	if (!(await repository.labelExistsDB(id))) {
+		throw new Error("Label not found");
+	}
+	await repository.watchLabelDB(userId, id);
+	return repository.getWatchedLabelsDB(userId);
+};
+
+/**
+ * Stop watching a label
+ * @param {number} userId - User ID
+ * @param {number|string} labelId - Label ID
+ * @returns {Promise<Array>} The user's watched labels
+ */
+export const unwatchLabel = async (userId, labelId) => {
+	await repository.unwatchLabelDB(userId, parseLabelId(labelId));
+	return repository.getWatchedLabelsDB(userId);
+};
+
+/**
+ * Queue new-question notifications for the question's label watchers.
+ * They are sent by the background worker (see `startNotificationFanout`).
+ * @param {number} questionId - Question ID
+ * @returns {Promise<void>}
+ */
+export const enqueueNewQuestionNotifications = async (questionId) => {
+	await repository.enqueueQuestionNotificationJobDB(questionId);
+};
+
+/**
+ * Send queued new-question notifications in batches
+ * @returns {Promise<number>} Number of notifications sent
+ */
+export const processNotificationQueue = async () => {
+	// Don't start a second run while the previous one is still going
+	if (activeRun) {
+		return activeRun;
+	}
+
+	activeRun = (async () => {
+		let sent = 0;
+		try {
+			for (let i = 0; i < MAX_BATCHES_PER_RUN; i++) {
+				const batch = await repository.claimQuestionNotificationBatchDB(
+					config.notificationFanoutBatchSize,
+				);
+				if (!batch) break;
+
+				// Each watcher's notification preferences are applied here
+				await notificationService.createQuestionNotifications(
+					batch.question,
+					batch.userIds,
+				);
+				sent += batch.userIds.length;
+			}
+			if (sent > 0) {
+				logger.debug("Sent new-question notifications", { sent });
+			}
+		} catch (error) {
+			// A failed claim leaves the job queued; it is retried on the next run
+			logger.error("Failed to send new-question notifications", {
+				error: error.message,
+			});
+		}
+		return sent;
+	})();
+
+	try {
+		return await activeRun;
+	} finally {
+		activeRun = null;
+	}
+};
+
+/**
+ * Start periodically sending queued new-question notifications
+ */
+export const startNotificationFanout = () => {
+	if (fanoutTimer) {
+		return;
+	}
+	fanoutTimer = setInterval(
+		processNotificationQueue,
+		config.notificationFanoutIntervalMs,
+	);
+	// Don't keep the process alive just to send notifications
+	fanoutTimer.unref();
+	logger.info(
+		"Notification fan-out started (every %dms)",
+		config.notificationFanoutIntervalMs,
+	);
+};
+
+/**
+ * Stop the periodic fan-out and wait for any run in progress
+ * @returns {Promise<void>}
+ */
+export const stopNotificationFanout = async () => {
+	if (fanoutTimer) {
+		clearInterval(fanoutTimer);
+		fanoutTimer = null;
+	}
+	await activeRun;
+};
@@ -1,5 +1,6 @@
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 
+import EmailVerificationBanner from "./components/EmailVerificationBanner";
 import ErrorBoundary from "./components/ErrorBoundary";
 import InstallPrompt from "./components/InstallPrompt";
 import Navbar from "./components/Navbar";
@@ -11,17 +12,25 @@ import { SearchProvider } from "./contexts/SearchContext";
 import { ToastProvider } from "./contexts/ToastContext";
 import AdminPage from "./pages/AdminPage.jsx";
 import EditQuestion from "./pages/EditQuestion.jsx";
+import FollowedQuestionsPage from "./pages/FollowedQuestionsPage";
 import ForgotPassword from "./pages/ForgotPassword";
 import Home from "./pages/Home";
+import LabelPage from "./pages/LabelPage";
 import LabelsPage from "./pages/LabelsPage";
 import Login from "./pages/Login";
 import MyQuestionsPage from "./pages/MyQuestionsPage";
 import MyResponsesPage from "./pages/MyResponsesPage";
+import NotificationSettingsPage from "./pages/NotificationSettingsPage";
+import PrivilegesPage from "./pages/PrivilegesPage";
 import QuestionDetailPage from "./pages/QuestionDetailPage";
 import QuestionPage from "./pages/QuestionPage";
 import ResetPassword from "./pages/ResetPassword";
+import ReviewQueuePage from "./pages/ReviewQueuePage";
+import RevisionHistoryPage from "./pages/RevisionHistoryPage";
 import SignUp from "./pages/SignUp";
+import UnsubscribePage from "./pages/UnsubscribePage";
 import UserProfilePage from "./pages/UserProfilePage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
 import "./App.css";
 
 function App() {
@@ -43,6 +52,7 @@ function App() {
 													style={{ backgroundColor: "#efeef8" }}
 												>
 													<Navbar />
+													<EmailVerificationBanner />
 													<Routes>
 														{/* Existing Routes */}
 														<Route path="/" element={<Home />} />
@@ -56,6 +66,10 @@ function App() {
 															path="/reset-password"
 															element={<ResetPassword />}
 														/>
+														<Route
+															path="/verify-email"
+															element={<VerifyEmailPage />}
+														/>
 														<Route path="/ask" element={<QuestionPage />} />
 
 														<Route
@@ -63,6 +77,10 @@ function App() {
 															element={<QuestionDetailPage />}
 														/>
 														<Route path="/labels" element={<LabelsPage />} />
+														<Route
+															path="/labels/:slug"
+															element={<LabelPage />}
+														/>
 														<Route
 															path="/my-questions"
 															element={<MyQuestionsPage />}
@@ -71,6 +89,26 @@ function App() {
 															path="/my-responses"
 															element={<MyResponsesPage />}
 														/>
+														<Route
+															path="/following"
+															element={<FollowedQuestionsPage />}
+														/>
+														<Route
+															path="/review"
+															element={<ReviewQueuePage />}
+														/>
+														<Route
+															path="/privileges"
+															element={<PrivilegesPage />}
+														/>
+														<Route
+															path="/settings/notifications"
+															element={<NotificationSettingsPage />}
+														/>
+														<Route
+															path="/unsubscribe"
+															element={<UnsubscribePage />}
+														/>
 														<Route
 															path="/users/:id"
 															element={<UserProfilePage />}
@@ -80,6 +118,18 @@ function App() {
 															path="/questions/:id/edit"
 															element={<EditQuestion />}
 														/>
+														<Route
+															path="/questions/:id/suggest-edit"
+															element={<EditQuestion suggest />}
+														/>
+														<Route
+															path="/questions/:id/revisions"
+															element={<RevisionHistoryPage type="question" />}
+														/>
+														<Route
+															path="/answers/:id/revisions"
+															element={<RevisionHistoryPage type="answer" />}
+														/>
 														<Route path="/admin" element={<AdminPage />} />
 													</Routes>
 												</div>
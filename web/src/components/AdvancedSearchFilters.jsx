@@ -17,6 +17,7 @@ function AdvancedSearchFilters({ filters, onFiltersChange, labels = [] }) {
 			sortBy: "relevance",
 			dateRange: null,
 			labelIds: [],
+			matchIn: "all",
 		});
 	};
 
@@ -24,7 +25,8 @@ function AdvancedSearchFilters({ filters, onFiltersChange, labels = [] }) {
 		filters.solved !== null ||
 		filters.sortBy !== "relevance" ||
 		filters.dateRange !== null ||
-		(filters.labelIds && filters.labelIds.length > 0);
+		(filters.labelIds && filters.labelIds.length > 0) ||
+		filters.matchIn === "answers";
 
 	return (
 		<div className="mb-4">
@@ -46,6 +48,7 @@ function AdvancedSearchFilters({ filters, onFiltersChange, labels = [] }) {
 							filters.sortBy !== "relevance" ? 1 : 0,
 							filters.dateRange !== null ? 1 : 0,
 							filters.labelIds?.length || 0,
+							filters.matchIn === "answers" ? 1 : 0,
 						].reduce((a, b) => a + b, 0)}
 					</span>
 				)}
@@ -113,6 +116,40 @@ function AdvancedSearchFilters({ filters, onFiltersChange, labels = [] }) {
 							</div>
 						</div>
 
+						{/* Match In */}
+						<div>
+							<label
+								htmlFor="match-in-filter-group"
+								className="block text-sm font-medium text-gray-700 mb-2"
+							>
+								Search In
+							</label>
+							<div id="match-in-filter-group" className="flex flex-wrap gap-2">
+								<button
+									type="button"
+									onClick={() => handleFilterChange("matchIn", "all")}
+									className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+										filters.matchIn !== "answers"
+											? "bg-[#281d80] text-white"
+											: "bg-gray-100 text-gray-700 hover:bg-gray-200"
+									}`}
+								>
+									Everything
+								</button>
+								<button
+									type="button"
+									onClick={() => handleFilterChange("matchIn", "answers")}
+									className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+										filters.matchIn === "answers"
+											? "bg-[#281d80] text-white"
+											: "bg-gray-100 text-gray-700 hover:bg-gray-200"
+									}`}
+								>
+									Answers only
+								</button>
+							</div>
+						</div>
+
 						{/* Sort By */}
 						<div>
 							<label
@@ -197,6 +234,19 @@ function AdvancedSearchFilters({ filters, onFiltersChange, labels = [] }) {
 							</div>
 						)}
 
+						{/* Search Syntax */}
+						<p className="text-xs text-gray-500">
+							Tip: you can also type filters into the search box, e.g.{" "}
+							<code className="px-1 bg-gray-100 rounded">label:react</code>,{" "}
+							<code className="px-1 bg-gray-100 rounded">is:solved</code>,{" "}
+							<code className="px-1 bg-gray-100 rounded">user:42</code>,{" "}
+							<code className="px-1 bg-gray-100 rounded">answers:0</code> or{" "}
+							<code className="px-1 bg-gray-100 rounded">
+								created:&gt;2026-01-01
+							</code>
+							.
+						</p>
+
 						{/* Clear Filters */}
 						{hasActiveFilters && (
 							<button
@@ -1,6 +1,7 @@
 import { Editor } from "@tinymce/tinymce-react";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import { FaArrowUp, FaArrowDown, FaCheckCircle, FaTrash } from "react-icons/fa";
+import { Link } from "react-router-dom";
 
 import { useToast } from "../contexts/ToastContext";
 import { useAuth } from "../contexts/useAuth";
@@ -12,6 +13,7 @@ import {
 	adminDeleteContent,
 } from "../services/api";
 import { getUserFriendlyError, isOnline } from "../utils/errorMessages";
+import { toResponsiveImages } from "../utils/responsiveImages";
 
 import Comment from "./Comment";
 import CommentForm from "./CommentForm";
@@ -20,14 +22,19 @@ import EditAnswerForm from "./EditAnswerForm";
 import UserLink from "./UserLink";
 
 function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
-	const { isLoggedIn, user, token } = useAuth();
+	const { isLoggedIn, user, token, hasPermission } = useAuth();
 	const { showError: showToastError, showSuccess } = useToast();
 	const [isEditing, setIsEditing] = useState(false);
+	const [isSuggestingEdit, setIsSuggestingEdit] = useState(false);
 	const [isDeleting, setIsDeleting] = useState(false);
 	const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 	const [displayContent, setDisplayContent] = useState(
 		answer.content || answer.body,
 	);
+	const renderedContent = useMemo(
+		() => toResponsiveImages(displayContent),
+		[displayContent],
+	);
 	const [upvoteCount, setUpvoteCount] = useState(answer.upvote_count || 0);
 	const [downvoteCount, setDownvoteCount] = useState(
 		answer.downvote_count || 0,
@@ -41,7 +48,7 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 	const [isAccepting, setIsAccepting] = useState(false);
 
 	const isAuthor = isLoggedIn && user && user.id === answer.user_id;
-	const isAdmin = user?.is_admin;
+	const canModerate = hasPermission("moderate_content");
 	const currentUserId = user?.id ? Number(user.id) : null;
 	const questionAuthorIdNum = questionAuthorId
 		? Number(questionAuthorId)
@@ -102,7 +109,7 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 		setShowDeleteConfirm(false);
 
 		try {
-			if (isAdmin && !isAuthor) {
+			if (canModerate && !isAuthor) {
 				await adminDeleteContent(token, "answer", answer.id);
 			} else {
 				await deleteAnswer(answer.id, token);
@@ -135,6 +142,11 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 		setIsEditing(false);
 	};
 
+	const handleSuggestEditSuccess = () => {
+		setIsSuggestingEdit(false);
+		showSuccess("Your suggested edit was sent to the author for review");
+	};
+
 	const handleVote = async (e, voteType) => {
 		if (e) {
 			e.preventDefault();
@@ -297,6 +309,18 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 		);
 	}
 
+	if (isSuggestingEdit) {
+		return (
+			<EditAnswerForm
+				answer={answer}
+				initialContent={displayContent}
+				onCancel={() => setIsSuggestingEdit(false)}
+				onSuccess={handleSuggestEditSuccess}
+				suggest
+			/>
+		);
+	}
+
 	const isDeleted = !!answer.deleted_at;
 
 	return (
@@ -378,6 +402,7 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 									<UserLink
 										userId={answer.user_id}
 										userName={answer.author_name}
+										role={answer.author_role}
 										className="text-sm sm:text-base font-semibold text-gray-900"
 									/>
 									{isAccepted && !isDeleted && (
@@ -396,7 +421,13 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 										minute: "2-digit",
 									})}
 									{answer.updated_at !== answer.created_at && (
-										<span className="ml-1 sm:ml-2 italic">(edited)</span>
+										<Link
+											to={`/answers/${answer.id}/revisions`}
+											className="ml-1 sm:ml-2 italic hover:text-[#281d80] hover:underline"
+											title="View revision history"
+										>
+											(edited)
+										</Link>
 									)}
 								</p>
 							</div>
@@ -462,8 +493,19 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 									</>
 								)}
 
+								{/* Suggest an edit to someone else's answer */}
+								{isLoggedIn && !isAuthor && (
+									<button
+										onClick={() => setIsSuggestingEdit(true)}
+										className="px-2 sm:px-3 py-1 text-xs font-medium text-[#281d80] bg-white border border-gray-300 rounded hover:bg-gray-50 transition-colors cursor-pointer whitespace-nowrap"
+										title="Suggest an edit to this answer"
+									>
+										Suggest edit
+									</button>
+								)}
+
 								{/* Admin Controls — visible when admin is not the answer author */}
-								{isAdmin && !isAuthor && !isDeleting && (
+								{canModerate && !isAuthor && !isDeleting && (
 									<button
 										onClick={handleDeleteClick}
 										className="px-2 sm:px-3 py-1 text-xs font-medium text-red-600 bg-red-50 border border-red-200 rounded hover:bg-red-100 transition-colors cursor-pointer whitespace-nowrap"
@@ -488,7 +530,7 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 						<Editor
 							key={displayContent}
 							tinymceScriptSrc="https://cdn.jsdelivr.net/npm/tinymce@7/tinymce.min.js"
-							initialValue={displayContent}
+							initialValue={renderedContent}
 							disabled={true}
 							init={{
 								height: "auto",
@@ -496,6 +538,8 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 								toolbar: false,
 								statusbar: false,
 								plugins: ["autoresize", "codesample"],
+								// Keep the <picture> wrappers from toResponsiveImages
+								extended_valid_elements: "picture,source[srcset|sizes|type]",
 								content_style: `
 									body {
 										font-family: ui-sans-serif, system-ui, sans-serif;
@@ -505,6 +549,7 @@ function Answer({ answer, onDelete, onUpdate, questionAuthorId, onAccept }) {
 										color: #374151;
 									}
 									p { margin-bottom: 1em; }
+									img { max-width: 100%; height: auto; }
 									pre {
 										background: #f4f4f5;
 										padding: 10px;
@@ -3,6 +3,7 @@ import { useState, useRef } from "react";
 
 import { useToast } from "../contexts/ToastContext";
 import { getUserFriendlyError, isOnline } from "../utils/errorMessages";
+import { getUploadedImageHtml } from "../utils/responsiveImages";
 
 const ANSWER_TEMPLATE = `
 	<div data-template="answer">
@@ -191,7 +192,10 @@ function AnswerForm({ questionId, onSuccess, onCancel, token }) {
 																const json = JSON.parse(xhr.responseText);
 
 																if (json.success && json.file?.file_url) {
-																	const imgTag = `<p><img src="${json.file.file_url}" alt="${file.name}" /></p>`;
+																	const imgTag = getUploadedImageHtml(
+																		json.file,
+																		file.name,
+																	);
 																	editor.insertContent(imgTag);
 
 																	editor.notificationManager.open({
@@ -0,0 +1,176 @@
+import { useEffect, useState } from "react";
+import { FaLock, FaTimes } from "react-icons/fa";
+
+import { CLOSE_REASON_LABELS } from "../utils/questionUtils.jsx";
+
+const REASON_DESCRIPTIONS = {
+	off_topic: "The question is not about learning or writing code.",
+	duplicate: "The question has already been asked and answered.",
+	needs_details:
+		"The question needs more information before it can be answered.",
+};
+
+/**
+ * Extract a question ID or slug from a pasted URL, path, slug or ID
+ * @param {string} value - e.g. "https://site/questions/how-to-x?answer=true", "how-to-x" or "42"
+ * @returns {string} ID or slug ("" when empty)
+ */
+const parseQuestionReference = (value) => {
+	const trimmed = value.trim();
+	const match = trimmed.match(/\/questions\/([^/?#]+)/);
+	return match ? decodeURIComponent(match[1]) : trimmed;
+};
+
+/**
+ * Dialog for choosing a reason to close a question
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether dialog is open
+ * @param {boolean} [props.isSubmitting] - Disable the confirm button while the request runs
+ * @param {Function} props.onConfirm - Called with the selected reason, plus the
+ *   canonical question ID/slug when closing as a duplicate
+ * @param {Function} props.onCancel - Callback when cancelled
+ */
+function CloseQuestionDialog({
+	isOpen,
+	isSubmitting = false,
+	onConfirm,
+	onCancel,
+}) {
+	const [reason, setReason] = useState("off_topic");
+	const [canonical, setCanonical] = useState("");
+
+	const canonicalRef = parseQuestionReference(canonical);
+	const isDuplicateMissingTarget = reason === "duplicate" && !canonicalRef;
+
+	useEffect(() => {
+		if (!isOpen) return;
+
+		const handleEscape = (e) => {
+			if (e.key === "Escape") {
+				onCancel();
+			}
+		};
+
+		document.addEventListener("keydown", handleEscape);
+		return () => {
+			document.removeEventListener("keydown", handleEscape);
+		};
+	}, [isOpen, onCancel]);
+
+	if (!isOpen) return null;
+
+	const handleBackdropClick = (e) => {
+		if (e.target === e.currentTarget) {
+			onCancel();
+		}
+	};
+
+	return (
+		<div
+			className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4"
+			onClick={handleBackdropClick}
+			aria-hidden="true"
+		>
+			<div
+				className="bg-white rounded-lg shadow-xl max-w-md w-full p-6 relative"
+				role="dialog"
+				aria-modal="true"
+				aria-labelledby="close-question-title"
+			>
+				<button
+					onClick={onCancel}
+					className="absolute top-4 right-4 text-gray-400 hover:text-gray-600 transition-colors"
+					aria-label="Close"
+				>
+					<FaTimes className="w-5 h-5" />
+				</button>
+
+				<div className="flex items-center gap-3 mb-4">
+					<FaLock className="w-5 h-5 text-gray-600" />
+					<h3
+						id="close-question-title"
+						className="text-xl font-bold text-gray-900"
+					>
+						Close Question
+					</h3>
+				</div>
+
+				<p className="text-gray-600 mb-4 text-sm">
+					Closed questions stay visible but no longer accept new answers. They
+					can be reopened later.
+				</p>
+
+				<fieldset className="space-y-2 mb-6">
+					<legend className="sr-only">Close reason</legend>
+					{Object.entries(CLOSE_REASON_LABELS).map(([value, label]) => (
+						<label
+							key={value}
+							className={`grid grid-cols-[auto_1fr] gap-x-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+								reason === value
+									? "border-[#281d80] bg-indigo-50"
+									: "border-gray-200 hover:bg-gray-50"
+							}`}
+						>
+							<input
+								type="radio"
+								name="close-reason"
+								value={value}
+								checked={reason === value}
+								onChange={() => setReason(value)}
+								className="mt-1 accent-[#281d80]"
+							/>
+							<span className="text-sm font-semibold text-gray-900">
+								{label}
+							</span>
+							<span className="col-start-2 text-xs text-gray-600">
+								{REASON_DESCRIPTIONS[value]}
+							</span>
+						</label>
+					))}
+				</fieldset>
+
+				{reason === "duplicate" && (
+					<div className="mb-6 -mt-3">
+						<label
+							htmlFor="duplicate-of"
+							className="block text-sm font-semibold text-gray-900 mb-1"
+						>
+							Duplicate of
+						</label>
+						<input
+							id="duplicate-of"
+							type="text"
+							value={canonical}
+							onChange={(e) => setCanonical(e.target.value)}
+							placeholder="Paste the original question's link or ID"
+							className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#281d80]"
+						/>
+						<p className="mt-1 text-xs text-gray-500">
+							Visitors will be pointed to the original question.
+						</p>
+					</div>
+				)}
+
+				<div className="flex gap-3 justify-end">
+					<button
+						onClick={onCancel}
+						className="px-4 py-2 text-sm font-semibold text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors cursor-pointer"
+					>
+						Cancel
+					</button>
+					<button
+						onClick={() =>
+							onConfirm(reason, reason === "duplicate" ? canonicalRef : null)
+						}
+						disabled={isSubmitting || isDuplicateMissingTarget}
+						className="px-4 py-2 text-sm font-semibold rounded-lg transition-colors cursor-pointer bg-[#281d80] hover:bg-[#1f1566] text-white disabled:opacity-50 disabled:cursor-not-allowed"
+					>
+						{isSubmitting ? "Closing..." : "Close Question"}
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default CloseQuestionDialog;
@@ -11,7 +11,7 @@ import {
 import UserLink from "./UserLink";
 
 function Comment({ comment, onUpdate, onDelete }) {
-	const { isLoggedIn, user, token } = useAuth();
+	const { isLoggedIn, user, token, hasPermission } = useAuth();
 	const [isEditing, setIsEditing] = useState(false);
 	const [editContent, setEditContent] = useState(comment.content);
 	const [isDeleting, setIsDeleting] = useState(false);
@@ -19,7 +19,7 @@ function Comment({ comment, onUpdate, onDelete }) {
 	const [error, setError] = useState("");
 
 	const isAuthor = isLoggedIn && user && user.id === comment.user_id;
-	const isAdmin = user?.is_admin;
+	const canModerate = hasPermission("moderate_content");
 
 	const handleDelete = async () => {
 		if (!window.confirm("Are you sure you want to delete this comment?")) {
@@ -30,7 +30,7 @@ function Comment({ comment, onUpdate, onDelete }) {
 		setError("");
 
 		try {
-			if (isAdmin && !isAuthor) {
+			if (canModerate && !isAuthor) {
 				await adminDeleteContent(token, "comment", comment.id);
 			} else {
 				await deleteComment(comment.id, token);
@@ -120,6 +120,7 @@ function Comment({ comment, onUpdate, onDelete }) {
 						<UserLink
 							userId={comment.user_id}
 							userName={comment.author_name}
+							role={comment.author_role}
 							className="text-sm font-semibold text-gray-900"
 						/>
 						<span className="text-xs text-gray-500">
@@ -139,7 +140,7 @@ function Comment({ comment, onUpdate, onDelete }) {
 						{comment.content}
 					</p>
 				</div>
-				{(isAuthor || isAdmin) && (
+				{(isAuthor || canModerate) && (
 					<div className="flex gap-1 shrink-0">
 						{isAuthor && (
 							<button
@@ -156,7 +157,7 @@ function Comment({ comment, onUpdate, onDelete }) {
 							disabled={isDeleting}
 							className="p-1.5 text-gray-600 hover:text-red-600 transition-colors disabled:opacity-50"
 							title={
-								isAdmin && !isAuthor
+								canModerate && !isAuthor
 									? "Admin: Delete comment"
 									: "Delete comment"
 							}
@@ -0,0 +1,59 @@
+import { useMemo } from "react";
+
+import { diffWords } from "../utils/textDiff";
+
+/**
+ * One side of a diff: the older side shows removed words, the newer side
+ * shows added words
+ * @param {Object} props
+ * @param {Array} props.parts - Output of diffWords
+ * @param {"removed"|"added"} props.side - Which changes to show
+ */
+function DiffSide({ parts, side }) {
+	return (
+		<div className="whitespace-pre-wrap break-words text-sm text-gray-800 bg-gray-50 border border-gray-200 rounded-lg p-3 min-h-[3rem]">
+			{parts.map((part, index) => {
+				if (part.type === "equal") {
+					return <span key={index}>{part.value}</span>;
+				}
+				if (part.type !== side) {
+					return null;
+				}
+				return side === "removed" ? (
+					<del key={index} className="bg-red-100 text-red-800 no-underline">
+						{part.value}
+					</del>
+				) : (
+					<ins key={index} className="bg-green-100 text-green-800 no-underline">
+						{part.value}
+					</ins>
+				);
+			})}
+		</div>
+	);
+}
+
+/**
+ * Side-by-side comparison of a field between two versions of a post
+ * @param {Object} props
+ * @param {string} props.label - Field name
+ * @param {string} props.before - Older value (plain text)
+ * @param {string} props.after - Newer value (plain text)
+ */
+function DiffRow({ label, before, after }) {
+	const parts = useMemo(() => diffWords(before, after), [before, after]);
+
+	return (
+		<div className="mb-4">
+			<h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">
+				{label}
+			</h3>
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+				<DiffSide parts={parts} side="removed" />
+				<DiffSide parts={parts} side="added" />
+			</div>
+		</div>
+	);
+}
+
+export default DiffRow;
@@ -2,12 +2,26 @@ import { Editor } from "@tinymce/tinymce-react";
 import { useRef, useState } from "react";
 
 import { useAuth } from "../contexts/useAuth";
+import { suggestEdit } from "../services/api";
 
-const EditAnswerForm = ({ answer, onCancel, onSuccess, initialContent }) => {
+const MAX_EDIT_SUMMARY_LENGTH = 300;
+
+/**
+ * Inline answer editor. With `suggest`, the edit is sent to the answer's
+ * author for review instead of being saved.
+ */
+const EditAnswerForm = ({
+	answer,
+	onCancel,
+	onSuccess,
+	initialContent,
+	suggest = false,
+}) => {
 	const { token } = useAuth();
 	const editorRef = useRef(null);
 	const [loading, setLoading] = useState(false);
 	const [error, setError] = useState("");
+	const [editSummary, setEditSummary] = useState("");
 
 	const handleSubmit = async () => {
 		if (!editorRef.current) return;
@@ -23,13 +37,27 @@ const EditAnswerForm = ({ answer, onCancel, onSuccess, initialContent }) => {
 		setError("");
 
 		try {
+			if (suggest) {
+				const suggestion = await suggestEdit(
+					"answer",
+					answer.id,
+					{ content, editSummary: editSummary.trim() || undefined },
+					token,
+				);
+				onSuccess(suggestion);
+				return;
+			}
+
 			const response = await fetch(`/api/answers/${answer.id}`, {
 				method: "PUT",
 				headers: {
 					"Content-Type": "application/json",
 					Authorization: `Bearer ${token}`,
 				},
-				body: JSON.stringify({ content }),
+				body: JSON.stringify({
+					content,
+					editSummary: editSummary.trim() || undefined,
+				}),
 			});
 
 			if (!response.ok) {
@@ -40,7 +68,10 @@ const EditAnswerForm = ({ answer, onCancel, onSuccess, initialContent }) => {
 			const updatedAnswer = await response.json();
 			onSuccess(updatedAnswer);
 		} catch (err) {
-			console.error("Error updating answer:", err);
+			console.error(
+				suggest ? "Error suggesting edit:" : "Error updating answer:",
+				err,
+			);
 			setError(err.message || "Failed to update answer. Please try again.");
 		} finally {
 			setLoading(false);
@@ -61,7 +92,7 @@ const EditAnswerForm = ({ answer, onCancel, onSuccess, initialContent }) => {
 						{answer.author_name || "Anonymous"}
 					</p>
 					<p className="text-xs text-gray-500 uppercase tracking-wide">
-						Editing Mode
+						{suggest ? "Suggesting an Edit" : "Editing Mode"}
 					</p>
 				</div>
 			</div>
@@ -113,6 +144,17 @@ const EditAnswerForm = ({ answer, onCancel, onSuccess, initialContent }) => {
 				/>
 			</div>
 
+			{/* Edit Summary */}
+			<input
+				type="text"
+				aria-label="Edit summary"
+				value={editSummary}
+				maxLength={MAX_EDIT_SUMMARY_LENGTH}
+				onChange={(e) => setEditSummary(e.target.value)}
+				placeholder="Edit summary (optional)"
+				className="w-full mt-4 px-4 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#281d80] focus:border-transparent outline-none transition-all"
+			/>
+
 			{/* Buttons */}
 			<div className="flex justify-end gap-3 mt-4">
 				<button
@@ -132,6 +174,8 @@ const EditAnswerForm = ({ answer, onCancel, onSuccess, initialContent }) => {
 							<span className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
 							Saving...
 						</>
+					) : suggest ? (
+						"Submit for Review"
 					) : (
 						"Save Changes"
 					)}
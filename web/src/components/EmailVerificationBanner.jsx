@@ -0,0 +1,53 @@
+import { useState } from "react";
+
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import { resendVerificationEmail } from "../services/api";
+
+/**
+ * Reminds a logged-in user to verify their email, with a resend button
+ */
+function EmailVerificationBanner() {
+	const { isLoggedIn, user, token } = useAuth();
+	const { showError, showSuccess } = useToast();
+	const [sending, setSending] = useState(false);
+
+	// Sessions saved before the flag was added to the user object don't have
+	// it, so only show the banner when we know the user is unverified
+	if (!isLoggedIn || user?.is_email_verified !== false) {
+		return null;
+	}
+
+	const handleResend = async () => {
+		setSending(true);
+		try {
+			const response = await resendVerificationEmail(token);
+			showSuccess(response.message);
+		} catch (err) {
+			showError(err.message);
+		} finally {
+			setSending(false);
+		}
+	};
+
+	return (
+		<div className="bg-yellow-50 border-b border-yellow-300 text-yellow-800 text-sm">
+			<div className="max-w-7xl mx-auto px-4 py-2 flex flex-wrap items-center justify-center gap-x-3 gap-y-1">
+				<span>
+					Please verify your email address. Check {user.email} for the
+					verification link.
+				</span>
+				<button
+					type="button"
+					onClick={handleResend}
+					disabled={sending}
+					className="font-semibold text-[#281d80] hover:underline cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+				>
+					{sending ? "Sending..." : "Resend email"}
+				</button>
+			</div>
+		</div>
+	);
+}
+
+export default EmailVerificationBanner;
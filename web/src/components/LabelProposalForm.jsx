@@ -0,0 +1,144 @@
+import { useEffect, useRef, useState } from "react";
+import { useLocation } from "react-router-dom";
+
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import { getMyLabelProposals, proposeLabel } from "../services/api";
+
+const STATUS_STYLES = {
+	pending: "bg-yellow-100 text-yellow-800",
+	approved: "bg-green-100 text-green-800",
+	rejected: "bg-red-100 text-red-800",
+};
+
+/**
+ * Lets a logged-in user propose a new tag for moderators to review, and shows
+ * what happened to the tags they proposed before
+ */
+function LabelProposalForm() {
+	const { isLoggedIn, token } = useAuth();
+	const { showError, showSuccess } = useToast();
+	const location = useLocation();
+	const sectionRef = useRef(null);
+	const [name, setName] = useState("");
+	const [description, setDescription] = useState("");
+	const [submitting, setSubmitting] = useState(false);
+	const [proposals, setProposals] = useState([]);
+
+	useEffect(() => {
+		if (!isLoggedIn || !token) return;
+
+		getMyLabelProposals(token)
+			.then(setProposals)
+			.catch(() => {
+				// Silently fail - the form still works without the history
+			});
+	}, [isLoggedIn, token]);
+
+	// The ask page links here as /labels#propose
+	useEffect(() => {
+		if (location.hash === "#propose") {
+			sectionRef.current?.scrollIntoView({ behavior: "smooth" });
+		}
+	}, [location.hash, isLoggedIn]);
+
+	if (!isLoggedIn) {
+		return null;
+	}
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		if (!name.trim()) return;
+
+		setSubmitting(true);
+		try {
+			const proposal = await proposeLabel(
+				{ name: name.trim(), description: description.trim() || undefined },
+				token,
+			);
+			setProposals((prev) => [...prev, proposal]);
+			setName("");
+			setDescription("");
+			showSuccess("Thanks! A moderator will review your tag.");
+		} catch (err) {
+			showError(err.message);
+		} finally {
+			setSubmitting(false);
+		}
+	};
+
+	return (
+		<section
+			id="propose"
+			ref={sectionRef}
+			className="mt-8 pt-6 border-t border-gray-200 scroll-mt-4"
+		>
+			<h2 className="text-lg font-bold text-gray-900 mb-1">Propose a tag</h2>
+			<p className="text-sm text-gray-600 mb-4">
+				Missing a topic? Suggest a new tag and a moderator will review it. Check
+				the list above first - tags like &quot;js&quot; already point to
+				JavaScript.
+			</p>
+			<form onSubmit={handleSubmit} className="space-y-3 max-w-xl">
+				<input
+					type="text"
+					value={name}
+					onChange={(e) => setName(e.target.value)}
+					placeholder="Tag name"
+					aria-label="Tag name"
+					maxLength={100}
+					required
+					className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#281d80]"
+				/>
+				<textarea
+					value={description}
+					onChange={(e) => setDescription(e.target.value)}
+					placeholder="What would this tag be used for? (optional)"
+					aria-label="Tag description"
+					maxLength={500}
+					rows={2}
+					className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#281d80]"
+				/>
+				<button
+					type="submit"
+					disabled={submitting || !name.trim()}
+					className="bg-[#281d80] text-white px-4 py-2 rounded-lg text-sm font-semibold hover:bg-[#1f1566] cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+				>
+					{submitting ? "Sending..." : "Propose tag"}
+				</button>
+			</form>
+
+			{proposals.length > 0 && (
+				<div className="mt-6">
+					<h3 className="text-sm font-semibold text-gray-700 mb-2">
+						Your proposals
+					</h3>
+					<ul className="space-y-2">
+						{proposals.map((proposal) => (
+							<li
+								key={proposal.id}
+								className="flex flex-wrap items-center gap-2 text-sm"
+							>
+								<span className="font-medium text-gray-900">
+									{proposal.name}
+								</span>
+								<span
+									className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[proposal.status]}`}
+								>
+									{proposal.status}
+								</span>
+								{proposal.reject_reason && (
+									<span className="text-gray-500">
+										{proposal.reject_reason}
+									</span>
+								)}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+		</section>
+	);
+}
+
+export default LabelProposalForm;
@@ -12,7 +12,7 @@ function Navbar() {
 	const [isMenuOpen, setIsMenuOpen] = useState(false);
 	const navigate = useNavigate();
 	const location = useLocation();
-	const { isLoggedIn, user, logout } = useAuth();
+	const { isLoggedIn, user, logout, hasPermission } = useAuth();
 	const { searchTerm, setSearchTerm } = useSearch();
 	const { selectedLabel } = useLabelFilter();
 
@@ -62,7 +62,7 @@ function Navbar() {
 						{isLoggedIn ? (
 							<>
 								<NotificationBell />
-								{user?.is_admin && (
+								{hasPermission("view_admin_dashboard") && (
 									<Link
 										to="/admin"
 										className="text-sm font-semibold text-[#281d80] hover:text-[#1f1566] transition-colors px-3 py-1.5 rounded-lg hover:bg-purple-50"
@@ -226,7 +226,43 @@ function Navbar() {
 											<span>💬</span>
 											<span>My Responses</span>
 										</Link>
-										{user?.is_admin && (
+										<Link
+											to="/following"
+											onClick={() => setIsMenuOpen(false)}
+											className={`flex items-center gap-3 px-4 py-3 rounded-lg transition-colors text-base font-medium cursor-pointer ${
+												location.pathname === "/following"
+													? "bg-blue-50 text-blue-700"
+													: "text-gray-700 hover:bg-blue-50 hover:text-blue-700"
+											}`}
+										>
+											<span>🔔</span>
+											<span>Following</span>
+										</Link>
+										<Link
+											to="/review"
+											onClick={() => setIsMenuOpen(false)}
+											className={`flex items-center gap-3 px-4 py-3 rounded-lg transition-colors text-base font-medium cursor-pointer ${
+												location.pathname === "/review"
+													? "bg-blue-50 text-blue-700"
+													: "text-gray-700 hover:bg-blue-50 hover:text-blue-700"
+											}`}
+										>
+											<span>📝</span>
+											<span>Suggested Edits</span>
+										</Link>
+										<Link
+											to="/privileges"
+											onClick={() => setIsMenuOpen(false)}
+											className={`flex items-center gap-3 px-4 py-3 rounded-lg transition-colors text-base font-medium cursor-pointer ${
+												location.pathname === "/privileges"
+													? "bg-blue-50 text-blue-700"
+													: "text-gray-700 hover:bg-blue-50 hover:text-blue-700"
+											}`}
+										>
+											<span>🏅</span>
+											<span>Privileges</span>
+										</Link>
+										{hasPermission("view_admin_dashboard") && (
 											<Link
 												to="/admin"
 												onClick={() => setIsMenuOpen(false)}
@@ -215,6 +215,19 @@ function NotificationDropdown({ onClose }) {
 					</div>
 				)}
 			</div>
+
+			{/* Footer */}
+			<div className="p-3 border-t border-gray-200 text-center">
+				<button
+					onClick={() => {
+						navigateRef.current("/settings/notifications");
+						onClose();
+					}}
+					className="text-sm text-[#281d80] hover:text-[#1f1566] font-medium cursor-pointer"
+				>
+					Notification settings
+				</button>
+			</div>
 		</div>
 	);
 }
@@ -1,5 +1,204 @@
-function QuestionList() {
-	return null;
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+
+import { useAuth } from "../contexts/useAuth";
+import { getUserQuestionVotes } from "../services/api";
+import {
+	getFirstLinePreview,
+	highlightSearchTerm,
+	capitalizeTitle,
+	renderSearchHighlight,
+} from "../utils/questionUtils.jsx";
+
+import LabelBadge from "./LabelBadge";
+import QuestionVoteControls from "./QuestionVoteControls";
+import UserLink from "./UserLink";
+
+/**
+ * List of question cards with vote controls
+ * @param {Object} props
+ * @param {Array} props.questions - Questions to display (search results may
+ *   carry `title_highlight` / `snippet` from the search API)
+ * @param {string} [props.searchTerm] - Search term to highlight
+ * @param {Function} props.onQuestionClick - Called with the question when a card is opened
+ * @param {Function} [props.onLabelClick] - Called with the label when a badge is clicked
+ */
+function QuestionList({
+	questions,
+	searchTerm = "",
+	onQuestionClick,
+	onLabelClick,
+}) {
+	const { isLoggedIn, token } = useAuth();
+	const [userVotes, setUserVotes] = useState({});
+
+	const questionIdsKey = questions.map((q) => q.id).join(",");
+
+	// Fetch the current user's votes for the visible questions in one request
+	useEffect(() => {
+		if (!isLoggedIn || !token || !questionIdsKey) {
+			return;
+		}
+
+		let cancelled = false;
+		getUserQuestionVotes(questionIdsKey.split(",").map(Number), token)
+			.then((votes) => {
+				if (!cancelled) setUserVotes(votes || {});
+			})
+			.catch(() => {
+				// Silently fail - votes are non-critical for the list
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [isLoggedIn, token, questionIdsKey]);
+
+	return (
+		<div className="space-y-4">
+			{questions.map((question) => (
+				<div
+					key={question.id}
+					role="button"
+					tabIndex={0}
+					className="border border-gray-200 rounded-lg p-3 md:p-4 hover:shadow-md transition-shadow cursor-pointer focus:outline-none focus:ring-2 focus:ring-[#281d80] focus:ring-opacity-50"
+					onClick={() => onQuestionClick(question)}
+					onKeyDown={(e) => {
+						// Ignore key presses on nested controls (vote buttons, labels)
+						if (e.target !== e.currentTarget) return;
+						if (e.key === "Enter" || e.key === " ") {
+							e.preventDefault();
+							onQuestionClick(question);
+						}
+					}}
+				>
+					<div className="flex gap-3 md:gap-4">
+						<div className="shrink-0">
+							<QuestionVoteControls
+								questionId={question.id}
+								questionAuthorId={question.user_id}
+								score={question.score}
+								userVote={(isLoggedIn && userVotes[question.id]) || null}
+								compact
+							/>
+						</div>
+
+						<div className="flex-1 min-w-0">
+							<div className="flex flex-col sm:flex-row justify-between items-start gap-2">
+								<div className="flex flex-wrap items-center gap-2 sm:gap-3 flex-1">
+									<h3 className="font-semibold text-base sm:text-lg text-gray-900 mb-1 sm:mb-2">
+										{question.title_highlight
+											? renderSearchHighlight(
+													question.title_highlight,
+													capitalizeTitle,
+												)
+											: searchTerm
+												? highlightSearchTerm(
+														capitalizeTitle(question.title),
+														searchTerm,
+													)
+												: capitalizeTitle(question.title)}
+									</h3>
+									{question.is_solved && (
+										<span className="flex items-center gap-1 px-2 py-1 bg-blue-100 text-blue-800 text-xs font-semibold rounded-full whitespace-nowrap mb-2">
+											<svg
+												className="w-3 h-3"
+												fill="currentColor"
+												viewBox="0 0 20 20"
+											>
+												<path
+													fillRule="evenodd"
+													d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
+													clipRule="evenodd"
+												/>
+											</svg>
+											Solved
+										</span>
+									)}
+									{question.answer_count > 0 && (
+										<span className="flex items-center gap-1 px-2 py-1 bg-green-100 text-green-800 text-xs font-semibold rounded-full whitespace-nowrap mb-2">
+											<svg
+												className="w-3 h-3"
+												fill="currentColor"
+												viewBox="0 0 20 20"
+											>
+												<path
+													fillRule="evenodd"
+													d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z"
+													clipRule="evenodd"
+												/>
+											</svg>
+											{question.answer_count}{" "}
+											{question.answer_count === 1 ? "Answer" : "Answers"}
+										</span>
+									)}
+								</div>
+							</div>
+
+							<p className="text-sm sm:text-base text-gray-600 line-clamp-2">
+								{question.snippet?.trim()
+									? renderSearchHighlight(question.snippet)
+									: searchTerm
+										? highlightSearchTerm(
+												getFirstLinePreview(question.body || question.content),
+												searchTerm,
+											)
+										: getFirstLinePreview(question.body || question.content)}
+							</p>
+							{question.matched_in && (
+								<Link
+									to={`/questions/${question.slug || question.id}#${question.matched_in.type}-${question.matched_in.id}`}
+									onClick={(e) => e.stopPropagation()}
+									className="block mt-2 pl-3 border-l-2 border-[#281d80]/40 text-xs sm:text-sm text-gray-600 hover:text-gray-900"
+								>
+									<span className="font-semibold text-[#281d80]">
+										Matched in{" "}
+										{question.matched_in.type === "answer"
+											? "an answer"
+											: "a comment"}
+										:
+									</span>{" "}
+									{renderSearchHighlight(question.matched_in.snippet)}
+								</Link>
+							)}
+							{question.labels && question.labels.length > 0 && (
+								<div className="flex flex-wrap gap-2 mt-2 sm:mt-3">
+									{question.labels.map((label) => (
+										<LabelBadge
+											key={label.id}
+											label={label}
+											onClick={onLabelClick}
+										/>
+									))}
+								</div>
+							)}
+							<div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-1 sm:gap-0 mt-2 sm:mt-3 text-xs sm:text-sm text-gray-500">
+								<span>
+									Asked by{" "}
+									<UserLink
+										userId={question.user_id}
+										userName={question.author_name || question.author?.name}
+										role={question.author_role}
+									/>
+								</span>
+								<span>
+									{question.view_count ?? 0}{" "}
+									{question.view_count === 1 ? "view" : "views"} •{" "}
+									{new Date(question.created_at).toLocaleDateString("en-US", {
+										year: "numeric",
+										month: "short",
+										day: "numeric",
+										hour: "2-digit",
+										minute: "2-digit",
+									})}
+								</span>
+							</div>
+						</div>
+					</div>
+				</div>
+			))}
+		</div>
+	);
 }
 
 export default QuestionList;
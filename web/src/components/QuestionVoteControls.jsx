@@ -0,0 +1,153 @@
+import { useState, useEffect } from "react";
+import { FaArrowUp, FaArrowDown } from "react-icons/fa";
+
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import { voteOnQuestion } from "../services/api";
+import { getUserFriendlyError, isOnline } from "../utils/errorMessages";
+
+/**
+ * Upvote / downvote controls for a question
+ * @param {Object} props
+ * @param {number} props.questionId - Question ID
+ * @param {number} props.questionAuthorId - Author of the question (cannot vote on own question)
+ * @param {number} [props.score] - Current score (upvotes minus downvotes)
+ * @param {string|null} [props.userVote] - Current user's vote ('upvote', 'downvote' or null)
+ * @param {boolean} [props.compact] - Smaller variant for question lists
+ * @param {boolean} [props.disabled] - Disable voting (e.g. deleted question)
+ */
+function QuestionVoteControls({
+	questionId,
+	questionAuthorId,
+	score = 0,
+	userVote = null,
+	compact = false,
+	disabled = false,
+}) {
+	const { isLoggedIn, user, token } = useAuth();
+	const { showError: showToastError } = useToast();
+	const [currentScore, setCurrentScore] = useState(score || 0);
+	const [currentVote, setCurrentVote] = useState(userVote);
+	const [isVoting, setIsVoting] = useState(false);
+
+	const isAuthor =
+		isLoggedIn && user && Number(user.id) === Number(questionAuthorId);
+	const isDisabled = disabled || isVoting || isAuthor || !isLoggedIn;
+
+	// Keep in sync when the parent refetches the question or the user's votes
+	useEffect(() => {
+		setCurrentScore(score || 0);
+	}, [score]);
+
+	useEffect(() => {
+		setCurrentVote(userVote);
+	}, [userVote]);
+
+	const handleVote = async (e, voteType) => {
+		if (e) {
+			e.preventDefault();
+			e.stopPropagation();
+		}
+
+		if (!isLoggedIn || !token) {
+			showToastError("Please log in to vote");
+			return;
+		}
+
+		if (isAuthor) {
+			showToastError("You cannot vote on your own question");
+			return;
+		}
+
+		if (!isOnline()) {
+			showToastError(
+				"No internet connection. Please check your connection and try again.",
+			);
+			return;
+		}
+
+		setIsVoting(true);
+
+		const previousVote = currentVote;
+		const previousScore = currentScore;
+		const voteValue = (type) =>
+			type === "upvote" ? 1 : type === "downvote" ? -1 : 0;
+
+		// Optimistic update: toggle off, new vote, or switch vote type
+		const nextVote = previousVote === voteType ? null : voteType;
+		setCurrentVote(nextVote);
+		setCurrentScore(
+			previousScore - voteValue(previousVote) + voteValue(nextVote),
+		);
+
+		try {
+			const result = await voteOnQuestion(questionId, voteType, token);
+			setCurrentScore(result.score);
+			setCurrentVote(result.user_vote);
+		} catch (err) {
+			const friendlyError = getUserFriendlyError(
+				err,
+				"Failed to vote. Please try again.",
+			);
+			showToastError(friendlyError);
+			// Revert optimistic update on error
+			setCurrentVote(previousVote);
+			setCurrentScore(previousScore);
+		} finally {
+			setIsVoting(false);
+		}
+	};
+
+	const buttonSize = compact ? "w-7 h-7" : "w-8 h-8 sm:w-10 sm:h-10";
+	const iconSize = compact ? "w-3 h-3" : "w-4 h-4";
+	const ownTitle = "You cannot vote on your own question";
+
+	return (
+		<div className="flex flex-col items-center gap-1">
+			<button
+				type="button"
+				onClick={(e) => handleVote(e, "upvote")}
+				disabled={isDisabled}
+				className={`
+					flex items-center justify-center ${buttonSize} rounded border-2 transition-all
+					${
+						currentVote === "upvote"
+							? "bg-[#281d80] border-[#281d80] text-white"
+							: "bg-white border-gray-300 text-gray-600 hover:border-[#281d80] hover:text-[#281d80]"
+					}
+					${isDisabled ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}
+				`}
+				title={isAuthor ? ownTitle : "This question is useful"}
+				aria-label="Upvote question"
+			>
+				<FaArrowUp className={iconSize} />
+			</button>
+			<div
+				className={`${compact ? "text-sm" : "text-sm sm:text-base"} font-semibold text-gray-700 min-w-8 text-center`}
+				aria-label="Question score"
+			>
+				{currentScore}
+			</div>
+			<button
+				type="button"
+				onClick={(e) => handleVote(e, "downvote")}
+				disabled={isDisabled}
+				className={`
+					flex items-center justify-center ${buttonSize} rounded border-2 transition-all
+					${
+						currentVote === "downvote"
+							? "bg-red-600 border-red-600 text-white"
+							: "bg-white border-gray-300 text-gray-600 hover:border-red-600 hover:text-red-600"
+					}
+					${isDisabled ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}
+				`}
+				title={isAuthor ? ownTitle : "This question is not useful"}
+				aria-label="Downvote question"
+			>
+				<FaArrowDown className={iconSize} />
+			</button>
+		</div>
+	);
+}
+
+export default QuestionVoteControls;
@@ -0,0 +1,127 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+
+import { getReputationHistory } from "../services/api";
+import { capitalizeTitle } from "../utils/questionUtils.jsx";
+
+import PaginationControls from "./PaginationControls";
+import UserLink from "./UserLink";
+
+const EVENT_LABELS = {
+	question_upvote: ["Question upvoted", "Question upvote removed"],
+	question_downvote: ["Question downvoted", "Question downvote removed"],
+	answer_upvote: ["Answer upvoted", "Answer upvote removed"],
+	answer_downvote: ["Answer downvoted", "Answer downvote removed"],
+	answer_accepted: ["Answer accepted", "Answer unaccepted"],
+	suggested_edit_approved: ["Suggested edit approved", "Suggested edit undone"],
+	adjustment: ["Reputation adjusted", "Reputation adjusted"],
+};
+
+/**
+ * Why a user's reputation changed, newest first
+ * @param {Object} props
+ * @param {number|string} props.userId - User whose history to show
+ */
+function ReputationTimeline({ userId }) {
+	const [page, setPage] = useState(1);
+	const [history, setHistory] = useState(null);
+	const [error, setError] = useState("");
+
+	useEffect(() => {
+		let cancelled = false;
+		getReputationHistory(userId, page)
+			.then((data) => {
+				if (!cancelled) {
+					setHistory(data);
+					setError("");
+				}
+			})
+			.catch((err) => {
+				if (!cancelled) {
+					setError(err.message || "Failed to load reputation history");
+				}
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [userId, page]);
+
+	if (error) {
+		return <p className="text-red-500 text-sm">{error}</p>;
+	}
+	if (!history) {
+		return <p className="text-sm text-gray-500">Loading reputation...</p>;
+	}
+	if (history.events.length === 0) {
+		return <p className="text-sm text-gray-500">No reputation changes yet.</p>;
+	}
+
+	return (
+		<>
+			<ol className="divide-y divide-gray-100">
+				{history.events.map((event) => {
+					const [label, reversedLabel] = EVENT_LABELS[event.event_type] || [
+						event.event_type,
+						event.event_type,
+					];
+					const questionLink =
+						event.question_id &&
+						`/questions/${event.question_slug || event.question_id}`;
+
+					return (
+						<li key={event.id} className="flex items-start gap-3 py-2">
+							<span
+								className={`w-12 shrink-0 text-right font-semibold ${
+									event.points >= 0 ? "text-green-600" : "text-red-600"
+								}`}
+							>
+								{event.points > 0 ? `+${event.points}` : event.points}
+							</span>
+							<div className="flex-1 min-w-0 text-sm">
+								<div className="text-gray-900">
+									{event.reversal ? reversedLabel : label}
+									{event.actor_name && (
+										<>
+											{" by "}
+											<UserLink
+												userId={event.actor_id}
+												userName={event.actor_name}
+											/>
+										</>
+									)}
+								</div>
+								{event.question_title && (
+									<Link
+										to={
+											event.answer_id
+												? `${questionLink}#answer-${event.answer_id}`
+												: questionLink
+										}
+										className="text-[#281d80] hover:underline line-clamp-1"
+									>
+										{capitalizeTitle(event.question_title)}
+									</Link>
+								)}
+							</div>
+							<span className="shrink-0 text-xs text-gray-500">
+								{new Date(event.created_at).toLocaleDateString("en-US", {
+									year: "numeric",
+									month: "short",
+									day: "numeric",
+								})}
+							</span>
+						</li>
+					);
+				})}
+			</ol>
+			<PaginationControls
+				currentPage={history.pagination.currentPage}
+				totalPages={history.pagination.totalPages}
+				onPageChange={setPage}
+				className="mt-4"
+			/>
+		</>
+	);
+}
+
+export default ReputationTimeline;
@@ -0,0 +1,29 @@
+const ROLE_STYLES = {
+	admin: "bg-[#281d80] text-white",
+	moderator: "bg-purple-100 text-purple-800",
+	mentor: "bg-green-100 text-green-800",
+};
+
+/**
+ * Small badge marking a staff member's role. Trainees (everyone else) get
+ * no badge.
+ * @param {Object} props
+ * @param {string} [props.role] - admin, moderator, mentor or trainee
+ * @param {string} [props.className] - Additional CSS classes
+ */
+function RoleBadge({ role, className = "" }) {
+	if (!ROLE_STYLES[role]) {
+		return null;
+	}
+
+	return (
+		<span
+			className={`inline-flex items-center px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wide align-middle ${ROLE_STYLES[role]} ${className}`}
+			title={`${role.charAt(0).toUpperCase()}${role.slice(1)}`}
+		>
+			{role}
+		</span>
+	);
+}
+
+export default RoleBadge;
@@ -1,7 +1,16 @@
 import { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
 
+import { searchQuestions } from "../services/api";
+import {
+	capitalizeTitle,
+	renderSearchHighlight,
+} from "../utils/questionUtils.jsx";
 import { getSearchHistory, addToSearchHistory } from "../utils/searchHistory";
 
+const MIN_MATCH_QUERY_LENGTH = 2;
+const MATCH_DEBOUNCE_MS = 300;
+
 function SearchBar({
 	searchTerm = "",
 	onSearch,
@@ -11,8 +20,37 @@ function SearchBar({
 }) {
 	const [showHistoryDropdown, setShowHistoryDropdown] = useState(false);
 	const [history, setHistory] = useState([]);
+	// Top matches for the term they were fetched for, so stale results are never shown
+	const [topMatches, setTopMatches] = useState({ term: "", questions: [] });
 	const searchInputRef = useRef(null);
 	const dropdownRef = useRef(null);
+	const navigate = useNavigate();
+
+	const trimmedTerm = (searchTerm || "").trim();
+
+	// Debounced "top matches" preview with highlighted snippets
+	useEffect(() => {
+		if (trimmedTerm.length < MIN_MATCH_QUERY_LENGTH) return;
+
+		const controller = new AbortController();
+		const timer = setTimeout(() => {
+			searchQuestions(trimmedTerm, { limit: 5, signal: controller.signal })
+				.then((questions) =>
+					setTopMatches({
+						term: trimmedTerm,
+						questions: Array.isArray(questions) ? questions : [],
+					}),
+				)
+				.catch(() => {
+					// Silently fail - the preview is non-critical
+				});
+		}, MATCH_DEBOUNCE_MS);
+
+		return () => {
+			clearTimeout(timer);
+			controller.abort();
+		};
+	}, [trimmedTerm]);
 
 	useEffect(() => {
 		if (showHistory) {
@@ -43,7 +81,7 @@ function SearchBar({
 		if (onSearch) {
 			onSearch(value);
 		}
-		if (showHistory && value.trim()) {
+		if (value.trim()) {
 			setShowHistoryDropdown(true);
 		} else {
 			setShowHistoryDropdown(false);
@@ -51,7 +89,7 @@ function SearchBar({
 	};
 
 	const handleFocus = () => {
-		if (showHistory && history.length > 0) {
+		if ((showHistory && history.length > 0) || trimmedTerm) {
 			setShowHistoryDropdown(true);
 		}
 	};
@@ -74,6 +112,12 @@ function SearchBar({
 		}
 	};
 
+	const handleMatchClick = (question) => {
+		addToSearchHistory(trimmedTerm);
+		setShowHistoryDropdown(false);
+		navigate(`/questions/${question.slug || question.id}`);
+	};
+
 	const handleKeyDown = (e) => {
 		if (e.key === "Enter" && searchTerm.trim()) {
 			addToSearchHistory(searchTerm.trim());
@@ -94,6 +138,12 @@ function SearchBar({
 			)
 		: [];
 
+	const matches =
+		topMatches.term === trimmedTerm &&
+		trimmedTerm.length >= MIN_MATCH_QUERY_LENGTH
+			? topMatches.questions
+			: [];
+
 	return (
 		<div className="flex-1 relative">
 			<div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none z-10">
@@ -143,26 +193,58 @@ function SearchBar({
 					</svg>
 				</button>
 			)}
-			{showHistory && showHistoryDropdown && filteredHistory.length > 0 && (
-				<div
-					ref={dropdownRef}
-					className="absolute z-50 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto"
-				>
-					<div className="px-3 py-2 text-xs font-semibold text-gray-500 uppercase border-b border-gray-200">
-						Recent Searches
+			{showHistoryDropdown &&
+				(matches.length > 0 || filteredHistory.length > 0) && (
+					<div
+						ref={dropdownRef}
+						className="absolute z-50 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-96 overflow-y-auto"
+					>
+						{matches.length > 0 && (
+							<>
+								<div className="px-3 py-2 text-xs font-semibold text-gray-500 uppercase border-b border-gray-200">
+									Top Matches
+								</div>
+								{matches.map((question) => (
+									<button
+										key={question.id}
+										type="button"
+										onClick={() => handleMatchClick(question)}
+										className="w-full text-left px-4 py-2 hover:bg-gray-50 transition-colors cursor-pointer border-b border-gray-100 last:border-b-0"
+									>
+										<span className="block text-sm font-semibold text-gray-900 truncate">
+											{renderSearchHighlight(
+												question.title_highlight || question.title,
+												capitalizeTitle,
+											)}
+										</span>
+										{question.snippet?.trim() && (
+											<span className="block text-xs text-gray-600 line-clamp-2">
+												{renderSearchHighlight(question.snippet)}
+											</span>
+										)}
+									</button>
+								))}
+							</>
+						)}
+						{filteredHistory.length > 0 && (
+							<>
+								<div className="px-3 py-2 text-xs font-semibold text-gray-500 uppercase border-b border-gray-200">
+									Recent Searches
+								</div>
+								{filteredHistory.map((term, index) => (
+									<button
+										key={index}
+										type="button"
+										onClick={() => handleHistoryClick(term)}
+										className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+									>
+										{term}
+									</button>
+								))}
+							</>
+						)}
 					</div>
-					{filteredHistory.map((term, index) => (
-						<button
-							key={index}
-							type="button"
-							onClick={() => handleHistoryClick(term)}
-							className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
-						>
-							{term}
-						</button>
-					))}
-				</div>
-			)}
+				)}
 		</div>
 	);
 }
@@ -80,6 +80,45 @@ function Sidebar() {
 										<span className="font-medium">My Responses</span>
 									</button>
 								</li>
+								<li>
+									<button
+										onClick={() => handleNavigation("/following")}
+										className={`w-full text-left px-3 md:px-4 py-2 md:py-3 rounded-lg transition-colors flex items-center gap-2 md:gap-3 cursor-pointer text-sm md:text-base ${
+											isActive("/following")
+												? "bg-blue-50 text-blue-700 font-semibold"
+												: "text-gray-700 hover:bg-blue-50 hover:text-blue-700"
+										}`}
+									>
+										<span>🔔</span>
+										<span className="font-medium">Following</span>
+									</button>
+								</li>
+								<li>
+									<button
+										onClick={() => handleNavigation("/review")}
+										className={`w-full text-left px-3 md:px-4 py-2 md:py-3 rounded-lg transition-colors flex items-center gap-2 md:gap-3 cursor-pointer text-sm md:text-base ${
+											isActive("/review")
+												? "bg-blue-50 text-blue-700 font-semibold"
+												: "text-gray-700 hover:bg-blue-50 hover:text-blue-700"
+										}`}
+									>
+										<span>📝</span>
+										<span className="font-medium">Suggested Edits</span>
+									</button>
+								</li>
+								<li>
+									<button
+										onClick={() => handleNavigation("/privileges")}
+										className={`w-full text-left px-3 md:px-4 py-2 md:py-3 rounded-lg transition-colors flex items-center gap-2 md:gap-3 cursor-pointer text-sm md:text-base ${
+											isActive("/privileges")
+												? "bg-blue-50 text-blue-700 font-semibold"
+												: "text-gray-700 hover:bg-blue-50 hover:text-blue-700"
+										}`}
+									>
+										<span>🏅</span>
+										<span className="font-medium">Privileges</span>
+									</button>
+								</li>
 							</>
 						)}
 					</ul>
@@ -1,30 +1,45 @@
 import { Link } from "react-router-dom";
 
+import RoleBadge from "./RoleBadge";
+
 /**
  * Component to display a clickable user name that links to their profile
  * @param {Object} props
  * @param {string} props.userId - User ID
  * @param {string} props.userName - User name to display
+ * @param {string} [props.role] - The user's role, shown as a badge for staff
  * @param {string} [props.className] - Additional CSS classes
  * @param {boolean} [props.showAnonymous] - Whether to show "Anonymous" if no name
  */
-function UserLink({ userId, userName, className = "", showAnonymous = true }) {
+function UserLink({
+	userId,
+	userName,
+	role,
+	className = "",
+	showAnonymous = true,
+}) {
+	const badge = role && <RoleBadge role={role} className="ml-1" />;
+
 	if (!userId) {
 		return (
 			<span className={className}>
 				{userName || (showAnonymous ? "Anonymous" : "")}
+				{badge}
 			</span>
 		);
 	}
 
 	return (
-		<Link
-			to={`/users/${userId}`}
-			className={`hover:text-[#281d80] hover:underline transition-colors ${className}`}
-			onClick={(e) => e.stopPropagation()}
-		>
-			{userName || (showAnonymous ? "Anonymous" : "")}
-		</Link>
+		<>
+			<Link
+				to={`/users/${userId}`}
+				className={`hover:text-[#281d80] hover:underline transition-colors ${className}`}
+				onClick={(e) => e.stopPropagation()}
+			>
+				{userName || (showAnonymous ? "Anonymous" : "")}
+			</Link>
+			{badge}
+		</>
 	);
 }
 
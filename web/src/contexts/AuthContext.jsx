@@ -170,6 +170,13 @@ export function AuthProvider({ children }) {
 		[user, token],
 	);
 
+	// What the user's role lets them do, as sent at login. Role changes show
+	// up here after their next login; the API always checks the current role.
+	const hasPermission = useCallback(
+		(permission) => !!user?.permissions?.includes(permission),
+		[user],
+	);
+
 	const value = useMemo(
 		() => ({
 			login,
@@ -181,8 +188,18 @@ export function AuthProvider({ children }) {
 			token,
 			isRefreshing,
 			updateUser,
+			hasPermission,
 		}),
-		[isLoggedIn, user, token, isRefreshing, refreshTokenFn, logout, updateUser],
+		[
+			isLoggedIn,
+			user,
+			token,
+			isRefreshing,
+			refreshTokenFn,
+			logout,
+			updateUser,
+			hasPermission,
+		],
 	);
 
 	return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -1,13 +1,27 @@
 /* eslint-disable react-refresh/only-export-components */
-import { createContext, useContext, useState } from "react";
+import { createContext, useCallback, useContext, useState } from "react";
+
+import { resolveLabel } from "../services/api";
 
 const LabelFilterContext = createContext();
 
 export function LabelFilterProvider({ children }) {
 	const [selectedLabel, setSelectedLabel] = useState(null);
 
+	// Filter by a label typed as text; synonyms ("js") select the label they
+	// stand for. Resolves to the selected label, or null if nothing matched.
+	const selectLabelByName = useCallback(async (name) => {
+		const label = await resolveLabel(name);
+		if (label) {
+			setSelectedLabel({ id: label.id, name: label.name });
+		}
+		return label;
+	}, []);
+
 	return (
-		<LabelFilterContext.Provider value={{ selectedLabel, setSelectedLabel }}>
+		<LabelFilterContext.Provider
+			value={{ selectedLabel, setSelectedLabel, selectLabelByName }}
+		>
 			{children}
 		</LabelFilterContext.Provider>
 	);
@@ -17,7 +31,11 @@ export function useLabelFilter() {
 	const context = useContext(LabelFilterContext);
 	if (!context) {
 		// Return default values if context is not available (for pages that don't use it)
-		return { selectedLabel: null, setSelectedLabel: () => {} };
+		return {
+			selectedLabel: null,
+			setSelectedLabel: () => {},
+			selectLabelByName: async () => null,
+		};
 	}
 	return context;
 }
@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+
+import { useAuth } from "../contexts/useAuth";
+import { getPrivileges } from "../services/api";
+
+/**
+ * Hook to check the logged-in user's reputation privileges
+ * @returns {(name: string) => boolean} Whether the user has a privilege
+ *   (false until they have loaded, or when logged out)
+ */
+export const usePrivileges = () => {
+	const { isLoggedIn, token } = useAuth();
+	// Remember whose token the privileges were loaded for, so a new login
+	// doesn't see the previous user's privileges
+	const [granted, setGranted] = useState({ token: null, names: [] });
+
+	useEffect(() => {
+		if (!isLoggedIn || !token) {
+			return;
+		}
+
+		let cancelled = false;
+		getPrivileges(token)
+			.then((data) => {
+				if (!cancelled) {
+					setGranted({
+						token,
+						names: data.privileges
+							.filter((privilege) => privilege.granted)
+							.map((privilege) => privilege.name),
+					});
+				}
+			})
+			.catch((error) => {
+				console.error("Failed to load privileges:", error);
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [isLoggedIn, token]);
+
+	return (name) =>
+		isLoggedIn && granted.token === token && granted.names.includes(name);
+};
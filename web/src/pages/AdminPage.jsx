@@ -1,14 +1,29 @@
 import { useEffect, useState, useCallback, useRef } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 
+import RoleBadge from "../components/RoleBadge";
+import { useToast } from "../contexts/ToastContext";
 import { useAuth } from "../contexts/useAuth";
 import {
 	getAdminStats,
 	getAdminUsers,
 	adminSetUserActive,
 	adminDeleteUser,
+	adminSetUserRole,
 	getAdminContent,
 	adminDeleteContent,
+	adminArchiveStaleQuestions,
+	adminRecalculateReputation,
+	getAdminLabels,
+	adminCreateLabel,
+	adminUpdateLabel,
+	adminDeleteLabel,
+	adminMergeLabels,
+	adminAddLabelSynonym,
+	adminRemoveLabelSynonym,
+	getAdminLabelProposals,
+	adminApproveLabelProposal,
+	adminRejectLabelProposal,
 } from "../services/api";
 
 function StatCard({ label, value, color = "text-[#281d80]" }) {
@@ -76,8 +91,542 @@ function PaginationBar({ page, totalPages, onPrev, onNext }) {
 	);
 }
 
+// Most trusted first, matching the API
+const ROLES = ["admin", "moderator", "mentor", "trainee"];
+
+const EMPTY_LABEL_FORM = { name: "", slug: "", description: "", color: "" };
+
+/**
+ * Create, edit, retire, delete and merge labels, manage their synonyms and
+ * review labels proposed by users
+ * @param {Object} props
+ * @param {string} props.token - Auth token
+ * @param {Function} props.setConfirm - Shows (or, given null, hides) the
+ *   dashboard's confirmation modal
+ */
+function LabelManager({ token, setConfirm }) {
+	const { showSuccess } = useToast();
+	const [labels, setLabels] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState("");
+	const [newLabel, setNewLabel] = useState(EMPTY_LABEL_FORM);
+	const [editing, setEditing] = useState(null);
+	const [merging, setMerging] = useState(null);
+	const [addingSynonym, setAddingSynonym] = useState(null);
+	const [proposals, setProposals] = useState([]);
+	const [rejecting, setRejecting] = useState(null);
+
+	const fetchLabels = useCallback(() => {
+		if (!token) return;
+		getAdminLabels(token)
+			.then(setLabels)
+			.catch(() => setLabels([]))
+			.finally(() => setLoading(false));
+		getAdminLabelProposals(token)
+			.then(setProposals)
+			.catch(() => setProposals([]));
+	}, [token]);
+
+	useEffect(() => {
+		fetchLabels();
+	}, [fetchLabels]);
+
+	const run = async (action, successMessage) => {
+		setError("");
+		try {
+			await action();
+			showSuccess(successMessage);
+			fetchLabels();
+			return true;
+		} catch (err) {
+			setError(err.message);
+			return false;
+		}
+	};
+
+	const handleCreate = async (e) => {
+		e.preventDefault();
+		const created = await run(
+			() =>
+				adminCreateLabel(token, {
+					name: newLabel.name,
+					description: newLabel.description,
+					color: newLabel.color || null,
+				}),
+			`Label "${newLabel.name.trim()}" created`,
+		);
+		if (created) setNewLabel(EMPTY_LABEL_FORM);
+	};
+
+	const handleSave = async (e) => {
+		e.preventDefault();
+		const saved = await run(
+			() =>
+				adminUpdateLabel(token, editing.id, {
+					name: editing.name,
+					slug: editing.slug,
+					description: editing.description,
+					color: editing.color || null,
+				}),
+			`Label "${editing.name.trim()}" updated`,
+		);
+		if (saved) setEditing(null);
+	};
+
+	const handleToggleActive = (label) =>
+		run(
+			() => adminUpdateLabel(token, label.id, { isActive: !label.is_active }),
+			`Label "${label.name}" ${label.is_active ? "retired" : "restored"}`,
+		);
+
+	const handleDelete = (label) => {
+		setConfirm({
+			message: `Delete the label "${label.name}"? This cannot be undone.`,
+			onConfirm: () => {
+				setConfirm(null);
+				run(
+					() => adminDeleteLabel(token, label.id),
+					`Label "${label.name}" deleted`,
+				);
+			},
+		});
+	};
+
+	const handleMerge = (e) => {
+		e.preventDefault();
+		const source = labels.find((l) => l.id === merging.sourceId);
+		const target = labels.find((l) => l.id === Number(merging.targetId));
+		if (!source || !target) return;
+		setConfirm({
+			message: `Merge "${source.name}" into "${target.name}"? Its ${source.question_count} question${source.question_count === 1 ? "" : "s"} and watchers move to "${target.name}" and "${source.name}" becomes a synonym of it.`,
+			onConfirm: async () => {
+				setConfirm(null);
+				const merged = await run(
+					() => adminMergeLabels(token, source.id, target.id),
+					`Merged "${source.name}" into "${target.name}"`,
+				);
+				if (merged) setMerging(null);
+			},
+		});
+	};
+
+	const handleAddSynonym = async (e) => {
+		e.preventDefault();
+		const added = await run(
+			() =>
+				adminAddLabelSynonym(token, addingSynonym.labelId, addingSynonym.name),
+			`Synonym "${addingSynonym.name.trim()}" added`,
+		);
+		if (added) setAddingSynonym(null);
+	};
+
+	const handleRemoveSynonym = (label, synonym) =>
+		run(
+			() => adminRemoveLabelSynonym(token, label.id, synonym.id),
+			`"${synonym.name}" is no longer a synonym of "${label.name}"`,
+		);
+
+	const handleApprove = (proposal) =>
+		run(
+			() => adminApproveLabelProposal(token, proposal.id),
+			`Label "${proposal.name}" created`,
+		);
+
+	const handleReject = async (e) => {
+		e.preventDefault();
+		const rejected = await run(
+			() => adminRejectLabelProposal(token, rejecting.id, rejecting.reason),
+			"Proposal rejected",
+		);
+		if (rejected) setRejecting(null);
+	};
+
+	const inputClass =
+		"border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#281d80] min-w-0";
+	const smallButtonClass =
+		"text-xs font-medium px-2.5 py-1 rounded-lg border transition-colors cursor-pointer";
+
+	return (
+		<div className="bg-white rounded-xl shadow-sm border border-gray-200 mt-6 sm:mt-8">
+			<div className="px-4 sm:px-5 py-4 border-b border-gray-100 flex flex-col gap-3">
+				<h2 className="text-base sm:text-lg font-semibold text-gray-800">
+					Labels{" "}
+					{labels.length > 0 && (
+						<span className="text-sm text-gray-400 font-normal">
+							({labels.length} total)
+						</span>
+					)}
+				</h2>
+				<form onSubmit={handleCreate} className="flex flex-wrap gap-2">
+					<input
+						type="text"
+						placeholder="New label name"
+						value={newLabel.name}
+						onChange={(e) => setNewLabel({ ...newLabel, name: e.target.value })}
+						className={`${inputClass} flex-1`}
+						required
+					/>
+					<input
+						type="text"
+						placeholder="Description (optional)"
+						value={newLabel.description}
+						onChange={(e) =>
+							setNewLabel({ ...newLabel, description: e.target.value })
+						}
+						className={`${inputClass} flex-[2]`}
+					/>
+					<input
+						type="color"
+						aria-label="Label colour"
+						value={newLabel.color || "#6c757d"}
+						onChange={(e) =>
+							setNewLabel({ ...newLabel, color: e.target.value })
+						}
+						className="h-9 w-12 rounded-lg border border-gray-300 cursor-pointer"
+					/>
+					<button
+						type="submit"
+						className="bg-[#281d80] text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-[#1f1566] transition-colors cursor-pointer shrink-0"
+					>
+						Add label
+					</button>
+				</form>
+			</div>
+
+			{error && (
+				<div className="px-4 sm:px-5 py-2 bg-red-50 text-red-600 text-sm">
+					{error}
+				</div>
+			)}
+
+			{proposals.length > 0 && (
+				<div className="px-4 sm:px-5 py-3 border-b border-gray-100 bg-yellow-50/50">
+					<h3 className="text-sm font-semibold text-gray-700 mb-2">
+						Proposed by users ({proposals.length})
+					</h3>
+					<ul className="space-y-2">
+						{proposals.map((proposal) => (
+							<li
+								key={proposal.id}
+								className="flex flex-col sm:flex-row sm:items-center gap-2"
+							>
+								<div className="flex-1 min-w-0 text-sm">
+									<span className="font-medium text-gray-800">
+										{proposal.name}
+									</span>
+									<span className="text-xs text-gray-500">
+										{" "}
+										by {proposal.proposed_by_name}
+										{proposal.description && ` · ${proposal.description}`}
+									</span>
+								</div>
+								{rejecting?.id === proposal.id ? (
+									<form
+										onSubmit={handleReject}
+										className="flex gap-1.5 items-center shrink-0"
+									>
+										<input
+											type="text"
+											aria-label="Reason"
+											placeholder="Reason (optional)"
+											value={rejecting.reason}
+											onChange={(e) =>
+												setRejecting({ ...rejecting, reason: e.target.value })
+											}
+											maxLength={300}
+											className="border border-gray-300 rounded-lg px-2 py-1 text-xs"
+										/>
+										<button
+											type="submit"
+											className={`${smallButtonClass} border-red-300 text-red-600 hover:bg-red-50`}
+										>
+											Reject
+										</button>
+										<button
+											type="button"
+											onClick={() => setRejecting(null)}
+											className={`${smallButtonClass} border-gray-300 text-gray-600 hover:bg-gray-50`}
+										>
+											Cancel
+										</button>
+									</form>
+								) : (
+									<div className="flex gap-1.5 shrink-0">
+										<button
+											onClick={() => handleApprove(proposal)}
+											className={`${smallButtonClass} border-green-300 text-green-600 hover:bg-green-50`}
+										>
+											Approve
+										</button>
+										<button
+											onClick={() =>
+												setRejecting({ id: proposal.id, reason: "" })
+											}
+											className={`${smallButtonClass} border-red-300 text-red-600 hover:bg-red-50`}
+										>
+											Reject
+										</button>
+									</div>
+								)}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+
+			{loading ? (
+				<div className="px-4 sm:px-5 py-8 text-gray-400 text-sm">
+					Loading labels…
+				</div>
+			) : labels.length === 0 ? (
+				<div className="px-4 sm:px-5 py-8 text-gray-400 text-sm">
+					No labels found.
+				</div>
+			) : (
+				<ul className="divide-y divide-gray-50">
+					{labels.map((label) =>
+						editing?.id === label.id ? (
+							<li key={label.id} className="px-4 sm:px-5 py-3">
+								<form onSubmit={handleSave} className="flex flex-wrap gap-2">
+									<input
+										type="text"
+										aria-label="Name"
+										value={editing.name}
+										onChange={(e) =>
+											setEditing({ ...editing, name: e.target.value })
+										}
+										className={`${inputClass} flex-1`}
+										required
+									/>
+									<input
+										type="text"
+										aria-label="Slug"
+										value={editing.slug}
+										onChange={(e) =>
+											setEditing({ ...editing, slug: e.target.value })
+										}
+										className={`${inputClass} flex-1`}
+										required
+									/>
+									<input
+										type="text"
+										aria-label="Description"
+										placeholder="Description"
+										value={editing.description}
+										onChange={(e) =>
+											setEditing({ ...editing, description: e.target.value })
+										}
+										className={`${inputClass} flex-[2]`}
+									/>
+									<input
+										type="color"
+										aria-label="Label colour"
+										value={editing.color || "#6c757d"}
+										onChange={(e) =>
+											setEditing({ ...editing, color: e.target.value })
+										}
+										className="h-9 w-12 rounded-lg border border-gray-300 cursor-pointer"
+									/>
+									<button
+										type="submit"
+										className={`${smallButtonClass} border-[#281d80] text-[#281d80] hover:bg-purple-50`}
+									>
+										Save
+									</button>
+									<button
+										type="button"
+										onClick={() => setEditing(null)}
+										className={`${smallButtonClass} border-gray-300 text-gray-600 hover:bg-gray-50`}
+									>
+										Cancel
+									</button>
+								</form>
+							</li>
+						) : (
+							<li
+								key={label.id}
+								className="px-4 sm:px-5 py-3 flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4 hover:bg-gray-50 transition-colors"
+							>
+								<div className="flex-1 min-w-0">
+									<div className="flex items-center gap-2">
+										<span
+											className="w-3 h-3 rounded-full shrink-0 border border-gray-200"
+											style={{ backgroundColor: label.color || "#e5e7eb" }}
+										/>
+										<span
+											className={`font-medium text-sm ${label.is_active ? "text-gray-800" : "text-gray-400 line-through"}`}
+										>
+											{label.name}
+										</span>
+										<span className="text-xs text-gray-400">{label.slug}</span>
+										{!label.is_active && (
+											<span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+												Retired
+											</span>
+										)}
+									</div>
+									<p className="text-xs text-gray-500 mt-0.5">
+										{label.question_count} question
+										{label.question_count === 1 ? "" : "s"}
+										{label.description && ` · ${label.description}`}
+									</p>
+									<div className="flex flex-wrap items-center gap-1 mt-1">
+										{label.synonyms.map((synonym) => (
+											<span
+												key={synonym.id}
+												className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600"
+											>
+												{synonym.name}
+												<button
+													type="button"
+													onClick={() => handleRemoveSynonym(label, synonym)}
+													aria-label={`Remove synonym ${synonym.name}`}
+													className="text-gray-400 hover:text-red-600 cursor-pointer"
+												>
+													×
+												</button>
+											</span>
+										))}
+										{addingSynonym?.labelId === label.id ? (
+											<form
+												onSubmit={handleAddSynonym}
+												className="flex gap-1 items-center"
+											>
+												<input
+													type="text"
+													aria-label="New synonym"
+													placeholder="Synonym"
+													value={addingSynonym.name}
+													onChange={(e) =>
+														setAddingSynonym({
+															...addingSynonym,
+															name: e.target.value,
+														})
+													}
+													className="border border-gray-300 rounded-lg px-2 py-0.5 text-xs w-28"
+													required
+												/>
+												<button
+													type="submit"
+													className="text-xs text-[#281d80] hover:underline cursor-pointer"
+												>
+													Add
+												</button>
+												<button
+													type="button"
+													onClick={() => setAddingSynonym(null)}
+													className="text-xs text-gray-500 hover:underline cursor-pointer"
+												>
+													Cancel
+												</button>
+											</form>
+										) : (
+											<button
+												type="button"
+												onClick={() =>
+													setAddingSynonym({ labelId: label.id, name: "" })
+												}
+												className="text-xs text-[#281d80] hover:underline cursor-pointer"
+											>
+												+ synonym
+											</button>
+										)}
+									</div>
+								</div>
+								{merging?.sourceId === label.id ? (
+									<form
+										onSubmit={handleMerge}
+										className="flex gap-1.5 items-center shrink-0"
+									>
+										<select
+											aria-label="Merge into"
+											value={merging.targetId}
+											onChange={(e) =>
+												setMerging({ ...merging, targetId: e.target.value })
+											}
+											className="border border-gray-300 rounded-lg px-2 py-1 text-xs"
+											required
+										>
+											<option value="">Merge into…</option>
+											{labels
+												.filter((l) => l.id !== label.id)
+												.map((l) => (
+													<option key={l.id} value={l.id}>
+														{l.name}
+													</option>
+												))}
+										</select>
+										<button
+											type="submit"
+											disabled={!merging.targetId}
+											className={`${smallButtonClass} border-[#281d80] text-[#281d80] hover:bg-purple-50 disabled:opacity-40 disabled:cursor-default`}
+										>
+											Merge
+										</button>
+										<button
+											type="button"
+											onClick={() => setMerging(null)}
+											className={`${smallButtonClass} border-gray-300 text-gray-600 hover:bg-gray-50`}
+										>
+											Cancel
+										</button>
+									</form>
+								) : (
+									<div className="flex gap-1.5 flex-wrap shrink-0">
+										<button
+											onClick={() =>
+												setEditing({
+													id: label.id,
+													name: label.name,
+													slug: label.slug,
+													description: label.description || "",
+													color: label.color || "",
+												})
+											}
+											className={`${smallButtonClass} border-[#281d80] text-[#281d80] hover:bg-purple-50`}
+										>
+											Edit
+										</button>
+										<button
+											onClick={() => handleToggleActive(label)}
+											className={`${smallButtonClass} ${
+												label.is_active
+													? "border-orange-300 text-orange-600 hover:bg-orange-50"
+													: "border-green-300 text-green-600 hover:bg-green-50"
+											}`}
+										>
+											{label.is_active ? "Retire" : "Restore"}
+										</button>
+										<button
+											onClick={() =>
+												setMerging({ sourceId: label.id, targetId: "" })
+											}
+											className={`${smallButtonClass} border-gray-300 text-gray-700 hover:bg-gray-50`}
+										>
+											Merge
+										</button>
+										{label.question_count === 0 && (
+											<button
+												onClick={() => handleDelete(label)}
+												className={`${smallButtonClass} border-red-300 text-red-600 hover:bg-red-50`}
+											>
+												Delete
+											</button>
+										)}
+									</div>
+								)}
+							</li>
+						),
+					)}
+				</ul>
+			)}
+		</div>
+	);
+}
+
 export default function AdminPage() {
-	const { isLoggedIn, user, token } = useAuth();
+	const { isLoggedIn, user, token, hasPermission } = useAuth();
+	const { showSuccess } = useToast();
 	const navigate = useNavigate();
 	const location = useLocation();
 	const contentSectionRef = useRef(null);
@@ -92,6 +641,7 @@ export default function AdminPage() {
 	const [totalPages, setTotalPages] = useState(1);
 	const [search, setSearch] = useState("");
 	const [searchInput, setSearchInput] = useState("");
+	const [roleFilter, setRoleFilter] = useState("");
 	const [usersLoading, setUsersLoading] = useState(true);
 
 	const [confirm, setConfirm] = useState(null);
@@ -108,12 +658,20 @@ export default function AdminPage() {
 	const [contentTotalPages, setContentTotalPages] = useState(1);
 	const [contentLoading, setContentLoading] = useState(true);
 
-	// Guard: redirect non-admins
+	// Moderators see the dashboard too, but only the parts their role allows
+	const canViewDashboard = isLoggedIn && hasPermission("view_admin_dashboard");
+	const canManageUsers = hasPermission("manage_users");
+	const canManageRoles = hasPermission("manage_roles");
+	const canModerate = hasPermission("moderate_content");
+	const canManageLabels = hasPermission("manage_labels");
+	const canManageReputation = hasPermission("manage_reputation");
+
+	// Guard: redirect users who can't see the dashboard
 	useEffect(() => {
-		if (!isLoggedIn || !user?.is_admin) {
+		if (!canViewDashboard) {
 			navigate("/", { replace: true });
 		}
-	}, [isLoggedIn, user, navigate]);
+	}, [canViewDashboard, navigate]);
 
 	// Fetch stats
 	useEffect(() => {
@@ -129,7 +687,7 @@ export default function AdminPage() {
 	const fetchUsers = useCallback(() => {
 		if (!token) return;
 		setUsersLoading(true);
-		getAdminUsers(token, { page, limit: 20, search })
+		getAdminUsers(token, { page, limit: 20, search, role: roleFilter })
 			.then((data) => {
 				setUsers(data.users);
 				setTotal(data.total);
@@ -137,7 +695,7 @@ export default function AdminPage() {
 			})
 			.catch(() => setUsers([]))
 			.finally(() => setUsersLoading(false));
-	}, [token, page, search]);
+	}, [token, page, search, roleFilter]);
 
 	useEffect(() => {
 		fetchUsers();
@@ -217,6 +775,45 @@ export default function AdminPage() {
 		});
 	};
 
+	const handleArchiveStale = () => {
+		setConfirm({
+			message:
+				"Archive all open and closed questions with no recent activity? Archived questions no longer accept answers.",
+			onConfirm: async () => {
+				setConfirm(null);
+				setActionError("");
+				try {
+					const { archived, days } = await adminArchiveStaleQuestions(token);
+					showSuccess(
+						`Archived ${archived} question${archived === 1 ? "" : "s"} inactive for ${days}+ days`,
+					);
+				} catch {
+					setActionError("Failed to archive stale questions.");
+				}
+			},
+		});
+	};
+
+	const handleRecalculateReputation = () => {
+		setConfirm({
+			message:
+				"Recalculate every user's reputation from votes, accepted answers and approved suggested edits? Their reputation history is rebuilt to match.",
+			onConfirm: async () => {
+				setConfirm(null);
+				setActionError("");
+				try {
+					const { changed } = await adminRecalculateReputation(token);
+					showSuccess(
+						`Recalculated reputation (${changed} user${changed === 1 ? "" : "s"} changed)`,
+					);
+					fetchUsers();
+				} catch {
+					setActionError("Failed to recalculate reputation.");
+				}
+			},
+		});
+	};
+
 	const handleSearch = (e) => {
 		e.preventDefault();
 		setPage(1);
@@ -247,6 +844,29 @@ export default function AdminPage() {
 		});
 	};
 
+	const handleRoleChange = (u, role) => {
+		setConfirm({
+			message: `Make ${u.name} ${role === "admin" ? "an" : "a"} ${role}?`,
+			onConfirm: async () => {
+				setConfirm(null);
+				setActionError("");
+				try {
+					const updated = await adminSetUserRole(token, u.id, role);
+					setUsers((prev) =>
+						prev.map((usr) =>
+							usr.id === u.id ? { ...usr, role: updated.role } : usr,
+						),
+					);
+					showSuccess(
+						`${u.name} is now ${role === "admin" ? "an" : "a"} ${role}`,
+					);
+				} catch (err) {
+					setActionError(err.message);
+				}
+			},
+		});
+	};
+
 	const handleDelete = (u) => {
 		setConfirm({
 			message: `Permanently delete ${u.name}'s account? This cannot be undone.`,
@@ -286,7 +906,25 @@ export default function AdminPage() {
 		return null;
 	};
 
-	if (!isLoggedIn || !user?.is_admin) return null;
+	if (!canViewDashboard) return null;
+
+	const renderRole = (u, className = "") =>
+		canManageRoles && u.id !== user.id ? (
+			<select
+				value={u.role}
+				onChange={(e) => handleRoleChange(u, e.target.value)}
+				aria-label={`Role for ${u.name}`}
+				className={`border border-gray-300 rounded-lg px-2 py-1 text-xs capitalize focus:outline-none focus:ring-2 focus:ring-[#281d80] cursor-pointer ${className}`}
+			>
+				{ROLES.map((role) => (
+					<option key={role} value={role}>
+						{role}
+					</option>
+				))}
+			</select>
+		) : (
+			<RoleBadge role={u.role} className={className} />
+		);
 
 	return (
 		<div className="max-w-7xl mx-auto px-3 sm:px-6 lg:px-8 py-6 sm:py-8">
@@ -328,14 +966,24 @@ export default function AdminPage() {
 			<div className="bg-white rounded-xl shadow-sm border border-gray-200">
 				{/* Header: title + search stacked on mobile, side-by-side on sm+ */}
 				<div className="px-4 sm:px-5 py-4 border-b border-gray-100 flex flex-col gap-3">
-					<h2 className="text-base sm:text-lg font-semibold text-gray-800">
-						Users{" "}
-						{total > 0 && (
-							<span className="text-sm text-gray-400 font-normal">
-								({total} total)
-							</span>
+					<div className="flex items-center justify-between gap-3">
+						<h2 className="text-base sm:text-lg font-semibold text-gray-800">
+							Users{" "}
+							{total > 0 && (
+								<span className="text-sm text-gray-400 font-normal">
+									({total} total)
+								</span>
+							)}
+						</h2>
+						{canManageReputation && (
+							<button
+								onClick={handleRecalculateReputation}
+								className="px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors cursor-pointer"
+							>
+								Recalculate reputation
+							</button>
 						)}
-					</h2>
+					</div>
 					<form onSubmit={handleSearch} className="flex gap-2 w-full">
 						<input
 							type="text"
@@ -344,6 +992,22 @@ export default function AdminPage() {
 							onChange={(e) => setSearchInput(e.target.value)}
 							className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#281d80] flex-1 min-w-0"
 						/>
+						<select
+							value={roleFilter}
+							onChange={(e) => {
+								setRoleFilter(e.target.value);
+								setPage(1);
+							}}
+							aria-label="Filter by role"
+							className="border border-gray-300 rounded-lg px-2 py-2 text-sm capitalize focus:outline-none focus:ring-2 focus:ring-[#281d80] shrink-0"
+						>
+							<option value="">All roles</option>
+							{ROLES.map((role) => (
+								<option key={role} value={role}>
+									{role}
+								</option>
+							))}
+						</select>
 						<button
 							type="submit"
 							className="bg-[#281d80] text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-[#1f1566] transition-colors cursor-pointer shrink-0"
@@ -394,6 +1058,7 @@ export default function AdminPage() {
 										<th className="px-4 sm:px-5 py-3 font-medium hidden lg:table-cell">
 											Q / A
 										</th>
+										<th className="px-4 sm:px-5 py-3 font-medium">Role</th>
 										<th className="px-4 sm:px-5 py-3 font-medium">Status</th>
 										<th className="px-4 sm:px-5 py-3 font-medium text-right">
 											Actions
@@ -435,6 +1100,7 @@ export default function AdminPage() {
 											<td className="px-4 sm:px-5 py-3 text-gray-500 hidden lg:table-cell text-xs">
 												{u.questions_count} / {u.answers_count}
 											</td>
+											<td className="px-4 sm:px-5 py-3">{renderRole(u)}</td>
 											<td className="px-4 sm:px-5 py-3">
 												<span
 													className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
@@ -451,7 +1117,7 @@ export default function AdminPage() {
 													<span className="text-xs text-gray-400 italic">
 														You
 													</span>
-												) : (
+												) : canManageUsers ? (
 													<div className="flex gap-1.5 justify-end flex-wrap">
 														<button
 															onClick={() => handleBlock(u)}
@@ -470,7 +1136,7 @@ export default function AdminPage() {
 															Delete
 														</button>
 													</div>
-												)}
+												) : null}
 											</td>
 										</tr>
 									))}
@@ -512,7 +1178,8 @@ export default function AdminPage() {
 											{u.is_active ? "Active" : "Blocked"}
 										</span>
 									</div>
-									{u.id !== user.id && (
+									{renderRole(u)}
+									{u.id !== user.id && canManageUsers && (
 										<div className="flex gap-2 mt-2">
 											<button
 												onClick={() => handleBlock(u)}
@@ -557,9 +1224,19 @@ export default function AdminPage() {
 				className="bg-white rounded-xl shadow-sm border border-gray-200 mt-6 sm:mt-8"
 			>
 				<div className="px-4 sm:px-5 py-4 border-b border-gray-100">
-					<h2 className="text-base sm:text-lg font-semibold text-gray-800 mb-3">
-						Content Moderation
-					</h2>
+					<div className="flex items-center justify-between gap-3 mb-3">
+						<h2 className="text-base sm:text-lg font-semibold text-gray-800">
+							Content Moderation
+						</h2>
+						{canModerate && (
+							<button
+								onClick={handleArchiveStale}
+								className="px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors cursor-pointer"
+							>
+								Archive stale questions
+							</button>
+						)}
+					</div>
 					<div className="flex gap-1 flex-wrap">
 						{CONTENT_TABS.map((tab) => (
 							<button
@@ -680,12 +1357,14 @@ export default function AdminPage() {
 												View
 											</Link>
 										)}
-										<button
-											onClick={() => handleDeleteContent(item)}
-											className="text-xs font-medium px-2.5 py-1 rounded-lg border border-red-300 text-red-600 hover:bg-red-50 transition-colors cursor-pointer"
-										>
-											Delete
-										</button>
+										{canModerate && (
+											<button
+												onClick={() => handleDeleteContent(item)}
+												className="text-xs font-medium px-2.5 py-1 rounded-lg border border-red-300 text-red-600 hover:bg-red-50 transition-colors cursor-pointer"
+											>
+												Delete
+											</button>
+										)}
 									</div>
 								</li>
 							);
@@ -705,6 +1384,10 @@ export default function AdminPage() {
 				)}
 			</div>
 
+			{canManageLabels && (
+				<LabelManager token={token} setConfirm={setConfirm} />
+			)}
+
 			{confirm && (
 				<ConfirmModal
 					message={confirm.message}
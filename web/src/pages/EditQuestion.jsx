@@ -3,18 +3,27 @@ import { useState, useEffect, useRef } from "react";
 import { useNavigate, useLocation, useParams } from "react-router-dom";
 
 import Sidebar from "../components/Sidebar";
+import { useToast } from "../contexts/ToastContext";
 import { useAuth } from "../contexts/useAuth";
+import { suggestEdit } from "../services/api";
 
-const EditQuestion = () => {
+/**
+ * Edit a question. With `suggest`, the title and content changes are sent to
+ * the question's author for review instead (labels can't be suggested).
+ */
+const EditQuestion = ({ suggest = false }) => {
 	const navigate = useNavigate();
 	const location = useLocation();
 	const { id: identifier } = useParams();
 	const authContext = useAuth();
+	const { showSuccess } = useToast();
 	const editorRef = useRef(null);
 
 	const [title, setTitle] = useState("");
 	const [description, setDescription] = useState("");
+	const [editSummary, setEditSummary] = useState("");
 	const MAX_TITLE_LENGTH = 100;
+	const MAX_EDIT_SUMMARY_LENGTH = 300;
 
 	const [metaData, setMetaData] = useState({
 		templateType: null,
@@ -160,6 +169,28 @@ const EditQuestion = () => {
 			.map((tagId) => parseInt(tagId, 10))
 			.filter((tagId) => !isNaN(tagId));
 
+		if (suggest) {
+			try {
+				await suggestEdit(
+					"question",
+					identifier,
+					{
+						title,
+						content: description,
+						editSummary: editSummary.trim() || undefined,
+					},
+					token,
+				);
+				showSuccess("Your suggested edit was sent to the author for review");
+				navigate(`/questions/${identifier}`);
+			} catch (err) {
+				setError(err.message);
+			} finally {
+				setLoading(false);
+			}
+			return;
+		}
+
 		if (cleanLabelIds.length === 0) {
 			setError("Please select at least one tag/label for your question.");
 			setLoading(false);
@@ -174,6 +205,7 @@ const EditQuestion = () => {
 			os: metaData.os,
 			documentationLink: metaData.documentationLink,
 			labelId: cleanLabelIds,
+			editSummary: editSummary.trim() || undefined,
 		};
 
 		try {
@@ -214,7 +246,7 @@ const EditQuestion = () => {
 
 					<main className="flex-1 min-w-0 bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6 md:p-8">
 						<h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-4 md:mb-6">
-							Edit Question
+							{suggest ? "Suggest an Edit" : "Edit Question"}
 						</h1>
 
 						{error && (
@@ -306,7 +338,7 @@ const EditQuestion = () => {
 									/>
 								</div>
 
-								<div>
+								{!suggest && (
 									<fieldset>
 										<legend className="block text-sm font-semibold text-gray-700 mb-2">
 											Tags <span className="text-red-500">*</span> (Required -
@@ -335,6 +367,27 @@ const EditQuestion = () => {
 												: "Please select at least one tag"}
 										</p>
 									</fieldset>
+								)}
+
+								<div>
+									<label
+										htmlFor="editSummary"
+										className="block text-sm font-medium text-gray-700 mb-1"
+									>
+										Edit summary{" "}
+										<span className="text-gray-400 font-normal">
+											(optional)
+										</span>
+									</label>
+									<input
+										type="text"
+										id="editSummary"
+										value={editSummary}
+										maxLength={MAX_EDIT_SUMMARY_LENGTH}
+										onChange={(e) => setEditSummary(e.target.value)}
+										placeholder="Briefly describe your changes"
+										className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#281d80] focus:border-transparent outline-none transition-all"
+									/>
 								</div>
 
 								<div className="flex flex-col sm:flex-row gap-3 sm:gap-4 pt-4">
@@ -343,7 +396,11 @@ const EditQuestion = () => {
 										disabled={loading}
 										className="bg-[#281d80] text-white px-4 sm:px-6 py-2 rounded-lg text-sm sm:text-base font-semibold hover:bg-[#1f1566] transition-all disabled:opacity-50 cursor-pointer"
 									>
-										{loading ? "Updating..." : "Update Question"}
+										{loading
+											? "Updating..."
+											: suggest
+												? "Submit for Review"
+												: "Update Question"}
 									</button>
 									<button
 										type="button"
@@ -0,0 +1,193 @@
+import { useEffect, useState, useCallback } from "react";
+import { Link, useNavigate, useLocation } from "react-router-dom";
+
+import LabelBadge from "../components/LabelBadge";
+import PaginationControls from "../components/PaginationControls";
+import Sidebar from "../components/Sidebar";
+import UserLink from "../components/UserLink";
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import { getFollowedQuestions, setQuestionFollow } from "../services/api";
+import {
+	getFirstLinePreview,
+	capitalizeTitle,
+} from "../utils/questionUtils.jsx";
+
+function FollowedQuestionsPage() {
+	const navigate = useNavigate();
+	const location = useLocation();
+	const { token, isLoggedIn } = useAuth();
+	const { showError, showSuccess } = useToast();
+	const [questions, setQuestions] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [pagination, setPagination] = useState(null);
+
+	const searchParams = new URLSearchParams(location.search);
+	const currentPageFromUrl = parseInt(searchParams.get("page") || "1", 10);
+	const itemsPerPage = 10;
+
+	const fetchFollowedQuestions = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+
+			const data = await getFollowedQuestions(token, {
+				page: currentPageFromUrl,
+				limit: itemsPerPage,
+			});
+
+			setQuestions(data.questions);
+			setPagination(data.pagination);
+		} catch (err) {
+			setError(err.message || "Failed to load followed questions.");
+		} finally {
+			setLoading(false);
+		}
+	}, [token, currentPageFromUrl, itemsPerPage]);
+
+	useEffect(() => {
+		if (isLoggedIn && token) {
+			fetchFollowedQuestions();
+		}
+	}, [isLoggedIn, token, fetchFollowedQuestions]);
+
+	const handleUnfollow = async (question) => {
+		try {
+			await setQuestionFollow(question.id, false, token);
+			setQuestions((prev) => prev.filter((q) => q.id !== question.id));
+			showSuccess(`Unfollowed "${capitalizeTitle(question.title)}"`);
+		} catch (err) {
+			showError(err.message);
+		}
+	};
+
+	const handlePageChange = (newPage) => {
+		const newSearchParams = new URLSearchParams(location.search);
+		if (newPage === 1) {
+			newSearchParams.delete("page");
+		} else {
+			newSearchParams.set("page", newPage.toString());
+		}
+		navigate(`${location.pathname}?${newSearchParams.toString()}`, {
+			replace: true,
+		});
+		window.scrollTo({ top: 0, behavior: "smooth" });
+	};
+
+	if (!isLoggedIn) {
+		return (
+			<div className="max-w-3xl mx-auto px-4 py-8">
+				<p className="text-red-500 text-sm">
+					You must be <Link to="/login">logged in</Link> to view the questions
+					you follow.
+				</p>
+			</div>
+		);
+	}
+
+	return (
+		<div className="min-h-screen bg-gray-50">
+			<div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-8">
+				<div className="flex flex-col md:flex-row gap-4 md:gap-8">
+					<Sidebar />
+
+					<main className="flex-1 min-w-0">
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-8">
+							<h1 className="text-lg sm:text-xl md:text-2xl font-bold text-gray-900 mb-1">
+								Following
+							</h1>
+							<p className="text-sm text-gray-500 mb-4">
+								You get notified about new answers, comments, edits and accepted
+								answers on these questions. Questions you ask, answer or comment
+								on are followed automatically.
+							</p>
+
+							{loading && <p>Loading followed questions...</p>}
+							{error && <p className="text-red-500 text-sm">{error}</p>}
+							{!loading && !error && questions.length === 0 && (
+								<p className="text-gray-600">
+									You are not following any questions yet. Use the Follow button
+									on a question to get notified about its activity.
+								</p>
+							)}
+
+							<div className="space-y-3 md:space-y-4 mt-4 md:mt-6">
+								{questions.map((question) => (
+									<div
+										key={question.id}
+										className="border border-gray-200 rounded-lg p-3 md:p-4 hover:shadow-md transition-shadow"
+									>
+										<div className="flex justify-between items-start gap-3">
+											<Link
+												to={`/questions/${question.slug || question.id}`}
+												className="font-semibold text-base sm:text-lg text-gray-900 hover:text-[#281d80]"
+											>
+												{capitalizeTitle(question.title)}
+											</Link>
+											<button
+												type="button"
+												onClick={() => handleUnfollow(question)}
+												className="shrink-0 px-3 py-1 text-xs sm:text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors cursor-pointer"
+											>
+												Unfollow
+											</button>
+										</div>
+
+										<p className="text-sm sm:text-base text-gray-600 line-clamp-2 mt-1">
+											{getFirstLinePreview(question.content)}
+										</p>
+
+										{question.labels?.length > 0 && (
+											<div className="flex flex-wrap gap-2 mt-2 sm:mt-3">
+												{question.labels.map((label) => (
+													<LabelBadge key={label.id} label={label} />
+												))}
+											</div>
+										)}
+
+										<div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-1 sm:gap-0 mt-2 sm:mt-3 text-xs sm:text-sm text-gray-500">
+											<span>
+												Asked by{" "}
+												<UserLink
+													userId={question.user_id}
+													userName={question.author_name}
+													role={question.author_role}
+												/>{" "}
+												· {question.answer_count}{" "}
+												{question.answer_count === 1 ? "answer" : "answers"}
+												{question.is_solved && " · Solved"}
+											</span>
+											<span>
+												Last activity{" "}
+												{new Date(
+													question.last_activity_at || question.created_at,
+												).toLocaleDateString("en-US", {
+													year: "numeric",
+													month: "short",
+													day: "numeric",
+												})}
+											</span>
+										</div>
+									</div>
+								))}
+							</div>
+
+							{pagination && pagination.totalPages > 1 && (
+								<div className="mt-6">
+									<PaginationControls
+										currentPage={pagination.currentPage}
+										totalPages={pagination.totalPages}
+										onPageChange={handlePageChange}
+									/>
+								</div>
+							)}
+						</div>
+					</main>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default FollowedQuestionsPage;
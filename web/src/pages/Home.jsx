@@ -2,18 +2,12 @@ import { useState, useEffect, useCallback } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 
 import AdvancedSearchFilters from "../components/AdvancedSearchFilters";
-import LabelBadge from "../components/LabelBadge";
 import PaginationControls from "../components/PaginationControls";
+import QuestionList from "../components/QuestionList";
 import Sidebar from "../components/Sidebar";
-import UserLink from "../components/UserLink";
 import { useLabelFilter } from "../contexts/LabelFilterContext";
 import { useSearch } from "../contexts/SearchContext";
 import { useAuth } from "../contexts/useAuth";
-import {
-	getFirstLinePreview,
-	highlightSearchTerm,
-	capitalizeTitle,
-} from "../utils/questionUtils.jsx";
 import { addToSearchHistory } from "../utils/searchHistory";
 
 const AskQuestionButton = ({
@@ -34,17 +28,20 @@ function Home() {
 	const location = useLocation();
 	const { isLoggedIn, user } = useAuth();
 	const { searchTerm, setSearchTerm } = useSearch();
-	const { selectedLabel, setSelectedLabel } = useLabelFilter();
+	const { selectedLabel, setSelectedLabel, selectLabelByName } =
+		useLabelFilter();
 	const [questions, setQuestions] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState("");
 	const [pagination, setPagination] = useState(null);
 	const [labels, setLabels] = useState([]);
+	const [latestSortBy, setLatestSortBy] = useState("newest");
 	const [searchFilters, setSearchFilters] = useState({
 		solved: null,
 		sortBy: "relevance",
 		dateRange: null,
 		labelIds: [],
+		matchIn: "all",
 	});
 
 	const searchParams = new URLSearchParams(location.search);
@@ -78,7 +75,8 @@ function Home() {
 			(searchFilters.solved !== null ||
 				searchFilters.sortBy !== "relevance" ||
 				searchFilters.dateRange !== null ||
-				(searchFilters.labelIds && searchFilters.labelIds.length > 0))
+				(searchFilters.labelIds && searchFilters.labelIds.length > 0) ||
+				searchFilters.matchIn === "answers")
 		) {
 			const newSearchParams = new URLSearchParams(location.search);
 			newSearchParams.delete("page");
@@ -92,6 +90,7 @@ function Home() {
 		searchFilters.sortBy,
 		searchFilters.dateRange,
 		searchFilters.labelIds?.length,
+		searchFilters.matchIn,
 	]);
 
 	useEffect(() => {
@@ -174,12 +173,23 @@ function Home() {
 				if (searchFilters.labelIds && searchFilters.labelIds.length > 0) {
 					params.append("labelIds", searchFilters.labelIds.join(","));
 				}
+				if (searchFilters.matchIn === "answers") {
+					params.append("matchIn", "answers");
+				}
 
 				const response = await fetch(
 					`/api/questions/search?${params.toString()}`,
 				);
 
 				if (!response.ok) {
+					const body = await response.json().catch(() => ({}));
+					// Malformed search syntax (e.g. "is:maybe") gets a specific message
+					if (response.status === 400 && body.error) {
+						setQuestions([]);
+						setPagination(null);
+						if (!silent) setError(body.error);
+						return;
+					}
 					throw new Error("Failed to search questions");
 				}
 
@@ -213,9 +223,14 @@ function Home() {
 					setLoading(true);
 					setError("");
 				}
-				const response = await fetch(
-					`/api/questions?page=${currentPageFromUrl}&limit=${itemsPerPage}`,
-				);
+				const params = new URLSearchParams({
+					page: currentPageFromUrl.toString(),
+					limit: itemsPerPage.toString(),
+				});
+				if (latestSortBy !== "newest") {
+					params.append("sortBy", latestSortBy);
+				}
+				const response = await fetch(`/api/questions?${params.toString()}`);
 
 				if (!response.ok) {
 					if (response.status === 429) {
@@ -246,7 +261,7 @@ function Home() {
 				}
 			}
 		},
-		[currentPageFromUrl, itemsPerPage],
+		[currentPageFromUrl, itemsPerPage, latestSortBy],
 	);
 
 	// Fetch labels for filter component
@@ -351,6 +366,31 @@ function Home() {
 		}
 	}, [location.state?.labelId, location.pathname, navigate, setSelectedLabel]);
 
+	// ?label=<name> filters by that label; synonyms map to the canonical one
+	const labelFromUrl = searchParams.get("label");
+	useEffect(() => {
+		if (!labelFromUrl) return;
+		const newSearchParams = new URLSearchParams(location.search);
+		newSearchParams.delete("label");
+		const query = newSearchParams.toString();
+		selectLabelByName(labelFromUrl)
+			.then((label) => {
+				if (!label) setError(`No tag called "${labelFromUrl}"`);
+			})
+			.catch((err) => {
+				console.error("Error resolving label:", err);
+			});
+		navigate(query ? `${location.pathname}?${query}` : location.pathname, {
+			replace: true,
+		});
+	}, [
+		labelFromUrl,
+		location.pathname,
+		location.search,
+		navigate,
+		selectLabelByName,
+	]);
+
 	const handleLabelClick = (label) => {
 		if (searchTerm && searchTerm.trim()) {
 			setSearchTerm("");
@@ -430,7 +470,9 @@ function Home() {
 												? `Questions tagged with "${selectedLabel.name}"`
 												: searchTerm
 													? `Search Results for "${searchTerm}"`
-													: "Latest Questions"}
+													: latestSortBy === "views"
+														? "Most Viewed Questions"
+														: "Latest Questions"}
 											{(searchTerm || selectedLabel) && pagination && (
 												<span className="text-xs sm:text-sm font-normal text-gray-500 ml-1 sm:ml-2">
 													({pagination.totalItems} results)
@@ -442,6 +484,20 @@ function Home() {
 												</span>
 											)}
 										</h2>
+										{!selectedLabel && !searchTerm && (
+											<select
+												value={latestSortBy}
+												onChange={(e) => {
+													setLatestSortBy(e.target.value);
+													handlePageChange(1);
+												}}
+												className="px-2 py-1 text-xs sm:text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#281d80] cursor-pointer"
+												aria-label="Sort questions"
+											>
+												<option value="newest">Newest</option>
+												<option value="views">Most viewed</option>
+											</select>
+										)}
 										{selectedLabel && (
 											<button
 												onClick={handleClearLabelFilter}
@@ -487,120 +543,12 @@ function Home() {
 									</div>
 								) : displayQuestions.length > 0 ? (
 									<>
-										<div className="space-y-4">
-											{displayQuestions.map((question) => {
-												return (
-													<div
-														key={question.id}
-														role="button"
-														tabIndex={0}
-														className="border border-gray-200 rounded-lg p-3 md:p-4 hover:shadow-md transition-shadow cursor-pointer focus:outline-none focus:ring-2 focus:ring-[#281d80] focus:ring-opacity-50"
-														onClick={() => handleQuestionClick(question)}
-														onKeyDown={(e) => {
-															if (e.key === "Enter" || e.key === " ") {
-																e.preventDefault();
-																handleQuestionClick(question);
-															}
-														}}
-													>
-														<div className="flex flex-col sm:flex-row justify-between items-start gap-2">
-															<div className="flex flex-wrap items-center gap-2 sm:gap-3 flex-1">
-																<h3 className="font-semibold text-base sm:text-lg text-gray-900 mb-1 sm:mb-2">
-																	{searchTerm
-																		? highlightSearchTerm(
-																				capitalizeTitle(question.title),
-																				searchTerm,
-																			)
-																		: capitalizeTitle(question.title)}
-																</h3>
-																{question.is_solved && (
-																	<span className="flex items-center gap-1 px-2 py-1 bg-blue-100 text-blue-800 text-xs font-semibold rounded-full whitespace-nowrap mb-2">
-																		<svg
-																			className="w-3 h-3"
-																			fill="currentColor"
-																			viewBox="0 0 20 20"
-																		>
-																			<path
-																				fillRule="evenodd"
-																				d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
-																				clipRule="evenodd"
-																			/>
-																		</svg>
-																		Solved
-																	</span>
-																)}
-																{question.answer_count > 0 && (
-																	<span className="flex items-center gap-1 px-2 py-1 bg-green-100 text-green-800 text-xs font-semibold rounded-full whitespace-nowrap mb-2">
-																		<svg
-																			className="w-3 h-3"
-																			fill="currentColor"
-																			viewBox="0 0 20 20"
-																		>
-																			<path
-																				fillRule="evenodd"
-																				d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z"
-																				clipRule="evenodd"
-																			/>
-																		</svg>
-																		{question.answer_count}{" "}
-																		{question.answer_count === 1
-																			? "Answer"
-																			: "Answers"}
-																	</span>
-																)}
-															</div>
-														</div>
-
-														<p className="text-sm sm:text-base text-gray-600 line-clamp-2">
-															{searchTerm
-																? highlightSearchTerm(
-																		getFirstLinePreview(
-																			question.body || question.content,
-																		),
-																		searchTerm,
-																	)
-																: getFirstLinePreview(
-																		question.body || question.content,
-																	)}
-														</p>
-														{question.labels && question.labels.length > 0 && (
-															<div className="flex flex-wrap gap-2 mt-2 sm:mt-3">
-																{question.labels.map((label) => (
-																	<LabelBadge
-																		key={label.id}
-																		label={label}
-																		onClick={handleLabelClick}
-																	/>
-																))}
-															</div>
-														)}
-														<div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-1 sm:gap-0 mt-2 sm:mt-3 text-xs sm:text-sm text-gray-500">
-															<span>
-																Asked by{" "}
-																<UserLink
-																	userId={question.user_id}
-																	userName={
-																		question.author_name ||
-																		question.author?.name
-																	}
-																/>
-															</span>
-															<span>
-																{new Date(
-																	question.created_at,
-																).toLocaleDateString("en-US", {
-																	year: "numeric",
-																	month: "short",
-																	day: "numeric",
-																	hour: "2-digit",
-																	minute: "2-digit",
-																})}
-															</span>
-														</div>
-													</div>
-												);
-											})}
-										</div>
+										<QuestionList
+											questions={displayQuestions}
+											searchTerm={searchTerm}
+											onQuestionClick={handleQuestionClick}
+											onLabelClick={handleLabelClick}
+										/>
 										{showPagination && (
 											<div className="mt-6 pt-6 border-t border-gray-200">
 												<PaginationControls
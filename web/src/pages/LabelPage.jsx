@@ -0,0 +1,308 @@
+import { useEffect, useState } from "react";
+import {
+	FaCheckCircle,
+	FaEye,
+	FaQuestionCircle,
+	FaRegEye,
+	FaTrophy,
+} from "react-icons/fa";
+import { Link, useNavigate, useParams } from "react-router-dom";
+
+import Sidebar from "../components/Sidebar";
+import UserLink from "../components/UserLink";
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import {
+	getLabelOverview,
+	getWatchedLabels,
+	setLabelWatch,
+} from "../services/api";
+import { capitalizeTitle } from "../utils/questionUtils.jsx";
+
+function StatTile({ icon, value, label }) {
+	return (
+		<div className="text-center p-4 bg-gray-50 rounded-lg">
+			<div className="flex items-center justify-center gap-2 text-[#281d80] mb-2">
+				{icon}
+			</div>
+			<div className="text-2xl font-bold text-gray-900">{value}</div>
+			<div className="text-sm text-gray-600">{label}</div>
+		</div>
+	);
+}
+
+/**
+ * One label's page: its description, question stats, the questions trending
+ * in it this week and the people who answer it best
+ */
+function LabelPage() {
+	const { slug } = useParams();
+	const navigate = useNavigate();
+	const { isLoggedIn, token } = useAuth();
+	const { showError } = useToast();
+	// The slug the result belongs to, so a new slug shows as loading
+	const [result, setResult] = useState({ slug: null });
+	const [isWatching, setIsWatching] = useState(false);
+
+	useEffect(() => {
+		let cancelled = false;
+		getLabelOverview(slug)
+			.then((overview) => {
+				if (cancelled) return;
+				// /labels/js shows JavaScript at its own address
+				if (overview.label.slug !== slug) {
+					navigate(`/labels/${overview.label.slug}`, { replace: true });
+					return;
+				}
+				setResult({ slug, overview });
+			})
+			.catch((err) => {
+				if (!cancelled) setResult({ slug, error: err.message });
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [slug, navigate]);
+
+	const { overview, error } = result;
+	const labelId = overview?.label.id;
+
+	useEffect(() => {
+		if (!isLoggedIn || !token || !labelId) return;
+
+		getWatchedLabels(token)
+			.then((watched) => setIsWatching(watched.some((l) => l.id === labelId)))
+			.catch(() => {
+				// Silently fail - the tag just shows as not watched
+			});
+	}, [isLoggedIn, token, labelId]);
+
+	const handleToggleWatch = async () => {
+		try {
+			const watched = await setLabelWatch(labelId, !isWatching, token);
+			setIsWatching(watched.some((l) => l.id === labelId));
+		} catch (err) {
+			showError(err.message);
+		}
+	};
+
+	if (result.slug !== slug) {
+		return (
+			<div className="min-h-screen bg-gray-50">
+				<div className="max-w-7xl mx-auto px-4 py-8 text-center text-gray-600">
+					Loading tag...
+				</div>
+			</div>
+		);
+	}
+
+	if (error || !overview) {
+		return (
+			<div className="min-h-screen bg-gray-50">
+				<div className="max-w-7xl mx-auto px-4 py-8">
+					<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+						<h2 className="text-xl font-bold text-gray-900 mb-2">Error</h2>
+						<p className="text-gray-600">{error || "Tag not found"}</p>
+						<Link
+							to="/labels"
+							className="inline-block mt-4 text-[#281d80] hover:underline"
+						>
+							Browse all tags
+						</Link>
+					</div>
+				</div>
+			</div>
+		);
+	}
+
+	const { label, stats, trending, topAnswerers } = overview;
+
+	return (
+		<div className="min-h-screen bg-gray-50">
+			<div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-8">
+				<div className="flex flex-col md:flex-row gap-4 md:gap-8">
+					<Sidebar />
+
+					<main className="flex-1 min-w-0 space-y-6">
+						{/* Header */}
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-6 lg:p-8">
+							<div className="flex flex-col sm:flex-row justify-between items-start gap-4">
+								<div className="min-w-0">
+									<div className="flex items-center gap-2 mb-2">
+										<span
+											className="w-4 h-4 rounded-full shrink-0 border border-gray-200"
+											style={{ backgroundColor: label.color || "#e5e7eb" }}
+										/>
+										<h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+											{label.name}
+										</h1>
+										{!label.is_active && (
+											<span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+												Retired
+											</span>
+										)}
+									</div>
+									<p className="text-sm sm:text-base text-gray-600">
+										{label.description ||
+											`Questions and discussions about ${label.name}.`}
+									</p>
+									{label.synonyms.length > 0 && (
+										<p className="text-xs text-gray-500 mt-2">
+											Also known as:{" "}
+											{label.synonyms.map((s) => s.name).join(", ")}
+										</p>
+									)}
+								</div>
+								<div className="flex gap-2 shrink-0">
+									{isLoggedIn && (
+										<button
+											type="button"
+											onClick={handleToggleWatch}
+											aria-pressed={isWatching}
+											className={`flex items-center gap-1 px-3 py-2 text-sm font-semibold rounded-lg transition-colors cursor-pointer ${
+												isWatching
+													? "bg-[#281d80] text-white hover:bg-[#1f1566]"
+													: "bg-gray-100 text-gray-700 hover:bg-gray-200"
+											}`}
+										>
+											{isWatching ? <FaEye /> : <FaRegEye />}
+											{isWatching ? "Watching" : "Watch"}
+										</button>
+									)}
+									<button
+										type="button"
+										onClick={() =>
+											navigate("/", { state: { labelId: label.id } })
+										}
+										className="bg-[#281d80] text-white px-4 py-2 rounded-lg text-sm font-semibold hover:bg-[#1f1566] transition-colors cursor-pointer"
+									>
+										View questions
+									</button>
+								</div>
+							</div>
+						</div>
+
+						{/* Statistics */}
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-6">
+							<div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+								<StatTile
+									icon={<FaQuestionCircle className="w-5 h-5" />}
+									value={stats.question_count}
+									label="Questions"
+								/>
+								<StatTile
+									icon={<FaQuestionCircle className="w-5 h-5" />}
+									value={stats.unanswered_count}
+									label="Unanswered"
+								/>
+								<StatTile
+									icon={<FaCheckCircle className="w-5 h-5" />}
+									value={
+										stats.solve_rate === null
+											? "–"
+											: `${Math.round(stats.solve_rate * 100)}%`
+									}
+									label="Solved"
+								/>
+							</div>
+						</div>
+
+						<div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+							{/* Trending this week */}
+							<section className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-6">
+								<h2 className="text-lg font-bold text-gray-900 mb-4">
+									Trending this week
+								</h2>
+								{trending.length === 0 ? (
+									<p className="text-sm text-gray-500">
+										No activity on {label.name} questions this week.
+									</p>
+								) : (
+									<ul className="divide-y divide-gray-100">
+										{trending.map((question) => (
+											<li key={question.id} className="py-3">
+												<Link
+													to={`/questions/${question.slug || question.id}`}
+													className="font-medium text-gray-900 hover:text-[#281d80] hover:underline"
+												>
+													{capitalizeTitle(question.title)}
+												</Link>
+												<p className="text-xs text-gray-500 mt-1">
+													{question.answers_this_week} new answer
+													{question.answers_this_week === 1 ? "" : "s"} ·{" "}
+													{question.views_this_week} view
+													{question.views_this_week === 1 ? "" : "s"} this week
+													{question.is_solved && " · Solved"} · asked by{" "}
+													<UserLink
+														userId={question.user_id}
+														userName={question.author_name}
+														role={question.author_role}
+													/>
+												</p>
+											</li>
+										))}
+									</ul>
+								)}
+							</section>
+
+							{/* Top answerers */}
+							<section className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-6">
+								<h2 className="text-lg font-bold text-gray-900 mb-4">
+									Top answerers
+								</h2>
+								{topAnswerers.length === 0 ? (
+									<p className="text-sm text-gray-500">
+										Nobody has answered a {label.name} question yet.
+									</p>
+								) : (
+									<ol className="divide-y divide-gray-100">
+										{topAnswerers.map((answerer) => (
+											<li
+												key={answerer.id}
+												className="py-3 flex items-center gap-3"
+											>
+												{answerer.avatar_url ? (
+													<img
+														src={answerer.avatar_url}
+														alt=""
+														className="w-8 h-8 rounded-full object-cover"
+													/>
+												) : (
+													<div className="w-8 h-8 rounded-full bg-[#281d80] flex items-center justify-center text-white text-sm font-bold">
+														{answerer.name?.charAt(0).toUpperCase() || "U"}
+													</div>
+												)}
+												<div className="flex-1 min-w-0">
+													<UserLink
+														userId={answerer.id}
+														userName={answerer.name}
+														role={answerer.role}
+														className="font-medium text-gray-900"
+													/>
+													<p className="text-xs text-gray-500">
+														{answerer.answer_count} answer
+														{answerer.answer_count === 1 ? "" : "s"} ·{" "}
+														{answerer.accepted_count} accepted
+													</p>
+												</div>
+												<span
+													className="flex items-center gap-1 text-sm font-semibold text-yellow-600"
+													title="Total score of their answers in this tag"
+												>
+													<FaTrophy className="w-3.5 h-3.5" />
+													{answerer.score}
+												</span>
+											</li>
+										))}
+									</ol>
+								)}
+							</section>
+						</div>
+					</main>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default LabelPage;
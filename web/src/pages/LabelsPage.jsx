@@ -1,10 +1,15 @@
 import { useState, useEffect, useMemo } from "react";
+import { FaEye, FaRegEye } from "react-icons/fa";
 import { useNavigate } from "react-router-dom";
 
 import LabelBadge from "../components/LabelBadge";
+import LabelProposalForm from "../components/LabelProposalForm";
 import Sidebar from "../components/Sidebar";
 import { useLabelFilter } from "../contexts/LabelFilterContext";
 import { useSearch } from "../contexts/SearchContext";
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import { getWatchedLabels, setLabelWatch } from "../services/api";
 
 const TAG_DESCRIPTIONS = {
 	"Launch-Module": {
@@ -62,6 +67,9 @@ function LabelsPage() {
 	const [labels, setLabels] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState("");
+	const { isLoggedIn, token } = useAuth();
+	const { showError } = useToast();
+	const [watchedLabelIds, setWatchedLabelIds] = useState(new Set());
 
 	useEffect(() => {
 		setSelectedLabel(null);
@@ -95,8 +103,32 @@ function LabelsPage() {
 		setSearchTerm("");
 	}, [setSearchTerm]);
 
+	useEffect(() => {
+		if (!isLoggedIn || !token) return;
+
+		getWatchedLabels(token)
+			.then((watched) => setWatchedLabelIds(new Set(watched.map((l) => l.id))))
+			.catch(() => {
+				// Silently fail - tags just show as not watched
+			});
+	}, [isLoggedIn, token]);
+
+	const handleToggleWatch = async (event, label) => {
+		event.stopPropagation();
+		try {
+			const watched = await setLabelWatch(
+				label.id,
+				!watchedLabelIds.has(label.id),
+				token,
+			);
+			setWatchedLabelIds(new Set(watched.map((l) => l.id)));
+		} catch (err) {
+			showError(err.message);
+		}
+	};
+
 	const handleLabelClick = (label) => {
-		navigate("/", { state: { labelId: label.id } });
+		navigate(`/labels/${label.slug}`);
 	};
 
 	const getTagDescription = (tagName) => {
@@ -115,7 +147,11 @@ function LabelsPage() {
 		const searchLower = searchTerm.toLowerCase().trim();
 		return labels.filter((label) => {
 			const tagInfo = getTagDescription(label.name);
-			const nameMatch = label.name.toLowerCase().includes(searchLower);
+			const nameMatch =
+				label.name.toLowerCase().includes(searchLower) ||
+				label.synonyms?.some(
+					(synonym) => synonym.toLowerCase() === searchLower,
+				);
 			const descriptionMatch = tagInfo.description
 				.toLowerCase()
 				.includes(searchLower);
@@ -141,6 +177,12 @@ function LabelsPage() {
 											? `Found ${filteredLabels.length} tag${filteredLabels.length === 1 ? "" : "s"} matching your search`
 											: "Browse all available tags to find questions by topic"}
 									</p>
+									{isLoggedIn && !searchTerm && (
+										<p className="text-xs sm:text-sm text-gray-500 mt-1">
+											Watch a tag to be notified when someone asks a question
+											with it.
+										</p>
+									)}
 								</div>
 							</div>
 
@@ -209,10 +251,42 @@ function LabelsPage() {
 														onClick={handleLabelClick}
 														className="text-sm font-semibold"
 													/>
+													{isLoggedIn && (
+														<button
+															type="button"
+															onClick={(e) => handleToggleWatch(e, label)}
+															onKeyDown={(e) => e.stopPropagation()}
+															aria-pressed={watchedLabelIds.has(label.id)}
+															className={`flex items-center gap-1 px-2 py-1 text-xs font-semibold rounded-lg transition-colors cursor-pointer ${
+																watchedLabelIds.has(label.id)
+																	? "bg-[#281d80] text-white hover:bg-[#1f1566]"
+																	: "bg-gray-100 text-gray-700 hover:bg-gray-200"
+															}`}
+															title={
+																watchedLabelIds.has(label.id)
+																	? "Stop notifications for new questions with this tag"
+																	: "Get notified about new questions with this tag"
+															}
+														>
+															{watchedLabelIds.has(label.id) ? (
+																<FaEye className="w-3 h-3" />
+															) : (
+																<FaRegEye className="w-3 h-3" />
+															)}
+															{watchedLabelIds.has(label.id)
+																? "Watching"
+																: "Watch"}
+														</button>
+													)}
 												</div>
 												<p className="text-sm text-gray-600 mb-3 line-clamp-3">
 													{tagInfo.description}
 												</p>
+												{label.synonyms?.length > 0 && (
+													<p className="text-xs text-gray-500 mb-3">
+														Also: {label.synonyms.join(", ")}
+													</p>
+												)}
 												{tagInfo.link && (
 													<a
 														href={tagInfo.link}
@@ -242,6 +316,8 @@ function LabelsPage() {
 									})}
 								</div>
 							)}
+
+							<LabelProposalForm />
 						</div>
 					</main>
 				</div>
@@ -0,0 +1,252 @@
+import { useEffect, useState, useCallback } from "react";
+import { Link } from "react-router-dom";
+
+import Sidebar from "../components/Sidebar";
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import {
+	getDigestSettings,
+	getNotificationPreferences,
+	updateDigestSettings,
+	updateNotificationPreferences,
+} from "../services/api";
+
+const NOTIFICATION_TYPES = [
+	{
+		type: "answer_added",
+		label: "New answers",
+		description:
+			"Someone answers your question or one you follow (followed questions only email you if you turn email on)",
+	},
+	{
+		type: "comment_added",
+		label: "New comments",
+		description: "Someone comments on your post or a question you follow",
+	},
+	{
+		type: "answer_accepted",
+		label: "Accepted answers",
+		description: "Your answer is accepted, or a followed question is solved",
+	},
+	{
+		type: "question_edited",
+		label: "Question edits",
+		description:
+			"A question you follow is edited (edits to its answers don't notify you)",
+	},
+	{
+		type: "question_added",
+		label: "New questions",
+		description: "A question is asked with a label you watch",
+	},
+];
+
+const DIGEST_OPTIONS = [
+	{ value: "daily", label: "Daily" },
+	{ value: "weekly", label: "Weekly" },
+	{ value: "off", label: "Off" },
+];
+
+const CHANNELS = [
+	{ key: "in_app", label: "In-app" },
+	{ key: "push", label: "Push" },
+	{ key: "email", label: "Email" },
+];
+
+function NotificationSettingsPage() {
+	const { token, isLoggedIn } = useAuth();
+	const { showError, showSuccess } = useToast();
+	const [preferences, setPreferences] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [saving, setSaving] = useState(null);
+	const [digestFrequency, setDigestFrequency] = useState(null);
+
+	const fetchPreferences = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+			const [channelPreferences, digest] = await Promise.all([
+				getNotificationPreferences(token),
+				getDigestSettings(token),
+			]);
+			setPreferences(channelPreferences);
+			setDigestFrequency(digest.frequency);
+		} catch (err) {
+			setError(err.message || "Failed to load notification settings.");
+		} finally {
+			setLoading(false);
+		}
+	}, [token]);
+
+	useEffect(() => {
+		if (isLoggedIn && token) {
+			fetchPreferences();
+		}
+	}, [isLoggedIn, token, fetchPreferences]);
+
+	const handleToggle = async (type, channel, enabled) => {
+		const key = `${type}.${channel}`;
+		setSaving(key);
+		try {
+			const updated = await updateNotificationPreferences(
+				{ [type]: { [channel]: enabled } },
+				token,
+			);
+			setPreferences(updated);
+			showSuccess("Notification settings saved");
+		} catch (err) {
+			showError(err.message);
+		} finally {
+			setSaving(null);
+		}
+	};
+
+	const handleDigestChange = async (frequency) => {
+		setSaving("digest");
+		try {
+			const updated = await updateDigestSettings(frequency, token);
+			setDigestFrequency(updated.frequency);
+			showSuccess("Digest settings saved");
+		} catch (err) {
+			showError(err.message);
+		} finally {
+			setSaving(null);
+		}
+	};
+
+	if (!isLoggedIn) {
+		return (
+			<div className="max-w-3xl mx-auto px-4 py-8">
+				<p className="text-red-500 text-sm">
+					You must be <Link to="/login">logged in</Link> to change your
+					notification settings.
+				</p>
+			</div>
+		);
+	}
+
+	return (
+		<div className="min-h-screen bg-gray-50">
+			<div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-8">
+				<div className="flex flex-col md:flex-row gap-4 md:gap-8">
+					<Sidebar />
+
+					<main className="flex-1 min-w-0">
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-8">
+							<h1 className="text-lg sm:text-xl md:text-2xl font-bold text-gray-900 mb-1">
+								Notification settings
+							</h1>
+							<p className="text-sm text-gray-500 mb-4">
+								Choose how you hear about each kind of activity. Push
+								notifications also need to be allowed in your browser.
+							</p>
+
+							{loading && <p>Loading notification settings...</p>}
+							{error && <p className="text-red-500 text-sm">{error}</p>}
+
+							{!loading && preferences && (
+								<div className="overflow-x-auto">
+									<table className="w-full text-sm">
+										<thead>
+											<tr className="border-b border-gray-200 text-left text-gray-600">
+												<th className="py-2 pr-4 font-medium">Notification</th>
+												{CHANNELS.map((channel) => (
+													<th
+														key={channel.key}
+														className="py-2 px-3 font-medium text-center"
+													>
+														{channel.label}
+													</th>
+												))}
+											</tr>
+										</thead>
+										<tbody>
+											{NOTIFICATION_TYPES.map(
+												({ type, label, description }) => (
+													<tr key={type} className="border-b border-gray-100">
+														<td className="py-3 pr-4">
+															<div className="font-medium text-gray-900">
+																{label}
+															</div>
+															<div className="text-xs text-gray-500">
+																{description}
+															</div>
+														</td>
+														{CHANNELS.map((channel) => (
+															<td
+																key={channel.key}
+																className="py-3 px-3 text-center"
+															>
+																<label className="inline-flex items-center cursor-pointer">
+																	<input
+																		type="checkbox"
+																		className="h-4 w-4 accent-[#281d80] cursor-pointer"
+																		checked={Boolean(
+																			preferences[type]?.[channel.key],
+																		)}
+																		disabled={
+																			saving === `${type}.${channel.key}`
+																		}
+																		onChange={(e) =>
+																			handleToggle(
+																				type,
+																				channel.key,
+																				e.target.checked,
+																			)
+																		}
+																	/>
+																	<span className="sr-only">
+																		{`${channel.label} notifications for ${label.toLowerCase()}`}
+																	</span>
+																</label>
+															</td>
+														))}
+													</tr>
+												),
+											)}
+										</tbody>
+									</table>
+								</div>
+							)}
+
+							{!loading && digestFrequency && (
+								<div className="mt-8">
+									<h2 className="text-base sm:text-lg font-semibold text-gray-900 mb-1">
+										Email digest
+									</h2>
+									<p className="text-sm text-gray-500 mb-3">
+										A summary of your unread notifications, unanswered questions
+										in labels you watch and the top answers, instead of an email
+										for every event.
+									</p>
+									<label
+										htmlFor="digest-frequency"
+										className="block text-sm font-medium text-gray-700 mb-1"
+									>
+										How often
+									</label>
+									<select
+										id="digest-frequency"
+										value={digestFrequency}
+										disabled={saving === "digest"}
+										onChange={(e) => handleDigestChange(e.target.value)}
+										className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:border-[#281d80] cursor-pointer"
+									>
+										{DIGEST_OPTIONS.map((option) => (
+											<option key={option.value} value={option.value}>
+												{option.label}
+											</option>
+										))}
+									</select>
+								</div>
+							)}
+						</div>
+					</main>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default NotificationSettingsPage;
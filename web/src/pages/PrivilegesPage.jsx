@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react";
+import { FaCheckCircle, FaLock } from "react-icons/fa";
+import { Link } from "react-router-dom";
+
+import Sidebar from "../components/Sidebar";
+import { useAuth } from "../contexts/useAuth";
+import { getPrivileges } from "../services/api";
+
+/**
+ * What users can do at each reputation level. For a logged-in user, which
+ * privileges they have and how far they are from the next one.
+ */
+function PrivilegesPage() {
+	const { token, isLoggedIn } = useAuth();
+	const [data, setData] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		const fetchPrivileges = async () => {
+			try {
+				setLoading(true);
+				setError(null);
+				setData(await getPrivileges(isLoggedIn ? token : null));
+			} catch (err) {
+				setError(err.message || "Failed to load privileges.");
+			} finally {
+				setLoading(false);
+			}
+		};
+		fetchPrivileges();
+	}, [isLoggedIn, token]);
+
+	const hasProgress = isLoggedIn && data?.reputation !== undefined;
+	const next = data?.next;
+
+	return (
+		<div className="min-h-screen bg-gray-50">
+			<div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-8">
+				<div className="flex flex-col md:flex-row gap-4 md:gap-8">
+					<Sidebar />
+
+					<main className="flex-1 min-w-0">
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-8">
+							<h1 className="text-lg sm:text-xl md:text-2xl font-bold text-gray-900 mb-1">
+								Privileges
+							</h1>
+							<p className="text-sm text-gray-500 mb-4">
+								Earn reputation by asking good questions and giving helpful
+								answers to unlock more of the site.
+								{!isLoggedIn && (
+									<>
+										{" "}
+										<Link
+											to="/login"
+											className="text-[#281d80] hover:underline"
+										>
+											Log in
+										</Link>{" "}
+										to see your progress.
+									</>
+								)}
+							</p>
+
+							{loading && <p>Loading privileges...</p>}
+							{error && <p className="text-red-500 text-sm">{error}</p>}
+
+							{hasProgress && (
+								<div className="mb-6 p-4 rounded-lg bg-gradient-to-br from-yellow-50 to-orange-50 border-2 border-yellow-200">
+									<p className="text-sm text-gray-700">
+										You have{" "}
+										<span className="font-bold text-gray-900">
+											{data.reputation}
+										</span>{" "}
+										reputation.
+									</p>
+									{next ? (
+										<>
+											<p className="text-sm text-gray-700 mt-1">
+												Next:{" "}
+												<span className="font-semibold">{next.title}</span> at{" "}
+												{next.reputation} reputation ({next.reputationNeeded} to
+												go)
+											</p>
+											<div
+												className="mt-2 h-2 bg-white rounded-full overflow-hidden"
+												role="progressbar"
+												aria-valuemin={0}
+												aria-valuemax={next.reputation}
+												aria-valuenow={data.reputation}
+											>
+												<div
+													className="h-full bg-[#281d80]"
+													style={{
+														width: `${Math.min(
+															100,
+															Math.max(
+																0,
+																(data.reputation / next.reputation) * 100,
+															),
+														)}%`,
+													}}
+												/>
+											</div>
+										</>
+									) : (
+										<p className="text-sm text-gray-700 mt-1">
+											You have every privilege.
+										</p>
+									)}
+								</div>
+							)}
+
+							{data && (
+								<ul className="divide-y divide-gray-200">
+									{data.privileges.map((privilege) => (
+										<li
+											key={privilege.name}
+											className="flex items-start gap-3 py-3 md:py-4"
+										>
+											<div className="w-16 shrink-0 text-right font-bold text-gray-900">
+												{privilege.reputation}
+											</div>
+											<div className="flex-1 min-w-0">
+												<h2 className="font-semibold text-gray-900">
+													{privilege.title}
+												</h2>
+												<p className="text-sm text-gray-600">
+													{privilege.description}
+												</p>
+											</div>
+											{hasProgress &&
+												(privilege.granted ? (
+													<FaCheckCircle
+														className="w-5 h-5 text-green-600 shrink-0"
+														title="Earned"
+													/>
+												) : (
+													<FaLock
+														className="w-4 h-4 text-gray-400 shrink-0"
+														title="Not earned yet"
+													/>
+												))}
+										</li>
+									))}
+								</ul>
+							)}
+						</div>
+					</main>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default PrivilegesPage;
@@ -1,35 +1,64 @@
 import { Editor } from "@tinymce/tinymce-react";
-import { useState, useEffect, useCallback, useRef } from "react";
-import { FaEdit, FaTrash, FaCheckCircle, FaArrowLeft } from "react-icons/fa";
-import { useParams, useNavigate, useLocation } from "react-router-dom";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+	FaEdit,
+	FaTrash,
+	FaCheckCircle,
+	FaArrowLeft,
+	FaLock,
+	FaLockOpen,
+	FaArchive,
+	FaBell,
+	FaRegBell,
+} from "react-icons/fa";
+import { useParams, useNavigate, useLocation, Link } from "react-router-dom";
 
 import Answer from "../components/Answer";
 import AnswerForm from "../components/AnswerForm";
+import CloseQuestionDialog from "../components/CloseQuestionDialog";
 import Comment from "../components/Comment";
 import CommentForm from "../components/CommentForm";
 import ConfirmDialog from "../components/ConfirmDialog";
 import LabelBadge from "../components/LabelBadge";
+import QuestionVoteControls from "../components/QuestionVoteControls";
 import Sidebar from "../components/Sidebar";
 import SimilarQuestions from "../components/SimilarQuestions";
 import UserLink from "../components/UserLink";
 import { useToast } from "../contexts/ToastContext";
 import { useAuth } from "../contexts/useAuth";
+import { usePrivileges } from "../hooks/usePrivileges";
 import {
 	getCommentsByQuestionId,
 	adminDeleteContent,
 	getAdminQuestion,
 	getAdminAnswers,
+	getQuestionVoteCounts,
+	closeQuestion,
+	markQuestionDuplicate,
+	reopenQuestion,
+	archiveQuestion,
+	getFollowStatus,
+	setQuestionFollow,
 } from "../services/api";
 import { getUserFriendlyError, isOnline } from "../utils/errorMessages";
-import { capitalizeTitle } from "../utils/questionUtils.jsx";
+import {
+	capitalizeTitle,
+	CLOSE_REASON_LABELS,
+} from "../utils/questionUtils.jsx";
+import { toResponsiveImages } from "../utils/responsiveImages";
 
 function QuestionDetailPage() {
 	const { id: identifier } = useParams();
 	const navigate = useNavigate();
 	const location = useLocation();
-	const { isLoggedIn, token, user } = useAuth();
+	const { isLoggedIn, token, user, hasPermission } = useAuth();
+	const hasPrivilege = usePrivileges();
 	const { showError: showToastError, showSuccess } = useToast();
 	const [question, setQuestion] = useState(null);
+	const questionContent = useMemo(
+		() => toResponsiveImages(question?.content || question?.body),
+		[question?.content, question?.body],
+	);
 	const [answers, setAnswers] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState("");
@@ -40,6 +69,14 @@ function QuestionDetailPage() {
 	const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 	const [isDeleting, setIsDeleting] = useState(false);
 	const [isDeletedQuestion, setIsDeletedQuestion] = useState(false);
+	const [questionUserVote, setQuestionUserVote] = useState(null);
+	const [showCloseDialog, setShowCloseDialog] = useState(false);
+	const [isChangingStatus, setIsChangingStatus] = useState(false);
+	const [followStatus, setFollowStatus] = useState({
+		following: false,
+		followerCount: 0,
+	});
+	const [isUpdatingFollow, setIsUpdatingFollow] = useState(false);
 	const editorRef = useRef(null);
 	const answerFormRef = useRef(null);
 
@@ -61,7 +98,11 @@ function QuestionDetailPage() {
 				// are still visible instead of returning a 404.
 				data = await getAdminQuestion(token, identifier);
 			} else {
-				const response = await fetch(`/api/questions/${identifier}`);
+				// Send the token (if any) so the view is attributed to the user
+				// rather than their IP address
+				const response = await fetch(`/api/questions/${identifier}`, {
+					headers: token ? { Authorization: `Bearer ${token}` } : {},
+				});
 				if (!response.ok) {
 					const errorData = await response.json().catch(() => ({}));
 					throw new Error(errorData.message || "Failed to fetch question");
@@ -128,6 +169,31 @@ function QuestionDetailPage() {
 		}
 	}, [question?.id, fetchAnswers, fetchQuestionComments]);
 
+	// Load the current user's vote on the question
+	useEffect(() => {
+		if (!question?.id || !isLoggedIn || !token) {
+			setQuestionUserVote(null);
+			return;
+		}
+
+		getQuestionVoteCounts(question.id, token)
+			.then((result) => setQuestionUserVote(result.user_vote))
+			.catch(() => {
+				// Silently fail - the score is still shown from the question
+			});
+	}, [question?.id, isLoggedIn, token]);
+
+	// Load whether the current user follows the question
+	useEffect(() => {
+		if (!question?.id) return;
+
+		getFollowStatus(question.id, isLoggedIn ? token : null)
+			.then(setFollowStatus)
+			.catch(() => {
+				// Silently fail - the follow button just shows "Follow"
+			});
+	}, [question?.id, isLoggedIn, token]);
+
 	const isInitialLoad = useRef(true);
 	const previousQuestionId = useRef(null);
 
@@ -331,7 +397,92 @@ function QuestionDetailPage() {
 	const isQuestionAuthor =
 		isLoggedIn && user && question && user.id === question.user_id;
 
-	const isAdmin = isLoggedIn && user?.is_admin;
+	const canModerate = isLoggedIn && hasPermission("moderate_content");
+
+	const isClosed =
+		question?.status === "closed" || question?.status === "archived";
+	const canModerateStatus =
+		isQuestionAuthor || canModerate || hasPrivilege("close_questions");
+
+	/**
+	 * Run a close/reopen/archive request and merge the returned status fields
+	 * (the endpoints return the bare question row, without labels/author)
+	 */
+	const changeQuestionStatus = async (request, successMessage) => {
+		if (!isLoggedIn || !token) return;
+
+		setIsChangingStatus(true);
+		try {
+			const updated = await request();
+			setQuestion((prev) => ({ ...prev, ...updated }));
+			setShowCloseDialog(false);
+			setShowAnswerForm(false);
+			showSuccess(successMessage);
+			return true;
+		} catch (err) {
+			const friendlyError = getUserFriendlyError(
+				err,
+				"Failed to update question status",
+			);
+			showToastError(friendlyError);
+			return false;
+		} finally {
+			setIsChangingStatus(false);
+		}
+	};
+
+	const handleCloseConfirm = async (reason, canonicalId) => {
+		if (reason !== "duplicate") {
+			return changeQuestionStatus(
+				() => closeQuestion(question.id, reason, token),
+				"Question closed",
+			);
+		}
+
+		const marked = await changeQuestionStatus(
+			() => markQuestionDuplicate(question.id, canonicalId, token),
+			"Question marked as a duplicate",
+		);
+		// Refetch so the banner can link to the canonical question
+		if (marked) fetchQuestion();
+	};
+
+	const handleReopen = () =>
+		changeQuestionStatus(
+			() => reopenQuestion(question.id, token),
+			"Question reopened",
+		);
+
+	const handleArchive = () =>
+		changeQuestionStatus(
+			() => archiveQuestion(question.id, token),
+			"Question archived",
+		);
+
+	const handleToggleFollow = async () => {
+		if (!isLoggedIn || !token) return;
+
+		setIsUpdatingFollow(true);
+		try {
+			const status = await setQuestionFollow(
+				question.id,
+				!followStatus.following,
+				token,
+			);
+			setFollowStatus(status);
+			showSuccess(
+				status.following
+					? "You will be notified about activity on this question"
+					: "You unfollowed this question",
+			);
+		} catch (err) {
+			showToastError(
+				getUserFriendlyError(err, "Failed to update follow status"),
+			);
+		} finally {
+			setIsUpdatingFollow(false);
+		}
+	};
 
 	const handleDeleteClick = () => {
 		setShowDeleteConfirm(true);
@@ -351,7 +502,7 @@ function QuestionDetailPage() {
 			const questionId = question?.id || identifier;
 
 			// Admin deleting someone else's question uses admin endpoint
-			if (isAdmin && !isQuestionAuthor) {
+			if (canModerate && !isQuestionAuthor) {
 				await adminDeleteContent(token, "question", questionId);
 				window.dispatchEvent(new CustomEvent("notificationsChanged"));
 				showSuccess("Question deleted successfully");
@@ -438,6 +589,13 @@ function QuestionDetailPage() {
 		});
 	};
 
+	const handleSuggestEdit = () => {
+		const editIdentifier = question?.slug || question?.id || identifier;
+		navigate(`/questions/${editIdentifier}/suggest-edit`, {
+			state: { questionData: question },
+		});
+	};
+
 	if (loading) {
 		return (
 			<div className="min-h-screen bg-[#efeef8]">
@@ -582,8 +740,72 @@ function QuestionDetailPage() {
 							</div>
 						)}
 
+						{!isDeletedQuestion && question.status === "closed" && (
+							<div className="mb-4 flex items-center gap-3 px-4 py-3 rounded-lg bg-yellow-50 border border-yellow-300 text-yellow-800">
+								<FaLock className="w-4 h-4 shrink-0" />
+								<div>
+									<span className="font-semibold">
+										{question.close_reason === "duplicate" &&
+										question.duplicate_of ? (
+											<>
+												Marked as a duplicate of{" "}
+												<Link
+													to={`/questions/${question.duplicate_of.slug || question.duplicate_of.id}`}
+													className="underline hover:text-yellow-900"
+												>
+													{capitalizeTitle(question.duplicate_of.title)}
+												</Link>
+												.
+											</>
+										) : (
+											<>
+												Closed
+												{question.close_reason &&
+													` as ${CLOSE_REASON_LABELS[question.close_reason] || question.close_reason}`}
+												.
+											</>
+										)}
+									</span>
+									<span className="ml-2 text-sm text-yellow-700">
+										This question is not accepting new answers
+										{question.closed_at &&
+											` (closed ${new Date(
+												question.closed_at,
+											).toLocaleDateString("en-US", {
+												year: "numeric",
+												month: "long",
+												day: "numeric",
+											})})`}
+										.
+									</span>
+								</div>
+							</div>
+						)}
+						{!isDeletedQuestion && question.status === "archived" && (
+							<div className="mb-4 flex items-center gap-3 px-4 py-3 rounded-lg bg-gray-100 border border-gray-300 text-gray-700">
+								<FaArchive className="w-4 h-4 shrink-0" />
+								<div>
+									<span className="font-semibold">
+										This question has been archived.
+									</span>
+									<span className="ml-2 text-sm text-gray-600">
+										It is kept for reference and no longer accepts new answers.
+									</span>
+								</div>
+							</div>
+						)}
+
 						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-6 mb-4 md:mb-6">
 							<div className="flex flex-col sm:flex-row justify-between items-start gap-3 sm:gap-4 mb-3 md:mb-4">
+								<div className="shrink-0">
+									<QuestionVoteControls
+										questionId={question.id}
+										questionAuthorId={question.user_id}
+										score={question.score}
+										userVote={questionUserVote}
+										disabled={isDeletedQuestion}
+									/>
+								</div>
 								<div className="flex-1 min-w-0">
 									<div className="flex flex-wrap items-center gap-2 sm:gap-3 mb-2">
 										<h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-gray-900 wrap-break-word">
@@ -666,7 +888,73 @@ function QuestionDetailPage() {
 											</button>
 										</>
 									)}
-									{!isDeletedQuestion && isAdmin && !isQuestionAuthor && (
+									{!isDeletedQuestion && isLoggedIn && (
+										<button
+											onClick={handleToggleFollow}
+											disabled={isUpdatingFollow}
+											className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-200 shadow-sm cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed ${
+												followStatus.following
+													? "bg-[#281d80] text-white hover:bg-[#1f1566]"
+													: "bg-gray-100 text-gray-700 hover:bg-gray-200"
+											}`}
+											title={
+												followStatus.following
+													? "Stop getting notifications for this question"
+													: "Get notified about new answers, comments and edits"
+											}
+											aria-pressed={followStatus.following}
+										>
+											{followStatus.following ? (
+												<FaBell className="w-3 h-3" />
+											) : (
+												<FaRegBell className="w-3 h-3" />
+											)}
+											{followStatus.following ? "Following" : "Follow"}
+											{followStatus.followerCount > 0 && (
+												<span className="opacity-75">
+													{followStatus.followerCount}
+												</span>
+											)}
+										</button>
+									)}
+									{!isDeletedQuestion && canModerateStatus && !isClosed && (
+										<button
+											onClick={() => setShowCloseDialog(true)}
+											disabled={isChangingStatus}
+											className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-200 shadow-sm cursor-pointer bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+											title="Close this question"
+										>
+											<FaLock className="w-3 h-3" />
+											Close
+										</button>
+									)}
+									{!isDeletedQuestion &&
+										((question.status === "closed" && canModerateStatus) ||
+											(question.status === "archived" && canModerate)) && (
+											<button
+												onClick={handleReopen}
+												disabled={isChangingStatus}
+												className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-200 shadow-sm cursor-pointer bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+												title="Reopen this question"
+											>
+												<FaLockOpen className="w-3 h-3" />
+												Reopen
+											</button>
+										)}
+									{!isDeletedQuestion &&
+										canModerate &&
+										question.status !== "archived" && (
+											<button
+												onClick={handleArchive}
+												disabled={isChangingStatus}
+												className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-200 shadow-sm cursor-pointer bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+												title="Admin: Archive this question"
+											>
+												<FaArchive className="w-3 h-3" />
+												🛡️ Archive
+											</button>
+										)}
+									{!isDeletedQuestion && canModerate && !isQuestionAuthor && (
 										<button
 											onClick={handleDeleteClick}
 											disabled={isDeleting}
@@ -677,7 +965,17 @@ function QuestionDetailPage() {
 											🛡️ Delete
 										</button>
 									)}
-									{!isDeletedQuestion && !isQuestionAuthor && (
+									{!isDeletedQuestion && isLoggedIn && !isQuestionAuthor && (
+										<button
+											onClick={handleSuggestEdit}
+											className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-200 shadow-sm cursor-pointer bg-gray-100 text-gray-700 hover:bg-gray-200"
+											title="Suggest an edit to this question"
+										>
+											<FaEdit className="w-3 h-3" />
+											Suggest edit
+										</button>
+									)}
+									{!isDeletedQuestion && !isQuestionAuthor && !isClosed && (
 										<button
 											onClick={handleAnswerClick}
 											className="bg-[#281d80] text-white px-3 sm:px-4 md:px-6 py-1.5 sm:py-2 md:py-2.5 rounded-lg text-xs sm:text-sm md:text-base font-semibold hover:bg-[#1f1566] transition-all duration-200 shadow-md hover:shadow-lg cursor-pointer whitespace-nowrap"
@@ -694,6 +992,7 @@ function QuestionDetailPage() {
 									<UserLink
 										userId={question.user_id}
 										userName={question.author_name}
+										role={question.author_role}
 										className="font-semibold"
 									/>
 								</span>
@@ -707,11 +1006,20 @@ function QuestionDetailPage() {
 										minute: "2-digit",
 									})}
 									{question.updated_at !== question.created_at && (
-										<span className="ml-1 sm:ml-2 italic text-gray-500">
+										<Link
+											to={`/questions/${question.slug || question.id}/revisions`}
+											className="ml-1 sm:ml-2 italic text-gray-500 hover:text-[#281d80] hover:underline"
+											title="View revision history"
+										>
 											(edited)
-										</span>
+										</Link>
 									)}
 								</span>
+								<span className="hidden sm:inline">•</span>
+								<span className="whitespace-nowrap">
+									Viewed {question.view_count ?? 0}{" "}
+									{question.view_count === 1 ? "time" : "times"}
+								</span>
 								{question.labels && question.labels.length > 0 && (
 									<>
 										<span className="hidden sm:inline">•</span>
@@ -734,7 +1042,7 @@ function QuestionDetailPage() {
 								<Editor
 									tinymceScriptSrc="https://cdn.jsdelivr.net/npm/tinymce@7/tinymce.min.js"
 									onInit={(evt, editor) => (editorRef.current = editor)}
-									initialValue={question.content || question.body}
+									initialValue={questionContent}
 									disabled={true}
 									init={{
 										readonly: true,
@@ -742,6 +1050,9 @@ function QuestionDetailPage() {
 										toolbar: false,
 										statusbar: false,
 										plugins: "codesample",
+										// Keep the <picture> wrappers from toResponsiveImages
+										extended_valid_elements:
+											"picture,source[srcset|sizes|type]",
 										content_style: `
 											body {
 												font-family: ui-sans-serif, system-ui, sans-serif;
@@ -751,6 +1062,7 @@ function QuestionDetailPage() {
 												overflow: visible;
 											}
 											hr { border: none; border-top: 1px dashed #ccc; margin: 10px 0; }
+											img { max-width: 100%; height: auto; }
 											pre {
 												background: #f4f4f5;
 												padding: 10px;
@@ -852,7 +1164,7 @@ function QuestionDetailPage() {
 							</div>
 						</div>
 
-						{showAnswerForm && (
+						{showAnswerForm && !isClosed && (
 							<div ref={answerFormRef}>
 								<AnswerForm
 									questionId={question?.id || identifier}
@@ -904,6 +1216,13 @@ function QuestionDetailPage() {
 				</div>
 			</div>
 
+			<CloseQuestionDialog
+				isOpen={showCloseDialog}
+				isSubmitting={isChangingStatus}
+				onConfirm={handleCloseConfirm}
+				onCancel={() => setShowCloseDialog(false)}
+			/>
+
 			{/* Delete Confirmation Dialog */}
 			<ConfirmDialog
 				isOpen={showDeleteConfirm}
@@ -1,11 +1,12 @@
 import { Editor } from "@tinymce/tinymce-react";
 import { useState, useRef, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 
 import { useToast } from "../contexts/ToastContext";
 import { useAuth } from "../contexts/useAuth";
 import { searchSimilarQuestions } from "../services/api";
 import { getUserFriendlyError, isOnline } from "../utils/errorMessages";
+import { getUploadedImageHtml } from "../utils/responsiveImages";
 
 import { TEMPLATES } from "./templates";
 
@@ -29,6 +30,7 @@ const AskQuestionPage = () => {
 
 	const [labels, setLabels] = useState([]);
 	const [selectedLabels, setSelectedLabels] = useState([]);
+	const [labelQuery, setLabelQuery] = useState("");
 	const [similarQuestions, setSimilarQuestions] = useState([]);
 	const [showSimilarQuestions, setShowSimilarQuestions] = useState(false);
 	const [loadingSimilarQuestions, setLoadingSimilarQuestions] = useState(false);
@@ -82,6 +84,17 @@ const AskQuestionPage = () => {
 		}
 	};
 
+	// Narrow the tags to those whose name or a synonym ("js") matches
+	const query = labelQuery.trim().toLowerCase();
+	const visibleLabels = query
+		? labels.filter(
+				(label) =>
+					selectedLabels.includes(label.id) ||
+					label.name.toLowerCase().includes(query) ||
+					label.synonyms?.some((synonym) => synonym.toLowerCase() === query),
+			)
+		: labels;
+
 	const handleLabelToggle = (labelId) => {
 		setSelectedLabels((prev) => {
 			if (prev.includes(labelId)) {
@@ -535,7 +548,10 @@ const AskQuestionPage = () => {
 																			const json = JSON.parse(xhr.responseText);
 
 																			if (json.success && json.file?.file_url) {
-																				const imgTag = `<p><img src="${json.file.file_url}" alt="${file.name}" /></p>`;
+																				const imgTag = getUploadedImageHtml(
+																					json.file,
+																					file.name,
+																				);
 																				editor.insertContent(imgTag);
 
 																				editor.notificationManager.open({
@@ -665,8 +681,17 @@ const AskQuestionPage = () => {
 								Tags <span className="text-red-500">*</span> (Required - Select
 								1 to 3)
 							</legend>
+							<input
+								type="search"
+								value={labelQuery}
+								onChange={(e) => setLabelQuery(e.target.value)}
+								placeholder="Find a tag, e.g. js or react"
+								aria-label="Find a tag"
+								disabled={isSubmitting}
+								className="w-full sm:w-64 mb-3 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#281d80]"
+							/>
 							<div className="flex flex-wrap gap-2">
-								{labels.map((label) => (
+								{visibleLabels.map((label) => (
 									<button
 										key={label.id}
 										type="button"
@@ -686,6 +711,13 @@ const AskQuestionPage = () => {
 								{selectedLabels.length > 0
 									? `${selectedLabels.length} of 3 labels selected`
 									: "Please select at least one tag"}
+								{" · "}
+								<Link
+									to="/labels#propose"
+									className="text-[#281d80] hover:underline"
+								>
+									Can&apos;t find the right tag? Propose one
+								</Link>
 							</p>
 						</fieldset>
 
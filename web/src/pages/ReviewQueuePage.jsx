@@ -0,0 +1,335 @@
+import { useEffect, useState, useCallback } from "react";
+import { Link } from "react-router-dom";
+
+import DiffRow from "../components/DiffRow";
+import PaginationControls from "../components/PaginationControls";
+import Sidebar from "../components/Sidebar";
+import UserLink from "../components/UserLink";
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import {
+	getSuggestedEdits,
+	approveSuggestedEdit,
+	rejectSuggestedEdit,
+} from "../services/api";
+import { capitalizeTitle } from "../utils/questionUtils.jsx";
+import { htmlToText } from "../utils/textDiff";
+
+const TABS = [
+	{ id: "review", label: "To Review" },
+	{ id: "mine", label: "My Suggestions" },
+];
+
+const STATUSES = ["pending", "approved", "rejected"];
+
+const STATUS_STYLES = {
+	pending: "bg-yellow-100 text-yellow-800",
+	approved: "bg-green-100 text-green-800",
+	rejected: "bg-red-100 text-red-800",
+};
+
+/**
+ * One suggested edit, compared side by side with the post as it is now
+ * @param {Object} props
+ * @param {Object} props.suggestion - Suggested edit from the API
+ * @param {boolean} props.canReview - Show approve and reject controls
+ * @param {Function} props.onReviewed - Called after it is approved or rejected
+ */
+function SuggestedEdit({ suggestion, canReview, onReviewed }) {
+	const { token } = useAuth();
+	const { showError, showSuccess } = useToast();
+	const [rejecting, setRejecting] = useState(false);
+	const [reason, setReason] = useState("");
+	const [submitting, setSubmitting] = useState(false);
+
+	const isQuestion = suggestion.post_type === "question";
+	const isPending = suggestion.status === "pending";
+	const questionLink = `/questions/${suggestion.question_slug || suggestion.question_id}`;
+
+	const review = async (action) => {
+		setSubmitting(true);
+		try {
+			if (action === "approve") {
+				await approveSuggestedEdit(suggestion.id, token);
+				showSuccess("Suggested edit approved");
+			} else {
+				await rejectSuggestedEdit(suggestion.id, reason.trim(), token);
+				showSuccess("Suggested edit rejected");
+			}
+			onReviewed();
+		} catch (err) {
+			showError(err.message);
+		} finally {
+			setSubmitting(false);
+		}
+	};
+
+	return (
+		<section className="border border-gray-200 rounded-lg p-3 md:p-4">
+			<div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+				<div className="text-sm text-gray-600">
+					<span className="font-semibold text-gray-900">
+						{isQuestion ? "Question" : "Answer"}
+					</span>{" "}
+					on{" "}
+					<Link to={questionLink} className="text-[#281d80] hover:underline">
+						{capitalizeTitle(suggestion.question_title)}
+					</Link>
+					<span className="mx-2">•</span>
+					<UserLink
+						userId={suggestion.suggested_by}
+						userName={suggestion.suggested_by_name}
+						className="font-semibold"
+					/>
+					<span className="mx-2">•</span>
+					{new Date(suggestion.created_at).toLocaleDateString("en-US", {
+						year: "numeric",
+						month: "short",
+						day: "numeric",
+					})}
+				</div>
+				<span
+					className={`px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[suggestion.status]}`}
+				>
+					{suggestion.status}
+				</span>
+			</div>
+
+			{suggestion.edit_summary && (
+				<p className="text-sm italic text-gray-600 mb-3">
+					{suggestion.edit_summary}
+				</p>
+			)}
+			{suggestion.reject_reason && (
+				<p className="text-sm text-red-700 mb-3">
+					Rejected: {suggestion.reject_reason}
+				</p>
+			)}
+			{isPending && suggestion.is_stale && (
+				<p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2 mb-3">
+					The post has been edited since this was suggested, so approving it
+					would undo those changes. It can only be rejected.
+				</p>
+			)}
+
+			{isPending ? (
+				<>
+					{isQuestion && (
+						<DiffRow
+							label="Title"
+							before={suggestion.current_title}
+							after={suggestion.title}
+						/>
+					)}
+					<DiffRow
+						label="Content"
+						before={htmlToText(suggestion.current_content)}
+						after={htmlToText(suggestion.content)}
+					/>
+				</>
+			) : (
+				<Link
+					to={
+						isQuestion
+							? `${questionLink}/revisions`
+							: `/answers/${suggestion.post_id}/revisions`
+					}
+					className="text-sm text-[#281d80] hover:underline"
+				>
+					View revision history
+				</Link>
+			)}
+
+			{canReview && isPending && (
+				<div className="flex flex-col gap-2 mt-2">
+					{rejecting && (
+						<input
+							type="text"
+							aria-label="Reason for rejecting"
+							value={reason}
+							maxLength={300}
+							onChange={(e) => setReason(e.target.value)}
+							placeholder="Reason for rejecting (optional)"
+							className="w-full px-4 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#281d80] focus:border-transparent outline-none transition-all"
+						/>
+					)}
+					<div className="flex justify-end gap-2">
+						{rejecting ? (
+							<>
+								<button
+									onClick={() => setRejecting(false)}
+									disabled={submitting}
+									className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer"
+								>
+									Cancel
+								</button>
+								<button
+									onClick={() => review("reject")}
+									disabled={submitting}
+									className="px-3 py-1.5 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors cursor-pointer disabled:opacity-50"
+								>
+									Reject
+								</button>
+							</>
+						) : (
+							<>
+								<button
+									onClick={() => setRejecting(true)}
+									disabled={submitting}
+									className="px-3 py-1.5 text-sm font-medium text-red-600 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 transition-colors cursor-pointer"
+								>
+									Reject
+								</button>
+								<button
+									onClick={() => review("approve")}
+									disabled={submitting || suggestion.is_stale}
+									className="px-3 py-1.5 text-sm font-medium text-white bg-[#281d80] rounded-lg hover:bg-[#1f1566] transition-colors cursor-pointer disabled:opacity-50"
+								>
+									{submitting ? "Approving..." : "Approve"}
+								</button>
+							</>
+						)}
+					</div>
+				</div>
+			)}
+		</section>
+	);
+}
+
+/**
+ * Suggested edits waiting for the user's review (every post for admins and
+ * users with the review privilege), and the edits the user has suggested
+ */
+function ReviewQueuePage() {
+	const { token, isLoggedIn } = useAuth();
+	const [tab, setTab] = useState("review");
+	const [status, setStatus] = useState("pending");
+	const [page, setPage] = useState(1);
+	const [suggestedEdits, setSuggestedEdits] = useState([]);
+	const [pagination, setPagination] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	const fetchSuggestedEdits = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+			const data = await getSuggestedEdits(token, {
+				status,
+				mine: tab === "mine",
+				page,
+			});
+			setSuggestedEdits(data.suggestedEdits);
+			setPagination(data.pagination);
+		} catch (err) {
+			setError(err.message || "Failed to load suggested edits.");
+		} finally {
+			setLoading(false);
+		}
+	}, [token, tab, status, page]);
+
+	useEffect(() => {
+		if (isLoggedIn && token) {
+			fetchSuggestedEdits();
+		}
+	}, [isLoggedIn, token, fetchSuggestedEdits]);
+
+	if (!isLoggedIn) {
+		return (
+			<div className="max-w-3xl mx-auto px-4 py-8">
+				<p className="text-red-500 text-sm">
+					You must be <Link to="/login">logged in</Link> to review suggested
+					edits.
+				</p>
+			</div>
+		);
+	}
+
+	return (
+		<div className="min-h-screen bg-gray-50">
+			<div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-8">
+				<div className="flex flex-col md:flex-row gap-4 md:gap-8">
+					<Sidebar />
+
+					<main className="flex-1 min-w-0">
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-8">
+							<h1 className="text-lg sm:text-xl md:text-2xl font-bold text-gray-900 mb-1">
+								Suggested Edits
+							</h1>
+							<p className="text-sm text-gray-500 mb-4">
+								Edits other users suggested to your questions and answers, or to
+								any post once you can review suggested edits. Approved edits are
+								applied and earn the editor reputation.
+							</p>
+
+							<div className="flex flex-wrap items-center justify-between gap-3 mb-4 border-b border-gray-200">
+								<div className="flex gap-4">
+									{TABS.map(({ id, label }) => (
+										<button
+											key={id}
+											onClick={() => {
+												setTab(id);
+												setPage(1);
+											}}
+											className={`pb-2 text-sm font-semibold border-b-2 transition-colors cursor-pointer ${
+												tab === id
+													? "border-[#281d80] text-[#281d80]"
+													: "border-transparent text-gray-500 hover:text-gray-700"
+											}`}
+										>
+											{label}
+										</button>
+									))}
+								</div>
+								<select
+									aria-label="Status"
+									value={status}
+									onChange={(e) => {
+										setStatus(e.target.value);
+										setPage(1);
+									}}
+									className="mb-2 px-3 py-1.5 text-sm border border-gray-300 rounded-lg capitalize"
+								>
+									{STATUSES.map((value) => (
+										<option key={value} value={value}>
+											{value}
+										</option>
+									))}
+								</select>
+							</div>
+
+							{loading && <p>Loading suggested edits...</p>}
+							{error && <p className="text-red-500 text-sm">{error}</p>}
+							{!loading && !error && suggestedEdits.length === 0 && (
+								<p className="text-gray-600">No {status} suggested edits.</p>
+							)}
+
+							<div className="space-y-4 md:space-y-6">
+								{suggestedEdits.map((suggestion) => (
+									<SuggestedEdit
+										key={suggestion.id}
+										suggestion={suggestion}
+										canReview={tab === "review"}
+										onReviewed={fetchSuggestedEdits}
+									/>
+								))}
+							</div>
+
+							{pagination && (
+								<div className="mt-6">
+									<PaginationControls
+										currentPage={pagination.currentPage}
+										totalPages={pagination.totalPages}
+										onPageChange={setPage}
+									/>
+								</div>
+							)}
+						</div>
+					</main>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default ReviewQueuePage;
@@ -0,0 +1,231 @@
+import { useEffect, useState, useCallback, useMemo } from "react";
+import { Link, useParams } from "react-router-dom";
+
+import BackButton from "../components/BackButton";
+import ConfirmDialog from "../components/ConfirmDialog";
+import DiffRow from "../components/DiffRow";
+import Sidebar from "../components/Sidebar";
+import UserLink from "../components/UserLink";
+import { useToast } from "../contexts/ToastContext";
+import { useAuth } from "../contexts/useAuth";
+import {
+	getQuestionRevisions,
+	getAnswerRevisions,
+	rollbackQuestionRevision,
+	rollbackAnswerRevision,
+} from "../services/api";
+import { capitalizeTitle } from "../utils/questionUtils.jsx";
+import { htmlToText } from "../utils/textDiff";
+
+const formatDate = (date) =>
+	new Date(date).toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "long",
+		day: "numeric",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+
+const labelNames = (revision) =>
+	(revision.labels || []).map((label) => label.name).join(", ");
+
+/**
+ * Revision history of a question or answer, each revision compared side by
+ * side with the one before it. Authors and admins can roll back.
+ * @param {Object} props
+ * @param {"question"|"answer"} props.type - Kind of post
+ */
+function RevisionHistoryPage({ type }) {
+	const { id } = useParams();
+	const { isLoggedIn, user, token, hasPermission } = useAuth();
+	const { showError, showSuccess } = useToast();
+	const [post, setPost] = useState(null);
+	const [revisions, setRevisions] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [rollbackTarget, setRollbackTarget] = useState(null);
+	const [rollingBack, setRollingBack] = useState(false);
+
+	const isQuestion = type === "question";
+
+	const fetchRevisions = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+			const data = isQuestion
+				? await getQuestionRevisions(id)
+				: await getAnswerRevisions(id);
+			setPost(isQuestion ? data.question : data.answer);
+			setRevisions(data.revisions);
+		} catch (err) {
+			setError(err.message || "Failed to load revision history.");
+		} finally {
+			setLoading(false);
+		}
+	}, [id, isQuestion]);
+
+	useEffect(() => {
+		fetchRevisions();
+	}, [fetchRevisions]);
+
+	// Plain text of each revision, converted once
+	const texts = useMemo(
+		() =>
+			new Map(
+				revisions.map((revision) => [
+					revision.revision_number,
+					htmlToText(revision.content),
+				]),
+			),
+		[revisions],
+	);
+
+	const canRollback =
+		isLoggedIn &&
+		post &&
+		(user?.id === post.user_id || hasPermission("edit_any_post"));
+
+	const postLink = post
+		? isQuestion
+			? `/questions/${post.slug || post.id}`
+			: `/questions/${post.question_id}`
+		: null;
+
+	const handleRollbackConfirm = async () => {
+		setRollingBack(true);
+		try {
+			if (isQuestion) {
+				await rollbackQuestionRevision(post.id, rollbackTarget, token);
+			} else {
+				await rollbackAnswerRevision(post.id, rollbackTarget, token);
+			}
+			showSuccess(`Rolled back to revision ${rollbackTarget}`);
+			setRollbackTarget(null);
+			await fetchRevisions();
+		} catch (err) {
+			showError(err.message);
+		} finally {
+			setRollingBack(false);
+		}
+	};
+
+	return (
+		<div className="min-h-screen bg-gray-50">
+			<div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-8">
+				<div className="flex flex-col md:flex-row gap-4 md:gap-8">
+					<Sidebar />
+
+					<main className="flex-1 min-w-0">
+						<BackButton className="mb-4" />
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:p-8">
+							<h1 className="text-lg sm:text-xl md:text-2xl font-bold text-gray-900 mb-1">
+								{isQuestion ? "Question" : "Answer"} History
+							</h1>
+							{post && (
+								<p className="text-sm text-gray-500 mb-4">
+									{isQuestion ? (
+										<Link to={postLink} className="hover:text-[#281d80]">
+											{capitalizeTitle(post.title)}
+										</Link>
+									) : (
+										<Link to={postLink} className="hover:text-[#281d80]">
+											View the question this answers
+										</Link>
+									)}
+								</p>
+							)}
+
+							{loading && <p>Loading revision history...</p>}
+							{error && <p className="text-red-500 text-sm">{error}</p>}
+
+							<div className="space-y-4 md:space-y-6 mt-4">
+								{revisions.map((revision, index) => {
+									const previous = revisions[index + 1];
+									const isCurrent = index === 0;
+									return (
+										<section
+											key={revision.id}
+											className="border border-gray-200 rounded-lg p-3 md:p-4"
+										>
+											<div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+												<div className="text-sm text-gray-600">
+													<span className="font-semibold text-gray-900">
+														Revision {revision.revision_number}
+													</span>
+													{isCurrent && (
+														<span className="ml-2 px-2 py-0.5 text-xs bg-blue-100 text-blue-800 rounded-full">
+															Current
+														</span>
+													)}
+													<span className="mx-2">•</span>
+													<UserLink
+														userId={revision.editor_id}
+														userName={revision.editor_name}
+														className="font-semibold"
+													/>
+													<span className="mx-2">•</span>
+													{formatDate(revision.created_at)}
+												</div>
+												{canRollback && !isCurrent && (
+													<button
+														onClick={() =>
+															setRollbackTarget(revision.revision_number)
+														}
+														className="px-2 sm:px-3 py-1 text-xs font-medium text-[#281d80] bg-white border border-[#281d80] rounded hover:bg-[#281d80] hover:text-white transition-colors cursor-pointer whitespace-nowrap"
+													>
+														Roll back to this revision
+													</button>
+												)}
+											</div>
+
+											{revision.edit_summary && (
+												<p className="text-sm italic text-gray-600 mb-3">
+													{revision.edit_summary}
+												</p>
+											)}
+
+											{isQuestion && (
+												<DiffRow
+													label="Title"
+													before={previous?.title ?? ""}
+													after={revision.title}
+												/>
+											)}
+											<DiffRow
+												label="Content"
+												before={
+													previous ? texts.get(previous.revision_number) : ""
+												}
+												after={texts.get(revision.revision_number)}
+											/>
+											{isQuestion && (
+												<DiffRow
+													label="Labels"
+													before={previous ? labelNames(previous) : ""}
+													after={labelNames(revision)}
+												/>
+											)}
+										</section>
+									);
+								})}
+							</div>
+						</div>
+					</main>
+				</div>
+			</div>
+
+			<ConfirmDialog
+				isOpen={rollbackTarget !== null}
+				title="Roll Back"
+				message={`Restore revision ${rollbackTarget}? This is saved as a new revision, so it can be undone.`}
+				confirmText={rollingBack ? "Rolling back..." : "Roll back"}
+				cancelText="Cancel"
+				variant="warning"
+				onConfirm={handleRollbackConfirm}
+				onCancel={() => setRollbackTarget(null)}
+			/>
+		</div>
+	);
+}
+
+export default RevisionHistoryPage;
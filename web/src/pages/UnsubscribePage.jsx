@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+
+import { unsubscribeFromDigest } from "../services/api.js";
+
+function UnsubscribePage() {
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get("token");
+
+	const [error, setError] = useState("");
+	const [success, setSuccess] = useState(false);
+	const [loading, setLoading] = useState(false);
+
+	// Unsubscribing waits for a click, so link scanners in mail clients that
+	// open every URL don't unsubscribe people by accident
+	const handleUnsubscribe = async () => {
+		setError("");
+		setLoading(true);
+		try {
+			await unsubscribeFromDigest(token);
+			setSuccess(true);
+		} catch (err) {
+			setError(err.message || "Failed to unsubscribe. Please try again later.");
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<div className="min-h-screen flex items-center justify-center py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
+			<div className="w-full max-w-md">
+				<div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-6 sm:p-8 space-y-5 sm:space-y-6">
+					<div className="text-center">
+						<h2 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">
+							Unsubscribe from Digest
+						</h2>
+						<p className="text-xs sm:text-sm text-gray-600">
+							Stop receiving the CYFoverflow activity digest email.
+						</p>
+					</div>
+
+					{!token ? (
+						<div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-md text-sm">
+							<p className="font-semibold">Invalid Unsubscribe Link</p>
+							<p className="mt-1">
+								This link is invalid or incomplete. Use the unsubscribe link
+								from the latest digest email, or change your settings after
+								logging in.
+							</p>
+						</div>
+					) : success ? (
+						<div className="bg-green-50 border-l-4 border-green-500 text-green-700 px-4 py-3 rounded-md text-sm">
+							<p className="font-semibold">You Are Unsubscribed</p>
+							<p className="mt-1">
+								You will no longer receive digest emails. Other email
+								notifications are not affected.
+							</p>
+						</div>
+					) : (
+						<div className="space-y-5">
+							{error && (
+								<div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-md text-sm">
+									{error}
+								</div>
+							)}
+							<button
+								type="button"
+								onClick={handleUnsubscribe}
+								disabled={loading}
+								className="w-full flex justify-center py-3 px-4 border border-transparent text-base font-semibold rounded-lg text-white bg-[#281d80] hover:bg-[#1f1566] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#281d80] transition-all shadow-md hover:shadow-lg cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								{loading ? "Unsubscribing..." : "Unsubscribe"}
+							</button>
+						</div>
+					)}
+
+					<div className="text-center">
+						<Link
+							to="/settings/notifications"
+							className="text-sm font-semibold text-[#281d80] hover:text-[#ed4d4e] transition-colors cursor-pointer"
+						>
+							Manage all notification settings
+						</Link>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default UnsubscribePage;
@@ -11,9 +11,11 @@ import {
 	FaEnvelope,
 	FaGraduationCap,
 } from "react-icons/fa";
-import { useParams, useNavigate } from "react-router-dom";
+import { Link, useParams, useNavigate } from "react-router-dom";
 
 import ImageUpload from "../components/ImageUpload";
+import ReputationTimeline from "../components/ReputationTimeline";
+import RoleBadge from "../components/RoleBadge";
 import Sidebar from "../components/Sidebar";
 import { useAuth } from "../contexts/useAuth";
 import { getUserProfile, updateUserProfile } from "../services/api";
@@ -166,6 +168,7 @@ function UserProfilePage() {
 										<div>
 											<h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-gray-900 mb-1">
 												{profile.name}
+												<RoleBadge role={profile.role} className="ml-2" />
 											</h1>
 											<p className="text-sm text-gray-500">
 												Member since{" "}
@@ -311,6 +314,14 @@ function UserProfilePage() {
 										{profile.reputation || 0}
 									</div>
 									<div className="text-sm text-gray-600">Reputation</div>
+									{isOwnProfile && (
+										<Link
+											to="/privileges"
+											className="text-xs text-[#281d80] hover:underline"
+										>
+											View privileges
+										</Link>
+									)}
 								</div>
 								<div className="text-center p-4 bg-gray-50 rounded-lg">
 									<div className="flex items-center justify-center gap-2 text-[#281d80] mb-2">
@@ -360,6 +371,14 @@ function UserProfilePage() {
 							</div>
 						</div>
 
+						{/* Reputation history */}
+						<div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+							<h2 className="text-xl font-bold text-gray-900 mb-4">
+								Reputation History
+							</h2>
+							<ReputationTimeline userId={profile.id} />
+						</div>
+
 						{/* Recent Questions */}
 						{profile.recent_questions &&
 							profile.recent_questions.length > 0 && (
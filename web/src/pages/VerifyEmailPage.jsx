@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+
+import { useAuth } from "../contexts/useAuth";
+import { verifyEmail } from "../services/api.js";
+
+function VerifyEmailPage() {
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get("token");
+	const { isLoggedIn, user, updateUser } = useAuth();
+
+	const [error, setError] = useState("");
+	const [success, setSuccess] = useState(false);
+	const [loading, setLoading] = useState(false);
+
+	// Verification waits for a click, like unsubscribing, so link scanners in
+	// mail clients don't use up the one-time token
+	const handleVerify = async () => {
+		setError("");
+		setLoading(true);
+		try {
+			const response = await verifyEmail(token);
+			setSuccess(true);
+			// The link may belong to a different account than the one logged in
+			if (user && user.id === response.userId) {
+				updateUser({ is_email_verified: true });
+			}
+		} catch (err) {
+			setError(
+				err.message ||
+					"Failed to verify email. The link may have expired. Please request a new one.",
+			);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<div className="min-h-screen flex items-center justify-center py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
+			<div className="w-full max-w-md">
+				<div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-6 sm:p-8 space-y-5 sm:space-y-6">
+					<div className="text-center">
+						<h2 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">
+							Verify Your Email
+						</h2>
+						<p className="text-xs sm:text-sm text-gray-600">
+							Confirm this email address belongs to your CYFoverflow account.
+						</p>
+					</div>
+
+					{!token ? (
+						<div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-md text-sm">
+							<p className="font-semibold">Invalid Verification Link</p>
+							<p className="mt-1">
+								This link is invalid or incomplete. Use the link from the latest
+								verification email, or log in to request a new one.
+							</p>
+						</div>
+					) : success ? (
+						<div className="bg-green-50 border-l-4 border-green-500 text-green-700 px-4 py-3 rounded-md text-sm">
+							<p className="font-semibold">Email Verified!</p>
+							<p className="mt-1">
+								Thanks for confirming your email address. You have full access
+								to CYFoverflow.
+							</p>
+						</div>
+					) : (
+						<div className="space-y-5">
+							{error && (
+								<div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-md text-sm">
+									{error}
+								</div>
+							)}
+							<button
+								type="button"
+								onClick={handleVerify}
+								disabled={loading}
+								className="w-full flex justify-center py-3 px-4 border border-transparent text-base font-semibold rounded-lg text-white bg-[#281d80] hover:bg-[#1f1566] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#281d80] transition-all shadow-md hover:shadow-lg cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								{loading ? "Verifying..." : "Verify Email"}
+							</button>
+						</div>
+					)}
+
+					<div className="text-center">
+						<Link
+							to={isLoggedIn ? "/" : "/login"}
+							className="text-sm font-semibold text-[#281d80] hover:text-[#ed4d4e] transition-colors cursor-pointer"
+						>
+							{isLoggedIn ? "Back to Home" : "Go to Login"}
+						</Link>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default VerifyEmailPage;
@@ -126,7 +126,7 @@ export const voteOnAnswer = async (answerId, voteType, token) => {
 
 	if (!response.ok) {
 		const error = await response.json();
-		const errorMessage = error.message || "Failed to vote";
+		const errorMessage = error.message || error.error || "Failed to vote";
 		throw new Error(errorMessage);
 	}
 
@@ -155,7 +155,308 @@ export const getVoteCounts = async (answerId, token = null) => {
 	return response.json();
 };
 
+export const voteOnQuestion = async (questionId, voteType, token) => {
+	const response = await fetch(`${API_BASE_URL}/votes/question/${questionId}`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify({ vote_type: voteType }),
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		const errorMessage = error.message || error.error || "Failed to vote";
+		throw new Error(errorMessage);
+	}
+
+	return response.json();
+};
+
+export const getQuestionVoteCounts = async (questionId, token = null) => {
+	const headers = {
+		"Content-Type": "application/json",
+	};
+	if (token) {
+		headers.Authorization = `Bearer ${token}`;
+	}
+
+	const response = await fetch(`${API_BASE_URL}/votes/question/${questionId}`, {
+		method: "GET",
+		headers,
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		const errorMessage = error.message || "Failed to get vote counts";
+		throw new Error(errorMessage);
+	}
+
+	return response.json();
+};
+
+/**
+ * Get the current user's votes for several questions at once
+ * @param {number[]} questionIds - Question IDs
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Map of question ID to 'upvote' / 'downvote'
+ */
+export const getUserQuestionVotes = async (questionIds, token) => {
+	const response = await fetch(`${API_BASE_URL}/votes/questions/batch`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify({ question_ids: questionIds }),
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		const errorMessage = error.message || "Failed to get votes";
+		throw new Error(errorMessage);
+	}
+
+	return response.json();
+};
+
+/**
+ * Get whether the current user follows a question, plus its follower count
+ * @param {number|string} questionId - Question ID or slug
+ * @param {string|null} token - Auth token (optional)
+ * @returns {Promise<{following: boolean, followerCount: number}>}
+ */
+export const getFollowStatus = async (questionId, token = null) => {
+	const headers = {};
+	if (token) {
+		headers.Authorization = `Bearer ${token}`;
+	}
+
+	const response = await fetch(
+		`${API_BASE_URL}/follows/question/${questionId}`,
+		{ headers },
+	);
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to get follow status");
+	}
+
+	return response.json();
+};
+
+/**
+ * Follow or unfollow a question
+ * @param {number|string} questionId - Question ID or slug
+ * @param {boolean} follow - True to follow, false to unfollow
+ * @param {string} token - Auth token
+ * @returns {Promise<{following: boolean, followerCount: number}>}
+ */
+export const setQuestionFollow = async (questionId, follow, token) => {
+	const response = await fetch(
+		`${API_BASE_URL}/follows/question/${questionId}`,
+		{
+			method: follow ? "POST" : "DELETE",
+			headers: { Authorization: `Bearer ${token}` },
+		},
+	);
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(
+			error.error || `Failed to ${follow ? "follow" : "unfollow"} question`,
+		);
+	}
+
+	return response.json();
+};
+
+/**
+ * Get the questions the current user follows
+ * @param {string} token - Auth token
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<{questions: Array, pagination: Object}>}
+ */
+export const getFollowedQuestions = async (
+	token,
+	{ page = 1, limit = 10 } = {},
+) => {
+	const params = new URLSearchParams({ page, limit });
+	const response = await fetch(`${API_BASE_URL}/follows?${params}`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to load followed questions");
+	}
+
+	return response.json();
+};
+
+/**
+ * Get the labels the current user watches for new questions
+ * @param {string} token - Auth token
+ * @returns {Promise<Array<{id: number, name: string}>>}
+ */
+export const getWatchedLabels = async (token) => {
+	const response = await fetch(`${API_BASE_URL}/watches/labels`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to load watched tags");
+	}
+
+	return response.json();
+};
+
+/**
+ * Watch or stop watching a label
+ * @param {number} labelId - Label ID
+ * @param {boolean} watch - True to watch, false to stop watching
+ * @param {string} token - Auth token
+ * @returns {Promise<Array<{id: number, name: string}>>} Updated watched labels
+ */
+export const setLabelWatch = async (labelId, watch, token) => {
+	const response = await fetch(`${API_BASE_URL}/watches/labels/${labelId}`, {
+		method: watch ? "PUT" : "DELETE",
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(
+			error.error || `Failed to ${watch ? "watch" : "unwatch"} tag`,
+		);
+	}
+
+	return response.json();
+};
+
+/**
+ * Find the label a name, slug or synonym refers to (e.g. "js" -> JavaScript)
+ * @param {string} name - Label name, slug or synonym
+ * @returns {Promise<{id: number, name: string, slug: string}|null>} The
+ *   label, or null if nothing matches
+ */
+export const resolveLabel = async (name) => {
+	const params = new URLSearchParams({ name });
+	const response = await fetch(`${API_BASE_URL}/labels/resolve?${params}`);
+
+	if (response.status === 404) return null;
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to look up tag");
+	}
+
+	return response.json();
+};
+
+/**
+ * Get a label's page: the label, its question stats, this week's trending
+ * questions and its top answerers
+ * @param {string} slug - Label slug (a synonym works too)
+ * @returns {Promise<{label: Object, stats: Object, trending: Object[], topAnswerers: Object[]}>}
+ */
+export const getLabelOverview = async (slug) => {
+	const response = await fetch(
+		`${API_BASE_URL}/labels/${encodeURIComponent(slug)}`,
+	);
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to load tag");
+	}
+
+	return response.json();
+};
+
+/**
+ * Propose a new label for admins to review
+ * @param {{name: string, description?: string}} proposal
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} The pending proposal
+ */
+export const proposeLabel = async (proposal, token) => {
+	const response = await fetch(`${API_BASE_URL}/labels/proposals`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify(proposal),
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to propose tag");
+	}
+
+	return response.json();
+};
+
+/**
+ * Get the current user's label proposals and their review status
+ * @param {string} token - Auth token
+ * @returns {Promise<Object[]>}
+ */
+export const getMyLabelProposals = async (token) => {
+	const response = await fetch(`${API_BASE_URL}/labels/proposals/mine`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to load your tag proposals");
+	}
+
+	return response.json();
+};
+
 // Accept answer API method
+/**
+ * Change a question's status via /close, /duplicate, /reopen or /archive
+ * @param {number|string} questionId
+ * @param {"close"|"duplicate"|"reopen"|"archive"} action
+ * @param {string} token
+ * @param {Object} [body]
+ */
+const updateQuestionStatus = async (questionId, action, token, body = {}) => {
+	const response = await fetch(
+		`${API_BASE_URL}/questions/${questionId}/${action}`,
+		{
+			method: "PATCH",
+			headers: {
+				"Content-Type": "application/json",
+				Authorization: `Bearer ${token}`,
+			},
+			body: JSON.stringify(body),
+		},
+	);
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || `Failed to ${action} question`);
+	}
+
+	return response.json();
+};
+
+export const closeQuestion = (questionId, reason, token) =>
+	updateQuestionStatus(questionId, "close", token, { reason });
+
+export const markQuestionDuplicate = (questionId, canonicalId, token) =>
+	updateQuestionStatus(questionId, "duplicate", token, { canonicalId });
+
+export const reopenQuestion = (questionId, token) =>
+	updateQuestionStatus(questionId, "reopen", token);
+
+export const archiveQuestion = (questionId, token) =>
+	updateQuestionStatus(questionId, "archive", token);
+
 export const acceptAnswer = async (answerId, token) => {
 	const response = await fetch(`${API_BASE_URL}/answers/${answerId}/accept`, {
 		method: "PATCH",
@@ -426,6 +727,111 @@ export const deleteNotification = async (notificationId, token) => {
 	return response.json();
 };
 
+/**
+ * Get the current user's delivery channels for each notification type
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Map of type to { in_app, push, email }
+ */
+export const getNotificationPreferences = async (token) => {
+	const response = await fetch(`${API_BASE_URL}/notifications/preferences`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to load notification settings");
+	}
+
+	return response.json();
+};
+
+/**
+ * Update delivery channels for one or more notification types
+ * @param {Object} preferences - Map of type to partial { in_app, push, email }
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Updated preferences for every type
+ */
+export const updateNotificationPreferences = async (preferences, token) => {
+	const response = await fetch(`${API_BASE_URL}/notifications/preferences`, {
+		method: "PUT",
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify(preferences),
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to save notification settings");
+	}
+
+	return response.json();
+};
+
+/**
+ * Get how often the current user receives the activity digest email
+ * @param {string} token - Auth token
+ * @returns {Promise<{frequency: string, lastSentAt: string|null}>}
+ */
+export const getDigestSettings = async (token) => {
+	const response = await fetch(`${API_BASE_URL}/digests/settings`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to load digest settings");
+	}
+
+	return response.json();
+};
+
+/**
+ * Change how often the current user receives the activity digest email
+ * @param {"off"|"daily"|"weekly"} frequency - Digest frequency
+ * @param {string} token - Auth token
+ * @returns {Promise<{frequency: string, lastSentAt: string|null}>}
+ */
+export const updateDigestSettings = async (frequency, token) => {
+	const response = await fetch(`${API_BASE_URL}/digests/settings`, {
+		method: "PUT",
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify({ frequency }),
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to save digest settings");
+	}
+
+	return response.json();
+};
+
+/**
+ * Turn the digest email off using the token from its unsubscribe link
+ * (no login needed)
+ * @param {string} unsubscribeToken - Token from the unsubscribe link
+ * @returns {Promise<{frequency: string}>}
+ */
+export const unsubscribeFromDigest = async (unsubscribeToken) => {
+	const response = await fetch(`${API_BASE_URL}/digests/unsubscribe`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ token: unsubscribeToken }),
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to unsubscribe");
+	}
+
+	return response.json();
+};
+
 /**
  * Delete an answer
  * @param {number|string} answerId - Answer ID
@@ -454,6 +860,24 @@ export const deleteAnswer = async (answerId, token) => {
 };
 
 // Questions API methods
+/**
+ * Full-text search (supports "quoted phrases", -exclusions and OR).
+ * Results include `title_highlight` and `snippet` with marked matches.
+ */
+export const searchQuestions = async (query, { limit = 5, signal } = {}) => {
+	const params = new URLSearchParams({ q: query, limit });
+	const response = await fetch(`${API_BASE_URL}/questions/search?${params}`, {
+		signal,
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to search questions");
+	}
+
+	return response.json();
+};
+
 export const getLatestQuestions = async (limit = 10) => {
 	const response = await fetch(`${API_BASE_URL}/questions?limit=${limit}`);
 
@@ -531,6 +955,137 @@ export const getSimilarQuestions = async (questionId, options = {}) => {
 	return Array.isArray(data) ? data : [];
 };
 
+// Revision history API methods
+const getRevisions = async (type, id) => {
+	const response = await fetch(`${API_BASE_URL}/${type}s/${id}/revisions`);
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(
+			error.error || error.message || `Failed to fetch ${type} revisions`,
+		);
+	}
+
+	return response.json();
+};
+
+const rollbackRevision = async (type, id, revisionNumber, token) => {
+	const response = await fetch(
+		`${API_BASE_URL}/${type}s/${id}/revisions/${revisionNumber}/rollback`,
+		{
+			method: "POST",
+			headers: { Authorization: `Bearer ${token}` },
+		},
+	);
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(
+			error.error || error.message || `Failed to roll back ${type}`,
+		);
+	}
+
+	return response.json();
+};
+
+export const getQuestionRevisions = (questionId) =>
+	getRevisions("question", questionId);
+
+export const getAnswerRevisions = (answerId) =>
+	getRevisions("answer", answerId);
+
+export const rollbackQuestionRevision = (questionId, revisionNumber, token) =>
+	rollbackRevision("question", questionId, revisionNumber, token);
+
+export const rollbackAnswerRevision = (answerId, revisionNumber, token) =>
+	rollbackRevision("answer", answerId, revisionNumber, token);
+
+// Suggested edits API methods
+const sendSuggestedEditRequest = async (path, body, token, action) => {
+	const response = await fetch(`${API_BASE_URL}/suggested-edits${path}`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify(body),
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || `Failed to ${action}`);
+	}
+
+	return response.json();
+};
+
+export const suggestEdit = (
+	postType,
+	postId,
+	{ title, content, editSummary },
+	token,
+) =>
+	sendSuggestedEditRequest(
+		"",
+		{ postType, postId, title, content, editSummary },
+		token,
+		"suggest edit",
+	);
+
+export const approveSuggestedEdit = (suggestionId, token) =>
+	sendSuggestedEditRequest(
+		`/${suggestionId}/approve`,
+		{},
+		token,
+		"approve suggested edit",
+	);
+
+export const rejectSuggestedEdit = (suggestionId, reason, token) =>
+	sendSuggestedEditRequest(
+		`/${suggestionId}/reject`,
+		{ reason },
+		token,
+		"reject suggested edit",
+	);
+
+export const getSuggestedEdits = async (
+	token,
+	{ status = "pending", mine = false, page = 1, limit = 10 } = {},
+) => {
+	const params = new URLSearchParams({ status, page, limit });
+	if (mine) params.append("mine", "true");
+
+	const response = await fetch(`${API_BASE_URL}/suggested-edits?${params}`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to fetch suggested edits");
+	}
+
+	return response.json();
+};
+
+/**
+ * Get every privilege and the reputation it needs. With a token, also which
+ * ones the user has and the next one they can earn.
+ * @param {string} [token] - Authentication token
+ * @returns {Promise<{privileges: Array, reputation?: number, next?: Object}>}
+ */
+export const getPrivileges = async (token) => {
+	const response = await fetch(`${API_BASE_URL}/privileges`, {
+		headers: token ? { Authorization: `Bearer ${token}` } : {},
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to fetch privileges");
+	}
+
+	return response.json();
+};
+
 /**
  * Get user profile with statistics
  * @param {number|string} userId - User ID
@@ -549,6 +1104,25 @@ export const getUserProfile = async (userId) => {
 	return response.json();
 };
 
+/**
+ * Get a page of a user's reputation history, newest first
+ * @param {number|string} userId - User ID
+ * @param {number} [page] - Page number
+ * @returns {Promise<{events: Array, pagination: Object}>}
+ */
+export const getReputationHistory = async (userId, page = 1) => {
+	const response = await fetch(
+		`${API_BASE_URL}/users/${userId}/reputation?page=${page}`,
+	);
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to fetch reputation history");
+	}
+
+	return response.json();
+};
+
 /**
  * Update user profile
  * @param {number|string} userId - User ID
@@ -704,6 +1278,67 @@ export const resetPassword = async (token, password) => {
 	return response.json();
 };
 
+/**
+ * Verify an email address with the token from the verification link
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} { success, message }
+ */
+export const verifyEmail = async (token) => {
+	if (!isOnline()) {
+		throw new Error("No internet connection");
+	}
+
+	const response = await fetch(`${API_BASE_URL}/auth/verify-email`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({ token }),
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(
+			getUserFriendlyError(
+				error.message || error.error || "Failed to verify email",
+				"Failed to verify email. The link may have expired. Please request a new one.",
+			),
+		);
+	}
+
+	return response.json();
+};
+
+/**
+ * Email the logged-in user a new verification link
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success, message }
+ */
+export const resendVerificationEmail = async (token) => {
+	if (!isOnline()) {
+		throw new Error("No internet connection");
+	}
+
+	const response = await fetch(`${API_BASE_URL}/auth/resend-verification`, {
+		method: "POST",
+		headers: {
+			Authorization: `Bearer ${token}`,
+		},
+	});
+
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(
+			getUserFriendlyError(
+				error.message || error.error || "Failed to send verification email",
+				"Failed to send verification email. Please try again later.",
+			),
+		);
+	}
+
+	return response.json();
+};
+
 // ─── Admin API ────────────────────────────────────────────────────────────────
 
 export const getAdminStats = async (token) => {
@@ -716,12 +1351,13 @@ export const getAdminStats = async (token) => {
 
 export const getAdminUsers = async (
 	token,
-	{ page = 1, limit = 20, search = "" } = {},
+	{ page = 1, limit = 20, search = "", role = "" } = {},
 ) => {
 	const params = new URLSearchParams({
 		page,
 		limit,
 		...(search && { search }),
+		...(role && { role }),
 	});
 	const response = await fetch(`${API_BASE_URL}/admin/users?${params}`, {
 		headers: { Authorization: `Bearer ${token}` },
@@ -743,6 +1379,22 @@ export const adminSetUserActive = async (token, userId, isActive) => {
 	return response.json();
 };
 
+export const adminSetUserRole = async (token, userId, role) => {
+	const response = await fetch(`${API_BASE_URL}/admin/users/${userId}/role`, {
+		method: "PATCH",
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify({ role }),
+	});
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || "Failed to change role");
+	}
+	return response.json();
+};
+
 export const adminDeleteUser = async (token, userId) => {
 	const response = await fetch(`${API_BASE_URL}/admin/users/${userId}`, {
 		method: "DELETE",
@@ -789,3 +1441,143 @@ export const adminDeleteContent = async (token, type, id) => {
 	if (!response.ok) throw new Error("Failed to delete content");
 	return response.json();
 };
+
+export const adminArchiveStaleQuestions = async (token, days) => {
+	const response = await fetch(
+		`${API_BASE_URL}/admin/questions/archive-stale`,
+		{
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				Authorization: `Bearer ${token}`,
+			},
+			body: JSON.stringify(days ? { days } : {}),
+		},
+	);
+	if (!response.ok) throw new Error("Failed to archive stale questions");
+	return response.json();
+};
+
+export const adminRecalculateReputation = async (token) => {
+	const response = await fetch(`${API_BASE_URL}/admin/reputation/recalculate`, {
+		method: "POST",
+		headers: { Authorization: `Bearer ${token}` },
+	});
+	if (!response.ok) throw new Error("Failed to recalculate reputation");
+	return response.json();
+};
+
+export const getAdminLabels = async (token) => {
+	const response = await fetch(`${API_BASE_URL}/admin/labels`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+	if (!response.ok) throw new Error("Failed to fetch labels");
+	return response.json();
+};
+
+/**
+ * Send a label change to the admin API, surfacing the server's reason
+ * (e.g. a duplicate name) when it refuses
+ */
+const sendAdminLabelRequest = async (token, path, method, body, fallback) => {
+	const response = await fetch(`${API_BASE_URL}/admin/labels${path}`, {
+		method,
+		headers: {
+			"Content-Type": "application/json",
+			Authorization: `Bearer ${token}`,
+		},
+		body: body ? JSON.stringify(body) : undefined,
+	});
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || fallback);
+	}
+	return response.json();
+};
+
+export const adminCreateLabel = (token, label) =>
+	sendAdminLabelRequest(token, "", "POST", label, "Failed to create label");
+
+export const adminUpdateLabel = (token, labelId, updates) =>
+	sendAdminLabelRequest(
+		token,
+		`/${labelId}`,
+		"PATCH",
+		updates,
+		"Failed to update label",
+	);
+
+export const adminDeleteLabel = (token, labelId) =>
+	sendAdminLabelRequest(
+		token,
+		`/${labelId}`,
+		"DELETE",
+		null,
+		"Failed to delete label",
+	);
+
+export const adminMergeLabels = (token, sourceId, targetId) =>
+	sendAdminLabelRequest(
+		token,
+		`/${sourceId}/merge`,
+		"POST",
+		{ targetId },
+		"Failed to merge labels",
+	);
+
+export const adminAddLabelSynonym = (token, labelId, name) =>
+	sendAdminLabelRequest(
+		token,
+		`/${labelId}/synonyms`,
+		"POST",
+		{ name },
+		"Failed to add synonym",
+	);
+
+export const adminRemoveLabelSynonym = (token, labelId, synonymId) =>
+	sendAdminLabelRequest(
+		token,
+		`/${labelId}/synonyms/${synonymId}`,
+		"DELETE",
+		null,
+		"Failed to remove synonym",
+	);
+
+export const getAdminLabelProposals = async (token, status = "pending") => {
+	const params = new URLSearchParams({ status });
+	const response = await fetch(
+		`${API_BASE_URL}/admin/label-proposals?${params}`,
+		{ headers: { Authorization: `Bearer ${token}` } },
+	);
+	if (!response.ok) throw new Error("Failed to fetch tag proposals");
+	return response.json();
+};
+
+/**
+ * Approve or reject a label proposal, surfacing the server's reason when it
+ * refuses (e.g. the name was taken since it was proposed)
+ */
+const reviewLabelProposal = async (token, proposalId, action, body) => {
+	const response = await fetch(
+		`${API_BASE_URL}/admin/label-proposals/${proposalId}/${action}`,
+		{
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				Authorization: `Bearer ${token}`,
+			},
+			body: JSON.stringify(body),
+		},
+	);
+	if (!response.ok) {
+		const error = await response.json().catch(() => ({}));
+		throw new Error(error.error || `Failed to ${action} proposal`);
+	}
+	return response.json();
+};
+
+export const adminApproveLabelProposal = (token, proposalId, overrides = {}) =>
+	reviewLabelProposal(token, proposalId, "approve", overrides);
+
+export const adminRejectLabelProposal = (token, proposalId, reason) =>
+	reviewLabelProposal(token, proposalId, "reject", { reason });
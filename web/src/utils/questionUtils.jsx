@@ -160,3 +160,54 @@ export const highlightSearchTerm = (text, searchTerm) => {
 		return part;
 	});
 };
+
+/**
+ * Human-readable labels for question close reasons (question_close_reason enum)
+ */
+export const CLOSE_REASON_LABELS = {
+	off_topic: "Off-topic",
+	duplicate: "Duplicate",
+	needs_details: "Needs details",
+};
+
+// Match markers used by the search API in `title_highlight` and `snippet`
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_END = "\u0003";
+
+/**
+ * Decodes HTML entities (e.g. &amp;, &nbsp;) left in server-generated snippets
+ * @param {string} text - Text that may contain HTML entities
+ * @returns {string} - Plain text
+ */
+const decodeHtmlEntities = (text) => {
+	const textarea = document.createElement("textarea");
+	textarea.innerHTML = text;
+	return textarea.value;
+};
+
+/**
+ * Renders a search API highlight (title_highlight / snippet) with matched terms in <mark>
+ * @param {string} text - Text with matches wrapped in the API's highlight markers
+ * @param {Function} [transform] - Applied to each text segment (e.g. capitalizeTitle)
+ * @returns {Array<JSX.Element|string>} - Renderable parts
+ */
+export const renderSearchHighlight = (text, transform = (part) => part) => {
+	if (!text) return text;
+
+	const parts = decodeHtmlEntities(text).split(
+		new RegExp(`${HIGHLIGHT_START}|${HIGHLIGHT_END}`),
+	);
+
+	// Split on both markers: odd-indexed parts sit between START and END
+	return parts
+		.map((part, index) =>
+			index % 2 === 1 ? (
+				<mark key={index} className="bg-yellow-200 px-1 rounded font-medium">
+					{transform(part)}
+				</mark>
+			) : (
+				transform(part)
+			),
+		)
+		.filter((part) => part !== "");
+};
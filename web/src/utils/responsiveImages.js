@@ -0,0 +1,75 @@
+/**
+ * Responsive image helpers
+ * Uploaded images come with WebP and AVIF variants at several widths
+ * (see the `srcset` in the upload response)
+ */
+
+/** Posts are at most this wide on large screens */
+export const CONTENT_IMAGE_SIZES = "(max-width: 768px) 100vw, 768px";
+
+const escapeAttribute = (value) =>
+	String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+/**
+ * HTML to insert into the editor for an uploaded image. Images with variants
+ * get a WebP `srcset`, which toResponsiveImages upgrades to AVIF when shown.
+ * @param {Object} file - `file` from the upload response
+ * @param {string} alt - Alternative text
+ * @returns {string} HTML
+ */
+export const getUploadedImageHtml = (file, alt) => {
+	const attributes = [
+		`src="${escapeAttribute(file.file_url)}"`,
+		`alt="${escapeAttribute(alt)}"`,
+	];
+	if (file.srcset?.webp) {
+		attributes.push(
+			`srcset="${escapeAttribute(file.srcset.webp)}"`,
+			`sizes="${CONTENT_IMAGE_SIZES}"`,
+		);
+	}
+	if (file.width && file.height) {
+		attributes.push(`width="${file.width}"`, `height="${file.height}"`);
+	}
+	return `<p><img ${attributes.join(" ")} /></p>`;
+};
+
+/**
+ * Wrap uploaded images that have a WebP `srcset` in a `<picture>` with an
+ * AVIF source, for browsers that support it. AVIF variants are generated at
+ * the same widths as the WebP ones, so only the extension differs.
+ * @param {string} html - Question or answer content
+ * @returns {string} HTML
+ */
+export const toResponsiveImages = (html) => {
+	if (!html || !html.includes("/uploads/variants/")) {
+		return html;
+	}
+
+	const doc = new DOMParser().parseFromString(html, "text/html");
+	for (const img of doc.querySelectorAll("img[srcset]")) {
+		const webpSrcset = img.getAttribute("srcset");
+		if (
+			img.parentElement?.tagName === "PICTURE" ||
+			!webpSrcset.includes("/uploads/variants/")
+		) {
+			continue;
+		}
+
+		const picture = doc.createElement("picture");
+		const sizes = img.getAttribute("sizes") || CONTENT_IMAGE_SIZES;
+		for (const [type, srcset] of [
+			["image/avif", webpSrcset.replace(/\.webp(?=\s)/g, ".avif")],
+			["image/webp", webpSrcset],
+		]) {
+			const source = doc.createElement("source");
+			source.setAttribute("type", type);
+			source.setAttribute("srcset", srcset);
+			source.setAttribute("sizes", sizes);
+			picture.append(source);
+		}
+		img.replaceWith(picture);
+		picture.append(img);
+	}
+	return doc.body.innerHTML;
+};
@@ -0,0 +1,137 @@
+/**
+ * Word-level diff used to compare revisions of questions and answers
+ */
+
+/** Beyond this many cells the LCS table is too slow to build; diff by line */
+const MAX_TABLE_CELLS = 4_000_000;
+
+/**
+ * Plain text of post HTML, with a line break after each block element so
+ * paragraphs and list items stay on their own lines
+ * @param {string} html - Question or answer content
+ * @returns {string}
+ */
+export const htmlToText = (html) => {
+	if (!html) return "";
+	const doc = new DOMParser().parseFromString(html, "text/html");
+	doc
+		.querySelectorAll("p, li, pre, blockquote, h1, h2, h3, h4, h5, h6, tr, br")
+		.forEach((element) => element.after("\n"));
+	return doc.body.textContent
+		.split("\n")
+		.map((line) => line.replace(/\s+/g, " ").trim())
+		.filter(Boolean)
+		.join("\n");
+};
+
+/**
+ * Split text into words, keeping the whitespace between them as tokens so the
+ * text can be put back together exactly
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+/**
+ * Longest-common-subsequence diff of two token lists
+ * @param {Array<string>} before
+ * @param {Array<string>} after
+ * @returns {Array<{type: "equal"|"removed"|"added", value: string}>}
+ */
+const diffTokens = (before, after) => {
+	const rows = before.length + 1;
+	const cols = after.length + 1;
+	const table = new Uint32Array(rows * cols);
+	for (let i = before.length - 1; i >= 0; i--) {
+		for (let j = after.length - 1; j >= 0; j--) {
+			table[i * cols + j] =
+				before[i] === after[j]
+					? table[(i + 1) * cols + j + 1] + 1
+					: Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+		}
+	}
+
+	const parts = [];
+	let i = 0;
+	let j = 0;
+	while (i < before.length && j < after.length) {
+		if (before[i] === after[j]) {
+			parts.push({ type: "equal", value: before[i] });
+			i++;
+			j++;
+		} else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+			parts.push({ type: "removed", value: before[i++] });
+		} else {
+			parts.push({ type: "added", value: after[j++] });
+		}
+	}
+	while (i < before.length) parts.push({ type: "removed", value: before[i++] });
+	while (j < after.length) parts.push({ type: "added", value: after[j++] });
+	return parts;
+};
+
+/**
+ * Merge neighbouring parts of the same type
+ * @param {Array<{type: string, value: string}>} parts
+ * @returns {Array<{type: string, value: string}>}
+ */
+const mergeParts = (parts) =>
+	parts.reduce((merged, part) => {
+		const last = merged[merged.length - 1];
+		if (last && last.type === part.type) {
+			last.value += part.value;
+		} else {
+			merged.push({ ...part });
+		}
+		return merged;
+	}, []);
+
+/**
+ * Compare two texts word by word. Very long texts that differ a lot are
+ * compared line by line instead.
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array<{type: "equal"|"removed"|"added", value: string}>}
+ */
+export const diffWords = (before = "", after = "") => {
+	let beforeTokens = tokenize(before);
+	let afterTokens = tokenize(after);
+
+	// Only the changed middle needs the LCS table
+	let start = 0;
+	while (
+		start < beforeTokens.length &&
+		start < afterTokens.length &&
+		beforeTokens[start] === afterTokens[start]
+	) {
+		start++;
+	}
+	let end = 0;
+	while (
+		end < beforeTokens.length - start &&
+		end < afterTokens.length - start &&
+		beforeTokens[beforeTokens.length - 1 - end] ===
+			afterTokens[afterTokens.length - 1 - end]
+	) {
+		end++;
+	}
+
+	const prefix = beforeTokens.slice(0, start);
+	const suffix = beforeTokens.slice(beforeTokens.length - end);
+	beforeTokens = beforeTokens.slice(start, beforeTokens.length - end);
+	afterTokens = afterTokens.slice(start, afterTokens.length - end);
+
+	let middle;
+	if ((beforeTokens.length + 1) * (afterTokens.length + 1) <= MAX_TABLE_CELLS) {
+		middle = diffTokens(beforeTokens, afterTokens);
+	} else {
+		const byLine = (tokens) => tokens.join("").split(/(?<=\n)/);
+		middle = diffTokens(byLine(beforeTokens), byLine(afterTokens));
+	}
+
+	return mergeParts([
+		...prefix.map((value) => ({ type: "equal", value })),
+		...middle,
+		...suffix.map((value) => ({ type: "equal", value })),
+	]);
+};